@@ -3,10 +3,20 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
+import { readSnapshot, writeSnapshot, statSourceFiles } from './snapshot.js';
+import { mapWithConcurrency } from './concurrency.js';
 
-// The embedding model key used by Smart Connections in the AJSON format.
-// Must match the model configured in the Obsidian vault's Smart Connections settings.
-const MODEL_KEY = 'TaylorAI/bge-micro-v2';
+// Fallback embedding model key, used when a vault holds no vectors to detect a model from.
+// Smart Connections keys each vector by the model that produced it (e.g. value.embeddings[key].vec).
+export const DEFAULT_MODEL_KEY = 'TaylorAI/bge-micro-v2';
+
+// Default number of .ajson files parsed at the same time. Bounds open file handles
+// and the number of partially-parsed files held in memory during a load.
+const DEFAULT_CONCURRENCY = 8;
+
+// Maximum skipped-line and duplicate-key examples kept per file / per index.
+// Counts are always exact; only the examples are capped to bound memory.
+const MAX_DIAGNOSTIC_SAMPLES = 5;
 
 // Key prefixes that distinguish full-note embeddings from heading-level blocks.
 const SOURCE_PREFIX = 'smart_sources:';
@@ -65,104 +75,821 @@ function resolveKeyMeta(key) {
 }
 
 /**
- * Extract the embedding vector from a parsed AJSON value object.
+ * Extract every embedding vector from a parsed AJSON value object, keyed by model.
  *
- * Navigates the nested structure: value.embeddings[MODEL_KEY].vec
+ * Navigates the nested structure: value.embeddings[modelKey].vec. Model buckets
+ * without a non-empty vec array are omitted.
  *
  * @param {object} value - The parsed value portion of an AJSON entry.
- * @returns {number[]|null} The vec array, or null if absent.
+ * @returns {Object<string, number[]>} Vectors keyed by model key (empty if none).
  */
-function extractVec(value) {
-  const vec = value?.embeddings?.[MODEL_KEY]?.vec;
-  return Array.isArray(vec) && vec.length > 0 ? vec : null;
+function extractVecs(value) {
+  const buckets = value?.embeddings;
+  if (!buckets || typeof buckets !== 'object') {
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(buckets).filter(
+      ([, bucket]) => Array.isArray(bucket?.vec) && bucket.vec.length > 0
+    ).map(([modelKey, bucket]) => [modelKey, bucket.vec])
+  );
 }
 
 /**
- * Parse the full text content of an AJSON file into an array of embedding entries.
+ * Normalise one outlink from a Smart Connections value to its target path.
  *
- * Processes the file line-by-line. Lines that are blank, malformed, or lack
- * embeddings are silently skipped. The function never throws.
+ * Outlinks are stored either as plain strings or as objects such as
+ * {key, target}, depending on the plugin version.
  *
- * @param {string} content - Full text contents of a .ajson file.
- * @returns {Array<{path: string, vec: number[], type: string}>} Parsed entries.
+ * @param {string|object} link - Raw outlink.
+ * @returns {string|null} Link target, or null if none can be found.
+ */
+function outlinkTarget(link) {
+  if (typeof link === 'string') {
+    return link;
+  }
+  const target = link?.target ?? link?.key;
+  return typeof target === 'string' ? target : null;
+}
+
+/**
+ * Extract per-entry metadata from a parsed AJSON value object.
+ *
+ * Smart Connections records file mtime/size and content hashes either at the
+ * top level or under last_read / last_embed, block line ranges under `lines`,
+ * and outgoing links under `outlinks`. Only fields that are present are returned.
+ *
+ * @param {object} value - The parsed value portion of an AJSON entry.
+ * @returns {{mtime?: number, size?: number, hash?: string, lines?: [number, number], outlinks?: string[]}|null}
+ *   Metadata, or null when the value carries none.
+ */
+function extractMeta(value) {
+  const mtime = value.mtime ?? value.last_read?.mtime ?? value.last_import?.mtime;
+  const size = value.size ?? value.last_read?.size ?? value.last_import?.size;
+  const hash = value.last_embed?.hash ?? value.last_read?.hash ?? value.hash;
+  const lines = Array.isArray(value.lines) && value.lines.length === 2 ? value.lines : undefined;
+  const outlinks = Array.isArray(value.outlinks)
+    ? value.outlinks.map(outlinkTarget).filter(Boolean)
+    : undefined;
+
+  const meta = Object.fromEntries(
+    Object.entries({ mtime, size, hash, lines, outlinks }).filter(([, v]) => v !== undefined && v !== null)
+  );
+  return Object.keys(meta).length > 0 ? meta : null;
+}
+
+/**
+ * Turn one AJSON key/value pair into a log record.
+ *
+ * A `"key": null` value is a tombstone: Smart Connections appends one when a
+ * note or heading is deleted. Any other value is a write that replaces the
+ * key's previous value, whether or not it carries vectors.
+ *
+ * @param {string} key - The raw key, e.g. "smart_sources:path/to/note.md".
+ * @param {object|null} value - The parsed value.
+ * @returns {{path: string, type: string, vecs: Object<string, number[]>|null, meta?: object|null}|null}
+ *   Record (vecs is null for a tombstone), or null for an unrecognised key.
  */
-export function parseAjsonContent(content) {
-  if (!content || typeof content !== 'string') {
-    return [];
+function recordFromPair(key, value) {
+  const meta = resolveKeyMeta(key);
+  if (!meta) {
+    return null;
+  }
+
+  if (value === null) {
+    return { path: meta.path, type: meta.type, vecs: null };
   }
+  return {
+    path: meta.path,
+    type: meta.type,
+    vecs: extractVecs(value),
+    meta: typeof value === 'object' ? extractMeta(value) : null,
+  };
+}
+
+/**
+ * Create an empty replay log for one AJSON file.
+ *
+ * records holds the latest state of every key seen: an object for a live
+ * entry, or null when the last line for the key was a tombstone (kept so the
+ * deletion can be replayed against earlier files).
+ *
+ * skipped counts lines that were not replayed, by reason ("malformed" for
+ * unparseable JSON, "unknown-prefix" for keys that are neither sources nor
+ * blocks); samples holds the first few of them with their line numbers.
+ *
+ * @returns {{
+ *   records: Map<string, {type: string, vecs: object, models: string[], meta: object|null}|null>,
+ *   superseded: number,
+ *   deleted: number,
+ *   skipped: Object<string, number>,
+ *   samples: Array<{line: number, reason: string}>
+ * }}
+ */
+function createLog() {
+  return { records: new Map(), superseded: 0, deleted: 0, skipped: {}, samples: [] };
+}
 
-  const entries = [];
+/**
+ * Record a skipped line on a log.
+ *
+ * @param {{skipped: Object<string, number>, samples: Array}} log - Log to update in place.
+ * @param {number} line - 1-based line number.
+ * @param {string} reason - Why the line was skipped.
+ */
+function noteSkipped(log, line, reason) {
+  log.skipped[reason] = (log.skipped[reason] ?? 0) + 1;
+  if (log.samples.length < MAX_DIAGNOSTIC_SAMPLES) {
+    log.samples.push({ line, reason });
+  }
+}
 
-  for (const raw of content.split('\n')) {
-    const line = raw.trim();
-    if (!line) {
-      continue;
+/**
+ * Replay one record onto a log with per-key last-write-wins semantics.
+ *
+ * @param {{records: Map, superseded: number, deleted: number}} log - Log to update in place.
+ * @param {{path: string, type: string, vecs: object|null, models?: string[], meta?: object|null}} record -
+ *   Parsed record; models lists every model key the line carried.
+ */
+function applyRecord(log, record) {
+  const previous = log.records.get(record.path);
+  if (record.vecs === null) {
+    if (previous) {
+      log.deleted += 1;
     }
+    log.records.set(record.path, null);
+    return;
+  }
+  if (previous) {
+    log.superseded += 1;
+  }
+  log.records.set(record.path, {
+    type: record.type,
+    vecs: record.vecs,
+    models: record.models,
+    meta: record.meta,
+  });
+}
+
+/**
+ * Shrink a record's vectors as soon as it is parsed.
+ *
+ * When the model is already known, the other models' vectors are dropped. With
+ * `compact`, the remaining vectors are converted to Float32Array, which takes half
+ * the memory of a JS number array on V8.
+ *
+ * @param {Object<string, number[]>} vecs - Vectors keyed by model key.
+ * @param {{ modelKey?: string|null, compact?: boolean }} options - Load options.
+ * @returns {Object<string, number[]|Float32Array>} The vectors to keep.
+ */
+function shrinkVecs(vecs, options) {
+  const kept = options.modelKey
+    ? Object.entries(vecs).filter(([modelKey]) => modelKey === options.modelKey)
+    : Object.entries(vecs);
+  return Object.fromEntries(
+    kept.map(([modelKey, vec]) => [modelKey, options.compact ? Float32Array.from(vec) : vec])
+  );
+}
+
+/**
+ * Replay one key/value pair onto a log.
+ *
+ * @param {{records: Map, superseded: number, deleted: number}} log - Log to update in place.
+ * @param {string} key - The raw AJSON key.
+ * @param {object|null} value - The parsed value.
+ * @param {{ modelKey?: string|null, compact?: boolean }} options - Load options.
+ * @returns {boolean} False if the key has an unrecognised prefix and was skipped.
+ */
+function applyPair(log, key, value, options) {
+  const record = recordFromPair(key, value);
+  if (!record) {
+    return false;
+  }
+  if (record.vecs === null) {
+    applyRecord(log, record);
+    return true;
+  }
+  // Remember every model the line had before shrinking, so model counts stay complete.
+  applyRecord(log, { ...record, vecs: shrinkVecs(record.vecs, options), models: Object.keys(record.vecs) });
+  return true;
+}
 
-    const pair = parseLine(line);
-    if (!pair) {
-      continue;
+/**
+ * Parse one raw AJSON line and replay it onto a log, noting why it was skipped if it was.
+ *
+ * @param {{records: Map, superseded: number, deleted: number}} log - Log to update in place.
+ * @param {string} raw - One untrimmed line of an AJSON file.
+ * @param {number} lineNumber - 1-based line number, for diagnostics.
+ * @param {{ modelKey?: string|null, compact?: boolean }} options - Load options.
+ */
+function applyLine(log, raw, lineNumber, options) {
+  const line = raw.trim();
+  if (!line) {
+    return;
+  }
+  const pair = parseLine(line);
+  if (!pair) {
+    noteSkipped(log, lineNumber, 'malformed');
+  } else if (!applyPair(log, pair.key, pair.value, options)) {
+    noteSkipped(log, lineNumber, 'unknown-prefix');
+  }
+}
+
+/**
+ * Stream one .ajson file line by line into a replay log.
+ *
+ * The file is never held in memory as a whole: each line is parsed, shrunk
+ * (see shrinkVecs), and replayed as it is read, so vectors superseded by a
+ * later line are released immediately.
+ *
+ * @param {string} filePath - Absolute path to the .ajson file.
+ * @param {{ modelKey?: string|null, compact?: boolean }} options - Load options.
+ * @returns {Promise<{records: Map, superseded: number, deleted: number, modelCounts: Map<string, number>}|{error: string}>}
+ *   The replayed log with per-model counts of its live records, or {error} if the file cannot be read.
+ */
+async function readLogFile(filePath, options) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+  } catch (err) {
+    // Unreadable (permissions, deleted before open, etc.) -- callers skip the file.
+    return { error: err.message };
+  }
+
+  const log = createLog();
+  let lineNumber = 0;
+  try {
+    for await (const raw of handle.readLines({ encoding: 'utf-8' })) {
+      lineNumber += 1;
+      applyLine(log, raw, lineNumber, options);
     }
+  } catch (err) {
+    // Read failed part-way (file truncated or removed mid-read) -- skip the file.
+    return { error: err.message };
+  } finally {
+    await handle.close();
+  }
 
-    const meta = resolveKeyMeta(pair.key);
-    if (!meta) {
-      continue;
+  return { ...log, modelCounts: countModelKeys(log.records.values()) };
+}
+
+/**
+ * Count how many live records carried a vector for each model key.
+ *
+ * @param {Iterable<{models: string[]}|null>} records - Replayed records (null = tombstone).
+ * @returns {Map<string, number>} Record count per model key, in first-seen order.
+ */
+function countModelKeys(records) {
+  const counts = new Map();
+  for (const record of records) {
+    for (const modelKey of record?.models ?? []) {
+      counts.set(modelKey, (counts.get(modelKey) ?? 0) + 1);
     }
+  }
+  return counts;
+}
 
-    const vec = extractVec(pair.value);
-    if (!vec) {
-      continue;
+/**
+ * Sum per-file model key counts and rank them by frequency.
+ *
+ * @param {Iterable<Map<string, number>>} countMaps - Per-file outputs of countModelKeys.
+ * @returns {Array<{modelKey: string, count: number}>} Model keys, most common first.
+ */
+function rankModelKeys(countMaps) {
+  const totals = new Map();
+  for (const counts of countMaps) {
+    for (const [modelKey, count] of counts) {
+      totals.set(modelKey, (totals.get(modelKey) ?? 0) + count);
     }
+  }
+  // Array.prototype.sort is stable, so ties keep first-seen order.
+  return Array.from(totals, ([modelKey, count]) => ({ modelKey, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Choose the active model key: the configured one if given, else the most common.
+ *
+ * @param {Array<{modelKey: string, count: number}>} modelKeys - Output of rankModelKeys.
+ * @param {string} [configured] - Model key requested by configuration.
+ * @returns {string|null} Selected model key, or null when nothing can be selected.
+ */
+function selectModelKey(modelKeys, configured) {
+  if (configured) {
+    return configured;
+  }
+  return modelKeys.length > 0 ? modelKeys[0].modelKey : null;
+}
 
-    entries.push({ path: meta.path, vec, type: meta.type });
+/**
+ * Replay a sequence of Smart Connections key/value pairs as an append log.
+ *
+ * Shared by the .ajson line format and the single-file JSON formats, which use
+ * the same keys and values. Later pairs for a key overwrite earlier ones, null
+ * values delete the key, and pairs with unknown key prefixes are skipped.
+ *
+ * @param {Iterable<[string, object|null]>} pairs - Key/value pairs in write order.
+ * @param {{ modelKey?: string }} [options] - modelKey selects which model's vectors
+ *   to read; defaults to the model with the most vectors among the pairs.
+ * @returns {{
+ *   entries: Array<{path: string, vec: number[], type: string, meta?: object}>,
+ *   superseded: number,
+ *   deleted: number,
+ *   modelKey: string|null,
+ *   modelKeys: Array<{modelKey: string, count: number}>
+ * }} Surviving entries with a vector for the model, the number of pairs
+ *   overwritten by a later pair, the number of entries removed by tombstones,
+ *   and the selected and available model keys.
+ */
+export function replayAjsonPairs(pairs, options = {}) {
+  const log = createLog();
+  for (const [key, value] of pairs) {
+    applyPair(log, key, value, {});
   }
+  const modelKeys = rankModelKeys([countModelKeys(log.records.values())]);
+  const modelKey = selectModelKey(modelKeys, options.modelKey);
 
-  return entries;
+  const entries = Array.from(selectVecs(log.records, modelKey))
+    .filter(([, entry]) => entry?.vec)
+    .map(([entryPath, entry]) => ({ path: entryPath, ...entry }));
+
+  return { entries, superseded: log.superseded, deleted: log.deleted, modelKey, modelKeys };
 }
 
 /**
- * Load all pre-computed embeddings from a vault's .smart-env/multi/ directory.
+ * Replay the full text content of an AJSON file as an append log.
  *
- * Reads every .ajson file in the directory, parses each with parseAjsonContent,
- * and aggregates the results into a Map keyed by note/block path.
+ * Later lines for a key overwrite earlier ones and `"key": null` lines delete
+ * the key. Lines that are blank, malformed, or have an unknown prefix are
+ * silently skipped. The function never throws.
  *
- * If the directory does not exist, returns an empty Map (graceful degradation
- * so callers can detect "no embeddings" without catching errors).
+ * @param {string} content - Full text contents of a .ajson file.
+ * @param {{ modelKey?: string }} [options] - modelKey selects which model's vectors
+ *   to read; defaults to the model with the most vectors in this content.
+ * @returns {ReturnType<typeof replayAjsonPairs>} See replayAjsonPairs.
+ */
+export function replayAjsonContent(content, options = {}) {
+  const lines = content && typeof content === 'string' ? content.split('\n') : [];
+  const pairs = lines
+    .map((raw) => parseLine(raw.trim()))
+    .filter(Boolean)
+    .map(({ key, value }) => [key, value]);
+  return replayAjsonPairs(pairs, options);
+}
+
+/**
+ * Parse the full text content of an AJSON file into an array of embedding entries.
  *
- * @param {string} vaultPath - Absolute path to the Obsidian vault root.
- * @returns {Promise<Map<string, {vec: number[], type: string}>>} Embeddings map.
+ * Replays the file as an append log (see replayAjsonContent) and returns the
+ * entries that survive with an embedding for the selected model. The function
+ * never throws.
+ *
+ * @param {string} content - Full text contents of a .ajson file.
+ * @param {{ modelKey?: string }} [options] - modelKey selects which model's vectors
+ *   to read; defaults to the model with the most vectors in this content.
+ * @returns {Array<{path: string, vec: number[], type: string, meta?: object}>} Parsed entries;
+ *   meta is present when the line carried metadata (see extractMeta).
  */
-export async function loadEmbeddings(vaultPath) {
-  const multiDir = path.join(vaultPath, '.smart-env', 'multi');
+export function parseAjsonContent(content, options = {}) {
+  return replayAjsonContent(content, options).entries;
+}
 
-  let files;
+/**
+ * Build the embeddings Map value for a record, attaching metadata only when present.
+ *
+ * @param {number[]|null} vec - The active model's vector.
+ * @param {string} type - "source" or "block".
+ * @param {object|null|undefined} meta - Metadata from extractMeta.
+ * @returns {{vec: number[]|null, type: string, meta?: object}} Map value.
+ */
+function toEntry(vec, type, meta) {
+  return meta ? { vec, type, meta } : { vec, type };
+}
+
+/**
+ * Resolve each replayed record to the active model's vector.
+ *
+ * Tombstones stay null. Live records without a vector for the model keep a
+ * null vec: they still overwrite (and so hide) an older vector from an
+ * earlier file.
+ *
+ * @param {Map<string, {type: string, vecs: object, meta: object|null}|null>} records - Replayed records.
+ * @param {string|null} modelKey - The active model key.
+ * @returns {Map<string, {vec: number[]|null, type: string, meta?: object}|null>} Records for that model.
+ */
+function selectVecs(records, modelKey) {
+  return new Map(
+    Array.from(records, ([entryPath, record]) => [
+      entryPath,
+      record && toEntry(record.vecs[modelKey] ?? null, record.type, record.meta),
+    ])
+  );
+}
+
+/**
+ * List the .ajson filenames in a multi directory, in directory order.
+ *
+ * @param {string} multiDir - Absolute path to .smart-env/multi.
+ * @returns {Promise<string[]|null>} Filenames, or null if the directory is absent.
+ */
+async function listAjsonFiles(multiDir) {
   try {
-    files = await fs.readdir(multiDir);
+    const files = await fs.readdir(multiDir);
+    return files.filter((f) => f.endsWith('.ajson'));
   } catch {
+    return null;
+  }
+}
+
+/**
+ * Replay every file's records into one embeddings Map, in file order.
+ *
+ * A later file's write replaces an earlier file's entry for the same path, and
+ * a later tombstone removes it. Entries without a vector are not kept.
+ *
+ * @param {Map<string, {entries: Map<string, {vec: number[]|null, type: string, meta?: object}|null>, superseded: number, deleted: number}>} files
+ *   Per-file replay results keyed by filename.
+ * @returns {{
+ *   embeddings: Map<string, {vec: number[], type: string, meta?: object}>,
+ *   superseded: number,
+ *   deleted: number,
+ *   duplicates: {count: number, samples: Array<{path: string, files: string[]}>}
+ * }} The merged Map, totals of superseded and deleted entries across all files,
+ *   and the keys written by more than one file.
+ */
+function mergeFiles(files) {
+  const embeddings = new Map();
+  let superseded = 0;
+  let deleted = 0;
+  // Which file last wrote each path, to report keys that appear in more than one file.
+  const owners = new Map();
+  const duplicates = { count: 0, samples: [] };
+
+  for (const [filename, file] of files) {
+    superseded += file.superseded;
+    deleted += file.deleted;
+
+    for (const [entryPath, entry] of file.entries) {
+      const owner = owners.get(entryPath);
+      if (owner !== undefined && owner !== filename) {
+        duplicates.count += 1;
+        if (duplicates.samples.length < MAX_DIAGNOSTIC_SAMPLES) {
+          duplicates.samples.push({ path: entryPath, files: [owner, filename] });
+        }
+      }
+      owners.set(entryPath, filename);
+
+      const existed = embeddings.has(entryPath);
+      if (entry === null) {
+        deleted += existed ? 1 : 0;
+        embeddings.delete(entryPath);
+      } else if (entry.vec) {
+        superseded += existed ? 1 : 0;
+        // Map.set on an existing key keeps its position, matching the old merge order.
+        embeddings.set(entryPath, entry);
+      } else {
+        superseded += existed ? 1 : 0;
+        embeddings.delete(entryPath);
+      }
+    }
+  }
+
+  return { embeddings, superseded, deleted, duplicates };
+}
+
+/**
+ * Build the per-file result kept in an index from a replayed log.
+ *
+ * Live entries without a vector for the active model are counted as skipped
+ * with reason "no-vector", alongside the line-level reasons from the log.
+ *
+ * @param {{records: Map, superseded: number, deleted: number, skipped: object, samples: Array, modelCounts: Map<string, number>}} log -
+ *   Output of readLogFile.
+ * @param {string|null} modelKey - The active model key.
+ * @returns {{entries: Map, superseded: number, deleted: number, modelCounts: Map<string, number>, skipped: object, samples: Array}}
+ */
+function toFileResult(log, modelKey) {
+  const entries = selectVecs(log.records, modelKey);
+
+  const skipped = { ...log.skipped };
+  const samples = [...log.samples];
+  for (const [entryPath, entry] of entries) {
+    if (entry && !entry.vec) {
+      skipped['no-vector'] = (skipped['no-vector'] ?? 0) + 1;
+      if (samples.length < MAX_DIAGNOSTIC_SAMPLES) {
+        samples.push({ path: entryPath, reason: 'no-vector' });
+      }
+    }
+  }
+
+  return {
+    entries,
+    superseded: log.superseded,
+    deleted: log.deleted,
+    modelCounts: log.modelCounts,
+    skipped,
+    samples,
+  };
+}
+
+/**
+ * Assemble an index from per-file results.
+ *
+ * @param {Map<string, object>} files - Per-file results keyed by filename, in directory order.
+ * @param {string|null} modelKey - The active model key.
+ * @param {{ concurrency: number, compact: boolean }} loadOptions - Options to reuse on reload.
+ * @param {Array<{file: string, error: string}>} [unreadable] - Files that could not be read.
+ * @returns {EmbeddingIndex} The index.
+ */
+function buildIndex(files, modelKey, loadOptions, unreadable = []) {
+  const { embeddings, superseded, deleted, duplicates } = mergeFiles(files);
+
+  const skippedFiles = Array.from(files)
+    .filter(([, f]) => Object.keys(f.skipped ?? {}).length > 0)
+    .map(([file, f]) => ({ file, skipped: f.skipped, samples: f.samples }));
+
+  return {
+    embeddings,
+    modelKey,
+    modelKeys: rankModelKeys(Array.from(files.values(), (f) => f.modelCounts)),
+    files,
+    replay: { superseded, deleted },
+    diagnostics: { filesParsed: files.size, unreadable, skippedFiles, duplicates },
+    loadOptions,
+  };
+}
+
+/**
+ * Split per-file read results into readable logs and unreadable-file diagnostics.
+ *
+ * @param {string[]} filenames - Filenames in directory order.
+ * @param {Array<object>} results - readLogFile results (or reused file results) in the same order.
+ * @returns {{readable: Array<[string, object]>, unreadable: Array<{file: string, error: string}>}}
+ */
+function partitionResults(filenames, results) {
+  const readable = [];
+  const unreadable = [];
+  filenames.forEach((file, i) => {
+    if (results[i].error !== undefined) {
+      unreadable.push({ file, error: results[i].error });
+    } else {
+      readable.push([file, results[i]]);
+    }
+  });
+  return { readable, unreadable };
+}
+
+/**
+ * Load all pre-computed embeddings from a vault's .smart-env/multi/ directory,
+ * together with the model key the vectors were produced by.
+ *
+ * Every model key found across the .ajson files is counted. The active model is
+ * options.modelKey when configured, otherwise the most common key; only vectors
+ * for the active model end up in the returned Map.
+ *
+ * Files are streamed line by line, up to `concurrency` at a time. The Map is
+ * identical to one built by running parseAjsonContent over each file in
+ * directory order, except that `compact` stores vectors as Float32Array.
+ *
+ * The per-file parse results are returned alongside the Map so that
+ * reloadEmbeddingIndex can later re-parse only the files that changed.
+ *
+ * With `snapshot`, the per-file results are also saved to a binary snapshot
+ * (see snapshot.js) keyed by each file's mtime and size. The next load reuses
+ * the results of unchanged files and parses only the rest; a missing, corrupt,
+ * or incompatible snapshot, or a change of active model, means a full parse.
+ * The returned index then reports how many files were reused and parsed, and
+ * carries the mtime and size of each file (sourceStats) so that reloads keep
+ * them current and writeIndexSnapshot can save the index again later.
+ *
+ * If the directory does not exist, returns an empty Map and a null modelKey
+ * (graceful degradation so callers can detect "no embeddings" without catching errors).
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{
+ *   modelKey?: string,
+ *   concurrency?: number,
+ *   compact?: boolean,
+ *   snapshot?: boolean,
+ *   snapshotDir?: string
+ * }} [options]
+ *   modelKey: model key override (also lets other models' vectors be dropped while streaming).
+ *   concurrency: maximum number of files parsed at once (default 8).
+ *   compact: store vectors as Float32Array instead of number arrays (default false).
+ *   snapshot: read and write the vault's snapshot (default false; implies compact).
+ *   snapshotDir: where the snapshot is kept (default <vault>/.smart-search; see snapshotPath).
+ * @returns {Promise<EmbeddingIndex>} Embeddings map, active model key, every model
+ *   key found with its entry count, and the per-file results.
+ *
+ * @typedef {{
+ *   embeddings: Map<string, {vec: number[], type: string, meta?: object}>,
+ *   modelKey: string|null,
+ *   modelKeys: Array<{modelKey: string, count: number}>,
+ *   files: Map<string, {entries: Map<string, {vec: number[]|null, type: string}|null>, superseded: number, deleted: number, modelCounts: Map<string, number>, skipped: Object<string, number>, samples: Array}>,
+ *   replay: { superseded: number, deleted: number },
+ *   diagnostics: {
+ *     filesParsed: number,
+ *     unreadable: Array<{file: string, error: string}>,
+ *     skippedFiles: Array<{file: string, skipped: Object<string, number>, samples: Array<{line?: number, path?: string, reason: string}>}>,
+ *     duplicates: {count: number, samples: Array<{path: string, files: string[]}>}
+ *   },
+ *   loadOptions: { concurrency: number, compact: boolean },
+ *   sourceStats?: Map<string, {mtime: number, size: number}>,
+ *   snapshot?: { reused: number, parsed: number }
+ * }} EmbeddingIndex
+ */
+export async function loadEmbeddingIndex(vaultPath, options = {}) {
+  const multiDir = path.join(vaultPath, '.smart-env', 'multi');
+  const useSnapshot = options.snapshot ?? false;
+  const loadOptions = {
+    concurrency: options.concurrency ?? DEFAULT_CONCURRENCY,
+    // Snapshot vectors are Float32, so snapshot loads are always compact.
+    compact: useSnapshot || (options.compact ?? false),
+  };
+
+  const ajsonFiles = await listAjsonFiles(multiDir);
+  if (!ajsonFiles) {
     // Directory absent -- vault has no Smart Connections embeddings yet.
-    return new Map();
+    const index = buildIndex(new Map(), options.modelKey ?? null, loadOptions);
+    return useSnapshot ? { ...index, sourceStats: new Map() } : index;
   }
 
-  const ajsonFiles = files.filter((f) => f.endsWith('.ajson'));
+  const snapshotOptions = { dir: options.snapshotDir };
+  const snapshot = useSnapshot ? await readSnapshot(vaultPath, snapshotOptions) : null;
+  const stats = useSnapshot ? await statSourceFiles(multiDir, ajsonFiles) : [];
+  // A snapshot holds only the vectors of the model it was written for.
+  const compatible = snapshot && (!options.modelKey || snapshot.modelKey === options.modelKey);
 
-  const embeddings = new Map();
+  /**
+   * The snapshot's result for a file, if the file is unchanged since it was written.
+   *
+   * @param {string} filename - The .ajson filename.
+   * @param {number} i - Its position in ajsonFiles (and stats).
+   * @returns {object|null} The cached per-file result, or null to parse the file.
+   */
+  const cached = (filename, i) => {
+    const entry = compatible ? snapshot.files.get(filename) : undefined;
+    const current = stats[i];
+    return entry && current && entry.mtime === current.mtime && entry.size === current.size
+      ? entry.result
+      : null;
+  };
+
+  const read = (filename) =>
+    readLogFile(path.join(multiDir, filename), { ...loadOptions, modelKey: options.modelKey });
+
+  let logs = await mapWithConcurrency(ajsonFiles, loadOptions.concurrency, (filename, i) =>
+    cached(filename, i) ?? read(filename)
+  );
+
+  // Skip files that cannot be read (permissions, partial writes, etc.), but remember them.
+  let { readable, unreadable } = partitionResults(ajsonFiles, logs);
+
+  const modelKeys = rankModelKeys(readable.map(([, log]) => log.modelCounts));
+  const modelKey = selectModelKey(modelKeys, options.modelKey);
 
-  for (const filename of ajsonFiles) {
-    const filePath = path.join(multiDir, filename);
-    let content;
+  // The most common model changed since the snapshot was written: its vectors are useless.
+  const reusedFiles = (results) => results.filter((log, i) => log === cached(ajsonFiles[i], i)).length;
+  if (compatible && modelKey !== snapshot.modelKey && reusedFiles(logs) > 0) {
+    logs = await mapWithConcurrency(ajsonFiles, loadOptions.concurrency, read);
+    ({ readable, unreadable } = partitionResults(ajsonFiles, logs));
+  }
+  const reused = reusedFiles(logs);
+
+  // Drop the other models' vectors now that the active model is known. Results reused
+  // from the snapshot already hold only the active model's vectors.
+  const files = new Map(
+    readable.map(([filename, log]) => [filename, log.records ? toFileResult(log, modelKey) : log])
+  );
+
+  const index = buildIndex(files, modelKey, loadOptions, unreadable);
+  if (!useSnapshot) {
+    return index;
+  }
+
+  const sourceStats = new Map();
+  ajsonFiles.forEach((filename, i) => {
+    if (files.has(filename) && stats[i]) {
+      sourceStats.set(filename, stats[i]);
+    }
+  });
+  const saved = { ...index, sourceStats, snapshot: { reused, parsed: files.size - reused } };
+  if (saved.snapshot.parsed > 0 || !snapshot || snapshot.files.size !== files.size || snapshot.modelKey !== modelKey) {
     try {
-      content = await fs.readFile(filePath, 'utf-8');
+      await writeIndexSnapshot(vaultPath, saved, snapshotOptions);
     } catch {
-      // Skip files that cannot be read (permissions, partial writes, etc.).
-      continue;
+      // Read-only vault or full disk -- the next start just parses again.
     }
+  }
+  return saved;
+}
 
-    const entries = parseAjsonContent(content);
-    for (const entry of entries) {
-      // Last-write-wins for duplicate paths across files.
-      embeddings.set(entry.path, { vec: entry.vec, type: entry.type });
+/**
+ * Save an index's per-file results as the vault's snapshot.
+ *
+ * Only files with recorded source stats are saved, so this applies to indexes
+ * loaded with `snapshot` and reloads of them; for any other index it does nothing.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {EmbeddingIndex} index - The index to save.
+ * @param {{ dir?: string }} [options] - dir: where the snapshot is kept (see snapshotPath).
+ * @returns {Promise<void>}
+ */
+export async function writeIndexSnapshot(vaultPath, index, options = {}) {
+  if (!index.sourceStats) {
+    return;
+  }
+  const files = new Map();
+  for (const [filename, stat] of index.sourceStats) {
+    const result = index.files.get(filename);
+    if (result) {
+      files.set(filename, { ...stat, result });
     }
   }
+  await writeSnapshot(vaultPath, { modelKey: index.modelKey, files }, options);
+}
+
+/**
+ * Build a fresh index that reflects changes to the .ajson files on disk.
+ *
+ * Only the named files (and files not seen before) are re-parsed; results for
+ * every other file are reused. Files that no longer exist are dropped, taking
+ * their entries with them. Once an index has a model key, it stays fixed --
+ * switching models requires a full load. An index loaded before Smart
+ * Connections wrote any vectors has none; its reloads re-parse every file and
+ * choose the most common model, as loadEmbeddingIndex does.
+ *
+ * The previous index is never mutated, so callers can swap the returned index
+ * in with a single assignment while searches keep reading the old one. When
+ * the index carries source stats, re-parsed files are stat'ed first and the
+ * returned index carries the updated stats.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {EmbeddingIndex} index - The current index.
+ * @param {Iterable<string>|null} changed - Filenames that changed, or null to re-parse every file.
+ * @returns {Promise<EmbeddingIndex>} The updated index.
+ */
+export async function reloadEmbeddingIndex(vaultPath, index, changed) {
+  const multiDir = path.join(vaultPath, '.smart-env', 'multi');
+  const changedSet = changed ? new Set(changed) : null;
+
+  const loadOptions = index.loadOptions ?? { concurrency: DEFAULT_CONCURRENCY, compact: false };
+
+  const ajsonFiles = (await listAjsonFiles(multiDir)) ?? [];
+  // Without a model, the files read so far held no vectors, so nothing is worth reusing.
+  const selecting = index.modelKey === null;
+  const stats = new Map();
+
+  const results = await mapWithConcurrency(ajsonFiles, loadOptions.concurrency, async (filename) => {
+    const previous = index.files.get(filename);
+    if (previous && !selecting && changedSet && !changedSet.has(filename)) {
+      stats.set(filename, index.sourceStats?.get(filename));
+      return previous;
+    }
+    if (index.sourceStats) {
+      // Stat before reading, so a write that lands mid-read makes the next start parse the file again.
+      stats.set(filename, (await statSourceFiles(multiDir, [filename]))[0]);
+    }
+    const log = await readLogFile(path.join(multiDir, filename), {
+      ...loadOptions,
+      modelKey: index.modelKey,
+    });
+    return log.error !== undefined || selecting ? log : toFileResult(log, index.modelKey);
+  });
 
+  const { readable, unreadable } = partitionResults(ajsonFiles, results);
+  const modelKey = selecting
+    ? selectModelKey(rankModelKeys(readable.map(([, log]) => log.modelCounts)))
+    : index.modelKey;
+  const files = new Map(
+    selecting ? readable.map(([filename, log]) => [filename, toFileResult(log, modelKey)]) : readable
+  );
+
+  // Spread the previous index first so annotations added by callers (e.g. format) survive.
+  const next = { ...index, ...buildIndex(files, modelKey, loadOptions, unreadable) };
+  if (!index.sourceStats) {
+    return next;
+  }
+  const sourceStats = new Map();
+  for (const filename of files.keys()) {
+    if (stats.get(filename)) {
+      sourceStats.set(filename, stats.get(filename));
+    }
+  }
+  return { ...next, sourceStats };
+}
+
+/**
+ * Load all pre-computed embeddings from a vault's .smart-env/multi/ directory.
+ *
+ * Convenience wrapper around loadEmbeddingIndex for callers that only need the
+ * Map. Entries are keyed by note/block path.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{ modelKey?: string }} [options] - Optional model key override.
+ * @returns {Promise<Map<string, {vec: number[], type: string}>>} Embeddings map.
+ */
+export async function loadEmbeddings(vaultPath, options = {}) {
+  const { embeddings } = await loadEmbeddingIndex(vaultPath, options);
   return embeddings;
 }
@@ -0,0 +1,166 @@
+// BM25 full-text index: term postings with incremental add/remove, so changed
+// notes can be re-indexed without rebuilding the whole vault.
+
+// Standard BM25 parameters: k1 controls term-frequency saturation, b length normalisation.
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Split text into lowercase search terms.
+ *
+ * Terms are runs of letters, digits, and underscores in any script, so
+ * identifiers like "PROJ-1234" become "proj" and "1234" on both the indexing
+ * and the query side.
+ *
+ * @param {string} text - Text to tokenize.
+ * @returns {string[]} Terms in order of appearance (with repeats).
+ */
+export function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) ?? [];
+}
+
+/**
+ * Create an empty BM25 index.
+ *
+ * Documents are identified by a string id (here: entry paths such as
+ * "notes/a.md" or "notes/a.md#Heading") and carry a type so searches can
+ * filter notes from blocks.
+ *
+ * @returns {{
+ *   add: (id: string, text: string, type: string) => void,
+ *   remove: (id: string) => void,
+ *   has: (id: string) => boolean,
+ *   size: () => number,
+ *   search: (query: string, options?: {limit?: number, filter?: (id: string, type: string) => boolean}) => Array<{path: string, score: number}>,
+ *   score: (query: string, id: string) => number
+ * }}
+ */
+export function createBm25Index() {
+  // term -> Map<id, term frequency>
+  const postings = new Map();
+  // id -> {terms: Map<term, tf>, length, type}
+  const docs = new Map();
+  let totalLength = 0;
+
+  /**
+   * Remove a document; unknown ids are ignored.
+   *
+   * @param {string} id - Document id.
+   */
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) {
+      return;
+    }
+    for (const term of doc.terms.keys()) {
+      const posting = postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        postings.delete(term);
+      }
+    }
+    totalLength -= doc.length;
+    docs.delete(id);
+  }
+
+  /**
+   * Add a document, replacing any earlier document with the same id.
+   *
+   * @param {string} id - Document id.
+   * @param {string} text - Document text.
+   * @param {string} type - "source" or "block".
+   */
+  function add(id, text, type) {
+    remove(id);
+    const tokens = tokenize(text);
+    const terms = new Map();
+    for (const token of tokens) {
+      terms.set(token, (terms.get(token) ?? 0) + 1);
+    }
+    for (const [term, tf] of terms) {
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+      }
+      postings.get(term).set(id, tf);
+    }
+    docs.set(id, { terms, length: tokens.length, type });
+    totalLength += tokens.length;
+  }
+
+  /**
+   * BM25 weight of one term in one document.
+   *
+   * @param {number} tf - Term frequency in the document.
+   * @param {number} df - Number of documents containing the term.
+   * @param {number} length - Document length in terms.
+   * @returns {number} The term's contribution to the document score.
+   */
+  function weight(tf, df, length) {
+    const n = docs.size;
+    const avgLength = n > 0 ? totalLength / n : 0;
+    const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    return idf * ((tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * length) / (avgLength || 1))));
+  }
+
+  /**
+   * Rank documents by BM25 score against a query.
+   *
+   * Only documents containing at least one query term are returned. Ties are
+   * broken by id so results are deterministic.
+   *
+   * @param {string} query - Query text.
+   * @param {{ limit?: number, filter?: (id: string, type: string) => boolean }} [options] -
+   *   limit caps the results; filter is applied before scoring.
+   * @returns {Array<{path: string, score: number}>} Matches, best first.
+   */
+  function search(query, options = {}) {
+    const scores = new Map();
+    for (const term of new Set(tokenize(query))) {
+      const posting = postings.get(term);
+      if (!posting) {
+        continue;
+      }
+      for (const [id, tf] of posting) {
+        const doc = docs.get(id);
+        if (options.filter && !options.filter(id, doc.type)) {
+          continue;
+        }
+        scores.set(id, (scores.get(id) ?? 0) + weight(tf, posting.size, doc.length));
+      }
+    }
+    return Array.from(scores, ([path, score]) => ({ path, score }))
+      .sort((a, b) => b.score - a.score || (a.path < b.path ? -1 : 1))
+      .slice(0, options.limit ?? Infinity);
+  }
+
+  /**
+   * BM25 score of a single document against a query.
+   *
+   * @param {string} query - Query text.
+   * @param {string} id - Document id.
+   * @returns {number} The score, or 0 if the document is unknown or shares no terms.
+   */
+  function score(query, id) {
+    const doc = docs.get(id);
+    if (!doc) {
+      return 0;
+    }
+    let total = 0;
+    for (const term of new Set(tokenize(query))) {
+      const tf = doc.terms.get(term);
+      if (tf) {
+        total += weight(tf, postings.get(term).size, doc.length);
+      }
+    }
+    return total;
+  }
+
+  return {
+    add,
+    remove,
+    has: (id) => docs.has(id),
+    size: () => docs.size,
+    search,
+    score,
+  };
+}
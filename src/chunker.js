@@ -0,0 +1,91 @@
+// Markdown chunker: splits a note into heading sections keyed the way Smart
+// Connections keys its smart_blocks, so self-indexed blocks line up with plugin ones.
+
+// ATX heading: 1-6 '#' followed by a space and the heading text.
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+// Opening or closing fence of a fenced code block.
+const FENCE_RE = /^\s*(```|~~~)/;
+
+/**
+ * Strip a leading YAML frontmatter block, reporting how many lines it used.
+ *
+ * @param {string[]} lines - The note's lines.
+ * @returns {number} Index of the first line after the frontmatter (0 if there is none).
+ */
+function frontmatterEnd(lines) {
+  if (lines[0] !== '---') {
+    return 0;
+  }
+  const close = lines.indexOf('---', 1);
+  return close === -1 ? 0 : close + 1;
+}
+
+/**
+ * Split a Markdown note into the text to embed for the whole note and one chunk per heading.
+ *
+ * A chunk runs from its heading to the next heading of any level. Its key is
+ * the chain of enclosing headings joined with '#', as in Smart Connections
+ * (e.g. "#Project#Goals" for "## Goals" under "# Project"). Repeated heading
+ * chains get a "{n}" suffix from the second occurrence on so keys stay unique.
+ * Headings inside fenced code blocks are ignored, and sections with no text
+ * besides the heading are skipped.
+ *
+ * @param {string} content - Raw Markdown content.
+ * @returns {{
+ *   text: string,
+ *   blocks: Array<{key: string, heading: string, text: string, lines: [number, number]}>
+ * }} text is the note body without frontmatter; lines are 1-based and inclusive.
+ */
+export function chunkMarkdown(content) {
+  const lines = content.split(/\r?\n/);
+  const bodyStart = frontmatterEnd(lines);
+
+  const headings = [];
+  let inFence = false;
+  for (let i = bodyStart; i < lines.length; i++) {
+    if (FENCE_RE.test(lines[i])) {
+      inFence = !inFence;
+      continue;
+    }
+    const match = inFence ? null : HEADING_RE.exec(lines[i]);
+    if (match && match[2]) {
+      headings.push({ index: i, level: match[1].length, title: match[2] });
+    }
+  }
+
+  const blocks = [];
+  const stack = [];
+  const seen = new Map();
+  headings.forEach((heading, h) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    stack.push(heading);
+
+    const end = h + 1 < headings.length ? headings[h + 1].index : lines.length;
+    const body = lines.slice(heading.index + 1, end).join('\n').trim();
+    if (!body) {
+      return;
+    }
+
+    const chain = stack.map((s) => `#${s.title}`).join('');
+    const occurrence = (seen.get(chain) ?? 0) + 1;
+    seen.set(chain, occurrence);
+
+    // Trim trailing blank lines from the reported range.
+    let last = end - 1;
+    while (last > heading.index && lines[last].trim() === '') {
+      last -= 1;
+    }
+
+    blocks.push({
+      key: occurrence === 1 ? chain : `${chain}{${occurrence}}`,
+      heading: stack.map((s) => s.title).join(' > '),
+      text: body,
+      lines: [heading.index + 1, last + 1],
+    });
+  });
+
+  return { text: lines.slice(bodyStart).join('\n').trim(), blocks };
+}
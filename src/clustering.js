@@ -0,0 +1,326 @@
+// Topic clustering: groups note embeddings into themes with spherical k-means and
+// labels each theme with the title and heading words that set it apart.
+
+import { roundScore } from './similarity.js';
+import { getEmbeddingMatrix } from './matrix.js';
+import { createRandom } from './random.js';
+import { tokenize } from './bm25.js';
+import { extractNotePath } from './reader.js';
+
+// k-means stops after this many rounds even if some notes still move.
+const MAX_ITERATIONS = 30;
+
+// Bounds on the automatic cluster count (about sqrt(n / 2)).
+const MIN_AUTO_CLUSTERS = 2;
+const MAX_AUTO_CLUSTERS = 20;
+
+// Representative notes listed per cluster by default.
+const DEFAULT_REPRESENTATIVES = 5;
+
+// Words in a cluster label.
+const LABEL_TERMS = 3;
+
+// Clusterings per embeddings Map, keyed by their options. A reload swaps in a
+// new Map, which drops the old clusterings with it.
+const clusterings = new WeakMap();
+
+/**
+ * Pick a cluster count for n notes when none is given.
+ *
+ * @param {number} n - Number of notes.
+ * @returns {number} About sqrt(n / 2), between 2 and 20.
+ */
+function defaultClusterCount(n) {
+  return Math.max(MIN_AUTO_CLUSTERS, Math.min(MAX_AUTO_CLUSTERS, Math.round(Math.sqrt(n / 2))));
+}
+
+/**
+ * Cosine similarity of a matrix row and a unit-length centroid.
+ *
+ * @param {ReturnType<typeof getEmbeddingMatrix>} matrix - The embeddings matrix.
+ * @param {number} row - Matrix row.
+ * @param {Float64Array} centroids - Centroids, k * dims values.
+ * @param {number} c - Centroid index.
+ * @returns {number} The similarity (unrounded).
+ */
+function similarityToCentroid(matrix, row, centroids, c) {
+  const { dims, data, norms } = matrix;
+  let dot = 0;
+  for (let d = 0; d < dims; d++) {
+    dot += data[row * dims + d] * centroids[c * dims + d];
+  }
+  return dot / norms[row];
+}
+
+/**
+ * Scale centroid c to unit length (left at zero if it is zero).
+ *
+ * @param {Float64Array} centroids - Centroids, k * dims values.
+ * @param {number} c - Centroid index.
+ * @param {number} dims - Vector dimensions.
+ */
+function normalizeCentroid(centroids, c, dims) {
+  let sum = 0;
+  for (let d = 0; d < dims; d++) {
+    sum += centroids[c * dims + d] ** 2;
+  }
+  const norm = Math.sqrt(sum);
+  for (let d = 0; d < dims && norm > 0; d++) {
+    centroids[c * dims + d] /= norm;
+  }
+}
+
+/**
+ * Set centroid c to a row's unit vector.
+ *
+ * @param {ReturnType<typeof getEmbeddingMatrix>} matrix - The embeddings matrix.
+ * @param {Float64Array} centroids - Centroids, k * dims values.
+ * @param {number} c - Centroid index.
+ * @param {number} row - Matrix row.
+ */
+function seedCentroid(matrix, centroids, c, row) {
+  const { dims, data, norms } = matrix;
+  for (let d = 0; d < dims; d++) {
+    centroids[c * dims + d] = data[row * dims + d] / norms[row];
+  }
+}
+
+/**
+ * Run spherical k-means (cosine similarity, unit centroids) with k-means++ seeding.
+ *
+ * @param {ReturnType<typeof getEmbeddingMatrix>} matrix - The embeddings matrix.
+ * @param {number[]} rows - Matrix rows to cluster.
+ * @param {number} k - Number of clusters (at most rows.length).
+ * @returns {{assignments: Int32Array, similarities: Float64Array, centroids: Float64Array, iterations: number}}
+ *   Each row's cluster and similarity to its centroid (indexed like rows), the centroids, and the rounds run.
+ */
+function kMeans(matrix, rows, k) {
+  const { dims } = matrix;
+  const random = createRandom(42);
+  const centroids = new Float64Array(k * dims);
+
+  // k-means++: each next seed is drawn with probability proportional to its
+  // distance from the nearest seed so far (1 - cosine, for unit vectors).
+  const distances = new Float64Array(rows.length).fill(Infinity);
+  seedCentroid(matrix, centroids, 0, rows[Math.floor(random() * rows.length)]);
+  for (let c = 1; c < k; c++) {
+    let total = 0;
+    rows.forEach((row, i) => {
+      distances[i] = Math.min(distances[i], Math.max(0, 1 - similarityToCentroid(matrix, row, centroids, c - 1)));
+      total += distances[i];
+    });
+    let target = random() * total;
+    let pick = rows.length - 1;
+    for (let i = 0; i < rows.length; i++) {
+      target -= distances[i];
+      if (target < 0) {
+        pick = i;
+        break;
+      }
+    }
+    seedCentroid(matrix, centroids, c, rows[pick]);
+  }
+
+  const assignments = new Int32Array(rows.length).fill(-1);
+  const similarities = new Float64Array(rows.length);
+  let iterations = 0;
+  let moved = true;
+  while (moved && iterations < MAX_ITERATIONS) {
+    iterations += 1;
+    moved = false;
+    rows.forEach((row, i) => {
+      let best = 0;
+      let bestSimilarity = -Infinity;
+      for (let c = 0; c < k; c++) {
+        const similarity = similarityToCentroid(matrix, row, centroids, c);
+        if (similarity > bestSimilarity) {
+          best = c;
+          bestSimilarity = similarity;
+        }
+      }
+      if (assignments[i] !== best) {
+        assignments[i] = best;
+        moved = true;
+      }
+      similarities[i] = bestSimilarity;
+    });
+
+    // Recompute centroids as the normalised mean of their members' unit vectors.
+    const sizes = new Int32Array(k);
+    centroids.fill(0);
+    rows.forEach((row, i) => {
+      const c = assignments[i];
+      sizes[c] += 1;
+      for (let d = 0; d < dims; d++) {
+        centroids[c * dims + d] += matrix.data[row * dims + d] / matrix.norms[row];
+      }
+    });
+    const restarted = new Set();
+    for (let c = 0; c < k; c++) {
+      if (sizes[c] === 0) {
+        // Restart an empty cluster at the note that fits its own cluster worst
+        // and has not already restarted another one this round.
+        let worst = -1;
+        similarities.forEach((similarity, i) => {
+          if (!restarted.has(i) && (worst === -1 || similarity < similarities[worst])) {
+            worst = i;
+          }
+        });
+        restarted.add(worst);
+        seedCentroid(matrix, centroids, c, rows[worst]);
+        moved = true;
+      } else {
+        normalizeCentroid(centroids, c, dims);
+      }
+    }
+  }
+
+  // The similarities above were taken before the last centroid update, which
+  // matters when the loop stops at MAX_ITERATIONS: score every row against the
+  // centroid its cluster ended with.
+  rows.forEach((row, i) => {
+    similarities[i] = similarityToCentroid(matrix, row, centroids, assignments[i]);
+  });
+
+  return { assignments, similarities, centroids, iterations };
+}
+
+/**
+ * Collect the words each note contributes to cluster labels: its title and
+ * the headings of its embedded blocks.
+ *
+ * @param {Map<string, {type: string}>} embeddings - Preloaded vault embeddings.
+ * @returns {Map<string, Set<string>>} Label words per note path.
+ */
+function noteWords(embeddings) {
+  const words = new Map();
+  const add = (notePath, text) => {
+    const set = words.get(notePath) ?? new Set();
+    for (const term of tokenize(text)) {
+      // Skip short words and numbers (dates in daily-note titles).
+      if (term.length >= 3 && !/^\d+$/.test(term)) {
+        set.add(term);
+      }
+    }
+    words.set(notePath, set);
+  };
+  for (const path of embeddings.keys()) {
+    const notePath = extractNotePath(path);
+    if (notePath === path) {
+      add(notePath, notePath.split('/').pop().replace(/\.md$/, ''));
+    } else {
+      add(notePath, path.slice(notePath.length + 1).replace(/#/g, ' '));
+    }
+  }
+  return words;
+}
+
+/**
+ * Label each cluster with the words that are common in it and rare elsewhere.
+ *
+ * A word scores by how many of the cluster's notes use it, times the log of
+ * (clusters / clusters using it), so words every cluster shares score zero.
+ *
+ * @param {string[][]} members - Note paths per cluster.
+ * @param {Map<string, Set<string>>} words - Label words per note path.
+ * @returns {string[]} One label per cluster; "" when no word stands out.
+ */
+function clusterLabels(members, words) {
+  const counts = members.map((paths) => {
+    const count = new Map();
+    for (const path of paths) {
+      for (const term of words.get(path) ?? []) {
+        count.set(term, (count.get(term) ?? 0) + 1);
+      }
+    }
+    return count;
+  });
+  const spread = new Map();
+  for (const count of counts) {
+    for (const term of count.keys()) {
+      spread.set(term, (spread.get(term) ?? 0) + 1);
+    }
+  }
+
+  return counts.map((count) =>
+    Array.from(count, ([term, n]) => ({ term, score: n * Math.log(counts.length / spread.get(term)) }))
+      .filter((t) => t.score > 0)
+      .sort((a, b) => b.score - a.score || (a.term < b.term ? -1 : 1))
+      .slice(0, LABEL_TERMS)
+      .map((t) => t.term)
+      .join(', ')
+  );
+}
+
+/**
+ * Cluster the vault's notes by topic.
+ *
+ * Runs spherical k-means over the note-level (source) embeddings, optionally
+ * limited to a folder. Results are cached per embeddings Map and options, so
+ * repeated calls are free until a reload swaps in new embeddings. Notes
+ * without a usable vector are left out.
+ *
+ * @param {Map<string, {vec: ArrayLike<number>|null, type: string}>} embeddings - Preloaded vault embeddings.
+ * @param {{ k?: number, folder?: string, representatives?: number }} [options] - k defaults to about
+ *   sqrt(notes / 2) (2-20) and is capped at the number of notes; folder is a case-insensitive path
+ *   prefix; representatives (default 5) is the number of notes listed per cluster.
+ * @returns {{
+ *   clusters: Array<{label: string, size: number, representatives: Array<{path: string, score: number}>}>,
+ *   notes: number,
+ *   iterations: number
+ * }} Clusters, largest first, each with its label, size, and the notes nearest its centroid
+ *   (score is their cosine similarity to it); plus how many notes were clustered and the k-means rounds run.
+ */
+export function clusterVault(embeddings, options = {}) {
+  const folder = options.folder?.toLowerCase();
+  const representatives = options.representatives ?? DEFAULT_REPRESENTATIVES;
+  const key = JSON.stringify([options.k ?? null, folder ?? '', representatives]);
+  let cached = clusterings.get(embeddings);
+  if (!cached) {
+    cached = new Map();
+    clusterings.set(embeddings, cached);
+  }
+  if (cached.has(key)) {
+    return cached.get(key);
+  }
+
+  const matrix = getEmbeddingMatrix(embeddings);
+  const rows = [];
+  for (let row = 0; row < matrix.count; row++) {
+    if (
+      matrix.norms[row] > 0 &&
+      matrix.entries[row].type === 'source' &&
+      !(folder && !matrix.paths[row].toLowerCase().startsWith(folder))
+    ) {
+      rows.push(row);
+    }
+  }
+
+  let result = { clusters: [], notes: rows.length, iterations: 0 };
+  if (rows.length > 0) {
+    const k = Math.min(rows.length, options.k ?? defaultClusterCount(rows.length));
+    const { assignments, similarities, iterations } = kMeans(matrix, rows, k);
+
+    const members = Array.from({ length: k }, () => []);
+    rows.forEach((row, i) => members[assignments[i]].push(i));
+    const nonEmpty = members.filter((m) => m.length > 0);
+    const labels = clusterLabels(
+      nonEmpty.map((m) => m.map((i) => matrix.paths[rows[i]])),
+      noteWords(embeddings)
+    );
+
+    const clusters = nonEmpty.map((m, c) => ({
+      label: labels[c],
+      size: m.length,
+      representatives: m
+        .map((i) => ({ path: matrix.paths[rows[i]], score: roundScore(similarities[i]) }))
+        .sort((a, b) => b.score - a.score || (a.path < b.path ? -1 : 1))
+        .slice(0, representatives),
+    }));
+    clusters.sort((a, b) => b.size - a.size || (a.representatives[0].path < b.representatives[0].path ? -1 : 1));
+    result = { clusters, notes: rows.length, iterations };
+  }
+
+  cached.set(key, result);
+  return result;
+}
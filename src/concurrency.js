@@ -0,0 +1,27 @@
+// Bounded-concurrency helpers for reading many files at once without opening
+// them all: used for .ajson files at load time and for vault notes.
+
+/**
+ * Map over items with at most `limit` calls in flight, preserving input order.
+ *
+ * @template T, R
+ * @param {T[]} items - Items to process.
+ * @param {number} limit - Maximum number of concurrent calls (at least 1).
+ * @param {(item: T, index: number) => Promise<R>} fn - Async mapper, given each item and its index.
+ * @returns {Promise<R[]>} Results in the same order as items.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,366 @@
+// Near-duplicate detection: finds pairs of entries above a high similarity threshold
+// and groups them into clusters, using random-hyperplane LSH instead of comparing every pair.
+
+import { roundScore } from './similarity.js';
+import { getEmbeddingMatrix } from './matrix.js';
+import { createRandom } from './random.js';
+
+// Similarity at or above which two entries count as duplicates.
+export const DEFAULT_DUPLICATE_THRESHOLD = 0.95;
+
+// Lowest accepted threshold. Below it most of a vault's notes are "duplicates"
+// of each other, and no hashing scheme avoids comparing nearly every pair.
+export const MIN_DUPLICATE_THRESHOLD = 0.8;
+
+// Up to this many entries, every pair is compared (about two million comparisons).
+const EXACT_MAX_ENTRIES = 2000;
+
+// Each entry gets a signature of this many random-hyperplane bits. Bands
+// sample their bits from it, so hashing costs the same however many bands there are.
+const SIGNATURE_BITS = 128;
+
+// LSH bands. A pair becomes a candidate when its signatures agree on every
+// bit of at least one band.
+const LSH_BANDS = 30;
+
+// Bits per band are chosen so that a pair right at the threshold agrees on a
+// given band with this probability; over 30 bands it is then found with
+// probability 1 - 0.85^30 (above 99%). Pairs above the threshold do better,
+// and unrelated pairs rarely agree on a whole band.
+const BAND_MATCH_AT_THRESHOLD = 0.15;
+
+// Bounds on bits per band: fewer makes every bucket huge, more does not fit a bucket key.
+const MIN_BAND_BITS = 8;
+const MAX_BAND_BITS = 24;
+
+// Buckets larger than this are split on further signature bits. Entries that
+// still share a bucket once every bit is used (identical signatures, such as
+// empty notes) are compared with their next MAX_BUCKET_SIZE - 1 neighbours
+// only, so each band costs at most about n * MAX_BUCKET_SIZE comparisons.
+const MAX_BUCKET_SIZE = 32;
+
+/**
+ * Create a union-find (disjoint set) structure over n items.
+ *
+ * @param {number} n - Number of items.
+ * @returns {{ find: (i: number) => number, union: (a: number, b: number) => void }}
+ */
+function createUnionFind(n) {
+  const parent = Int32Array.from({ length: n }, (_, i) => i);
+
+  /**
+   * Find an item's set representative, halving the path on the way.
+   *
+   * @param {number} i - Item index.
+   * @returns {number} Representative index.
+   */
+  function find(i) {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  }
+
+  return {
+    find,
+    union: (a, b) => {
+      parent[find(a)] = find(b);
+    },
+  };
+}
+
+/**
+ * Score two matrix rows exactly as cosineSimilarity would score them.
+ *
+ * @param {ReturnType<typeof getEmbeddingMatrix>} matrix - The embeddings matrix.
+ * @param {number} a - First row.
+ * @param {number} b - Second row.
+ * @returns {number} Cosine similarity rounded to 3 decimals.
+ */
+function pairScore(matrix, a, b) {
+  const { dims, data, norms } = matrix;
+  let dot = 0;
+  for (let i = 0; i < dims; i++) {
+    dot += data[a * dims + i] * data[b * dims + i];
+  }
+  return roundScore(dot / (norms[a] * norms[b]));
+}
+
+/**
+ * Choose the bits per LSH band for a threshold.
+ *
+ * Signatures are taken from unit vectors with the corpus mean subtracted,
+ * because embedding models put most vectors in a narrow cone and raw
+ * hyperplanes would send nearly everything to the same bucket. Centring
+ * lowers the similarity of a pair at the threshold t to about
+ * 1 - (1 - t) / (1 - |mean|^2), and a random hyperplane separates two
+ * vectors at angle theta with probability theta / pi.
+ *
+ * @param {number} threshold - Duplicate threshold.
+ * @param {number} meanNormSq - Squared length of the mean unit vector.
+ * @returns {number} Bits per band.
+ */
+function bandBits(threshold, meanNormSq) {
+  const centred = Math.max(0, 1 - (1 - threshold) / Math.max(1e-6, 1 - meanNormSq));
+  const agree = 1 - Math.acos(Math.min(1, centred)) / Math.PI;
+  if (agree >= 1) {
+    return MAX_BAND_BITS;
+  }
+  const bits = Math.round(Math.log(BAND_MATCH_AT_THRESHOLD) / Math.log(agree));
+  return Math.min(MAX_BAND_BITS, Math.max(MIN_BAND_BITS, bits));
+}
+
+/**
+ * Split a bucket on further signature bits until its parts are small enough.
+ *
+ * @param {number[]} members - Indices into rows sharing the band's bits.
+ * @param {Uint8Array} signatures - Signature bits, SIGNATURE_BITS per index.
+ * @param {number[]} extraBits - Unused signature bits, in the order to split on.
+ * @param {(members: number[]) => void} emit - Called with each final bucket.
+ */
+function splitBucket(members, signatures, extraBits, emit) {
+  const pending = [[members, 0]];
+  while (pending.length > 0) {
+    const [bucket, depth] = pending.pop();
+    if (bucket.length <= MAX_BUCKET_SIZE || depth === extraBits.length) {
+      emit(bucket);
+      continue;
+    }
+    const bit = extraBits[depth];
+    const zeros = [];
+    const ones = [];
+    for (const index of bucket) {
+      (signatures[index * SIGNATURE_BITS + bit] ? ones : zeros).push(index);
+    }
+    for (const part of [zeros, ones]) {
+      if (part.length > 0) {
+        pending.push([part, depth + 1]);
+      }
+    }
+  }
+}
+
+/**
+ * Visit candidate pairs from LSH buckets, each pair once.
+ *
+ * A pair is a candidate in a band when both entries land in the same final
+ * bucket (see splitBucket) within MAX_BUCKET_SIZE - 1 places of each other.
+ * Each band records every entry's bucket and place, so a pair that was
+ * already a candidate in an earlier band is recognised and skipped without
+ * keeping a set of every pair seen.
+ *
+ * @param {ReturnType<typeof getEmbeddingMatrix>} matrix - The embeddings matrix.
+ * @param {number[]} rows - Matrix rows to compare.
+ * @param {number} threshold - Duplicate threshold.
+ * @param {(i: number, j: number) => void} visit - Called with indices into rows, i < j.
+ * @returns {number} Number of candidate pairs visited.
+ */
+function visitLshCandidates(matrix, rows, threshold, visit) {
+  const { dims, data, norms } = matrix;
+  const n = rows.length;
+
+  // Mean of the unit vectors.
+  const mean = new Float64Array(dims);
+  for (const row of rows) {
+    for (let d = 0; d < dims; d++) {
+      mean[d] += data[row * dims + d] / norms[row] / n;
+    }
+  }
+  const bits = bandBits(threshold, mean.reduce((sum, x) => sum + x * x, 0));
+
+  // Gaussian hyperplanes (Box-Muller), seeded so results are reproducible.
+  const random = createRandom(7);
+  const planes = new Float64Array(SIGNATURE_BITS * dims);
+  for (let i = 0; i < planes.length; i++) {
+    planes[i] = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  }
+  // (x / |x| - mean) . plane = (x . plane) / |x| - mean . plane
+  const meanOffsets = new Float64Array(SIGNATURE_BITS);
+  for (let p = 0; p < SIGNATURE_BITS; p++) {
+    for (let d = 0; d < dims; d++) {
+      meanOffsets[p] += mean[d] * planes[p * dims + d];
+    }
+  }
+
+  const signatures = new Uint8Array(n * SIGNATURE_BITS);
+  rows.forEach((row, index) => {
+    for (let p = 0; p < SIGNATURE_BITS; p++) {
+      let dot = 0;
+      for (let d = 0; d < dims; d++) {
+        dot += data[row * dims + d] * planes[p * dims + d];
+      }
+      signatures[index * SIGNATURE_BITS + p] = dot / norms[row] >= meanOffsets[p] ? 1 : 0;
+    }
+  });
+
+  // bucketIds[band * n + index] and places[band * n + index]: where each entry landed in each band.
+  const bucketIds = new Int32Array(LSH_BANDS * n);
+  const places = new Int32Array(LSH_BANDS * n);
+
+  /**
+   * Check whether a pair was already a candidate in an earlier band.
+   *
+   * @param {number} i - First index into rows.
+   * @param {number} j - Second index into rows.
+   * @param {number} band - Current band.
+   * @returns {boolean} True if an earlier band visited the pair.
+   */
+  function seenBefore(i, j, band) {
+    for (let earlier = 0; earlier < band; earlier++) {
+      const offset = earlier * n;
+      if (bucketIds[offset + i] === bucketIds[offset + j] &&
+        Math.abs(places[offset + i] - places[offset + j]) < MAX_BUCKET_SIZE) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  let visited = 0;
+  for (let band = 0; band < LSH_BANDS; band++) {
+    // A random order of the signature bits (Fisher-Yates shuffle): the band
+    // hashes on the first `bits`, and oversized buckets split on the rest.
+    const order = Array.from({ length: SIGNATURE_BITS }, (_, i) => i);
+    for (let i = 0; i < SIGNATURE_BITS - 1; i++) {
+      const j = i + Math.floor(random() * (SIGNATURE_BITS - i));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    const sample = order.slice(0, bits);
+    const extraBits = order.slice(bits);
+
+    const bucketsByCode = new Map();
+    for (let index = 0; index < n; index++) {
+      let code = 0;
+      for (const bit of sample) {
+        code = code * 2 + signatures[index * SIGNATURE_BITS + bit];
+      }
+      const bucket = bucketsByCode.get(code);
+      if (bucket) {
+        bucket.push(index);
+      } else {
+        bucketsByCode.set(code, [index]);
+      }
+    }
+
+    let bucketId = 0;
+    for (const members of bucketsByCode.values()) {
+      splitBucket(members, signatures, extraBits, (bucket) => {
+        bucketId += 1;
+        bucket.forEach((index, place) => {
+          bucketIds[band * n + index] = bucketId;
+          places[band * n + index] = place;
+        });
+        for (let a = 0; a < bucket.length; a++) {
+          const last = Math.min(bucket.length - 1, a + MAX_BUCKET_SIZE - 1);
+          for (let b = a + 1; b <= last; b++) {
+            const i = Math.min(bucket[a], bucket[b]);
+            const j = Math.max(bucket[a], bucket[b]);
+            if (!seenBefore(i, j, band)) {
+              visited += 1;
+              visit(i, j);
+            }
+          }
+        }
+      });
+    }
+  }
+  return visited;
+}
+
+/**
+ * Find clusters of near-duplicate entries.
+ *
+ * Two entries are linked when their cosine similarity reaches the threshold;
+ * clusters are the connected groups of linked entries, so a cluster can hold
+ * entries that are only similar through a chain. Scopes of up to 2,000
+ * entries compare every pair. Larger scopes compare only the candidate pairs
+ * from locality-sensitive hashing. Dense buckets are split so the number of
+ * comparisons grows about linearly with the scope; pairs well above the
+ * threshold are still found almost surely, and pairs right at it usually.
+ *
+ * @param {Map<string, {vec: ArrayLike<number>|null, type: string}>} embeddings - Preloaded vault embeddings.
+ * @param {{ threshold?: number, type?: string, folder?: string, exclude?: Set<string> }} [options] -
+ *   threshold defaults to 0.95; type ("source" or "block") defaults to "source"; folder is a
+ *   case-insensitive path prefix; exclude lists entry paths to leave out.
+ * @returns {{
+ *   clusters: Array<{paths: string[], minScore: number, maxScore: number}>,
+ *   entries: number,
+ *   comparisons: number,
+ *   method: 'exact'|'lsh'
+ * }} Clusters, largest first (then most similar), with their paths sorted and the lowest and
+ *   highest similarity among their links; plus how many entries were in scope, how many pairs
+ *   were compared, and how.
+ * @throws {Error} If threshold is below MIN_DUPLICATE_THRESHOLD or above 1.
+ */
+export function findDuplicates(embeddings, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_DUPLICATE_THRESHOLD;
+  if (!(threshold >= MIN_DUPLICATE_THRESHOLD && threshold <= 1)) {
+    throw new Error(`threshold must be between ${MIN_DUPLICATE_THRESHOLD} and 1 (got ${threshold})`);
+  }
+  const type = options.type ?? 'source';
+  const folder = options.folder?.toLowerCase();
+  const matrix = getEmbeddingMatrix(embeddings);
+
+  const rows = [];
+  for (let row = 0; row < matrix.count; row++) {
+    const path = matrix.paths[row];
+    // Zero-norm rows have no usable vector (missing, empty, or of another model's dimensions).
+    if (
+      matrix.norms[row] > 0 &&
+      matrix.entries[row].type === type &&
+      !(folder && !path.toLowerCase().startsWith(folder)) &&
+      !options.exclude?.has(path)
+    ) {
+      rows.push(row);
+    }
+  }
+
+  const sets = createUnionFind(rows.length);
+  const links = [];
+  const compare = (i, j) => {
+    const score = pairScore(matrix, rows[i], rows[j]);
+    if (score >= threshold) {
+      sets.union(i, j);
+      links.push([i, score]);
+    }
+  };
+
+  let comparisons;
+  let method;
+  if (rows.length <= EXACT_MAX_ENTRIES) {
+    method = 'exact';
+    comparisons = (rows.length * (rows.length - 1)) / 2;
+    for (let i = 0; i < rows.length; i++) {
+      for (let j = i + 1; j < rows.length; j++) {
+        compare(i, j);
+      }
+    }
+  } else {
+    method = 'lsh';
+    comparisons = visitLshCandidates(matrix, rows, threshold, compare);
+  }
+
+  const clusters = new Map();
+  for (const [i, score] of links) {
+    const root = sets.find(i);
+    const cluster = clusters.get(root) ?? { members: new Set(), minScore: score, maxScore: score };
+    cluster.minScore = Math.min(cluster.minScore, score);
+    cluster.maxScore = Math.max(cluster.maxScore, score);
+    clusters.set(root, cluster);
+  }
+  rows.forEach((row, i) => clusters.get(sets.find(i))?.members.add(matrix.paths[row]));
+
+  return {
+    clusters: Array.from(clusters.values(), ({ members, minScore, maxScore }) => ({
+      paths: Array.from(members).sort(),
+      minScore,
+      maxScore,
+    })).sort((a, b) =>
+      b.paths.length - a.paths.length || b.maxScore - a.maxScore || (a.paths[0] < b.paths[0] ? -1 : 1)
+    ),
+    entries: rows.length,
+    comparisons,
+    method,
+  };
+}
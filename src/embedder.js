@@ -38,8 +38,11 @@ function validateText(text) {
  * The pipeline is created lazily: no network or disk I/O happens until the first
  * call to encode(). Subsequent calls reuse the already-loaded pipeline.
  *
+ * The returned modelId lets callers confirm that query vectors live in the same
+ * space as the vault's stored embeddings.
+ *
  * @param {string} [modelId] - HuggingFace model identifier. Defaults to bge-micro-v2.
- * @returns {{ encode: (text: string) => Promise<Float32Array> }}
+ * @returns {{ encode: (text: string) => Promise<Float32Array>, modelId: string }}
  */
 function createEmbedder(modelId = DEFAULT_MODEL_ID) {
   // Holds the pipeline instance once initialized; null until first encode() call.
@@ -90,7 +93,7 @@ function createEmbedder(modelId = DEFAULT_MODEL_ID) {
     return result.data;
   }
 
-  return { encode };
+  return { encode, modelId };
 }
 
 export { createEmbedder };
@@ -0,0 +1,103 @@
+// Embedding format registry: detects which Smart Connections layout a vault uses
+// and loads it through the matching reader, normalised to the same index shape.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { loadEmbeddingIndex } from './ajson-parser.js';
+import {
+  loadSmartEnvJsonIndex,
+  loadSmartConnectionsV1Index,
+  hasSmartEnvJson,
+  hasSmartConnectionsV1,
+} from './legacy-formats.js';
+
+/**
+ * Check whether the current .smart-env/multi/*.ajson layout is present.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @returns {Promise<boolean>} True if the multi directory holds at least one .ajson file.
+ */
+async function hasAjson(vaultPath) {
+  try {
+    const files = await fs.readdir(path.join(vaultPath, '.smart-env', 'multi'));
+    return files.some((f) => f.endsWith('.ajson'));
+  } catch {
+    return false;
+  }
+}
+
+// Readers in order of preference: the newest layout wins when several coexist
+// (Smart Connections leaves old files behind after migrating).
+// Each reader: { name, location, detect(vaultPath), load(vaultPath, options) }.
+export const FORMAT_READERS = [
+  {
+    name: 'ajson',
+    location: '.smart-env/multi/*.ajson',
+    detect: hasAjson,
+    load: loadEmbeddingIndex,
+  },
+  {
+    name: 'smart-env-json',
+    location: '.smart-env/*.json',
+    detect: hasSmartEnvJson,
+    load: loadSmartEnvJsonIndex,
+  },
+  {
+    name: 'smart-connections-v1',
+    location: '.smart-connections/embeddings-*.json',
+    detect: hasSmartConnectionsV1,
+    load: loadSmartConnectionsV1Index,
+  },
+];
+
+/**
+ * Find the readers whose layout is present in a vault.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {Array<object>} [readers] - Readers to consider, in preference order.
+ * @returns {Promise<Array<object>>} Readers whose detect() returned true, in the same order.
+ */
+export async function detectFormats(vaultPath, readers = FORMAT_READERS) {
+  const detected = [];
+  for (const reader of readers) {
+    if (await reader.detect(vaultPath)) {
+      detected.push(reader);
+    }
+  }
+  return detected;
+}
+
+/**
+ * Load a vault's embeddings from whichever supported layout it has.
+ *
+ * Detected readers are tried in preference order and the first one that
+ * yields any embeddings wins; a layout whose files hold no vectors (e.g. a
+ * settings-only .smart-env/*.json) falls through to the next. When nothing
+ * yields embeddings, the result is an empty index for the preferred layout.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{
+ *   modelKey?: string,
+ *   concurrency?: number,
+ *   compact?: boolean,
+ *   snapshot?: boolean,
+ *   snapshotDir?: string
+ * }} [options] - Passed to the reader.
+ * @param {Array<object>} [readers] - Readers to consider, in preference order.
+ * @returns {Promise<object>} An index shaped like loadEmbeddingIndex's result, plus
+ *   `format` (the reader name, or null when no layout was found).
+ */
+export async function loadVaultIndex(vaultPath, options = {}, readers = FORMAT_READERS) {
+  const detected = await detectFormats(vaultPath, readers);
+
+  let fallback = null;
+  for (const reader of detected) {
+    const index = { ...(await reader.load(vaultPath, options)), format: reader.name };
+    if (index.embeddings.size > 0) {
+      return index;
+    }
+    fallback = fallback ?? index;
+  }
+
+  return fallback ?? { ...(await loadEmbeddingIndex(vaultPath, options)), format: null };
+}
@@ -0,0 +1,101 @@
+// Freshness check: compares embeddings with the files on disk to find orphaned
+// entries, stale entries, and notes that have never been embedded.
+
+import { extractNotePath } from './reader.js';
+
+/**
+ * Collect the entry paths whose note no longer exists on disk.
+ *
+ * A block is orphaned when the note it belongs to is missing.
+ *
+ * @param {Map<string, {vec: number[], type: string}>} embeddings - Loaded embeddings.
+ * @param {Map<string, {mtime: number, size: number}>} files - Vault files from listVaultFiles.
+ * @returns {Set<string>} Orphaned entry paths (notes and blocks).
+ */
+export function findOrphans(embeddings, files) {
+  const orphans = new Set();
+  for (const entryPath of embeddings.keys()) {
+    if (!files.has(extractNotePath(entryPath))) {
+      orphans.add(entryPath);
+    }
+  }
+  return orphans;
+}
+
+/**
+ * Decide whether a note changed after Smart Connections embedded it.
+ *
+ * Uses the mtime and size recorded on the note's entry. The content hash is
+ * not compared: it is produced by a hash function internal to the plugin, so
+ * it cannot be recomputed here.
+ *
+ * @param {{mtime?: number, size?: number}|undefined} meta - Metadata recorded when the note was embedded.
+ * @param {{mtime: number, size: number}} file - The file on disk.
+ * @returns {string|null} "modified" or "size", or null if unchanged or unknown.
+ */
+function staleReason(meta, file) {
+  if (!meta) {
+    return null;
+  }
+  if (Number.isFinite(meta.mtime) && file.mtime > meta.mtime) {
+    return 'modified';
+  }
+  if (Number.isFinite(meta.size) && file.size !== meta.size) {
+    return 'size';
+  }
+  return null;
+}
+
+/**
+ * Compare embeddings with the vault's files.
+ *
+ * - orphaned: notes that have entries but no file, with how many entries each has.
+ * - stale: notes whose file changed after it was embedded (per the note-level
+ *   entry's recorded mtime/size; notes without that metadata are not judged).
+ * - unembedded: Markdown files with no entry at all.
+ *
+ * Each list is sorted by path.
+ *
+ * @param {Map<string, {vec: number[], type: string, meta?: object}>} embeddings - Loaded embeddings.
+ * @param {Map<string, {mtime: number, size: number}>} files - Vault files from listVaultFiles.
+ * @returns {{
+ *   orphaned: Array<{path: string, entries: number}>,
+ *   stale: Array<{path: string, reason: string, embeddedAt: number|null, modifiedAt: number}>,
+ *   unembedded: string[],
+ *   notesChecked: number
+ * }} The report. notesChecked is the number of distinct notes with entries.
+ */
+export function checkFreshness(embeddings, files) {
+  const entryCounts = new Map();
+  for (const entryPath of embeddings.keys()) {
+    const notePath = extractNotePath(entryPath);
+    entryCounts.set(notePath, (entryCounts.get(notePath) ?? 0) + 1);
+  }
+
+  const orphaned = [];
+  const stale = [];
+  for (const [notePath, entries] of entryCounts) {
+    const file = files.get(notePath);
+    if (!file) {
+      orphaned.push({ path: notePath, entries });
+      continue;
+    }
+    const meta = embeddings.get(notePath)?.meta;
+    const reason = staleReason(meta, file);
+    if (reason) {
+      stale.push({ path: notePath, reason, embeddedAt: meta.mtime ?? null, modifiedAt: file.mtime });
+    }
+  }
+
+  const unembedded = Array.from(files.keys()).filter(
+    (filePath) => filePath.endsWith('.md') && !entryCounts.has(filePath)
+  );
+
+  const byPath = (a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+  return {
+    orphaned: orphaned.sort(byPath),
+    stale: stale.sort(byPath),
+    unembedded: unembedded.sort(),
+    notesChecked: entryCounts.size,
+  };
+}
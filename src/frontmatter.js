@@ -0,0 +1,135 @@
+// Lightweight YAML frontmatter and tag extraction for Markdown notes.
+// Covers the flat properties Obsidian writes, not the full YAML language.
+
+// Opening or closing fence of a fenced code block.
+const FENCE_RE = /^\s*(```|~~~)/;
+
+// Inline tag: '#' at the start of a line or after whitespace, then letters, digits,
+// '_', '-', or '/' (for nested tags). Obsidian requires at least one non-digit.
+const INLINE_TAG_RE = /(?:^|\s)#([\p{L}\p{N}_\-/]+)/gu;
+
+/**
+ * Convert a raw YAML scalar into a string, number, or boolean.
+ *
+ * @param {string} raw - The value text after "key:" (or after "- ").
+ * @returns {string|number|boolean|null} The parsed value; null for an empty value or "null".
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (value === '' || value === 'null' || value === '~') {
+    return null;
+  }
+  const quoted = value.match(/^(['"])(.*)\1$/);
+  if (quoted) {
+    return quoted[2];
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Parse a note's YAML frontmatter into a flat object.
+ *
+ * Supports "key: value" scalars, inline lists ("key: [a, b]"), and block
+ * lists ("key:" followed by "- item" lines). Nested mappings are skipped.
+ * Keys are lowercased so filters match regardless of how they were typed.
+ *
+ * @param {string} content - Raw Markdown content.
+ * @returns {Record<string, string|number|boolean|null|Array<string|number|boolean|null>>}
+ *   The properties; an empty object when the note has no frontmatter.
+ */
+export function parseFrontmatter(content) {
+  const lines = content.split(/\r?\n/);
+  if (lines[0] !== '---') {
+    return {};
+  }
+  const close = lines.indexOf('---', 1);
+  if (close === -1) {
+    return {};
+  }
+
+  const properties = {};
+  let listKey = null;
+  for (const line of lines.slice(1, close)) {
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      properties[listKey] = [...(properties[listKey] ?? []), parseScalar(item[1])];
+      continue;
+    }
+    const pair = line.match(/^([^\s#:][^:]*):(?:\s+(.*))?$/);
+    if (!pair) {
+      // Indented mapping, comment, or malformed line.
+      listKey = null;
+      continue;
+    }
+    const key = pair[1].trim().toLowerCase();
+    const raw = (pair[2] ?? '').trim();
+    if (raw === '') {
+      // Either an empty property (null, as Obsidian shows it) or the start of a block list.
+      properties[key] = null;
+      listKey = key;
+    } else if (raw.startsWith('[') && raw.endsWith(']')) {
+      const inner = raw.slice(1, -1).trim();
+      properties[key] = inner === '' ? [] : inner.split(',').map(parseScalar);
+      listKey = null;
+    } else {
+      properties[key] = parseScalar(raw);
+      listKey = null;
+    }
+  }
+  return properties;
+}
+
+/**
+ * Normalise a tag for comparison: no leading '#', lowercase.
+ *
+ * @param {string} tag - Tag as written.
+ * @returns {string} Normalised tag.
+ */
+export function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * Collect a note's tags from its frontmatter and its body.
+ *
+ * Frontmatter tags come from the "tags" (or "tag") property, as a list or a
+ * comma/space separated string. Inline tags are "#tag" words outside fenced
+ * code blocks and inline code.
+ *
+ * @param {string} content - Raw Markdown content.
+ * @param {Record<string, unknown>} [frontmatter] - Parsed frontmatter (parsed from content when omitted).
+ * @returns {string[]} Unique normalised tags, in order of appearance.
+ */
+export function extractTags(content, frontmatter = parseFrontmatter(content)) {
+  const tags = new Set();
+  for (const key of ['tags', 'tag']) {
+    const value = frontmatter[key];
+    const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,\s]+/) : [];
+    list.filter((t) => t !== null && String(t).trim() !== '').forEach((t) => tags.add(normalizeTag(t)));
+  }
+
+  const lines = content.split(/\r?\n/);
+  const close = lines[0] === '---' ? lines.indexOf('---', 1) : -1;
+  let inFence = false;
+  for (const line of lines.slice(close + 1)) {
+    if (FENCE_RE.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      continue;
+    }
+    for (const match of line.replace(/`[^`]*`/g, '').matchAll(INLINE_TAG_RE)) {
+      if (/\D/.test(match[1])) {
+        tags.add(normalizeTag(match[1]));
+      }
+    }
+  }
+  return Array.from(tags);
+}
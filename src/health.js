@@ -0,0 +1,92 @@
+// Index health report: summarises what the loader skipped, which files it
+// could not read, and whether every stored vector has the same dimensionality.
+
+// Maximum example paths listed for each mismatched dimension.
+const MAX_MISMATCH_SAMPLES = 5;
+
+/**
+ * Count stored vectors by length and pick the expected dimensionality.
+ *
+ * The most common length is taken as expected (ties go to the length seen
+ * first); every entry with a different length is a mismatch and cannot be
+ * scored against the others.
+ *
+ * @param {Map<string, {vec: ArrayLike<number>}>} embeddings - Loaded embeddings.
+ * @returns {{
+ *   expected: number|null,
+ *   counts: Array<{dimensions: number, count: number}>,
+ *   mismatched: number,
+ *   samples: Array<{path: string, dimensions: number}>
+ * }} Dimension histogram (most common first) and the mismatched entries.
+ */
+export function checkDimensions(embeddings) {
+  const counts = new Map();
+  for (const { vec } of embeddings.values()) {
+    counts.set(vec.length, (counts.get(vec.length) ?? 0) + 1);
+  }
+
+  // Array.prototype.sort is stable, so equal counts keep first-seen order.
+  const ranked = Array.from(counts, ([dimensions, count]) => ({ dimensions, count }))
+    .sort((a, b) => b.count - a.count);
+  const expected = ranked.length > 0 ? ranked[0].dimensions : null;
+
+  const samples = [];
+  let mismatched = 0;
+  for (const [entryPath, { vec }] of embeddings) {
+    if (vec.length !== expected) {
+      mismatched += 1;
+      if (samples.length < MAX_MISMATCH_SAMPLES) {
+        samples.push({ path: entryPath, dimensions: vec.length });
+      }
+    }
+  }
+
+  return { expected, counts: ranked, mismatched, samples };
+}
+
+/**
+ * Build a structured health report for an embeddings index.
+ *
+ * Loader diagnostics (skipped lines, unreadable files, duplicate keys) are
+ * only available for the .ajson layout; for other layouts those sections are
+ * empty and only the dimension check applies.
+ *
+ * @param {{ embeddings: Map, diagnostics?: object }} index - Index as produced by loadVaultIndex.
+ * @returns {{
+ *   entries: number,
+ *   filesParsed: number|null,
+ *   unreadable: Array<{file: string, error: string}>,
+ *   skipped: Object<string, number>,
+ *   skippedFiles: Array<{file: string, skipped: Object<string, number>, samples: Array}>,
+ *   duplicates: {count: number, samples: Array<{path: string, files: string[]}>},
+ *   dimensions: ReturnType<typeof checkDimensions>,
+ *   issues: number
+ * }} The report. issues is the total number of problems found (0 means healthy).
+ */
+export function buildHealthReport(index) {
+  const diagnostics = index.diagnostics ?? {};
+  const unreadable = diagnostics.unreadable ?? [];
+  const skippedFiles = diagnostics.skippedFiles ?? [];
+  const duplicates = diagnostics.duplicates ?? { count: 0, samples: [] };
+
+  const skipped = {};
+  for (const file of skippedFiles) {
+    for (const [reason, count] of Object.entries(file.skipped)) {
+      skipped[reason] = (skipped[reason] ?? 0) + count;
+    }
+  }
+
+  const dimensions = checkDimensions(index.embeddings);
+  const skippedTotal = Object.values(skipped).reduce((sum, n) => sum + n, 0);
+
+  return {
+    entries: index.embeddings.size,
+    filesParsed: diagnostics.filesParsed ?? null,
+    unreadable,
+    skipped,
+    skippedFiles,
+    duplicates,
+    dimensions,
+    issues: unreadable.length + skippedTotal + duplicates.count + dimensions.mismatched,
+  };
+}
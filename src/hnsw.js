@@ -0,0 +1,446 @@
+// Approximate nearest-neighbour index (HNSW) over an embeddings Map, in pure JS.
+// Trades a little recall for sublinear search; see measureRecall for the trade-off.
+
+import { cosineSimilarity, vectorNorm } from './similarity.js';
+import { createRandom } from './random.js';
+import { getEmbeddingMatrix } from './matrix.js';
+
+// Default graph parameters. M is the number of links per node per layer (twice
+// that on the bottom layer); efConstruction is the beam width while inserting;
+// efSearch the beam width while searching. Larger values raise recall and cost.
+const DEFAULT_M = 16;
+const DEFAULT_EF_CONSTRUCTION = 100;
+const DEFAULT_EF_SEARCH = 64;
+
+// Inserts between yields to the event loop while building, so a large build
+// does not stall tool calls (which keep using exact search until it finishes).
+const YIELD_EVERY = 500;
+
+/**
+ * Create a binary heap ordered by a score, best (highest or lowest) at the top.
+ *
+ * @param {boolean} maxFirst - True for a max-heap, false for a min-heap.
+ * @returns {{ push: (node: number, score: number) => void, pop: () => {node: number, score: number}, peek: () => {node: number, score: number}, size: () => number, items: () => Array<{node: number, score: number}> }}
+ */
+function createHeap(maxFirst) {
+  const items = [];
+  const before = (a, b) => (maxFirst ? a.score > b.score : a.score < b.score);
+
+  /**
+   * Add an item and restore the heap order.
+   *
+   * @param {number} node - Node id.
+   * @param {number} score - Ordering score.
+   */
+  function push(node, score) {
+    items.push({ node, score });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!before(items[i], items[parent])) {
+        break;
+      }
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  /**
+   * Remove and return the top item.
+   *
+   * @returns {{node: number, score: number}} The top item.
+   */
+  function pop() {
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && before(items[left], items[best])) {
+          best = left;
+        }
+        if (right < items.length && before(items[right], items[best])) {
+          best = right;
+        }
+        if (best === i) {
+          break;
+        }
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+
+  return {
+    push,
+    pop,
+    peek: () => items[0],
+    size: () => items.length,
+    items: () => items.slice(),
+  };
+}
+
+/**
+ * Build an HNSW index over every entry of an embeddings Map.
+ *
+ * Entries whose vector length differs from the first entry's are left out
+ * (they cannot be compared with the rest; index_health reports them). The
+ * index remembers the Map it was built from: searches should only use it
+ * while that exact Map is being served.
+ *
+ * @param {Map<string, {vec: ArrayLike<number>, type: string}>} embeddings - Embeddings to index.
+ * @param {{ m?: number, efConstruction?: number, efSearch?: number, seed?: number }} [options] -
+ *   Graph parameters (defaults 16, 100, 64) and the random seed for layer assignment.
+ * @returns {Promise<{
+ *   embeddings: Map,
+ *   size: number,
+ *   efSearch: number,
+ *   search: (query: ArrayLike<number>, k: number, options?: {ef?: number, filter?: (path: string, entry: object) => boolean}) => string[]
+ * }>} The index. search returns entry paths, most similar first.
+ */
+export async function buildHnswIndex(embeddings, options = {}) {
+  const m = options.m ?? DEFAULT_M;
+  const m0 = 2 * m;
+  const efConstruction = Math.max(options.efConstruction ?? DEFAULT_EF_CONSTRUCTION, m);
+  const levelFactor = 1 / Math.log(m);
+  const random = createRandom(options.seed ?? 42);
+
+  const paths = [];
+  const entries = [];
+  const vecs = [];
+  const norms = [];
+  // links[node][layer] -> neighbour node ids.
+  const links = [];
+  let entryPoint = -1;
+  let topLayer = -1;
+
+  // Visit marks: a node is visited in the current search when marks[node] === generation.
+  let marks = new Uint32Array(0);
+  let generation = 0;
+
+  /**
+   * Cosine similarity between a query (with precomputed norm) and a node, unrounded.
+   *
+   * @param {ArrayLike<number>} query - Query vector.
+   * @param {number} queryNorm - Its norm.
+   * @param {number} node - Node id.
+   * @returns {number} Cosine similarity.
+   */
+  function similarity(query, queryNorm, node) {
+    const vec = vecs[node];
+    let dot = 0;
+    for (let i = 0; i < vec.length; i++) {
+      dot += query[i] * vec[i];
+    }
+    const denominator = queryNorm * norms[node];
+    return denominator === 0 ? 0 : dot / denominator;
+  }
+
+  /**
+   * Beam search within one layer.
+   *
+   * Explores from the entry nodes, keeping the `ef` most similar nodes that
+   * pass `accept`. Nodes that fail `accept` are still traversed, so a filter
+   * narrows results without disconnecting the graph.
+   *
+   * @param {ArrayLike<number>} query - Query vector.
+   * @param {number} queryNorm - Its norm.
+   * @param {number[]} entryNodes - Nodes to start from.
+   * @param {number} ef - Beam width.
+   * @param {number} layer - Layer to search.
+   * @param {((node: number) => boolean)|null} accept - Result filter, or null for none.
+   * @returns {Array<{node: number, score: number}>} Up to ef accepted nodes, unordered.
+   */
+  function searchLayer(query, queryNorm, entryNodes, ef, layer, accept) {
+    generation += 1;
+    if (generation === 0xffffffff) {
+      marks.fill(0);
+      generation = 1;
+    }
+    const candidates = createHeap(true);
+    const results = createHeap(false);
+
+    for (const node of entryNodes) {
+      marks[node] = generation;
+      const score = similarity(query, queryNorm, node);
+      candidates.push(node, score);
+      if (!accept || accept(node)) {
+        results.push(node, score);
+      }
+    }
+
+    while (candidates.size() > 0) {
+      const current = candidates.pop();
+      if (results.size() >= ef && current.score < results.peek().score) {
+        break;
+      }
+      for (const neighbour of links[current.node][layer] ?? []) {
+        if (marks[neighbour] === generation) {
+          continue;
+        }
+        marks[neighbour] = generation;
+        const score = similarity(query, queryNorm, neighbour);
+        if (results.size() < ef || score > results.peek().score) {
+          candidates.push(neighbour, score);
+          if (!accept || accept(neighbour)) {
+            results.push(neighbour, score);
+            if (results.size() > ef) {
+              results.pop();
+            }
+          }
+        }
+      }
+    }
+    return results.items();
+  }
+
+  /**
+   * Choose up to `max` neighbours from candidates with the HNSW diversity heuristic.
+   *
+   * A candidate is kept only if it is closer to the new node than to every
+   * neighbour already kept, which spreads links across clusters; remaining
+   * slots are filled with the closest leftovers.
+   *
+   * @param {Array<{node: number, score: number}>} found - Candidates with their similarity to the new node.
+   * @param {number} max - Maximum neighbours.
+   * @returns {number[]} Chosen neighbour ids.
+   */
+  function selectNeighbours(found, max) {
+    const sorted = found.slice().sort((a, b) => b.score - a.score);
+    const chosen = [];
+    const skipped = [];
+    for (const candidate of sorted) {
+      if (chosen.length >= max) {
+        break;
+      }
+      const vec = vecs[candidate.node];
+      const candidateNorm = norms[candidate.node];
+      const diverse = chosen.every((kept) => similarity(vec, candidateNorm, kept) < candidate.score);
+      (diverse ? chosen : skipped).push(candidate.node);
+    }
+    for (const node of skipped) {
+      if (chosen.length >= max) {
+        break;
+      }
+      chosen.push(node);
+    }
+    return chosen;
+  }
+
+  /**
+   * Insert one node into the graph.
+   *
+   * @param {number} node - Node id (its vector is already stored).
+   */
+  function insert(node) {
+    const level = Math.floor(-Math.log(1 - random()) * levelFactor);
+    links[node] = Array.from({ length: level + 1 }, () => []);
+    if (entryPoint === -1) {
+      entryPoint = node;
+      topLayer = level;
+      return;
+    }
+
+    const query = vecs[node];
+    const queryNorm = norms[node];
+    let nearest = [entryPoint];
+    for (let layer = topLayer; layer > level; layer--) {
+      const found = searchLayer(query, queryNorm, nearest, 1, layer, null);
+      nearest = [found[0].node];
+    }
+
+    for (let layer = Math.min(level, topLayer); layer >= 0; layer--) {
+      const found = searchLayer(query, queryNorm, nearest, efConstruction, layer, null);
+      const max = layer === 0 ? m0 : m;
+      const neighbours = selectNeighbours(found, max);
+      links[node][layer] = neighbours;
+
+      for (const neighbour of neighbours) {
+        const list = links[neighbour][layer];
+        list.push(node);
+        if (list.length > max) {
+          // Re-prune the neighbour's links when it has too many.
+          const scored = list.map((other) => ({
+            node: other,
+            score: similarity(vecs[neighbour], norms[neighbour], other),
+          }));
+          links[neighbour][layer] = selectNeighbours(scored, max);
+        }
+      }
+      nearest = found.map((f) => f.node);
+    }
+
+    if (level > topLayer) {
+      topLayer = level;
+      entryPoint = node;
+    }
+  }
+
+  // The graph indexes the matrix rows, which are already packed for search,
+  // rather than keeping a second copy of every vector.
+  const matrix = getEmbeddingMatrix(embeddings);
+  const dimensions = matrix.dims;
+  for (let row = 0; row < matrix.count; row++) {
+    const { vec } = matrix.entries[row];
+    if (vec && vec.length === dimensions) {
+      paths.push(matrix.paths[row]);
+      entries.push(matrix.entries[row]);
+      vecs.push(matrix.data.subarray(row * dimensions, (row + 1) * dimensions));
+      norms.push(matrix.norms[row]);
+    }
+  }
+  marks = new Uint32Array(vecs.length);
+
+  for (let node = 0; node < vecs.length; node++) {
+    insert(node);
+    if ((node + 1) % YIELD_EVERY === 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+
+  const efSearch = options.efSearch ?? DEFAULT_EF_SEARCH;
+
+  /**
+   * Find the k entries most similar to a query.
+   *
+   * @param {ArrayLike<number>} query - Query vector.
+   * @param {number} k - Number of results wanted.
+   * @param {{ ef?: number, filter?: (path: string, entry: object) => boolean }} [searchOptions] -
+   *   ef overrides the beam width (at least k is used); filter restricts results.
+   * @returns {string[]} Entry paths, most similar first (fewer than k if the filter rejects most entries).
+   */
+  function search(query, k, searchOptions = {}) {
+    if (entryPoint === -1 || k <= 0 || query.length !== dimensions) {
+      return [];
+    }
+    const ef = Math.max(searchOptions.ef ?? efSearch, k);
+    const queryNorm = vectorNorm(query);
+    const filter = searchOptions.filter;
+    const accept = filter ? (node) => filter(paths[node], entries[node]) : null;
+
+    let nearest = [entryPoint];
+    for (let layer = topLayer; layer > 0; layer--) {
+      const found = searchLayer(query, queryNorm, nearest, 1, layer, null);
+      nearest = [found[0].node];
+    }
+    return searchLayer(query, queryNorm, nearest, ef, 0, accept)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+      .map((r) => paths[r.node]);
+  }
+
+  return { embeddings, size: vecs.length, efSearch, search };
+}
+
+/**
+ * Measure an ANN index's recall against exact search.
+ *
+ * Uses a sample of the stored vectors as queries (spread evenly through the
+ * Map, so repeated runs are comparable). For each, the exact top-k by cosine
+ * similarity is compared with the index's top-k; recall is the fraction of
+ * the exact top-k slots the index filled with an equally good result, over
+ * all queries. Timings are totals across all queries.
+ *
+ * @param {Map<string, {vec: ArrayLike<number>}>} embeddings - The embeddings the index was built from.
+ * @param {{ search: Function }} index - Index from buildHnswIndex.
+ * @param {{ queries?: number, k?: number, ef?: number }} [options] - Defaults: 100 queries, k = 10.
+ * @returns {{ recall: number, queries: number, k: number, exactMs: number, annMs: number }}
+ */
+export function measureRecall(embeddings, index, options = {}) {
+  const k = options.k ?? 10;
+  const all = Array.from(embeddings.values()).filter((entry) => entry.vec);
+  const count = Math.min(options.queries ?? 100, all.length);
+  const step = count > 0 ? all.length / count : 0;
+
+  let hits = 0;
+  let wanted = 0;
+  let exactMs = 0;
+  let annMs = 0;
+  for (let q = 0; q < count; q++) {
+    const query = all[Math.floor(q * step)].vec;
+
+    let start = performance.now();
+    const exact = Array.from(embeddings, ([entryPath, entry]) => [entryPath, cosineSimilarity(query, entry.vec)])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k);
+    exactMs += performance.now() - start;
+
+    start = performance.now();
+    const approximate = new Set(index.search(query, k, { ef: options.ef }));
+    annMs += performance.now() - start;
+
+    // Exact scores are rounded to 3 decimals, so any result scoring at least the
+    // k-th exact score is as good as the exact one it displaced (a tie).
+    const cutoff = exact.length > 0 ? exact[exact.length - 1][1] : -Infinity;
+    wanted += exact.length;
+    for (const entryPath of approximate) {
+      if (cosineSimilarity(query, embeddings.get(entryPath).vec) >= cutoff) {
+        hits += 1;
+      }
+    }
+  }
+
+  return {
+    recall: wanted > 0 ? hits / wanted : 1,
+    queries: count,
+    k,
+    exactMs,
+    annMs,
+  };
+}
+
+/**
+ * Keep an ANN index built for whatever embeddings an index store is serving.
+ *
+ * refresh() builds an index for the current embeddings in the background and
+ * attaches it to the store's index as `ann`, unless the embeddings changed
+ * again meanwhile (then it builds once more). Searches keep using exact
+ * scoring until an index covering the served Map is attached.
+ *
+ * @param {{ current: Function, update: Function }} store - Index store from createIndexStore.
+ * @param {{ m?: number, efConstruction?: number, efSearch?: number, onBuilt?: (ann: object) => void, onError?: (err: Error) => void }} [options]
+ * @returns {{ refresh: () => Promise<void> }} refresh() settles once the served embeddings are covered.
+ */
+export function keepAnnIndex(store, options = {}) {
+  let building = null;
+
+  /**
+   * Build until the index matches the served embeddings.
+   *
+   * @returns {Promise<void>}
+   */
+  async function build() {
+    for (;;) {
+      const { embeddings, ann } = store.current();
+      if (ann?.embeddings === embeddings) {
+        return;
+      }
+      const built = await buildHnswIndex(embeddings, options);
+      await store.update((index) => (index.embeddings === embeddings ? { ...index, ann: built } : index));
+      if (store.current().ann === built) {
+        options.onBuilt?.(built);
+      }
+    }
+  }
+
+  /**
+   * Start a build unless one is already running (which will pick up the latest embeddings).
+   *
+   * @returns {Promise<void>}
+   */
+  function refresh() {
+    building ??= build()
+      .catch((err) => options.onError?.(err))
+      .finally(() => {
+        building = null;
+      });
+    return building;
+  }
+
+  return { refresh };
+}
@@ -0,0 +1,53 @@
+// Index store: holds the embeddings index the tools search against and swaps it
+// for a rebuilt one in a single assignment, so no search sees a half-updated state.
+
+/**
+ * Create a store around an initial embeddings index.
+ *
+ * Readers call current() once per request and keep using that snapshot for the
+ * whole request. Updates are serialized: each update function receives the
+ * index produced by the previous one, and its result replaces the current
+ * index only after it has been fully built. A failed update leaves the current
+ * index untouched.
+ *
+ * Every snapshot carries a version number that increases with each swap.
+ *
+ * @param {{ embeddings: Map<string, {vec: number[], type: string}>, modelKey?: string|null }} initial
+ *   The index to serve until the first update completes.
+ * @returns {{
+ *   current: () => object,
+ *   update: (fn: (index: object) => Promise<object>|object) => Promise<object>
+ * }}
+ */
+export function createIndexStore(initial) {
+  let snapshot = { ...initial, version: 1 };
+  // Tail of the update queue; always settles so one failure does not block later updates.
+  let queue = Promise.resolve();
+
+  /**
+   * Return the index currently being served.
+   *
+   * @returns {object} The current snapshot, including its version.
+   */
+  function current() {
+    return snapshot;
+  }
+
+  /**
+   * Queue an update that builds the next index from the current one.
+   *
+   * @param {(index: object) => Promise<object>|object} fn - Builds the next index.
+   * @returns {Promise<object>} Resolves with the new snapshot once it is being served.
+   */
+  function update(fn) {
+    const run = queue.then(async () => {
+      const next = await fn(snapshot);
+      snapshot = { ...next, version: snapshot.version + 1 };
+      return snapshot;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { current, update };
+}
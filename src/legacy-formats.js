@@ -0,0 +1,216 @@
+// Readers for Smart Connections layouts that predate .smart-env/multi/*.ajson:
+// the v2 single-file .smart-env/*.json format and the v1 .smart-connections/embeddings-*.json files.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { replayAjsonPairs } from './ajson-parser.js';
+
+// v1 stored one JSON document per embeddings format version (embeddings-2.json, embeddings-3.json).
+const V1_FILE_PATTERN = /^embeddings-.*\.json$/;
+
+/**
+ * Parse a JSON document, returning null instead of throwing.
+ *
+ * @param {string} content - Raw file contents.
+ * @returns {object|null} The parsed top-level object, or null if invalid or not an object.
+ */
+function parseJsonObject(content) {
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List files in a directory that match a predicate, sorted by name.
+ *
+ * Sorting makes the "later file wins" order deterministic across platforms.
+ *
+ * @param {string} dir - Directory to list.
+ * @param {(name: string) => boolean} predicate - Filename filter.
+ * @returns {Promise<string[]>} Matching absolute paths (empty if the directory is absent).
+ */
+async function listFiles(dir, predicate) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter((e) => e.isFile() && predicate(e.name))
+      .map((e) => e.name)
+      .sort()
+      .map((name) => path.join(dir, name));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read each file and parse it as a JSON object, skipping unreadable or invalid files.
+ *
+ * @param {string[]} filePaths - Absolute file paths.
+ * @returns {Promise<object[]>} Parsed documents in input order.
+ */
+async function readJsonObjects(filePaths) {
+  const docs = [];
+  for (const filePath of filePaths) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch {
+      continue;
+    }
+    const doc = parseJsonObject(content);
+    if (doc) {
+      docs.push(doc);
+    }
+  }
+  return docs;
+}
+
+/**
+ * Convert entry vectors to Float32Array when compact storage is requested.
+ *
+ * @param {Array<{path: string, vec: number[], type: string, meta?: object}>} entries - Parsed entries.
+ * @param {boolean} compact - Whether to store vectors as Float32Array.
+ * @returns {Map<string, {vec: number[]|Float32Array, type: string, meta?: object}>} Embeddings map.
+ */
+function toEmbeddingsMap(entries, compact) {
+  return new Map(
+    entries.map(({ path: entryPath, vec, ...rest }) => [
+      entryPath,
+      { vec: compact ? Float32Array.from(vec) : vec, ...rest },
+    ])
+  );
+}
+
+/**
+ * Parse a v2 single-file .smart-env JSON document into embedding entries.
+ *
+ * The document is one JSON object whose keys and values have the same shape
+ * as AJSON lines ("smart_sources:path" / "smart_blocks:path#Heading"), so it is
+ * replayed through the AJSON log rules. Invalid JSON yields no entries.
+ *
+ * @param {string} content - Full text contents of a .smart-env/*.json file.
+ * @param {{ modelKey?: string }} [options] - Optional model key override.
+ * @returns {ReturnType<typeof replayAjsonPairs>} Entries, replay counts, and model keys.
+ */
+export function parseSmartEnvJson(content, options = {}) {
+  const doc = parseJsonObject(content) ?? {};
+  return replayAjsonPairs(Object.entries(doc), options);
+}
+
+/**
+ * Parse a v1 .smart-connections/embeddings-*.json document into embedding entries.
+ *
+ * v1 keys are opaque hashes; each value holds `vec` and a `meta` object whose
+ * `path` is either a note path or a "note.md#Heading" block path. v1 did not
+ * record which model produced the vectors.
+ *
+ * @param {string} content - Full text contents of an embeddings-*.json file.
+ * @returns {Array<{path: string, vec: number[], type: string, meta?: object}>} Parsed entries.
+ */
+export function parseSmartConnectionsV1(content) {
+  const doc = parseJsonObject(content) ?? {};
+  return Object.values(doc).flatMap((value) => {
+    const vec = value?.vec;
+    const entryPath = value?.meta?.path;
+    if (!Array.isArray(vec) || vec.length === 0 || typeof entryPath !== 'string') {
+      return [];
+    }
+    const { mtime, size, hash } = value.meta;
+    const meta = Object.fromEntries(
+      Object.entries({ mtime, size, hash }).filter(([, v]) => v !== undefined && v !== null)
+    );
+    const type = entryPath.includes('#') ? 'block' : 'source';
+    return [Object.keys(meta).length > 0 ? { path: entryPath, vec, type, meta } : { path: entryPath, vec, type }];
+  });
+}
+
+/**
+ * Load embeddings from the v2 single-file layout (.smart-env/*.json).
+ *
+ * All files are replayed as one log in filename order, so a tombstone in a
+ * later file removes an entry from an earlier one.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{ modelKey?: string, compact?: boolean }} [options] - Load options.
+ * @returns {Promise<object>} An index shaped like loadEmbeddingIndex's result.
+ */
+export async function loadSmartEnvJsonIndex(vaultPath, options = {}) {
+  const files = await listFiles(path.join(vaultPath, '.smart-env'), (name) => name.endsWith('.json'));
+  const docs = await readJsonObjects(files);
+
+  const { entries, superseded, deleted, modelKey, modelKeys } = replayAjsonPairs(
+    docs.flatMap((doc) => Object.entries(doc)),
+    options
+  );
+
+  return {
+    embeddings: toEmbeddingsMap(entries, options.compact ?? false),
+    modelKey,
+    modelKeys,
+    files: new Map(),
+    replay: { superseded, deleted },
+  };
+}
+
+/**
+ * Load embeddings from the v1 layout (.smart-connections/embeddings-*.json).
+ *
+ * Files are read in filename order; a later file's entry for a path replaces
+ * an earlier one. The model key is whatever the caller configured (v1 files do
+ * not record it), or null.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{ modelKey?: string, compact?: boolean }} [options] - Load options.
+ * @returns {Promise<object>} An index shaped like loadEmbeddingIndex's result.
+ */
+export async function loadSmartConnectionsV1Index(vaultPath, options = {}) {
+  const files = await listFiles(path.join(vaultPath, '.smart-connections'), (name) => V1_FILE_PATTERN.test(name));
+
+  const byPath = new Map();
+  let superseded = 0;
+  for (const filePath of files) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch {
+      continue;
+    }
+    for (const entry of parseSmartConnectionsV1(content)) {
+      superseded += byPath.has(entry.path) ? 1 : 0;
+      byPath.set(entry.path, entry);
+    }
+  }
+
+  return {
+    embeddings: toEmbeddingsMap(Array.from(byPath.values()), options.compact ?? false),
+    modelKey: options.modelKey ?? null,
+    modelKeys: [],
+    files: new Map(),
+    replay: { superseded, deleted: 0 },
+  };
+}
+
+/**
+ * Check whether the v2 single-file layout is present.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @returns {Promise<boolean>} True if .smart-env/ holds at least one .json file.
+ */
+export async function hasSmartEnvJson(vaultPath) {
+  const files = await listFiles(path.join(vaultPath, '.smart-env'), (name) => name.endsWith('.json'));
+  return files.length > 0;
+}
+
+/**
+ * Check whether the v1 layout is present.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @returns {Promise<boolean>} True if .smart-connections/ holds an embeddings-*.json file.
+ */
+export async function hasSmartConnectionsV1(vaultPath) {
+  const files = await listFiles(path.join(vaultPath, '.smart-connections'), (name) => V1_FILE_PATTERN.test(name));
+  return files.length > 0;
+}
@@ -0,0 +1,83 @@
+// Lexical index over the vault's Markdown files: keeps a BM25 index in step with
+// the notes on disk, as a vault reader hands over new, changed, and deleted notes.
+
+import path from 'path';
+import { createBm25Index } from './bm25.js';
+import { chunkMarkdown } from './chunker.js';
+
+/**
+ * Build the BM25 documents for one note: the whole note and each heading section.
+ *
+ * The note document includes the file name (so titles match) and the
+ * frontmatter (so tags and aliases match). Section documents are keyed like
+ * Smart Connections blocks, so they line up with block embeddings.
+ *
+ * @param {string} notePath - Vault-relative note path.
+ * @param {string} content - Raw Markdown content.
+ * @returns {Array<{id: string, text: string, type: string}>} Documents to index.
+ */
+function noteDocuments(notePath, content) {
+  const title = path.posix.basename(notePath, '.md');
+  const { blocks } = chunkMarkdown(content);
+  return [
+    { id: notePath, text: `${title}\n${content}`, type: 'source' },
+    ...blocks.map((block) => ({
+      id: `${notePath}${block.key}`,
+      text: `${block.heading}\n${block.text}`,
+      type: 'block',
+    })),
+  ];
+}
+
+/**
+ * Create a lexical index that follows a vault reader.
+ *
+ * The reader hands over each new or changed Markdown note, whose documents
+ * replace the ones it produced before, and each deleted note, whose documents
+ * are removed. sync() runs the reader; call it before searching. search() and
+ * score() then run in memory.
+ *
+ * @param {{ follow: Function, sync: () => Promise<void> }} reader - Vault reader from createVaultReader.
+ * @returns {{
+ *   sync: () => Promise<void>,
+ *   search: (query: string, options?: object) => Array<{path: string, score: number}>,
+ *   score: (query: string, id: string) => number,
+ *   size: () => number
+ * }}
+ */
+export function createLexicalIndex(reader) {
+  const bm25 = createBm25Index();
+  // notePath -> document ids for every indexed note.
+  const indexed = new Map();
+
+  /**
+   * Remove the documents one note produced.
+   *
+   * @param {string} notePath - Vault-relative note path.
+   */
+  function remove(notePath) {
+    for (const id of indexed.get(notePath) ?? []) {
+      bm25.remove(id);
+    }
+    indexed.delete(notePath);
+  }
+
+  reader.follow({
+    update(notePath, content) {
+      const documents = noteDocuments(notePath, content);
+      remove(notePath);
+      for (const doc of documents) {
+        bm25.add(doc.id, doc.text, doc.type);
+      }
+      indexed.set(notePath, documents.map((d) => d.id));
+    },
+    remove,
+  });
+
+  return {
+    sync: reader.sync,
+    search: bm25.search,
+    score: bm25.score,
+    size: bm25.size,
+  };
+}
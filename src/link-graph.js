@@ -0,0 +1,184 @@
+// Link graph over the vault's Markdown files: parses [[wikilinks]] and Markdown links,
+// resolves them to notes the way Obsidian does, and answers outlink and backlink lookups.
+
+import path from 'path';
+
+// Opening or closing fence of a fenced code block.
+const FENCE_RE = /^\s*(```|~~~)/;
+
+// [[target]], [[target#heading]], [[target|alias]], and embeds (![[...]]).
+const WIKILINK_RE = /\[\[([^\]\n]*?)\]\]/g;
+
+// [text](target) and [text](<target with spaces>), with an optional "title".
+const MARKDOWN_LINK_RE = /\[[^\]\n]*\]\(\s*(<[^>\n]*>|[^)\s]+)(?:\s+"[^"\n]*")?\s*\)/g;
+
+// A URL scheme such as "https:" or "obsidian:"; links with one point outside the vault.
+const SCHEME_RE = /^[a-z][a-z0-9+.-]*:/i;
+
+/**
+ * Collect the link targets written in a note.
+ *
+ * Finds wikilinks and embeds, dropping their "#heading", "^block", and
+ * "|alias" parts, and Markdown links that are not URLs. Links inside fenced
+ * code blocks and inline code are ignored. Links in the frontmatter count,
+ * as they do in Obsidian's properties.
+ *
+ * @param {string} content - Raw Markdown content.
+ * @returns {string[]} Unique targets as written (not yet resolved), in order of appearance.
+ */
+export function parseLinks(content) {
+  const targets = new Set();
+  let inFence = false;
+  for (const line of content.split(/\r?\n/)) {
+    if (FENCE_RE.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      continue;
+    }
+    const text = line.replace(/`[^`]*`/g, '');
+    for (const match of text.matchAll(WIKILINK_RE)) {
+      const target = match[1].split('|')[0].split(/[#^]/)[0].trim();
+      if (target) {
+        targets.add(target);
+      }
+    }
+    for (const match of text.matchAll(MARKDOWN_LINK_RE)) {
+      let target = match[1].replace(/^<|>$/g, '').split('#')[0].trim();
+      if (!target || SCHEME_RE.test(target)) {
+        continue;
+      }
+      try {
+        target = decodeURI(target);
+      } catch {
+        // Malformed escapes; keep the target as written.
+      }
+      targets.add(target);
+    }
+  }
+  return Array.from(targets);
+}
+
+/**
+ * Build a resolver from link targets to vault-relative note paths.
+ *
+ * Follows Obsidian's rules: a target without an extension means a ".md"
+ * note; a target is tried as a vault-relative path, then relative to the
+ * linking note's folder; otherwise any note whose path ends with the target
+ * matches, preferring one in the linking note's folder, then the shortest
+ * path. Matching ignores case. Targets that are not Markdown notes
+ * (attachments) do not resolve.
+ *
+ * @param {Iterable<string>} notePaths - Vault-relative paths of every Markdown note.
+ * @returns {(target: string, fromPath: string) => string|null} The resolver.
+ */
+function createResolver(notePaths) {
+  const byPath = new Map();
+  const byName = new Map();
+  for (const notePath of notePaths) {
+    const lower = notePath.toLowerCase();
+    byPath.set(lower, notePath);
+    const name = path.posix.basename(lower);
+    byName.set(name, [...(byName.get(name) ?? []), notePath]);
+  }
+
+  return (target, fromPath) => {
+    let wanted = target.replace(/\\/g, '/').replace(/^\/+/, '').toLowerCase();
+    if (!path.posix.extname(wanted)) {
+      wanted += '.md';
+    } else if (path.posix.extname(wanted) !== '.md') {
+      return null;
+    }
+    const folder = path.posix.dirname(fromPath);
+    const relative = path.posix.normalize(path.posix.join(folder, wanted)).toLowerCase();
+    const exact = byPath.get(path.posix.normalize(wanted)) ?? byPath.get(relative);
+    if (exact) {
+      return exact;
+    }
+
+    const suffix = `/${wanted}`;
+    const matches = (byName.get(path.posix.basename(wanted)) ?? [])
+      .filter((notePath) => `/${notePath.toLowerCase()}`.endsWith(suffix));
+    if (matches.length === 0) {
+      return null;
+    }
+    const sameFolder = matches.find((notePath) => path.posix.dirname(notePath) === folder);
+    return sameFolder ?? matches.sort((a, b) => a.length - b.length || (a < b ? -1 : 1))[0];
+  };
+}
+
+/**
+ * Create a link graph that follows a vault reader.
+ *
+ * The reader hands over each new or changed Markdown note, whose links are
+ * parsed again, and each deleted note, which is dropped. After a sync that
+ * changed anything, links are resolved against the current set of notes, so
+ * a link to a note created later starts counting once that note exists.
+ * Links to missing notes and a note's links to itself are left out. sync()
+ * runs the reader; the lookups then answer from memory.
+ *
+ * @param {{ follow: Function, sync: () => Promise<void> }} reader - Vault reader from createVaultReader.
+ * @returns {{
+ *   sync: () => Promise<void>,
+ *   has: (notePath: string) => boolean,
+ *   notes: () => string[],
+ *   outlinks: (notePath: string) => string[],
+ *   backlinks: (notePath: string) => string[],
+ *   size: () => number
+ * }}
+ */
+export function createLinkGraph(reader) {
+  // notePath -> link targets for every read note.
+  const notes = new Map();
+  // Resolved edges, rebuilt after a sync that changed anything.
+  let outgoing = new Map();
+  let incoming = new Map();
+
+  /**
+   * Resolve every note's targets into outgoing and incoming edge sets.
+   */
+  function resolveEdges() {
+    const resolve = createResolver(notes.keys());
+    outgoing = new Map();
+    incoming = new Map();
+    for (const [notePath, targets] of notes) {
+      const out = new Set();
+      for (const target of targets) {
+        const resolved = resolve(target, notePath);
+        if (resolved && resolved !== notePath) {
+          out.add(resolved);
+        }
+      }
+      outgoing.set(notePath, out);
+      for (const target of out) {
+        const set = incoming.get(target) ?? new Set();
+        set.add(notePath);
+        incoming.set(target, set);
+      }
+    }
+  }
+
+  reader.follow({
+    update(notePath, content) {
+      notes.set(notePath, parseLinks(content));
+    },
+    remove(notePath) {
+      notes.delete(notePath);
+    },
+    synced(changed) {
+      if (changed) {
+        resolveEdges();
+      }
+    },
+  });
+
+  return {
+    sync: reader.sync,
+    has: (notePath) => outgoing.has(notePath),
+    notes: () => Array.from(outgoing.keys()),
+    outlinks: (notePath) => Array.from(outgoing.get(notePath) ?? []),
+    backlinks: (notePath) => Array.from(incoming.get(notePath) ?? []),
+    size: () => outgoing.size,
+  };
+}
@@ -0,0 +1,206 @@
+// Link-graph ranking signals: proximity to a context note, backlink counts, and personalized
+// PageRank, each added to the similarity score with its own weight.
+
+import { roundScore } from './similarity.js';
+import { extractNotePath } from './reader.js';
+
+// Proximity reaches notes this many links away from the context note, in either direction.
+const MAX_HOPS = 2;
+
+// Personalized PageRank: probability of following a link rather than jumping back to the seeds.
+const PAGERANK_DAMPING = 0.85;
+
+// PageRank stops after this many rounds, or earlier once the ranks move less than the tolerance in total.
+const PAGERANK_ITERATIONS = 50;
+const PAGERANK_TOLERANCE = 1e-6;
+
+// Without a context note, PageRank is personalised on this many of the best-scoring notes.
+const PAGERANK_SEED_NOTES = 10;
+
+/**
+ * Check whether link options ask for any boost.
+ *
+ * @param {{ graph?: object, context?: string, proximityWeight?: number, backlinkWeight?: number,
+ *   pagerankWeight?: number }|undefined} links - Link boost options.
+ * @returns {boolean} True if at least one weight is above 0.
+ * @throws {Error} If a weight is outside [0, 1], a weight is set without a graph, or
+ *   proximityWeight is set without a context note.
+ */
+export function wantsLinkBoost(links) {
+  if (!links) {
+    return false;
+  }
+  const weights = { proximityWeight: 0, backlinkWeight: 0, pagerankWeight: 0 };
+  for (const name of Object.keys(weights)) {
+    const weight = links[name] ?? 0;
+    if (!(weight >= 0 && weight <= 1)) {
+      throw new Error(`${name} must be between 0 and 1 (got ${weight})`);
+    }
+    weights[name] = weight;
+  }
+  const boosted = Object.values(weights).some((weight) => weight > 0);
+  if (boosted && !links.graph) {
+    throw new Error('link boosts need a link graph');
+  }
+  if (weights.proximityWeight > 0 && !links.context) {
+    throw new Error('proximityWeight needs a context note');
+  }
+  return boosted;
+}
+
+/**
+ * Count the links between a note and the notes near it, following links in either direction.
+ *
+ * @param {{ outlinks: Function, backlinks: Function }} graph - Synced link graph.
+ * @param {string} context - Vault-relative path of the context note.
+ * @returns {Map<string, number>} Hops (1 to MAX_HOPS) per nearby note; the context note is not included.
+ */
+export function linkDistances(graph, context) {
+  const distances = new Map([[context, 0]]);
+  let frontier = [context];
+  for (let hops = 1; hops <= MAX_HOPS && frontier.length > 0; hops++) {
+    const next = [];
+    for (const notePath of frontier) {
+      for (const neighbour of [...graph.outlinks(notePath), ...graph.backlinks(notePath)]) {
+        if (!distances.has(neighbour)) {
+          distances.set(neighbour, hops);
+          next.push(neighbour);
+        }
+      }
+    }
+    frontier = next;
+  }
+  distances.delete(context);
+  return distances;
+}
+
+/**
+ * Compute personalized PageRank over the link graph.
+ *
+ * A random walk follows an outgoing link with probability 0.85 and otherwise
+ * jumps back to a seed, chosen in proportion to its weight; notes without
+ * outgoing links jump back to the seeds too. A note's rank is how often the
+ * walk visits it, so notes that the seeds reach through many short paths rank
+ * highest.
+ *
+ * @param {{ notes: () => string[], outlinks: Function }} graph - Synced link graph.
+ * @param {Map<string, number>} seeds - Seed notes and their (positive) weights.
+ * @returns {Map<string, number>} Rank per note, scaled so the highest is 1; empty when no seed is in the graph.
+ */
+export function personalizedPageRank(graph, seeds) {
+  const notes = graph.notes();
+  const index = new Map(notes.map((notePath, i) => [notePath, i]));
+  const teleport = new Float64Array(notes.length);
+  let seedTotal = 0;
+  for (const [notePath, weight] of seeds) {
+    if (index.has(notePath) && weight > 0) {
+      teleport[index.get(notePath)] += weight;
+      seedTotal += weight;
+    }
+  }
+  if (seedTotal === 0) {
+    return new Map();
+  }
+  teleport.forEach((weight, i) => {
+    teleport[i] = weight / seedTotal;
+  });
+
+  const outlinks = notes.map((notePath) => graph.outlinks(notePath).map((target) => index.get(target)));
+  let ranks = Float64Array.from(teleport);
+  for (let round = 0; round < PAGERANK_ITERATIONS; round++) {
+    const next = new Float64Array(notes.length);
+    let dangling = 0;
+    outlinks.forEach((targets, i) => {
+      if (targets.length === 0) {
+        dangling += ranks[i];
+      } else {
+        const share = (PAGERANK_DAMPING * ranks[i]) / targets.length;
+        for (const target of targets) {
+          next[target] += share;
+        }
+      }
+    });
+    const jump = 1 - PAGERANK_DAMPING + PAGERANK_DAMPING * dangling;
+    let change = 0;
+    for (let i = 0; i < notes.length; i++) {
+      next[i] += jump * teleport[i];
+      change += Math.abs(next[i] - ranks[i]);
+    }
+    ranks = next;
+    if (change < PAGERANK_TOLERANCE) {
+      break;
+    }
+  }
+
+  const max = ranks.reduce((best, rank) => Math.max(best, rank), 0);
+  return new Map(notes.map((notePath, i) => [notePath, ranks[i] / max]));
+}
+
+/**
+ * Add link-graph signals to ranked results and re-sort them.
+ *
+ * Each signal adds its weight times a value between 0 and 1, taken from the
+ * result's note (a block counts as its note):
+ * - proximity: 1 for notes linked to or from the context note, 1/2 for notes
+ *   two links away, 0 otherwise (and for the context note itself);
+ * - backlinks: log(1 + backlinks) / log(1 + the most backlinks of any note);
+ * - pagerank: personalized PageRank, seeded with the context note or, without
+ *   one, with the best-scoring notes in the results (weighted by score).
+ * Signals with weight 0 are skipped.
+ *
+ * @param {Array<{path: string, score: number}>} results - Ranked results, best first.
+ * @param {{ graph: { notes: Function, outlinks: Function, backlinks: Function }, context?: string,
+ *   proximityWeight?: number, backlinkWeight?: number, pagerankWeight?: number }} links - Link boost options
+ *   (see wantsLinkBoost).
+ * @returns {Array<{path: string, score: number, similarity: number,
+ *   linkBoosts: {proximity?: number, backlinks?: number, pagerank?: number}}>} The results, best first:
+ *   score is the boosted score, similarity the original one, and linkBoosts what each weighted signal added.
+ */
+export function boostByLinks(results, links) {
+  const { graph, context, proximityWeight = 0, backlinkWeight = 0, pagerankWeight = 0 } = links;
+
+  const distances = proximityWeight > 0 ? linkDistances(graph, context) : null;
+  const mostBacklinks = backlinkWeight > 0
+    ? graph.notes().reduce((most, notePath) => Math.max(most, graph.backlinks(notePath).length), 0)
+    : 0;
+  let ranks = null;
+  if (pagerankWeight > 0) {
+    const seeds = new Map();
+    if (context) {
+      seeds.set(context, 1);
+    } else {
+      for (const result of results) {
+        const notePath = extractNotePath(result.path);
+        if (seeds.size >= PAGERANK_SEED_NOTES) {
+          break;
+        }
+        if (!seeds.has(notePath)) {
+          seeds.set(notePath, result.score);
+        }
+      }
+    }
+    ranks = personalizedPageRank(graph, seeds);
+  }
+
+  return results
+    .map((result) => {
+      const notePath = extractNotePath(result.path);
+      const linkBoosts = {};
+      if (distances) {
+        const hops = distances.get(notePath);
+        linkBoosts.proximity = hops ? roundScore(proximityWeight / hops) : 0;
+      }
+      if (backlinkWeight > 0) {
+        const count = graph.backlinks(notePath).length;
+        linkBoosts.backlinks = mostBacklinks > 0
+          ? roundScore((backlinkWeight * Math.log1p(count)) / Math.log1p(mostBacklinks))
+          : 0;
+      }
+      if (ranks) {
+        linkBoosts.pagerank = roundScore(pagerankWeight * (ranks.get(notePath) ?? 0));
+      }
+      const boost = Object.values(linkBoosts).reduce((sum, value) => sum + value, 0);
+      return { ...result, score: roundScore(result.score + boost), similarity: result.score, linkBoosts };
+    })
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,111 @@
+// Link suggestions: semantically related notes that are not yet linked to or from a note,
+// each with the pair of sections that best supports the link.
+
+import { cosineSimilarity } from './similarity.js';
+import { findRelated } from './search.js';
+import { extractNotePath } from './reader.js';
+
+// Default minimum similarity for a suggestion. Higher than plain search's 0.3,
+// since every suggestion proposes an edit.
+export const DEFAULT_SUGGESTION_THRESHOLD = 0.5;
+
+// Default number of suggestions.
+const DEFAULT_SUGGESTIONS = 10;
+
+// Entries ranked per wanted suggestion, and at least MIN_RANKED_ENTRIES, so notes
+// with many matching blocks do not crowd out the rest.
+const RANKED_ENTRIES_PER_SUGGESTION = 10;
+const MIN_RANKED_ENTRIES = 100;
+
+/**
+ * Find the pair of entries, one from each note, that are most alike.
+ *
+ * The "from" side prefers the source note's blocks, since a link is added to
+ * a section; the note itself stands in when it has no blocks.
+ *
+ * @param {Array<[string, {vec: ArrayLike<number>|null, type: string, meta?: object}]>} fromEntries - The source note's entries.
+ * @param {Array<[string, {vec: ArrayLike<number>|null, type: string, meta?: object}]>} toEntries - The suggested note's entries.
+ * @returns {{from: string, to: string, score: number, lines?: [number, number]}|null} The best pair, or null
+ *   if no pair could be scored.
+ */
+function bestEvidence(fromEntries, toEntries) {
+  const blocks = fromEntries.filter(([, entry]) => entry.type === 'block');
+  let best = null;
+  for (const [fromPath, fromEntry] of blocks.length > 0 ? blocks : fromEntries) {
+    for (const [toPath, toEntry] of toEntries) {
+      const score = cosineSimilarity(fromEntry.vec, toEntry.vec);
+      if (!best || score > best.score) {
+        const lines = fromEntry.meta?.lines;
+        best = lines ? { from: fromPath, to: toPath, score, lines } : { from: fromPath, to: toPath, score };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Suggest links for a note: related notes it neither links to nor is linked from.
+ *
+ * Ranks the vault's entries against the note's embedding (as findRelated
+ * does), leaving out the note itself, notes already linked in either
+ * direction, and notes the link graph does not know (such as deleted ones).
+ * A note's score is its best-scoring entry. Each suggestion carries evidence:
+ * the section of the source note and the section (or whole note) of the
+ * suggested note that are most alike, so the link can be placed there.
+ *
+ * @param {string} notePath - Vault-relative path of the note (a block path is reduced to its note).
+ * @param {Map<string, {vec: ArrayLike<number>|null, type: string, meta?: object}>} embeddings - Preloaded vault embeddings.
+ * @param {{ has: (notePath: string) => boolean, outlinks: (notePath: string) => string[],
+ *   backlinks: (notePath: string) => string[] }} graph - Synced link graph (see createLinkGraph).
+ * @param {{ limit?: number, threshold?: number, ann?: object }} [options] - limit defaults to 10,
+ *   threshold to 0.5; ann works as in findRelated.
+ * @returns {{
+ *   outlinks: string[],
+ *   backlinks: string[],
+ *   suggestions: Array<{path: string, score: number,
+ *     evidence: {from: string, to: string, score: number, lines?: [number, number]}|null}>
+ * }} The note's existing links and the suggestions, best first.
+ * @throws {Error} If the note is not present in the embeddings Map.
+ */
+export function suggestLinks(notePath, embeddings, graph, options = {}) {
+  const source = extractNotePath(notePath);
+  if (!embeddings.has(source)) {
+    throw new Error('suggestLinks: the requested note path was not found in the embeddings Map');
+  }
+  const limit = options.limit ?? DEFAULT_SUGGESTIONS;
+  const outlinks = graph.outlinks(source);
+  const backlinks = graph.backlinks(source);
+  const linked = new Set([source, ...outlinks, ...backlinks]);
+
+  const hits = findRelated(source, embeddings, {
+    limit: Math.max(MIN_RANKED_ENTRIES, limit * RANKED_ENTRIES_PER_SUGGESTION),
+    threshold: options.threshold ?? DEFAULT_SUGGESTION_THRESHOLD,
+    noteFilter: (candidate) => !linked.has(candidate) && graph.has(candidate),
+    ann: options.ann,
+  });
+  const scores = new Map();
+  for (const hit of hits) {
+    const target = extractNotePath(hit.path);
+    if (!scores.has(target)) {
+      scores.set(target, hit.score);
+    }
+  }
+  const targets = Array.from(scores.keys()).slice(0, limit);
+
+  // Entries of the source note and the suggested notes, for the evidence.
+  const wanted = new Set([source, ...targets]);
+  const entriesByNote = new Map(Array.from(wanted, (p) => [p, []]));
+  for (const [path, entry] of embeddings) {
+    entriesByNote.get(extractNotePath(path))?.push([path, entry]);
+  }
+
+  return {
+    outlinks,
+    backlinks,
+    suggestions: targets.map((target) => ({
+      path: target,
+      score: scores.get(target),
+      evidence: bestEvidence(entriesByNote.get(source), entriesByNote.get(target)),
+    })),
+  };
+}
@@ -0,0 +1,206 @@
+// Embeddings packed into one contiguous matrix with a path index, and the exact
+// scoring kernel that semantic search and related-note lookup run over it.
+
+import { vectorNorm, roundScore } from './similarity.js';
+
+// Matrices built so far, keyed by the embeddings Map they were built from.
+// Maps are never changed once served (reloads swap in a new Map), so a matrix
+// stays valid for as long as its Map is alive.
+const matrices = new WeakMap();
+
+/**
+ * Pack an embeddings Map into a row-major matrix of unit vectors.
+ *
+ * Row i holds the vector of the i-th entry in Map order, so ties between equal
+ * scores break the same way a stable sort over the Map would, and rows maps
+ * each path back to its row. Vectors are divided by their length and stored
+ * as Float32 in a SharedArrayBuffer, so worker threads can score them without
+ * a copy. The entries themselves are left as they are: the same entry objects
+ * are shared with later Maps, snapshots, and the embeddings written back to
+ * the vault, so the matrix keeps its own copy of each vector.
+ *
+ * Each row's norm is stored alongside (1 up to Float32 rounding), and the
+ * kernel divides by it, so scores match cosineSimilarity on the row bit for
+ * bit, and cosineSimilarity on entry.vec up to that rounding. Rows whose
+ * vector is missing, all zeros, or of a different length from the first
+ * entry's are all zeros with norm 0, which scores 0 exactly as
+ * cosineSimilarity does for them.
+ *
+ * @param {Map<string, {vec: ArrayLike<number>|null, type: string, meta?: object}>} embeddings - Embeddings to pack.
+ * @returns {{
+ *   paths: string[],
+ *   entries: object[],
+ *   rows: Map<string, number>,
+ *   count: number,
+ *   dims: number,
+ *   data: Float32Array,
+ *   norms: Float64Array
+ * }} The matrix: paths[i] and entries[i] describe row i.
+ */
+export function buildEmbeddingMatrix(embeddings) {
+  const paths = Array.from(embeddings.keys());
+  const entries = Array.from(embeddings.values());
+  const rows = new Map(paths.map((entryPath, row) => [entryPath, row]));
+  const count = entries.length;
+  const dims = entries.find((entry) => entry.vec)?.vec.length ?? 0;
+
+  const data = new Float32Array(new SharedArrayBuffer(count * dims * Float32Array.BYTES_PER_ELEMENT));
+  const norms = new Float64Array(new SharedArrayBuffer(count * Float64Array.BYTES_PER_ELEMENT));
+  entries.forEach((entry, row) => {
+    if (!entry.vec || entry.vec.length !== dims) {
+      return;
+    }
+    const vec = data.subarray(row * dims, (row + 1) * dims);
+    const length = vectorNorm(entry.vec);
+    if (length > 0) {
+      for (let i = 0; i < dims; i++) {
+        vec[i] = entry.vec[i] / length;
+      }
+    }
+    norms[row] = vectorNorm(vec);
+  });
+
+  return { paths, entries, rows, count, dims, data, norms };
+}
+
+/**
+ * Get the matrix for an embeddings Map, building it on first use.
+ *
+ * @param {Map<string, {vec: ArrayLike<number>|null, type: string, meta?: object}>} embeddings - Preloaded vault embeddings.
+ * @returns {ReturnType<typeof buildEmbeddingMatrix>} The cached matrix.
+ */
+export function getEmbeddingMatrix(embeddings) {
+  let matrix = matrices.get(embeddings);
+  if (!matrix) {
+    matrix = buildEmbeddingMatrix(embeddings);
+    matrices.set(embeddings, matrix);
+  }
+  return matrix;
+}
+
+/**
+ * Order two scored rows best first: higher score, then lower row (Map order).
+ *
+ * @param {{row: number, score: number}} a - First row.
+ * @param {{row: number, score: number}} b - Second row.
+ * @returns {number} Negative if a ranks before b.
+ */
+export function compareRows(a, b) {
+  return b.score - a.score || a.row - b.row;
+}
+
+/**
+ * Create a bounded collection that keeps the `limit` best rows seen.
+ *
+ * A binary min-heap with the worst kept row at the top, so each offer costs
+ * O(log limit) and a full scan O(n log limit) instead of sorting every hit.
+ *
+ * @param {number} limit - Number of rows to keep.
+ * @returns {{ offer: (row: number, score: number) => void, sorted: () => Array<{row: number, score: number}> }}
+ */
+function createTopK(limit) {
+  const heap = [];
+  // True when a ranks below b (a would be dropped first).
+  const worse = (a, b) => compareRows(a, b) > 0;
+
+  /**
+   * Move the item at index i down until the heap order holds.
+   *
+   * @param {number} i - Heap index.
+   */
+  function siftDown(i) {
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let worst = i;
+      if (left < heap.length && worse(heap[left], heap[worst])) {
+        worst = left;
+      }
+      if (right < heap.length && worse(heap[right], heap[worst])) {
+        worst = right;
+      }
+      if (worst === i) {
+        return;
+      }
+      [heap[i], heap[worst]] = [heap[worst], heap[i]];
+      i = worst;
+    }
+  }
+
+  /**
+   * Keep a row if it ranks among the best seen so far.
+   *
+   * @param {number} row - Matrix row.
+   * @param {number} score - The row's score.
+   */
+  function offer(row, score) {
+    const item = { row, score };
+    if (heap.length < limit) {
+      heap.push(item);
+      let i = heap.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!worse(heap[i], heap[parent])) {
+          break;
+        }
+        [heap[i], heap[parent]] = [heap[parent], heap[i]];
+        i = parent;
+      }
+    } else if (limit > 0 && worse(heap[0], item)) {
+      heap[0] = item;
+      siftDown(0);
+    }
+  }
+
+  return {
+    offer,
+    sorted: () => heap.slice().sort(compareRows),
+  };
+}
+
+/**
+ * Score a range of matrix rows against a query and keep the best.
+ *
+ * The scores are cosineSimilarity's on the rows, bit for bit: the dot product
+ * is summed in index order and divided by the product of the two precomputed
+ * norms, then rounded to 3 decimals. The query must have the matrix's dimensions.
+ *
+ * @param {{ count: number, dims: number, data: ArrayLike<number>, norms: ArrayLike<number> }} matrix - Matrix to score.
+ * @param {ArrayLike<number>} query - Query vector.
+ * @param {{
+ *   threshold: number,
+ *   limit: number,
+ *   accept?: (row: number) => boolean,
+ *   start?: number,
+ *   end?: number
+ * }} options - Minimum score, number of rows to keep, optional row filter, and
+ *   the row range to scan (default: all rows).
+ * @returns {Array<{row: number, score: number}>} Up to `limit` rows, best first (ties in row order).
+ */
+export function rankRows(matrix, query, options) {
+  const { dims, data, norms } = matrix;
+  const { threshold, accept } = options;
+  const end = options.end ?? matrix.count;
+  const queryNorm = vectorNorm(query);
+  const top = createTopK(options.limit);
+
+  for (let row = options.start ?? 0; row < end; row++) {
+    if (accept && !accept(row)) {
+      continue;
+    }
+    const magnitude = queryNorm * norms[row];
+    let score = 0;
+    if (magnitude !== 0) {
+      const offset = row * dims;
+      let dot = 0;
+      for (let i = 0; i < dims; i++) {
+        dot += query[i] * data[offset + i];
+      }
+      score = roundScore(dot / magnitude);
+    }
+    if (score >= threshold) {
+      top.offer(row, score);
+    }
+  }
+  return top.sorted();
+}
@@ -0,0 +1,193 @@
+// Note filters over the metadata index: tags, frontmatter properties, file dates,
+// and path globs, compiled into one per-note predicate that search applies before scoring.
+
+import { normalizeTag } from './frontmatter.js';
+
+/**
+ * Escape a literal string for use inside a regular expression.
+ *
+ * @param {string} text - Literal text.
+ * @returns {string} The escaped text.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a path glob into a regular expression.
+ *
+ * Supports "**" (any number of folders, including none), "*" (anything but
+ * "/"), "?" (one character other than "/"), and "{a,b}" alternatives. The
+ * glob must match the whole vault-relative path; matching ignores case, like
+ * the folder filter.
+ *
+ * @param {string} glob - Glob pattern, e.g. "projects/**" or "daily/2024-*.md".
+ * @returns {RegExp} An anchored, case-insensitive expression.
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  let depth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      source += '(?:';
+      depth += 1;
+    } else if (char === '}' && depth > 0) {
+      source += ')';
+      depth -= 1;
+    } else if (char === ',' && depth > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  // An unclosed "{" is treated as if it were closed at the end.
+  return new RegExp(`^${source}${')'.repeat(depth)}$`, 'i');
+}
+
+/**
+ * Check whether a note carries a tag, counting nested tags ("project/alpha"
+ * carries "project").
+ *
+ * @param {Set<string>} tags - The note's normalised tags.
+ * @param {string} tag - Normalised tag to look for.
+ * @returns {boolean} True if the note has the tag or a tag nested under it.
+ */
+function hasTag(tags, tag) {
+  if (tags.has(tag)) {
+    return true;
+  }
+  for (const noteTag of tags) {
+    if (noteTag.startsWith(`${tag}/`)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check a frontmatter value against a wanted value, ignoring case.
+ * A list property matches when any of its items does.
+ *
+ * @param {unknown} actual - The note's property value (undefined when absent).
+ * @param {string|number|boolean} wanted - The value asked for.
+ * @returns {boolean} True if the property holds the wanted value.
+ */
+function propertyMatches(actual, wanted) {
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+  if (Array.isArray(actual)) {
+    return actual.some((item) => propertyMatches(item, wanted));
+  }
+  return String(actual).toLowerCase() === String(wanted).toLowerCase();
+}
+
+/**
+ * Check whether any tag, property, or date filter is set -- the filters that
+ * need a metadata index, unlike path globs.
+ *
+ * @param {object} filters - Filters as passed to compileNoteFilter.
+ * @returns {boolean} True if a metadata index is needed.
+ */
+export function usesMetadata(filters) {
+  return (filters.tags?.length ?? 0) > 0 ||
+    (filters.excludeTags?.length ?? 0) > 0 ||
+    Object.keys(filters.properties ?? {}).length > 0 ||
+    ['createdAfter', 'createdBefore', 'modifiedAfter', 'modifiedBefore'].some((key) => filters[key] !== undefined);
+}
+
+/**
+ * Compile note filters into a predicate over vault-relative note paths.
+ *
+ * Every given filter must pass: all of `tags` (a tag also matches the tags
+ * nested under it), none of `excludeTags`, every entry of `properties`, the
+ * date bounds (epoch milliseconds; "after" is inclusive, "before" exclusive),
+ * at least one of `includePaths` when given, and none of `excludePaths`. Notes
+ * the metadata index does not know fail every tag, property, and date check.
+ * Results are memoised per note, since one note has many block entries.
+ *
+ * @param {{
+ *   tags?: string[],
+ *   excludeTags?: string[],
+ *   properties?: Record<string, string|number|boolean>,
+ *   createdAfter?: number,
+ *   createdBefore?: number,
+ *   modifiedAfter?: number,
+ *   modifiedBefore?: number,
+ *   includePaths?: string[],
+ *   excludePaths?: string[]
+ * }} filters - The filters to apply.
+ * @param {{ get: (notePath: string) => {frontmatter: object, tags: Set<string>, created: number, modified: number}|undefined }} [metadata] -
+ *   Synced metadata index; only needed for tag, property, and date filters.
+ * @returns {((notePath: string) => boolean)|null} The predicate, or null when no filter is set.
+ * @throws {Error} If a tag, property, or date filter is given without a metadata index.
+ */
+export function compileNoteFilter(filters, metadata) {
+  const tags = (filters.tags ?? []).map(normalizeTag);
+  const excludeTags = (filters.excludeTags ?? []).map(normalizeTag);
+  const properties = Object.entries(filters.properties ?? {}).map(([key, value]) => [key.toLowerCase(), value]);
+  const dates = [
+    ['created', filters.createdAfter, filters.createdBefore],
+    ['modified', filters.modifiedAfter, filters.modifiedBefore],
+  ].filter(([, after, before]) => after !== undefined || before !== undefined);
+  const include = (filters.includePaths ?? []).map(globToRegExp);
+  const exclude = (filters.excludePaths ?? []).map(globToRegExp);
+
+  const needsMetadata = usesMetadata(filters);
+  if (!needsMetadata && include.length === 0 && exclude.length === 0) {
+    return null;
+  }
+  if (needsMetadata && !metadata) {
+    throw new Error('tag, property, and date filters need a metadata index');
+  }
+
+  /**
+   * Evaluate every filter for one note.
+   *
+   * @param {string} notePath - Vault-relative note path.
+   * @returns {boolean} True if the note passes.
+   */
+  function evaluate(notePath) {
+    if (include.length > 0 && !include.some((re) => re.test(notePath))) {
+      return false;
+    }
+    if (exclude.some((re) => re.test(notePath))) {
+      return false;
+    }
+    if (!needsMetadata) {
+      return true;
+    }
+    const note = metadata.get(notePath);
+    if (!note) {
+      return false;
+    }
+    if (!tags.every((tag) => hasTag(note.tags, tag)) || excludeTags.some((tag) => hasTag(note.tags, tag))) {
+      return false;
+    }
+    if (!properties.every(([key, value]) => propertyMatches(note.frontmatter[key], value))) {
+      return false;
+    }
+    return dates.every(([field, after, before]) =>
+      (after === undefined || note[field] >= after) && (before === undefined || note[field] < before)
+    );
+  }
+
+  const cache = new Map();
+  return (notePath) => {
+    let passes = cache.get(notePath);
+    if (passes === undefined) {
+      passes = evaluate(notePath);
+      cache.set(notePath, passes);
+    }
+    return passes;
+  };
+}
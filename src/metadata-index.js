@@ -0,0 +1,51 @@
+// Metadata index over the vault's Markdown files: frontmatter properties, tags, and
+// file dates per note, updated as a vault reader hands over new, changed, and deleted notes.
+
+import { parseFrontmatter, extractTags } from './frontmatter.js';
+
+/**
+ * Create a metadata index that follows a vault reader.
+ *
+ * The reader hands over each new or changed Markdown note, whose frontmatter
+ * and tags are parsed again, and each deleted note, which is dropped. sync()
+ * runs the reader; get() then answers from memory.
+ *
+ * @param {{ follow: Function, sync: () => Promise<void> }} reader - Vault reader from createVaultReader.
+ * @returns {{
+ *   sync: () => Promise<void>,
+ *   get: (notePath: string) => {frontmatter: object, tags: Set<string>, created: number, modified: number}|undefined,
+ *   size: () => number
+ * }}
+ */
+export function createMetadataIndex(reader) {
+  // notePath -> {frontmatter, tags, created, modified} for every indexed note.
+  const notes = new Map();
+
+  reader.follow({
+    update(notePath, content, file) {
+      const frontmatter = parseFrontmatter(content);
+      notes.set(notePath, {
+        frontmatter,
+        tags: new Set(extractTags(content, frontmatter)),
+        created: file.created ?? file.mtime,
+        modified: file.mtime,
+      });
+    },
+    remove(notePath) {
+      notes.delete(notePath);
+    },
+  });
+
+  /**
+   * Look up one note's metadata.
+   *
+   * @param {string} notePath - Vault-relative note path.
+   * @returns {{frontmatter: object, tags: Set<string>, created: number, modified: number}|undefined}
+   *   The note's metadata, or undefined if it has not been indexed.
+   */
+  function get(notePath) {
+    return notes.get(notePath);
+  }
+
+  return { sync: reader.sync, get, size: () => notes.size };
+}
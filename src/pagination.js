@@ -0,0 +1,179 @@
+// Result pagination for the search tools: ranks a result list once, keeps it in a
+// small cache, and hands out opaque cursors that page through that same list.
+
+import { randomUUID } from 'crypto';
+
+// Most results ranked for paging; a longer list of matches is cut off here.
+export const MAX_PAGED_RESULTS = 200;
+
+// Results ranked per result a request reaches: a first page of 10 ranks 30,
+// so the next two pages are served without ranking again.
+const RANK_AHEAD_FACTOR = 3;
+
+// Result lists kept for cursors; the least recently used list is dropped first.
+const DEFAULT_MAX_LISTS = 32;
+
+/**
+ * Encode a cursor as an opaque URL-safe string.
+ *
+ * @param {{id: string, offset: number, limit: number}} cursor - Result list id and the page it points at.
+ * @returns {string} The cursor text.
+ */
+function encodeCursor({ id, offset, limit }) {
+  return Buffer.from(JSON.stringify({ i: id, o: offset, l: limit })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor.
+ *
+ * @param {string} text - The cursor text.
+ * @returns {{id: string, offset: number, limit: number}} The cursor.
+ * @throws {Error} If the text is not a cursor.
+ */
+function decodeCursor(text) {
+  let fields;
+  try {
+    fields = JSON.parse(Buffer.from(text, 'base64url').toString('utf-8'));
+  } catch {
+    fields = null;
+  }
+  if (
+    typeof fields?.i !== 'string' ||
+    !Number.isInteger(fields.o) || fields.o < 0 ||
+    !Number.isInteger(fields.l) || fields.l < 1
+  ) {
+    throw new Error('invalid cursor');
+  }
+  return { id: fields.i, offset: fields.o, limit: fields.l };
+}
+
+/**
+ * Decide how many results to rank for a request that reaches a given position.
+ *
+ * @param {number} end - Offset plus limit of the requested page.
+ * @returns {number} RANK_AHEAD_FACTOR times end, capped at MAX_PAGED_RESULTS, and never below end.
+ */
+function rankCount(end) {
+  return Math.max(end, Math.min(MAX_PAGED_RESULTS, end * RANK_AHEAD_FACTOR));
+}
+
+/**
+ * Create a pager that serves search results one page at a time.
+ *
+ * A request without a cursor ranks a fresh result list through rank() --
+ * a few pages beyond the requested one (see rankCount) -- and returns the
+ * page at its offset. When more results follow, the list is kept and the
+ * page carries a cursor for the next one. A request with a cursor is served
+ * from the kept list. A page that reaches the end of a list whose ranking
+ * stopped early ranks a longer list first, through the rank() of the request
+ * that started the list -- which closes over that request's embeddings
+ * snapshot -- so every page of a search comes from the same snapshot even if
+ * the embeddings are reloaded in between. Only results the list does not hold
+ * yet are appended, so pages never repeat a result. Lists grow to MAX_PAGED_RESULTS. Each kept list holds its
+ * snapshot in memory until the list is dropped. The search key ties a cursor
+ * to the arguments that produced it.
+ *
+ * @param {{ maxLists?: number }} [options] - maxLists caps the kept result lists (default 32).
+ * @returns {{
+ *   page: (key: string, request: {cursor?: string, offset?: number, limit: number},
+ *     rank: (count: number) => Promise<Array<object>>) => Promise<{
+ *       results: Array<object>, offset: number, ranked: number, complete: boolean, next: string|null
+ *     }>
+ * }}
+ */
+export function createPager({ maxLists = DEFAULT_MAX_LISTS } = {}) {
+  // id -> {key, results, complete, rank}, in least-recently-used order.
+  const lists = new Map();
+
+  /**
+   * Keep a result list for later cursors, dropping the least recently used beyond maxLists.
+   *
+   * @param {{key: string, results: Array<object>, complete: boolean, rank: Function}} list - The list to keep.
+   * @returns {string} The list's id.
+   */
+  function keep(list) {
+    const id = randomUUID();
+    lists.set(id, list);
+    if (lists.size > maxLists) {
+      lists.delete(lists.keys().next().value);
+    }
+    return id;
+  }
+
+  /**
+   * Serve one page of results.
+   *
+   * @param {string} key - Identifies the search (tool and arguments, without paging ones).
+   * @param {{cursor?: string, offset?: number, limit: number}} request - cursor continues an
+   *   earlier search and fixes the page size; otherwise offset (default 0) and limit pick the page.
+   * @param {(count: number) => Promise<Array<object>>} rank - Ranks up to count results, best first.
+   *   Only used for requests without a cursor; it is kept with the list and called again when a later
+   *   page reaches the end of the list. A cursor request's rank is never called.
+   * @returns {Promise<{results: Array<object>, offset: number, ranked: number, complete: boolean, next: string|null}>}
+   *   The page's results and offset, the number of results ranked so far, whether that is every match
+   *   (false while the ranking stops at the count asked for, or at MAX_PAGED_RESULTS), and the next
+   *   page's cursor (null on the last page).
+   * @throws {Error} If the cursor is invalid, has expired, or came from a different search.
+   */
+  async function page(key, request, rank) {
+    let id = null;
+    let list;
+    let { offset = 0, limit } = request;
+    if (request.cursor) {
+      ({ id, offset, limit } = decodeCursor(request.cursor));
+      list = lists.get(id);
+      if (!list) {
+        throw new Error('cursor has expired; run the search again without it');
+      }
+      if (list.key !== key) {
+        throw new Error('cursor belongs to a different search; pass the same arguments it was returned for');
+      }
+      // Mark as recently used.
+      lists.delete(id);
+      lists.set(id, list);
+    } else {
+      const count = rankCount(offset + limit);
+      const results = await rank(count);
+      list = { key, results, complete: results.length < count, rank };
+    }
+
+    const end = offset + limit;
+    if (end >= list.results.length && !list.complete && list.results.length < MAX_PAGED_RESULTS) {
+      const count = rankCount(end);
+      const ranked = await list.rank(count);
+      // Against the same snapshot the kept results lead the longer ranking. Rankings that
+      // reorder slightly as they grow (approximate or diversified ones) may not, so match by path.
+      const served = new Set(list.results.map((result) => result.path));
+      list.results = list.results.concat(ranked.filter((result) => !served.has(result.path)));
+      list.complete = ranked.length < count;
+    }
+    let next = null;
+    if (end < list.results.length) {
+      id ??= keep(list);
+      next = encodeCursor({ id, offset: end, limit });
+    }
+    return {
+      results: list.results.slice(offset, end),
+      offset,
+      ranked: list.results.length,
+      complete: list.complete,
+      next,
+    };
+  }
+
+  return { page };
+}
+
+/**
+ * Build the key that ties a cursor to the search that produced it.
+ *
+ * @param {string} tool - Tool name.
+ * @param {Record<string, unknown>} args - Tool arguments, without the paging ones (cursor, offset, limit).
+ * @returns {string} A key that is the same for the same arguments in any order.
+ */
+export function searchKey(tool, args) {
+  const entries = Object.entries(args)
+    .filter(([, value]) => value !== undefined)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return JSON.stringify([tool, entries]);
+}
@@ -0,0 +1,19 @@
+// Seeded pseudo-random numbers, for index builds and samplers whose results
+// must be reproducible from run to run (HNSW layers, LSH hyperplanes, k-means seeding).
+
+/**
+ * Seeded pseudo-random generator (mulberry32).
+ *
+ * @param {number} seed - 32-bit seed.
+ * @returns {() => number} Generator of floats in [0, 1).
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,141 @@
+// Recency weighting: dates each note from its frontmatter, a daily-note file name, or its
+// mtime, and scales search scores by an exponential decay with a configurable half-life.
+
+import path from 'path';
+import { roundScore } from './similarity.js';
+import { extractNotePath } from './reader.js';
+
+// Default half-life of the decay: a note this many days old keeps half of the recency share.
+export const DEFAULT_HALF_LIFE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Frontmatter properties holding a note's date, in order of preference.
+const DATE_PROPERTIES = ['date', 'created'];
+
+// An ISO date at the start of a property value, e.g. "2024-05-01" or "2024-05-01T09:30".
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}/;
+
+// A daily-note date in a file name: "2024-05-01", "2024_05_01", or "2024.05.01".
+const FILENAME_DATE_RE = /(?:^|\D)(\d{4})([-_.])(\d{2})\2(\d{2})(?!\d)/;
+
+/**
+ * Read a date from a frontmatter property value.
+ *
+ * @param {unknown} value - The property value.
+ * @returns {number|null} Epoch milliseconds, or null if the value is not an ISO date.
+ */
+function propertyDate(value) {
+  const text = Array.isArray(value) ? value[0] : value;
+  if (typeof text !== 'string' || !ISO_DATE_RE.test(text.trim())) {
+    return null;
+  }
+  const time = Date.parse(text.trim());
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Read a daily-note date from a note's file name.
+ *
+ * @param {string} notePath - Vault-relative note path.
+ * @returns {number|null} Epoch milliseconds (UTC midnight), or null if the name holds no valid date.
+ */
+function filenameDate(notePath) {
+  const match = FILENAME_DATE_RE.exec(path.posix.basename(notePath, '.md'));
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = [Number(match[1]), Number(match[3]), Number(match[4])];
+  const time = Date.UTC(year, month - 1, day);
+  // Reject dates such as 2024-13-01 or 2024-02-30, which Date.UTC would roll over.
+  const date = new Date(time);
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? time : null;
+}
+
+/**
+ * Decide which date a note is from.
+ *
+ * Uses, in order: a frontmatter "date" or "created" property holding an ISO
+ * date, a daily-note date in the file name, and the file's modification time.
+ *
+ * @param {string} notePath - Vault-relative note path.
+ * @param {{frontmatter?: Record<string, unknown>, modified?: number}|undefined} note - The note's frontmatter
+ *   and mtime (epoch milliseconds), as far as they are known.
+ * @returns {{time: number, source: 'frontmatter'|'filename'|'mtime'}|null} The date and where it came from,
+ *   or null when there is none.
+ */
+export function noteDate(notePath, note) {
+  for (const key of DATE_PROPERTIES) {
+    const time = propertyDate(note?.frontmatter?.[key]);
+    if (time !== null) {
+      return { time, source: 'frontmatter' };
+    }
+  }
+  const time = filenameDate(notePath);
+  if (time !== null) {
+    return { time, source: 'filename' };
+  }
+  return Number.isFinite(note?.modified) ? { time: note.modified, source: 'mtime' } : null;
+}
+
+/**
+ * Check whether recency options ask for any weighting.
+ *
+ * @param {{ weight?: number, halfLifeDays?: number, dateOf?: Function }|undefined} recency - Recency options.
+ * @returns {boolean} True if the weight is above 0.
+ * @throws {Error} If the weight is outside [0, 1], the half-life is not positive, or dateOf is missing.
+ */
+export function wantsRecency(recency) {
+  if (!recency) {
+    return false;
+  }
+  const { weight = 0, halfLifeDays = DEFAULT_HALF_LIFE_DAYS } = recency;
+  if (!(weight >= 0 && weight <= 1)) {
+    throw new Error(`recency weight must be between 0 and 1 (got ${weight})`);
+  }
+  if (!(halfLifeDays > 0)) {
+    throw new Error(`halfLifeDays must be positive (got ${halfLifeDays})`);
+  }
+  if (weight > 0 && typeof recency.dateOf !== 'function') {
+    throw new Error('recency weighting needs a dateOf function');
+  }
+  return weight > 0;
+}
+
+/**
+ * Scale ranked results by how recent their notes are, and re-sort them.
+ *
+ * A note dated d days ago decays to 0.5^(d / halfLifeDays); dates in the
+ * future count as today, and undated notes decay to 0. Each score becomes
+ * score * ((1 - weight) + weight * decay), so weight 0 leaves scores alone
+ * and weight 1 multiplies them by the decay. A block is dated by its note.
+ *
+ * @param {Array<{path: string, score: number, similarity?: number}>} results - Ranked results, best first.
+ * @param {{ weight: number, halfLifeDays?: number, now?: number,
+ *   dateOf: (notePath: string) => {time: number, source: string}|null }} recency - weight (0-1),
+ *   halfLifeDays (default 90), now (epoch milliseconds, default Date.now()), and the note dater (see noteDate).
+ * @returns {Array<{path: string, score: number, similarity: number,
+ *   recency: {date: number|null, source: string|null, decay: number}}>} The results, best first: score is the
+ *   weighted score, similarity the score before weighting (kept if already set), and recency the date used
+ *   and its decay.
+ */
+export function applyRecency(results, recency) {
+  const { weight, halfLifeDays = DEFAULT_HALF_LIFE_DAYS, now = Date.now(), dateOf } = recency;
+  const dates = new Map();
+  return results
+    .map((result) => {
+      const notePath = extractNotePath(result.path);
+      if (!dates.has(notePath)) {
+        dates.set(notePath, dateOf(notePath));
+      }
+      const date = dates.get(notePath);
+      const decay = date ? 0.5 ** (Math.max(0, now - date.time) / DAY_MS / halfLifeDays) : 0;
+      return {
+        ...result,
+        score: roundScore(result.score * (1 - weight + weight * decay)),
+        similarity: result.similarity ?? result.score,
+        recency: { date: date?.time ?? null, source: date?.source ?? null, decay: roundScore(decay) },
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,129 @@
+// Reranker module: rescores search candidates with a local ONNX cross-encoder.
+// Uses lazy initialization like the embedder, so the model is only downloaded on first use.
+
+import { AutoTokenizer, AutoModelForSequenceClassification } from '@huggingface/transformers';
+import { readNote } from './reader.js';
+
+// Default model: a 6-layer MiniLM cross-encoder trained on MS MARCO passage ranking
+// (~23 MB quantized). It reads query and passage together, so it separates
+// relevant from merely related text better than bi-encoder cosine scores.
+const DEFAULT_RERANK_MODEL_ID = 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+// Passages are cut to this many characters before tokenizing. The model
+// truncates at 512 tokens anyway; cutting early avoids tokenizing whole notes.
+const MAX_PASSAGE_CHARS = 1800;
+
+// Default number of top search results handed to the reranker.
+const DEFAULT_RERANK_CANDIDATES = 30;
+
+/**
+ * Factory that creates a reranker backed by a HuggingFace sequence-classification model.
+ *
+ * The tokenizer and model are loaded lazily on the first call to score() and
+ * reused afterwards. Tests substitute any object with the same score() shape.
+ *
+ * @param {string} [modelId] - HuggingFace model identifier. Defaults to ms-marco-MiniLM-L-6-v2.
+ * @returns {{ score: (query: string, passages: string[]) => Promise<number[]>, modelId: string }}
+ */
+function createReranker(modelId = DEFAULT_RERANK_MODEL_ID) {
+  // Holds {tokenizer, model} once loaded; a pending promise while loading.
+  let loaded = null;
+
+  /**
+   * Lazily load the tokenizer and model on first call.
+   *
+   * @returns {Promise<{tokenizer: Function, model: Function}>} The loaded pair.
+   */
+  function load() {
+    loaded ??= Promise.all([
+      AutoTokenizer.from_pretrained(modelId),
+      AutoModelForSequenceClassification.from_pretrained(modelId),
+    ])
+      .then(([tokenizer, model]) => ({ tokenizer, model }))
+      .catch((err) => {
+        // Let the next call retry (e.g. after a network failure).
+        loaded = null;
+        throw err;
+      });
+    return loaded;
+  }
+
+  /**
+   * Score how well each passage answers the query.
+   *
+   * @param {string} query - The search query.
+   * @param {string[]} passages - Candidate texts, in any order.
+   * @returns {Promise<number[]>} One relevance score in [0, 1] per passage (sigmoid of the model's logit).
+   */
+  async function score(query, passages) {
+    if (passages.length === 0) {
+      return [];
+    }
+    const { tokenizer, model } = await load();
+    const inputs = tokenizer(passages.map(() => query), {
+      text_pair: passages.map((p) => p.slice(0, MAX_PASSAGE_CHARS)),
+      padding: true,
+      truncation: true,
+    });
+    const { logits } = await model(inputs);
+    return logits.sigmoid().tolist().map(([value]) => value);
+  }
+
+  return { score, modelId };
+}
+
+/**
+ * Read the text a search result stands for.
+ *
+ * Notes are read whole (up to readNote's limit). Blocks are cut to the line
+ * range in their metadata when it lies within what was read; otherwise the
+ * whole note is used.
+ *
+ * @param {{path: string, meta?: {lines?: [number, number]}}} result - A search result.
+ * @param {string} vaultPath - Absolute path to the vault root.
+ * @returns {Promise<string>} The passage text.
+ */
+async function readPassage(result, vaultPath) {
+  const { content } = await readNote(result.path, vaultPath);
+  const range = result.path.includes('#') ? result.meta?.lines : undefined;
+  if (range) {
+    const lines = content.split(/\r?\n/);
+    // Line ranges are 1-based and inclusive.
+    if (range[1] <= lines.length) {
+      return lines.slice(range[0] - 1, range[1]).join('\n');
+    }
+  }
+  return content;
+}
+
+/**
+ * Rescore search results with a cross-encoder and reorder them.
+ *
+ * Each result keeps its original score and gains rerankScore. Results whose
+ * note cannot be read (deleted, or outside the vault) get rerankScore null
+ * and sort after the reranked ones, in their original order.
+ *
+ * @param {string} query - The search query.
+ * @param {Array<{path: string, score: number, meta?: object}>} results - Search results, best first.
+ * @param {{ score: (query: string, passages: string[]) => Promise<number[]> }} reranker - Reranker instance.
+ * @param {string} vaultPath - Absolute path to the vault root.
+ * @returns {Promise<Array<{path: string, score: number, rerankScore: number|null, meta?: object}>>}
+ *   The results, best rerank score first.
+ */
+async function rerankResults(query, results, reranker, vaultPath) {
+  const passages = await Promise.all(
+    results.map((result) => readPassage(result, vaultPath).catch(() => null))
+  );
+  const readable = results.filter((_, i) => passages[i] !== null);
+  const scores = await reranker.score(query, passages.filter((p) => p !== null));
+
+  const reranked = readable
+    .map((result, i) => ({ ...result, rerankScore: scores[i] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+  const unreadable = results
+    .filter((_, i) => passages[i] === null)
+    .map((result) => ({ ...result, rerankScore: null }));
+  return [...reranked, ...unreadable];
+}
+
+export { createReranker, rerankResults, DEFAULT_RERANK_CANDIDATES };
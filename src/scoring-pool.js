@@ -0,0 +1,123 @@
+// Pool of worker threads that split exact scoring of very large embeddings
+// matrices by row range. The matrix is shared memory, so no vectors are copied.
+
+import { Worker } from 'worker_threads';
+import { compareRows } from './matrix.js';
+
+// Below this many rows a single-threaded scan is faster than the round trip
+// to the workers, so rank() returns null and the caller scores in-thread.
+const DEFAULT_MIN_ROWS = 50000;
+
+/**
+ * Start a pool of scoring workers.
+ *
+ * rank() splits the matrix into one contiguous row range per worker, lets
+ * each keep its own top `limit` rows, and merges them. The merged order is
+ * the same as a single rankRows() call over the whole matrix. Row filters
+ * cannot cross threads as functions, so the caller's accept predicate is
+ * evaluated here once per row into a shared byte mask.
+ *
+ * The workers are unref'd so an idle pool never keeps the process alive;
+ * call close() to stop them explicitly.
+ *
+ * @param {number} size - Number of worker threads.
+ * @param {{ minRows?: number }} [options] - minRows: smallest matrix worth
+ *   splitting (default 50,000 rows).
+ * @returns {{
+ *   size: number,
+ *   rank: (matrix: object, query: ArrayLike<number>, options: {threshold: number, limit: number, accept?: (row: number) => boolean}) =>
+ *     Promise<Array<{row: number, score: number}>>|null,
+ *   close: () => Promise<void>
+ * }}
+ */
+export function createScoringPool(size, options = {}) {
+  const minRows = options.minRows ?? DEFAULT_MIN_ROWS;
+  const pending = new Map();
+  let nextId = 0;
+
+  const workers = Array.from({ length: size }, () => {
+    const worker = new Worker(new URL('./scoring-worker.js', import.meta.url));
+    worker.unref();
+    worker.on('message', ({ id, rows, error }) => {
+      const request = pending.get(id);
+      pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(rows);
+      }
+    });
+    worker.on('error', (err) => {
+      // A crashed worker takes its in-flight requests with it.
+      for (const [id, request] of pending) {
+        if (request.worker === worker) {
+          pending.delete(id);
+          request.reject(err);
+        }
+      }
+    });
+    return worker;
+  });
+
+  /**
+   * Send one row range to one worker.
+   *
+   * @param {Worker} worker - Worker to use.
+   * @param {object} message - Scoring request (without id).
+   * @returns {Promise<Array<{row: number, score: number}>>} The range's best rows.
+   */
+  function send(worker, message) {
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { worker, resolve, reject });
+      worker.postMessage({ id, ...message });
+    });
+  }
+
+  /**
+   * Score a matrix across the workers.
+   *
+   * @param {{ count: number, dims: number, data: ArrayLike<number>, norms: ArrayLike<number> }} matrix - Matrix from buildEmbeddingMatrix.
+   * @param {ArrayLike<number>} query - Query vector with the matrix's dimensions.
+   * @param {{ threshold: number, limit: number, accept?: (row: number) => boolean }} rankOptions - As for rankRows.
+   * @returns {Promise<Array<{row: number, score: number}>>|null} Best rows, or null when the
+   *   matrix is too small to be worth splitting.
+   */
+  function rank(matrix, query, rankOptions) {
+    if (matrix.count < minRows || workers.length === 0) {
+      return null;
+    }
+    let mask = null;
+    if (rankOptions.accept) {
+      mask = new Uint8Array(new SharedArrayBuffer(matrix.count));
+      for (let row = 0; row < matrix.count; row++) {
+        mask[row] = rankOptions.accept(row) ? 1 : 0;
+      }
+    }
+
+    const { count, dims, data, norms } = matrix;
+    const step = Math.ceil(count / workers.length);
+    const parts = workers.map((worker, i) =>
+      send(worker, {
+        matrix: { count, dims, data, norms },
+        query: Float64Array.from(query),
+        mask,
+        start: i * step,
+        end: Math.min(count, (i + 1) * step),
+        threshold: rankOptions.threshold,
+        limit: rankOptions.limit,
+      })
+    );
+    return Promise.all(parts).then((results) =>
+      results.flat().sort(compareRows).slice(0, rankOptions.limit)
+    );
+  }
+
+  return {
+    size,
+    rank,
+    close: async () => {
+      await Promise.all(workers.map((worker) => worker.terminate()));
+    },
+  };
+}
@@ -0,0 +1,15 @@
+// Worker thread entry for createScoringPool: scores one row range of a shared
+// embeddings matrix per message and posts back its best rows.
+
+import { parentPort } from 'worker_threads';
+import { rankRows } from './matrix.js';
+
+parentPort.on('message', ({ id, matrix, query, mask, start, end, threshold, limit }) => {
+  try {
+    const accept = mask ? (row) => mask[row] === 1 : undefined;
+    const rows = rankRows(matrix, query, { threshold, limit, accept, start, end });
+    parentPort.postMessage({ id, rows });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
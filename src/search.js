@@ -1,18 +1,479 @@
-// Search orchestrator: semantic search and related-note lookup over vault embeddings.
-// Operates on preloaded embeddings Maps; does not perform any file I/O.
+// Search orchestrator: semantic, lexical, and hybrid search and related-note lookup.
+// Operates on preloaded embeddings Maps and a synced lexical index; does not perform any file I/O.
 
-import { cosineSimilarity } from './similarity.js';
+import { cosineSimilarity, roundScore, vectorNorm } from './similarity.js';
+import { getEmbeddingMatrix, rankRows } from './matrix.js';
+import { DEFAULT_MODEL_KEY } from './ajson-parser.js';
+import { extractNotePath } from './reader.js';
+import { wantsLinkBoost, boostByLinks } from './link-ranking.js';
+import { wantsRecency, applyRecency } from './recency.js';
 
 // Default maximum number of results returned when the caller does not specify a limit.
-const DEFAULT_LIMIT = 10;
+export const DEFAULT_LIMIT = 10;
 
 // Default minimum cosine similarity score for a result to be included.
 // 0.3 filters out weakly related noise while keeping meaningful matches.
 const DEFAULT_THRESHOLD = 0.3;
 
-// HuggingFace model identifier embedded in getStats() output.
-// Must match the model used to generate the vault's .ajson embeddings.
-const MODEL_ID = 'TaylorAI/bge-micro-v2';
+// Reciprocal rank fusion constant. 60 is the value from the original RRF paper;
+// it damps the advantage of the very top ranks so agreement between lists counts.
+const RRF_K = 60;
+
+// With an ANN index, filtered searches fall back to exact scoring when the filters
+// leave at most this many entries, or less than this share of the vault: graph
+// search then spends most of its effort on rejected entries and loses recall.
+const EXACT_FALLBACK_MAX_CANDIDATES = 2000;
+const EXACT_FALLBACK_MIN_SHARE = 0.05;
+
+// When results are reranked (fused, diversified, or capped per file), this many
+// candidates per requested result are ranked first, and at least MIN_CANDIDATE_POOL,
+// so results that rank moderately can still surface.
+const CANDIDATE_POOL_FACTOR = 5;
+const MIN_CANDIDATE_POOL = 50;
+
+// Number of best-matching headings listed under each note when grouping by note.
+const MAX_HEADINGS_PER_NOTE = 3;
+
+// Default weight of the negative seeds' centroid in seed search (Rocchio's gamma).
+// Lower than the positives' weight of 1, so negatives steer rather than dominate.
+const DEFAULT_NEGATIVE_WEIGHT = 0.5;
+
+/**
+ * Explain why a query encoder cannot be used against the stored embeddings.
+ *
+ * Vectors from different models live in unrelated spaces, so cosine scores
+ * between them are meaningless. Either side may be unknown (null/undefined),
+ * in which case no mismatch is reported.
+ *
+ * @param {string|null|undefined} queryModelId - Model the embedder encodes queries with.
+ * @param {string|null|undefined} storedModelId - Model the vault's vectors were produced by.
+ * @returns {string|null} A human-readable reason, or null when the models agree.
+ */
+export function checkModelCompatibility(queryModelId, storedModelId) {
+  if (!queryModelId || !storedModelId || queryModelId === storedModelId) {
+    return null;
+  }
+  return (
+    `query model "${queryModelId}" does not match the stored embeddings model ` +
+    `"${storedModelId}" -- set SMART_SEARCH_QUERY_MODEL to the model Smart Connections uses`
+  );
+}
+
+/**
+ * Throw if a query vector cannot be compared with the stored vectors.
+ *
+ * Only the first entry is inspected; a vault's vectors all come from one model.
+ *
+ * @param {number[]} queryArr - Encoded query vector.
+ * @param {Map<string, {vec: number[], type: string, meta?: object}>} embeddings - Preloaded vault embeddings.
+ * @throws {Error} If the dimensions differ.
+ */
+function assertDimensionsMatch(queryArr, embeddings) {
+  const first = embeddings.values().next().value;
+  if (first && first.vec && first.vec.length !== queryArr.length) {
+    throw new Error(
+      `query vector has ${queryArr.length} dimensions but stored embeddings have ` +
+        `${first.vec.length} -- the query model does not match the vault's embedding model`
+    );
+  }
+}
+
+/**
+ * Build a result row, carrying the entry's metadata when it has any.
+ *
+ * @param {string} path - Entry path.
+ * @param {number} score - Cosine similarity score.
+ * @param {{meta?: object}} entry - The embeddings Map value.
+ * @returns {{path: string, score: number, meta?: object}} Result row.
+ */
+function toResult(path, score, entry) {
+  return entry.meta ? { path, score, meta: entry.meta } : { path, score };
+}
+
+/**
+ * Check an entry against the type, folder, note, and exclusion filters shared by every search mode.
+ *
+ * @param {string} path - Entry path.
+ * @param {string} type - Entry type ("source" or "block").
+ * @param {{ type?: string, folder?: string, noteFilter?: (notePath: string) => boolean, exclude?: Set<string> }} options -
+ *   Search options. noteFilter is checked against the entry's note path (see compileNoteFilter).
+ * @returns {boolean} True if the entry may appear in results.
+ */
+function matchesFilters(path, type, options) {
+  if (options.type && type !== options.type) {
+    return false;
+  }
+  // Case-insensitive folder prefix match.
+  if (options.folder && !path.toLowerCase().startsWith(options.folder.toLowerCase())) {
+    return false;
+  }
+  if (options.noteFilter && !options.noteFilter(extractNotePath(path))) {
+    return false;
+  }
+  return !(options.exclude && options.exclude.has(path));
+}
+
+/**
+ * Ask an ANN index for the best candidate paths, or return null to score exactly.
+ *
+ * The index is only used when it was built from this exact embeddings Map.
+ * With type/folder/note filters, the matching entries are counted first and exact
+ * scoring is used when they are few (see EXACT_FALLBACK_*).
+ *
+ * @param {ArrayLike<number>} queryVec - Query vector.
+ * @param {Map<string, {type: string}>} embeddings - Preloaded vault embeddings.
+ * @param {number} k - Number of candidates wanted.
+ * @param {object} options - Search options (ann and filters).
+ * @param {(path: string) => boolean} [skip] - Extra exclusion (e.g. the seed note in findRelated).
+ * @returns {string[]|null} Candidate paths, or null to fall back to exact scoring.
+ */
+function annCandidates(queryVec, embeddings, k, options, skip) {
+  const { ann } = options;
+  if (!ann || ann.embeddings !== embeddings) {
+    return null;
+  }
+  if (options.type || options.folder || options.noteFilter) {
+    let matching = 0;
+    for (const [path, entry] of embeddings) {
+      if (matchesFilters(path, entry.type, options)) {
+        matching += 1;
+      }
+    }
+    if (matching <= EXACT_FALLBACK_MAX_CANDIDATES || matching < embeddings.size * EXACT_FALLBACK_MIN_SHARE) {
+      return null;
+    }
+  }
+  const filter = (path, entry) => matchesFilters(path, entry.type, options) && !(skip && skip(path));
+  return ann.search(queryVec, k, { filter });
+}
+
+/**
+ * Score a list of entries one by one and keep the best.
+ *
+ * Used for ANN candidate lists and for vectors the matrix cannot score (a
+ * query whose length differs from the vault's); everything else goes through
+ * the matrix kernel, which gives the same scores and order.
+ *
+ * @param {Iterable<[string, {vec: ArrayLike<number>|null, type: string, meta?: object}]>} pool - [path, entry] pairs.
+ * @param {ArrayLike<number>|null} queryVec - Query vector.
+ * @param {object} options - Search options (limit, threshold, and filters).
+ * @param {(path: string) => boolean} [skip] - Extra exclusion (e.g. the seed note in findRelated).
+ * @returns {Array<{path: string, score: number, meta?: object}>} Sorted results, best match first.
+ */
+function scoreEntries(pool, queryVec, options, skip) {
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  const results = [];
+  for (const [path, entry] of pool) {
+    if (!matchesFilters(path, entry.type, options) || (skip && skip(path))) {
+      continue;
+    }
+    const score = cosineSimilarity(queryVec, entry.vec);
+    if (score >= threshold) {
+      results.push(toResult(path, score, entry));
+    }
+  }
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, options.limit ?? DEFAULT_LIMIT);
+}
+
+/**
+ * Translate search options into rankRows options for a matrix.
+ *
+ * @param {ReturnType<typeof getEmbeddingMatrix>} matrix - The embeddings matrix.
+ * @param {object} options - Search options (limit, threshold, and filters).
+ * @param {(path: string) => boolean} [skip] - Extra exclusion.
+ * @returns {{threshold: number, limit: number, accept?: (row: number) => boolean}} Kernel options;
+ *   accept is omitted when nothing is filtered, so the kernel skips the per-row check.
+ */
+function rowOptions(matrix, options, skip) {
+  const filtered = options.type || options.folder || options.noteFilter || options.exclude || skip;
+  return {
+    threshold: options.threshold ?? DEFAULT_THRESHOLD,
+    limit: options.limit ?? DEFAULT_LIMIT,
+    accept: filtered
+      ? (row) => matchesFilters(matrix.paths[row], matrix.entries[row].type, options) &&
+        !(skip && skip(matrix.paths[row]))
+      : undefined,
+  };
+}
+
+/**
+ * Turn scored matrix rows into result rows.
+ *
+ * @param {ReturnType<typeof getEmbeddingMatrix>} matrix - The embeddings matrix.
+ * @param {Array<{row: number, score: number}>} rows - Rows from rankRows.
+ * @returns {Array<{path: string, score: number, meta?: object}>} Results in the same order.
+ */
+function toResults(matrix, rows) {
+  return rows.map(({ row, score }) => toResult(matrix.paths[row], score, matrix.entries[row]));
+}
+
+/**
+ * Score every matching entry against an encoded query and keep the best.
+ *
+ * With options.ann, only the index's candidates are scored (see annCandidates).
+ * Otherwise the whole embeddings matrix is scanned, across options.workers
+ * when the pool takes the job. Scores are always exact cosine similarities.
+ *
+ * @param {number[]} queryArr - Encoded query vector.
+ * @param {Map<string, {vec: number[], type: string, meta?: object}>} embeddings - Preloaded vault embeddings.
+ * @param {object} options - Search options (limit, threshold, filters, ann, and workers).
+ * @returns {Promise<Array<{path: string, score: number, meta?: object}>>} Sorted results, best match first.
+ */
+async function rankSemantic(queryArr, embeddings, options) {
+  const candidates = annCandidates(queryArr, embeddings, options.limit ?? DEFAULT_LIMIT, options);
+  if (candidates) {
+    return scoreEntries(candidates.map((path) => [path, embeddings.get(path)]), queryArr, options);
+  }
+
+  const matrix = getEmbeddingMatrix(embeddings);
+  if (queryArr.length !== matrix.dims) {
+    return scoreEntries(embeddings, queryArr, options);
+  }
+  const rankOptions = rowOptions(matrix, options);
+  const rows = (await options.workers?.rank(matrix, queryArr, rankOptions)) ??
+    rankRows(matrix, queryArr, rankOptions);
+  return toResults(matrix, rows);
+}
+
+/**
+ * Number of candidates to rank before reranking down to `limit` results.
+ *
+ * @param {number} limit - Number of results wanted.
+ * @returns {number} Candidate pool size.
+ */
+function candidatePoolSize(limit) {
+  return Math.max(limit * CANDIDATE_POOL_FACTOR, MIN_CANDIDATE_POOL);
+}
+
+/**
+ * Check whether the options ask for diversified or per-file-capped results.
+ *
+ * @param {{ diversity?: number, maxPerFile?: number }} options - Search options.
+ * @returns {boolean} True if the ranking must be reranked with diversify().
+ * @throws {Error} If diversity is outside [0, 1] or maxPerFile is below 1.
+ */
+function wantsDiversity(options) {
+  const { diversity = 0, maxPerFile } = options;
+  if (!(diversity >= 0 && diversity <= 1)) {
+    throw new Error(`diversity must be between 0 and 1 (got ${diversity})`);
+  }
+  if (maxPerFile !== undefined && !(maxPerFile >= 1)) {
+    throw new Error(`maxPerFile must be at least 1 (got ${maxPerFile})`);
+  }
+  return diversity > 0 || maxPerFile !== undefined;
+}
+
+/**
+ * Rerank candidates with Maximal Marginal Relevance and cap results per file.
+ *
+ * Results are picked one at a time. Each pick maximises
+ * (1 - diversity) * score - diversity * redundancy, where redundancy is the
+ * candidate's highest cosine similarity (from the stored vectors) to any result
+ * already picked. A block that repeats an earlier pick therefore loses to a
+ * slightly weaker match that adds something new. With diversity 0 the
+ * original order is kept. Candidates whose note already has maxPerFile
+ * results are skipped; blocks count towards their note.
+ *
+ * Scores in the returned rows are the original similarity scores, so results
+ * may no longer be in descending score order.
+ *
+ * @param {Array<{path: string, score: number, meta?: object}>} candidates - Ranked candidates, best first.
+ * @param {Map<string, {vec: ArrayLike<number>}>} embeddings - Preloaded vault embeddings (for the vectors).
+ * @param {{ limit?: number, diversity?: number, maxPerFile?: number }} options - Reranking options.
+ * @returns {Array<{path: string, score: number, meta?: object}>} Up to `limit` results in pick order.
+ */
+function diversify(candidates, embeddings, options) {
+  const limit = options.limit ?? DEFAULT_LIMIT;
+  const diversity = options.diversity ?? 0;
+  const maxPerFile = options.maxPerFile ?? Infinity;
+
+  const remaining = candidates.map((result) => ({
+    result,
+    vec: embeddings.get(result.path)?.vec,
+    redundancy: 0,
+  }));
+  const perFile = new Map();
+  const picked = [];
+
+  while (picked.length < limit && remaining.length > 0) {
+    // Strictly greater, so ties go to the better-ranked candidate.
+    let best = 0;
+    let bestValue = -Infinity;
+    remaining.forEach((candidate, i) => {
+      const value = (1 - diversity) * candidate.result.score - diversity * candidate.redundancy;
+      if (value > bestValue) {
+        best = i;
+        bestValue = value;
+      }
+    });
+    const [choice] = remaining.splice(best, 1);
+
+    const file = extractNotePath(choice.result.path);
+    const count = perFile.get(file) ?? 0;
+    if (count >= maxPerFile) {
+      continue;
+    }
+    perFile.set(file, count + 1);
+    picked.push(choice.result);
+
+    if (diversity > 0) {
+      for (const candidate of remaining) {
+        const similarity = cosineSimilarity(candidate.vec, choice.vec);
+        candidate.redundancy = picked.length === 1 ? similarity : Math.max(candidate.redundancy, similarity);
+      }
+    }
+  }
+  return picked;
+}
+
+/**
+ * Check whether the options ask for results grouped by note.
+ *
+ * @param {{ groupBy?: string, noteWeight?: number, diversity?: number, maxPerFile?: number }} options - Search options.
+ * @returns {boolean} True if results must be grouped with groupByNote().
+ * @throws {Error} If groupBy is not "note", noteWeight is outside [0, 1], or
+ *   grouping is combined with diversity or maxPerFile.
+ */
+function wantsGrouping(options) {
+  const { groupBy, noteWeight } = options;
+  if (groupBy === undefined) {
+    return false;
+  }
+  if (groupBy !== 'note') {
+    throw new Error(`unknown groupBy "${groupBy}" (expected "note")`);
+  }
+  if (noteWeight !== undefined && !(noteWeight >= 0 && noteWeight <= 1)) {
+    throw new Error(`noteWeight must be between 0 and 1 (got ${noteWeight})`);
+  }
+  if (options.diversity !== undefined || options.maxPerFile !== undefined) {
+    throw new Error('groupBy cannot be combined with diversity or maxPerFile');
+  }
+  return true;
+}
+
+/**
+ * Turn a block path's fragment into a readable heading chain.
+ *
+ * @param {string} path - Block path, e.g. "notes/plan.md#Project#Goals".
+ * @returns {string} The headings joined with " > ", e.g. "Project > Goals".
+ */
+function blockHeading(path) {
+  return path.slice(path.indexOf('#') + 1).split('#').filter(Boolean).join(' > ');
+}
+
+/**
+ * Collect ranked entries under the note they belong to.
+ *
+ * Each note's score is its best hit (the note itself or any of its blocks),
+ * or, with options.noteWeight, a blend of the two levels:
+ * noteWeight * note score + (1 - noteWeight) * best block score. A note score
+ * missing from the hits is computed from the note's stored vector, unless the
+ * search is restricted to blocks. Each note lists its best-matching headings.
+ *
+ * @param {Array<{path: string, score: number, meta?: object}>} hits - Ranked entries, best first.
+ * @param {Map<string, {vec: ArrayLike<number>, meta?: object}>} embeddings - Preloaded vault embeddings.
+ * @param {ArrayLike<number>} queryVec - Query vector (for note scores missing from the hits).
+ * @param {{ limit?: number, type?: string, noteWeight?: number }} options - Search options.
+ * @returns {Array<{
+ *   path: string,
+ *   score: number,
+ *   noteScore: number|null,
+ *   headings: Array<{path: string, heading: string, score: number, meta?: object}>,
+ *   meta?: object
+ * }>} Up to `limit` notes, best first.
+ */
+function groupByNote(hits, embeddings, queryVec, options) {
+  const notes = new Map();
+  for (const hit of hits) {
+    const notePath = extractNotePath(hit.path);
+    const group = notes.get(notePath) ?? { path: notePath, noteScore: null, blocks: [] };
+    if (hit.path === notePath) {
+      group.noteScore = hit.score;
+    } else {
+      group.blocks.push(hit);
+    }
+    notes.set(notePath, group);
+  }
+
+  const rows = Array.from(notes.values(), ({ path, noteScore, blocks }) => {
+    const source = embeddings.get(path);
+    const note = noteScore ?? (source && options.type !== 'block' ? cosineSimilarity(queryVec, source.vec) : null);
+    const best = blocks.length > 0 ? blocks[0].score : null;
+
+    let score;
+    if (note === null || best === null) {
+      score = note ?? best;
+    } else if (options.noteWeight === undefined) {
+      score = Math.max(note, best);
+    } else {
+      score = roundScore(options.noteWeight * note + (1 - options.noteWeight) * best);
+    }
+
+    const headings = blocks.slice(0, MAX_HEADINGS_PER_NOTE).map((block) => ({
+      ...block,
+      heading: blockHeading(block.path),
+    }));
+    const row = { path, score, noteScore: note, headings };
+    return source?.meta ? { ...row, meta: source.meta } : row;
+  });
+
+  return rows
+    .sort((a, b) => b.score - a.score)
+    .slice(0, options.limit ?? DEFAULT_LIMIT);
+}
+
+/**
+ * Encode a query and check it can be compared with the stored vectors.
+ *
+ * @param {string} query - The natural-language search query.
+ * @param {Map<string, {vec: number[]}>} embeddings - Preloaded vault embeddings.
+ * @param {{ encode: (text: string) => Promise<Float32Array> }} embedder - Text encoder instance.
+ * @returns {Promise<number[]>} The query vector as a plain array.
+ * @throws {Error} If the query vector's dimensions differ from the stored vectors'.
+ */
+async function encodeQuery(query, embeddings, embedder) {
+  const queryVec = await embedder.encode(query);
+  // Convert Float32Array to a plain array for cosineSimilarity compatibility.
+  const queryArr = Array.from(queryVec);
+  assertDimensionsMatch(queryArr, embeddings);
+  return queryArr;
+}
+
+/**
+ * Rank entries against a query vector, then diversify or group them as the options ask.
+ *
+ * @param {number[]} queryArr - Query vector.
+ * @param {Map<string, {vec: number[], type: string, meta?: object}>} embeddings - Preloaded vault embeddings.
+ * @param {object} options - semanticSearch options.
+ * @returns {Promise<Array<object>>} Results as returned by semanticSearch.
+ * @throws {Error} If the diversity or grouping options are invalid.
+ */
+async function searchVector(queryArr, embeddings, options) {
+  const group = wantsGrouping(options);
+  const rerank = wantsDiversity(options);
+  const boost = wantsLinkBoost(options.links);
+  const recent = wantsRecency(options.recency);
+  if (group && (boost || recent)) {
+    throw new Error('groupBy cannot be combined with link boosts or recency');
+  }
+  if (!group && !rerank && !boost && !recent) {
+    return rankSemantic(queryArr, embeddings, options);
+  }
+  const limit = options.limit ?? DEFAULT_LIMIT;
+  let candidates = await rankSemantic(queryArr, embeddings, { ...options, limit: candidatePoolSize(limit) });
+  if (boost) {
+    candidates = boostByLinks(candidates, options.links);
+  }
+  if (recent) {
+    candidates = applyRecency(candidates, options.recency);
+  }
+  if (group) {
+    return groupByNote(candidates, embeddings, queryArr, options);
+  }
+  return rerank ? diversify(candidates, embeddings, options) : candidates.slice(0, limit);
+}
 
 /**
  * Run semantic search against all vault embeddings using a natural-language query.
@@ -22,41 +483,138 @@ const MODEL_ID = 'TaylorAI/bge-micro-v2';
  * descending score, and returns up to `limit` results.
  *
  * @param {string} query - The natural-language search query.
- * @param {Map<string, {vec: number[], type: string}>} embeddings - Preloaded vault embeddings.
+ * @param {Map<string, {vec: number[], type: string, meta?: object}>} embeddings - Preloaded vault embeddings.
  * @param {{ encode: (text: string) => Promise<Float32Array> }} embedder - Text encoder instance.
- * @param {{ limit?: number, threshold?: number, type?: string, folder?: string }} [options] - Optional search configuration.
- * @returns {Promise<Array<{path: string, score: number}>>} Sorted results, best match first.
+ * @param {{
+ *   limit?: number,
+ *   threshold?: number,
+ *   type?: string,
+ *   folder?: string,
+ *   noteFilter?: (notePath: string) => boolean,
+ *   exclude?: Set<string>,
+ *   diversity?: number,
+ *   maxPerFile?: number,
+ *   groupBy?: 'note',
+ *   noteWeight?: number,
+ *   links?: {graph: object, context?: string, proximityWeight?: number, backlinkWeight?: number, pagerankWeight?: number},
+ *   recency?: {weight: number, halfLifeDays?: number, now?: number, dateOf: Function},
+ *   ann?: object,
+ *   workers?: object
+ * }} [options] - Optional search configuration. exclude lists entry paths to leave out (e.g. orphaned notes);
+ *   noteFilter keeps only entries whose note passes it (see compileNoteFilter), checked before scoring;
+ *   diversity (0-1) and maxPerFile rerank the results (see diversify);
+ *   groupBy "note" returns notes with their best headings instead of entries (see groupByNote),
+ *   scored by the best hit or, with noteWeight (0-1), a blend of note and block scores;
+ *   links adds link-graph signals to the candidates' scores before diversity is applied (see boostByLinks),
+ *   and recency then scales them by the age of their notes (see applyRecency); neither can be combined with groupBy;
+ *   ann is an index from buildHnswIndex to search approximately instead of scoring every entry;
+ *   workers is a pool from createScoringPool to split exact scoring of very large vaults.
+ * @returns {Promise<Array<{path: string, score: number, meta?: object}>>} Sorted results, best match first
+ *   (in MMR pick order with diversity; notes as described in groupByNote with groupBy; with link boosts or
+ *   recency, score is the adjusted score and similarity is added, with linkBoosts and recency respectively);
+ *   meta (mtime, size, hash, lines, outlinks) is copied from the entry when present.
+ * @throws {Error} If the query vector's dimensions differ from the stored vectors', or the diversity,
+ *   grouping, link, or recency options are invalid.
  */
 export async function semanticSearch(query, embeddings, embedder, options = {}) {
-  const limit = options.limit ?? DEFAULT_LIMIT;
-  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  const queryArr = await encodeQuery(query, embeddings, embedder);
+  return searchVector(queryArr, embeddings, options);
+}
 
-  const queryVec = await embedder.encode(query);
-  // Convert Float32Array to a plain array for cosineSimilarity compatibility.
-  const queryArr = Array.from(queryVec);
+/**
+ * Run BM25 full-text search over a synced lexical index.
+ *
+ * Scores are raw BM25 values (unbounded, higher is better), so `threshold`
+ * does not apply. Metadata is copied from the matching embeddings entry when
+ * there is one.
+ *
+ * @param {string} query - The search query.
+ * @param {Map<string, {meta?: object}>} embeddings - Preloaded vault embeddings (for metadata).
+ * @param {{ search: Function }} lexical - Lexical index from createLexicalIndex, already synced.
+ * @param {{ limit?: number, type?: string, folder?: string, noteFilter?: Function, exclude?: Set<string> }} [options] - Search options.
+ * @returns {Array<{path: string, score: number, meta?: object}>} Sorted results, best match first.
+ */
+export function lexicalSearch(query, embeddings, lexical, options = {}) {
+  const hits = lexical.search(query, {
+    limit: options.limit ?? DEFAULT_LIMIT,
+    filter: (path, type) => matchesFilters(path, type, options),
+  });
+  return hits.map(({ path, score }) => toResult(path, score, embeddings.get(path) ?? {}));
+}
+
+/**
+ * Combine semantic and lexical rankings with reciprocal rank fusion.
+ *
+ * Each ranking contributes 1 / (RRF_K + rank) for every result it contains;
+ * the fused score is the sum. Both component scores are reported for every
+ * result: a component that did not rank the result is computed directly.
+ * semanticScore is null when the result has no embedding (a note only the
+ * lexical index knows); lexicalScore is 0 when the text shares no query terms.
+ *
+ * @param {string} query - The search query.
+ * @param {Map<string, {vec: number[], type: string, meta?: object}>} embeddings - Preloaded vault embeddings.
+ * @param {{ encode: (text: string) => Promise<Float32Array> }} embedder - Text encoder instance.
+ * @param {{ search: Function, score: Function }} lexical - Lexical index from createLexicalIndex, already synced.
+ * @param {{ limit?: number, threshold?: number, type?: string, folder?: string, noteFilter?: Function, exclude?: Set<string> }} [options] -
+ *   threshold applies to the semantic ranking only.
+ * @returns {Promise<Array<{path: string, score: number, semanticScore: number|null, lexicalScore: number, meta?: object}>>}
+ *   Fused results, best first; score is the RRF score.
+ * @throws {Error} If the query vector's dimensions differ from the stored vectors'.
+ */
+export async function hybridSearch(query, embeddings, embedder, lexical, options = {}) {
+  const limit = options.limit ?? DEFAULT_LIMIT;
+  const pool = candidatePoolSize(limit);
 
-  // Pre-compute lowercase folder prefix for case-insensitive folder filtering.
-  const folderLower = options.folder ? options.folder.toLowerCase() : null;
+  const queryArr = await encodeQuery(query, embeddings, embedder);
+  const semantic = await rankSemantic(queryArr, embeddings, { ...options, limit: pool });
+  const lexicalHits = lexicalSearch(query, embeddings, lexical, { ...options, limit: pool });
 
-  // Build results array using functional reduce to avoid mutation of the outer array.
-  // Pre-filter by type and folder before computing cosine similarity (avoids wasted dot products).
-  const results = Array.from(embeddings.entries()).reduce((acc, [path, entry]) => {
-    if (options.type && entry.type !== options.type) {
-      return acc;
-    }
-    if (folderLower && !path.toLowerCase().startsWith(folderLower)) {
-      return acc;
-    }
-    const score = cosineSimilarity(queryArr, entry.vec);
-    if (score >= threshold) {
-      return [...acc, { path, score }];
-    }
-    return acc;
-  }, []);
+  const fused = new Map();
+  const addRanking = (ranking, component) => {
+    ranking.forEach(({ path, score }, rank) => {
+      const row = fused.get(path) ?? { path, score: 0, semanticScore: null, lexicalScore: null };
+      row.score += 1 / (RRF_K + rank + 1);
+      row[component] = score;
+      fused.set(path, row);
+    });
+  };
+  addRanking(semantic, 'semanticScore');
+  addRanking(lexicalHits, 'lexicalScore');
 
-  return results
+  return Array.from(fused.values())
     .sort((a, b) => b.score - a.score)
-    .slice(0, limit);
+    .slice(0, limit)
+    .map((row) => {
+      const entry = embeddings.get(row.path);
+      const semanticScore = row.semanticScore ?? (entry ? cosineSimilarity(queryArr, entry.vec) : null);
+      const lexicalScore = row.lexicalScore ?? lexical.score(query, row.path);
+      const result = { ...row, semanticScore, lexicalScore };
+      return entry?.meta ? { ...result, meta: entry.meta } : result;
+    });
+}
+
+/**
+ * Score every other entry against a note's vector and keep the best.
+ *
+ * @param {string} notePath - Path of the source note (left out of the results).
+ * @param {{vec: ArrayLike<number>|null}} source - The source note's entry.
+ * @param {Map<string, {vec: number[], type: string, meta?: object}>} embeddings - Preloaded vault embeddings.
+ * @param {object} options - Search options (limit, threshold, type, and ann).
+ * @returns {Array<{path: string, score: number, meta?: object}>} Sorted related notes, best match first.
+ */
+function rankRelated(notePath, source, embeddings, options) {
+  const limit = options.limit ?? DEFAULT_LIMIT;
+  const skip = (path) => path === notePath;
+  const candidates = annCandidates(source.vec, embeddings, limit, options, skip);
+  if (candidates) {
+    return scoreEntries(candidates.map((path) => [path, embeddings.get(path)]), source.vec, options, skip);
+  }
+
+  const matrix = getEmbeddingMatrix(embeddings);
+  if (!source.vec || source.vec.length !== matrix.dims) {
+    return scoreEntries(embeddings, source.vec, options, skip);
+  }
+  return toResults(matrix, rankRows(matrix, source.vec, rowOptions(matrix, options, skip)));
 }
 
 /**
@@ -67,15 +625,16 @@ export async function semanticSearch(query, embeddings, embedder, options = {})
  * descending score, and returns up to `limit` entries.
  *
  * @param {string} notePath - Vault-relative path of the source note (e.g. "notes/foo.md").
- * @param {Map<string, {vec: number[], type: string}>} embeddings - Preloaded vault embeddings.
- * @param {{ limit?: number, threshold?: number, type?: string }} [options] - Optional search configuration.
- * @returns {Array<{path: string, score: number}>} Sorted related notes, best match first.
- * @throws {Error} If notePath is not present in the embeddings Map.
+ * @param {Map<string, {vec: number[], type: string, meta?: object}>} embeddings - Preloaded vault embeddings.
+ * @param {{ limit?: number, threshold?: number, type?: string, diversity?: number, maxPerFile?: number,
+ *   noteFilter?: (notePath: string) => boolean, links?: object, ann?: object }} [options] -
+ *   Optional search configuration; diversity, maxPerFile, noteFilter, links, and ann work as in semanticSearch.
+ *   The link context defaults to the source note.
+ * @returns {Array<{path: string, score: number, meta?: object}>} Sorted related notes, best match first
+ *   (in MMR pick order with diversity).
+ * @throws {Error} If notePath is not present in the embeddings Map, or the diversity or link options are invalid.
  */
 export function findRelated(notePath, embeddings, options = {}) {
-  const limit = options.limit ?? DEFAULT_LIMIT;
-  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
-
   const source = embeddings.get(notePath);
   if (!source) {
     throw new Error(
@@ -83,38 +642,121 @@ export function findRelated(notePath, embeddings, options = {}) {
     );
   }
 
-  // Build results, skipping the source note itself to avoid self-similarity.
-  // Pre-filter by type before computing cosine similarity.
-  const results = Array.from(embeddings.entries()).reduce((acc, [path, entry]) => {
-    if (path === notePath) {
-      return acc;
-    }
-    if (options.type && entry.type !== options.type) {
-      return acc;
+  const rerank = wantsDiversity(options);
+  const links = options.links && { ...options.links, context: options.links.context ?? extractNotePath(notePath) };
+  const boost = wantsLinkBoost(links);
+  if (!rerank && !boost) {
+    return rankRelated(notePath, source, embeddings, options);
+  }
+  const limit = options.limit ?? DEFAULT_LIMIT;
+  let candidates = rankRelated(notePath, source, embeddings, { ...options, limit: candidatePoolSize(limit) });
+  if (boost) {
+    candidates = boostByLinks(candidates, links);
+  }
+  return rerank ? diversify(candidates, embeddings, options) : candidates.slice(0, limit);
+}
+
+/**
+ * Average a list of vectors after scaling each to unit length.
+ *
+ * Scaling first gives every seed the same say, whatever its magnitude.
+ * Zero vectors are left out.
+ *
+ * @param {Array<ArrayLike<number>>} vectors - Vectors of equal length.
+ * @param {number} dims - Vector length.
+ * @returns {number[]|null} The centroid, or null if there were no usable vectors.
+ */
+function unitCentroid(vectors, dims) {
+  const sum = new Array(dims).fill(0);
+  let count = 0;
+  for (const vec of vectors) {
+    const norm = vectorNorm(vec);
+    if (norm === 0) {
+      continue;
     }
-    const score = cosineSimilarity(source.vec, entry.vec);
-    if (score >= threshold) {
-      return [...acc, { path, score }];
+    for (let i = 0; i < dims; i++) {
+      sum[i] += vec[i] / norm;
     }
-    return acc;
-  }, []);
+    count += 1;
+  }
+  return count > 0 ? sum.map((x) => x / count) : null;
+}
 
-  return results
-    .sort((a, b) => b.score - a.score)
-    .slice(0, limit);
+/**
+ * Find notes like a set of positive seeds and unlike a set of negative ones.
+ *
+ * Seeds are note paths (whose stored vectors are reused) or free-text queries
+ * (encoded with the embedder; it is not called when every seed is a note).
+ * They are combined Rocchio-style: the centroid of the positive seeds minus
+ * negativeWeight times the centroid of the negative seeds, each seed scaled
+ * to unit length first. The combined vector is then searched like a query.
+ * Every entry of a seed note (the note and its blocks) is left out of the results.
+ *
+ * @param {{
+ *   positiveNotes?: string[],
+ *   positiveQueries?: string[],
+ *   negativeNotes?: string[],
+ *   negativeQueries?: string[]
+ * }} seeds - Seed note paths and queries; at least one positive seed is required.
+ * @param {Map<string, {vec: number[], type: string, meta?: object}>} embeddings - Preloaded vault embeddings.
+ * @param {{ encode: (text: string) => Promise<Float32Array> }} embedder - Text encoder instance (for query seeds).
+ * @param {object} [options] - semanticSearch options, plus negativeWeight (default 0.5).
+ * @returns {Promise<Array<object>>} Results as returned by semanticSearch.
+ * @throws {Error} If there is no positive seed, a seed note is not in the embeddings Map,
+ *   or a seed's dimensions differ from the stored vectors'.
+ */
+export async function findRelatedToSeeds(seeds, embeddings, embedder, options = {}) {
+  const { positiveNotes = [], positiveQueries = [], negativeNotes = [], negativeQueries = [] } = seeds;
+  if (positiveNotes.length + positiveQueries.length === 0) {
+    throw new Error('at least one positive seed (note or query) is required');
+  }
+  const negativeWeight = options.negativeWeight ?? DEFAULT_NEGATIVE_WEIGHT;
+
+  const seedNotes = [...positiveNotes, ...negativeNotes];
+  const missing = seedNotes.filter((notePath) => !embeddings.get(notePath)?.vec);
+  if (missing.length > 0) {
+    throw new Error(`seed note(s) not found in the embeddings Map: ${missing.join(', ')}`);
+  }
+
+  const noteVectors = (paths) => paths.map((notePath) => embeddings.get(notePath).vec);
+  const queryVectors = (queries) => Promise.all(queries.map((q) => encodeQuery(q, embeddings, embedder)));
+  const positives = [...noteVectors(positiveNotes), ...(await queryVectors(positiveQueries))];
+  const negatives = [...noteVectors(negativeNotes), ...(await queryVectors(negativeQueries))];
+
+  const dims = positives[0].length;
+  const odd = [...positives, ...negatives].find((vec) => vec.length !== dims);
+  if (odd) {
+    throw new Error(`seed vectors have different dimensions (${dims} and ${odd.length})`);
+  }
+
+  const positive = unitCentroid(positives, dims) ?? new Array(dims).fill(0);
+  const negative = unitCentroid(negatives, dims);
+  const combined = negative ? positive.map((x, i) => x - negativeWeight * negative[i]) : positive;
+
+  // Leave out the seeds themselves, and their blocks or parent notes.
+  const seedFiles = new Set(seedNotes.map(extractNotePath));
+  const exclude = new Set(options.exclude);
+  for (const entryPath of embeddings.keys()) {
+    if (seedFiles.has(extractNotePath(entryPath))) {
+      exclude.add(entryPath);
+    }
+  }
+  return searchVector(combined, embeddings, { ...options, exclude });
 }
 
 /**
  * Compute summary statistics for the loaded embeddings collection.
  *
- * @param {Map<string, {vec: number[], type: string}>} embeddings - Preloaded vault embeddings.
+ * @param {Map<string, {vec: number[], type: string, meta?: object}>} embeddings - Preloaded vault embeddings.
+ * @param {{ modelId?: string|null }} [options] - modelId is the model key the loader
+ *   selected; defaults to bge-micro-v2 when not provided.
  * @returns {{ totalNotes: number, totalBlocks: number, dimensions: number, modelId: string }}
  *   totalNotes: count of entries with type "source".
  *   totalBlocks: count of entries with type "block".
  *   dimensions: vec.length of the first entry, or 0 if the Map is empty.
- *   modelId: the HuggingFace model identifier used to generate the embeddings.
+ *   modelId: the model identifier used to generate the embeddings.
  */
-export function getStats(embeddings) {
+export function getStats(embeddings, options = {}) {
   // Use a single-pass reduce to count types and capture dimensions immutably.
   const { totalNotes, totalBlocks, dimensions } = Array.from(embeddings.values()).reduce(
     (acc, { vec, type }) => ({
@@ -126,5 +768,5 @@ export function getStats(embeddings) {
     { totalNotes: 0, totalBlocks: 0, dimensions: 0 }
   );
 
-  return { totalNotes, totalBlocks, dimensions, modelId: MODEL_ID };
+  return { totalNotes, totalBlocks, dimensions, modelId: options.modelId ?? DEFAULT_MODEL_KEY };
 }
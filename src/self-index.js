@@ -0,0 +1,332 @@
+// Self-indexing: embeds Markdown notes that Smart Connections has not covered (or
+// covered before they last changed) with the server's own embedder, caches the vectors
+// under .smart-search/, and merges them into the served embeddings.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { chunkMarkdown } from './chunker.js';
+import { checkFreshness } from './freshness.js';
+import { listVaultFiles } from './vault-files.js';
+import { extractNotePath } from './reader.js';
+
+// Cache location, relative to the vault root. Kept apart from .smart-env/ so the
+// plugin never sees (or overwrites) vectors it did not produce.
+const CACHE_DIR = '.smart-search';
+const CACHE_FILE = 'self-index.json';
+
+// Bumped when the cache layout changes; older caches are discarded.
+const CACHE_VERSION = 1;
+
+// Time between background passes that pick up notes added or edited since the last one.
+const DEFAULT_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Create an empty cache for a model.
+ *
+ * @param {string|null} modelKey - Model the cached vectors are produced by.
+ * @returns {{modelKey: string|null, notes: Map}} An empty cache.
+ */
+function emptyCache(modelKey) {
+  return { modelKey, notes: new Map() };
+}
+
+/**
+ * Load the self-index cache from the vault.
+ *
+ * A missing, unreadable, or corrupt cache, or one written for a different
+ * model or cache version, is treated as empty: the notes are simply embedded
+ * again.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {string|null} modelKey - Model the caller embeds with.
+ * @returns {Promise<{
+ *   modelKey: string|null,
+ *   notes: Map<string, {mtime: number, size: number, entries: Array<{key: string, type: string, vec: Float32Array, lines?: number[]}>}>
+ * }>} The cache, keyed by vault-relative note path.
+ */
+export async function loadSelfIndexCache(vaultPath, modelKey) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await fs.readFile(path.join(vaultPath, CACHE_DIR, CACHE_FILE), 'utf-8'));
+  } catch {
+    return emptyCache(modelKey);
+  }
+  if (parsed?.version !== CACHE_VERSION || parsed.modelKey !== modelKey || typeof parsed.notes !== 'object') {
+    return emptyCache(modelKey);
+  }
+
+  const notes = new Map();
+  for (const [notePath, note] of Object.entries(parsed.notes ?? {})) {
+    if (!note || !Array.isArray(note.entries)) {
+      continue;
+    }
+    const entries = note.entries
+      .filter((e) => typeof e?.key === 'string' && Array.isArray(e.vec))
+      .map((e) => ({ ...e, vec: Float32Array.from(e.vec) }));
+    notes.set(notePath, { mtime: note.mtime, size: note.size, entries });
+  }
+  return { modelKey, notes };
+}
+
+/**
+ * Write the self-index cache to <vault>/.smart-search/self-index.json.
+ *
+ * Written to a temporary file and renamed into place, so a crash mid-write
+ * never leaves a truncated cache behind.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{modelKey: string|null, notes: Map}} cache - The cache to save.
+ * @returns {Promise<void>}
+ */
+export async function saveSelfIndexCache(vaultPath, cache) {
+  const dir = path.join(vaultPath, CACHE_DIR);
+  await fs.mkdir(dir, { recursive: true });
+
+  const notes = {};
+  for (const [notePath, note] of cache.notes) {
+    notes[notePath] = {
+      mtime: note.mtime,
+      size: note.size,
+      entries: note.entries.map((e) => ({ ...e, vec: Array.from(e.vec) })),
+    };
+  }
+
+  const target = path.join(dir, CACHE_FILE);
+  const tmp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ version: CACHE_VERSION, modelKey: cache.modelKey, notes }));
+  await fs.rename(tmp, target);
+}
+
+/**
+ * Embed one note: the whole body as a source entry, and each heading section as a block.
+ *
+ * Blocks are embedded with their heading chain prepended, so a short section
+ * still carries the context of where it sits in the note.
+ *
+ * @param {string} content - The note's Markdown content.
+ * @param {{ encode: (text: string) => Promise<Float32Array> }} embedder - Text encoder.
+ * @returns {Promise<Array<{key: string, type: string, vec: Float32Array, lines?: number[]}>>}
+ *   Entries keyed relative to the note ("" for the note itself, "#Heading" for blocks).
+ */
+async function embedNote(content, embedder) {
+  const { text, blocks } = chunkMarkdown(content);
+  if (!text) {
+    return [];
+  }
+
+  const entries = [{ key: '', type: 'source', vec: await embedder.encode(text) }];
+  for (const block of blocks) {
+    const vec = await embedder.encode(`${block.heading}\n${block.text}`);
+    entries.push({ key: block.key, type: 'block', vec, lines: block.lines });
+  }
+  return entries;
+}
+
+/**
+ * Return the Smart Connections embeddings underneath any merged self-indexed entries.
+ *
+ * After applySelfIndex, index.embeddings is the merged Map and the original is
+ * kept on index.selfIndex.base. A reload replaces index.embeddings with a
+ * freshly built Map, which is then the base again.
+ *
+ * @param {{embeddings: Map, selfIndex?: {base: Map, merged: Map}}} index - The index.
+ * @returns {Map} The base embeddings.
+ */
+function baseEmbeddings(index) {
+  const { selfIndex } = index;
+  return selfIndex && index.embeddings === selfIndex.merged ? selfIndex.base : index.embeddings;
+}
+
+/**
+ * Embed the vault's Markdown notes that Smart Connections has not embedded, or
+ * embedded before they last changed.
+ *
+ * Notes already in the cache with the same mtime and size are reused rather
+ * than embedded again. Notes that no longer need self-indexing (deleted, or
+ * since embedded by Smart Connections) are dropped from the returned cache.
+ * A note that cannot be read or encoded is skipped and retried next pass.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{embeddings: Map}} index - The current index.
+ * @param {{ encode: (text: string) => Promise<Float32Array>, modelId?: string }} embedder - Text encoder;
+ *   must produce vectors in the same space as the stored embeddings.
+ * @param {{ cache?: object, files?: Map<string, {mtime: number, size: number}> }} [options]
+ *   cache: previous cache (defaults to empty); files: vault listing (defaults to listVaultFiles).
+ * @returns {Promise<{cache: {modelKey: string|null, notes: Map}, embedded: number, reused: number, failed: number}>}
+ */
+export async function selfIndexVault(vaultPath, index, embedder, options = {}) {
+  const previous = options.cache ?? emptyCache(embedder.modelId ?? null);
+  const files = options.files ?? (await listVaultFiles(vaultPath));
+
+  const report = checkFreshness(baseEmbeddings(index), files);
+  const targets = [...report.unembedded, ...report.stale.map((s) => s.path)]
+    .filter((p) => p.endsWith('.md'))
+    .sort();
+
+  const notes = new Map();
+  let embedded = 0;
+  let reused = 0;
+  let failed = 0;
+  for (const notePath of targets) {
+    const file = files.get(notePath);
+    const cached = previous.notes.get(notePath);
+    if (cached && cached.mtime === file.mtime && cached.size === file.size) {
+      notes.set(notePath, cached);
+      reused += 1;
+      continue;
+    }
+    try {
+      const content = await fs.readFile(path.join(vaultPath, notePath), 'utf-8');
+      const entries = await embedNote(content, embedder);
+      notes.set(notePath, { mtime: file.mtime, size: file.size, entries });
+      embedded += 1;
+    } catch {
+      failed += 1;
+    }
+  }
+
+  return { cache: { modelKey: previous.modelKey, notes }, embedded, reused, failed };
+}
+
+/**
+ * Decide whether a Smart Connections entry is at least as new as a self-indexed note.
+ *
+ * @param {{meta?: {mtime?: number, size?: number}}|undefined} entry - The note's entry in the base Map.
+ * @param {{mtime: number, size: number}} note - The cached note.
+ * @returns {boolean} True if the plugin's entry should be kept.
+ */
+function baseIsCurrent(entry, note) {
+  const meta = entry?.meta;
+  if (!meta || !Number.isFinite(meta.mtime) || meta.mtime < note.mtime) {
+    return false;
+  }
+  return !Number.isFinite(meta.size) || meta.size === note.size;
+}
+
+/**
+ * Merge cached self-indexed notes into an index's embeddings.
+ *
+ * For each cached note, the plugin's entries are kept when they are at least
+ * as new as the cache (Smart Connections has caught up); otherwise every entry
+ * for the note is replaced by the cached ones. Self-indexed entries carry
+ * meta.selfIndexed = true. The base Map is kept on index.selfIndex so the
+ * merge can be redone on a later pass without compounding.
+ *
+ * @param {{embeddings: Map, selfIndex?: object}} index - The index to merge into.
+ * @param {{modelKey: string|null, notes: Map}} cache - Cache from selfIndexVault or loadSelfIndexCache.
+ * @returns {object} A new index; the input is not mutated.
+ */
+export function applySelfIndex(index, cache) {
+  const base = baseEmbeddings(index);
+  const notePaths = new Set(Array.from(base.keys(), extractNotePath));
+
+  const replaced = new Map();
+  for (const [notePath, note] of cache.notes) {
+    if (!notePaths.has(notePath) || !baseIsCurrent(base.get(notePath), note)) {
+      replaced.set(notePath, note);
+    }
+  }
+
+  const merged = new Map();
+  for (const [entryPath, entry] of base) {
+    if (!replaced.has(extractNotePath(entryPath))) {
+      merged.set(entryPath, entry);
+    }
+  }
+  for (const [notePath, note] of replaced) {
+    for (const { key, type, vec, lines } of note.entries) {
+      const meta = type === 'source'
+        ? { mtime: note.mtime, size: note.size, selfIndexed: true }
+        : { lines, selfIndexed: true };
+      merged.set(`${notePath}${key}`, { vec, type, meta });
+    }
+  }
+
+  return { ...index, embeddings: merged, selfIndex: { cache, base, merged } };
+}
+
+/**
+ * Keep an index store topped up with self-indexed notes.
+ *
+ * Loads the cache, merges it straight away, then runs a pass immediately and
+ * every intervalMs: embed what is missing or stale, save the cache, and merge
+ * it into the store. Passes never overlap. Errors are passed to onError and
+ * leave the store untouched.
+ *
+ * Watcher reloads rebuild index.embeddings from the .ajson files; pass
+ * reapplySelfIndex as the watcher's transform so the merged entries survive.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{ current: Function, update: Function }} store - Index store from createIndexStore.
+ * @param {{ encode: Function, modelId?: string }} embedder - Text encoder for the vault's model.
+ * @param {{
+ *   intervalMs?: number,
+ *   onIndexed?: (result: {embedded: number, reused: number, failed: number}) => void,
+ *   onError?: (err: Error) => void
+ * }} [options] - intervalMs defaults to ten minutes.
+ * @returns {{ run: () => Promise<void>, close: () => void }} run() triggers a pass now; close() stops the timer.
+ */
+export function startSelfIndexing(vaultPath, store, embedder, options = {}) {
+  const intervalMs = options.intervalMs ?? DEFAULT_INTERVAL_MS;
+  let cache = null;
+  let running = null;
+
+  /**
+   * One pass: merge the saved cache on first run, then embed, save, and merge.
+   *
+   * @returns {Promise<void>}
+   */
+  async function pass() {
+    if (!cache) {
+      const loaded = await loadSelfIndexCache(vaultPath, embedder.modelId ?? null);
+      await store.update((index) => applySelfIndex(index, loaded));
+      cache = loaded;
+    }
+
+    const result = await selfIndexVault(vaultPath, store.current(), embedder, { cache });
+    await saveSelfIndexCache(vaultPath, result.cache);
+    await store.update((index) => applySelfIndex(index, result.cache));
+    cache = result.cache;
+    options.onIndexed?.(result);
+  }
+
+  /**
+   * Start a pass unless one is already running.
+   *
+   * @returns {Promise<void>} Settles when the current pass finishes.
+   */
+  function run() {
+    running ??= pass()
+      .catch((err) => options.onError?.(err))
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  const timer = setInterval(run, intervalMs);
+  // Do not keep the process alive just for the next pass.
+  timer.unref?.();
+  run();
+
+  return {
+    run,
+    close() {
+      clearInterval(timer);
+    },
+  };
+}
+
+/**
+ * Re-merge the self-indexed notes an index already carries.
+ *
+ * Intended as the watcher's transform: after a reload replaces the embeddings,
+ * this puts the self-indexed entries back (or drops them where Smart
+ * Connections has caught up). Indexes without self-indexed notes pass through.
+ *
+ * @param {object} index - The freshly reloaded index.
+ * @returns {object} The index with self-indexed notes merged.
+ */
+export function reapplySelfIndex(index) {
+  return index.selfIndex ? applySelfIndex(index, index.selfIndex.cache) : index;
+}
@@ -1,36 +1,442 @@
 // MCP server entry point for smart-search.
-// Registers semantic_search, find_related, and vault_stats tools over stdio transport.
+// Registers the search, related-note, link-suggestion, stats, health, freshness, duplicates, clustering, ann_recall,
+// and read_note tools over stdio transport.
 
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
-import { loadEmbeddings } from './ajson-parser.js';
+import { loadVaultIndex, FORMAT_READERS } from './formats.js';
+import { createIndexStore } from './index-store.js';
+import { watchEmbeddings } from './watcher.js';
 import { createEmbedder } from './embedder.js';
-import { semanticSearch, findRelated, getStats } from './search.js';
-import { readNote } from './reader.js';
+import {
+  semanticSearch,
+  lexicalSearch,
+  hybridSearch,
+  findRelated,
+  findRelatedToSeeds,
+  getStats,
+  checkModelCompatibility,
+  DEFAULT_LIMIT,
+} from './search.js';
+import { readNote, extractNotePath } from './reader.js';
+import { buildHealthReport } from './health.js';
+import { createVaultScanner } from './vault-files.js';
+import { createVaultReader } from './vault-reader.js';
+import { checkFreshness, findOrphans } from './freshness.js';
+import { startSelfIndexing, reapplySelfIndex } from './self-index.js';
+import { createLexicalIndex } from './lexical-index.js';
+import { createMetadataIndex } from './metadata-index.js';
+import { compileNoteFilter, usesMetadata } from './metadata-filter.js';
+import { createPager, searchKey, MAX_PAGED_RESULTS } from './pagination.js';
+import { findDuplicates, DEFAULT_DUPLICATE_THRESHOLD, MIN_DUPLICATE_THRESHOLD } from './duplicates.js';
+import { clusterVault } from './clustering.js';
+import { createLinkGraph } from './link-graph.js';
+import { suggestLinks, DEFAULT_SUGGESTION_THRESHOLD } from './link-suggestions.js';
+import { noteDate } from './recency.js';
+import { readSnippets, queryTermRanker } from './snippets.js';
+import { cosineSimilarity } from './similarity.js';
+import { keepAnnIndex, measureRecall } from './hnsw.js';
+import { createScoringPool } from './scoring-pool.js';
+import { createReranker, rerankResults, DEFAULT_RERANK_CANDIDATES } from './reranker.js';
+
+// Default number of paths listed per category by embedding_freshness.
+const DEFAULT_FRESHNESS_LIMIT = 20;
+
+// Default number of clusters listed by find_duplicates.
+const DEFAULT_DUPLICATE_CLUSTERS = 20;
 
 // ---------------------------------------------------------------------------
 // Result formatting helpers
 // ---------------------------------------------------------------------------
 
+/**
+ * Describe a result's metadata as a short bracketed suffix.
+ *
+ * Shows the note's last-modified date, for blocks the line range the block
+ * covers, and whether the entry was embedded by this server rather than Smart
+ * Connections. Returns an empty string when none of these apply.
+ *
+ * @param {{mtime?: number, lines?: [number, number], selfIndexed?: boolean}|undefined} meta - Entry metadata.
+ * @returns {string} Suffix such as " [modified 2024-05-01, lines 3-10]", or "".
+ */
+function formatMeta(meta) {
+  if (!meta) {
+    return '';
+  }
+  const parts = [];
+  if (Number.isFinite(meta.mtime)) {
+    parts.push(`modified ${new Date(meta.mtime).toISOString().slice(0, 10)}`);
+  }
+  if (meta.lines) {
+    parts.push(`lines ${meta.lines[0]}-${meta.lines[1]}`);
+  }
+  if (meta.selfIndexed) {
+    parts.push('self-indexed');
+  }
+  return parts.length > 0 ? ` [${parts.join(', ')}]` : '';
+}
+
+/**
+ * Describe a result's extra scores: hybrid components, link boosts, recency, and the reranker's score.
+ *
+ * @param {{semanticScore?: number|null, lexicalScore?: number, similarity?: number,
+ *   linkBoosts?: Record<string, number>, recency?: {date: number|null, source: string|null, decay: number},
+ *   rerankScore?: number|null}} result - A search result.
+ * @returns {string} Suffix such as ", semantic: 0.812, lexical: 7.410, rerank: 0.964",
+ *   ", similarity: 0.701, proximity: +0.100", or ", similarity: 0.620, recency: 0.947 (2024-05-01, filename)";
+ *   "" for plain results.
+ */
+function formatComponents(result) {
+  const score = (value) => (value === null ? 'n/a' : value.toFixed(3));
+  const parts = [];
+  if (result.lexicalScore !== undefined && result.semanticScore !== undefined) {
+    parts.push(`semantic: ${score(result.semanticScore)}`, `lexical: ${score(result.lexicalScore)}`);
+  }
+  if (result.linkBoosts || result.recency) {
+    parts.push(`similarity: ${score(result.similarity)}`);
+  }
+  for (const [signal, boost] of Object.entries(result.linkBoosts ?? {})) {
+    parts.push(`${signal}: +${score(boost)}`);
+  }
+  if (result.recency) {
+    const { date, source, decay } = result.recency;
+    const dated = date === null ? 'undated' : `${new Date(date).toISOString().slice(0, 10)}, ${source}`;
+    parts.push(`recency: ${score(decay)} (${dated})`);
+  }
+  if (result.rerankScore !== undefined) {
+    parts.push(`rerank: ${score(result.rerankScore)}`);
+  }
+  return parts.map((part) => `, ${part}`).join('');
+}
+
 /**
  * Format an array of search results as a human-readable text string.
  *
- * Each result is rendered on its own line: "path (score: X.XXX)".
+ * Each result is rendered on its own line: "path (score: X.XXX)", followed by
+ * the modified date and block line range when the entry's metadata has them.
+ * Hybrid results also show their semantic and lexical component scores.
+ * When snippets are given, each result's excerpt follows on an indented line.
  * Returns a fallback message when the results array is empty.
  *
- * @param {Array<{path: string, score: number}>} results - Sorted search results.
+ * @param {Array<{path: string, score: number, semanticScore?: number|null, lexicalScore?: number, meta?: object}>} results -
+ *   Sorted search results.
+ * @param {Array<{text: string, section: string|null}|null>} [snippets] - Excerpts from readSnippets, one per result.
  * @returns {string} Formatted multi-line text ready for MCP content.
  */
-function formatResults(results) {
+function formatResults(results, snippets) {
   if (results.length === 0) {
     return 'No results found.';
   }
   return results
-    .map((r) => `${r.path} (score: ${r.score.toFixed(3)})`)
+    .map((r, i) =>
+      `${r.path} (score: ${r.score.toFixed(3)}${formatComponents(r)})${formatMeta(r.meta)}${formatSnippet(snippets?.[i])}`)
     .join('\n');
 }
 
+/**
+ * Render a result's excerpt as an indented line.
+ *
+ * @param {{text: string, section: string|null}|null|undefined} snippet - Excerpt from readSnippets.
+ * @returns {string} A line such as '\n  > Goals: Ship the importer...', or "" without an excerpt.
+ */
+function formatSnippet(snippet) {
+  if (!snippet) {
+    return '';
+  }
+  return `\n  > ${snippet.section ? `${snippet.section}: ` : ''}${snippet.text}`;
+}
+
+/**
+ * Describe where a page sits in its result list, for responses with more than one page.
+ *
+ * The pager ranks only a few pages ahead, so the number of matches is known
+ * once the ranking has run out of them; until then the footer names none.
+ *
+ * @param {{results: Array<object>, offset: number, ranked: number, complete: boolean, next: string|null}} page -
+ *   A page from the pager.
+ * @returns {string} A footer such as '\n\nResults 11-20 of 57. Next page: cursor "..."', or "" when
+ *   the page holds every result.
+ */
+function formatPageFooter(page) {
+  if (page.offset === 0 && page.next === null) {
+    return '';
+  }
+  const range = `Results ${page.offset + 1}-${page.offset + page.results.length}`;
+  let position;
+  if (page.complete) {
+    position = page.results.length === 0
+      ? `Offset ${page.offset} is past the last of ${page.ranked} results.`
+      : `${range} of ${page.ranked}.`;
+  } else if (page.next) {
+    position = `${range}; more results follow.`;
+  } else {
+    position = page.results.length === 0
+      ? `Offset ${page.offset} is past the first ${MAX_PAGED_RESULTS} results, the most that can be paged.`
+      : `${range}; paging stops at ${MAX_PAGED_RESULTS} results.`;
+  }
+  const next = page.next ? ` Next page: cursor "${page.next}"` : '';
+  return `\n\n${position}${next}`;
+}
+
+/**
+ * Format notes grouped by semanticSearch's groupBy "note" as human-readable text.
+ *
+ * Each note is rendered like a flat result, with its own (note-level) score
+ * when it has one and its excerpt when snippets are given, followed by its
+ * best-matching headings, indented.
+ *
+ * @param {Array<{path: string, score: number, noteScore: number|null, headings: Array<object>, meta?: object}>} notes -
+ *   Grouped results, best first.
+ * @param {Array<{text: string, section: string|null}|null>} [snippets] - Excerpts from readSnippets, one per note.
+ * @returns {string} Formatted multi-line text ready for MCP content.
+ */
+function formatGroupedResults(notes, snippets) {
+  if (notes.length === 0) {
+    return 'No results found.';
+  }
+  return notes
+    .map((note, i) => {
+      const noteScore = note.noteScore === null ? '' : `, note: ${note.noteScore.toFixed(3)}`;
+      const lines = [
+        `${note.path} (score: ${note.score.toFixed(3)}${noteScore})${formatMeta(note.meta)}${formatSnippet(snippets?.[i])}`,
+      ];
+      for (const h of note.headings) {
+        lines.push(`  - ${h.heading} (${h.score.toFixed(3)})${formatMeta(h.meta && { lines: h.meta.lines })}`);
+      }
+      return lines.join('\n');
+    })
+    .join('\n');
+}
+
+/**
+ * Render a health report from buildHealthReport as human-readable text.
+ *
+ * Starts with a one-line verdict, then lists each problem category that has
+ * findings along with a few example files, lines, or paths.
+ *
+ * @param {ReturnType<typeof buildHealthReport>} report - The report to render.
+ * @returns {string} Formatted multi-line text ready for MCP content.
+ */
+function formatHealthReport(report) {
+  const lines = [
+    report.issues === 0 ? 'Index healthy: no problems found.' : `Index has ${report.issues} problem(s).`,
+    `Entries loaded: ${report.entries}`,
+  ];
+  if (report.filesParsed !== null) {
+    lines.push(`Files parsed: ${report.filesParsed}`);
+  }
+
+  const { dimensions } = report;
+  if (dimensions.expected !== null) {
+    lines.push(`Dimensions: ${dimensions.expected}`);
+  }
+  if (dimensions.mismatched > 0) {
+    const found = dimensions.counts.map((d) => `${d.dimensions} (${d.count})`).join(', ');
+    lines.push(`Dimension mismatches: ${dimensions.mismatched} entries (found ${found})`);
+    for (const sample of dimensions.samples) {
+      lines.push(`  ${sample.path}: ${sample.dimensions} dimensions`);
+    }
+  }
+
+  if (report.unreadable.length > 0) {
+    lines.push(`Unreadable files: ${report.unreadable.length}`);
+    for (const { file, error } of report.unreadable) {
+      lines.push(`  ${file}: ${error}`);
+    }
+  }
+
+  const reasons = Object.entries(report.skipped);
+  if (reasons.length > 0) {
+    lines.push(`Skipped entries: ${reasons.map(([reason, n]) => `${reason} (${n})`).join(', ')}`);
+    for (const { file, samples } of report.skippedFiles) {
+      for (const sample of samples) {
+        const where = sample.line !== undefined ? `line ${sample.line}` : sample.path;
+        lines.push(`  ${file} ${where}: ${sample.reason}`);
+      }
+    }
+  }
+
+  if (report.duplicates.count > 0) {
+    lines.push(`Duplicate keys across files: ${report.duplicates.count}`);
+    for (const { path: entryPath, files } of report.duplicates.samples) {
+      lines.push(`  ${entryPath}: ${files.join(', ')} (last file wins)`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a freshness report from checkFreshness as human-readable text.
+ *
+ * Lists up to `limit` paths per category and says how many more there are.
+ *
+ * @param {ReturnType<typeof checkFreshness>} report - The report to render.
+ * @param {number} limit - Maximum paths listed per category.
+ * @returns {string} Formatted multi-line text ready for MCP content.
+ */
+function formatFreshnessReport(report, limit) {
+  const lines = [`Notes with embeddings: ${report.notesChecked}`];
+
+  const section = (title, items, render) => {
+    lines.push(`${title}: ${items.length}`);
+    for (const item of items.slice(0, limit)) {
+      lines.push(`  ${render(item)}`);
+    }
+    if (items.length > limit) {
+      lines.push(`  ... and ${items.length - limit} more`);
+    }
+  };
+  const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+  section('Orphaned (file missing)', report.orphaned, (o) => `${o.path} (${o.entries} entries)`);
+  section('Stale (changed since embedded)', report.stale, (s) =>
+    s.reason === 'modified'
+      ? `${s.path} (embedded ${day(s.embeddedAt)}, modified ${day(s.modifiedAt)})`
+      : `${s.path} (size changed)`
+  );
+  section('Not embedded', report.unembedded, (p) => p);
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a byte count with a binary unit, e.g. "812 B" or "2.1 KB".
+ *
+ * @param {number} bytes - Size in bytes.
+ * @returns {string} The formatted size.
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Render duplicate clusters from findDuplicates as human-readable text.
+ *
+ * Each entry is listed with its note's size and last-modified date, taken
+ * from the vault scan when there is one and from the entry's metadata
+ * otherwise, so the user can tell which copy to keep.
+ *
+ * @param {ReturnType<typeof findDuplicates>} report - The duplicate report.
+ * @param {Map<string, {meta?: {mtime?: number, size?: number}}>} embeddings - The embeddings that were searched.
+ * @param {Map<string, {mtime: number, size: number}>|null} files - Vault files from the scanner, if any.
+ * @param {{type: string, threshold: number, limit: number}} params - The search parameters, for the summary.
+ * @returns {string} Formatted multi-line text ready for MCP content.
+ */
+function formatDuplicateReport(report, embeddings, files, params) {
+  const how = report.method === 'exact'
+    ? `compared all ${report.comparisons} pairs`
+    : `compared ${report.comparisons} candidate pairs from locality-sensitive hashing`;
+  const summary =
+    `Duplicate clusters: ${report.clusters.length} ` +
+    `(similarity >= ${params.threshold}, ${report.entries} ${params.type} entries, ${how})`;
+  if (report.clusters.length === 0) {
+    return summary;
+  }
+
+  const lines = [summary];
+  report.clusters.slice(0, params.limit).forEach((cluster, i) => {
+    const range = cluster.minScore === cluster.maxScore
+      ? cluster.maxScore.toFixed(3)
+      : `${cluster.minScore.toFixed(3)}-${cluster.maxScore.toFixed(3)}`;
+    lines.push('', `Cluster ${i + 1}: ${cluster.paths.length} entries, similarity ${range}`);
+    for (const path of cluster.paths) {
+      const stats = files?.get(extractNotePath(path)) ?? embeddings.get(path)?.meta ?? {};
+      const parts = [];
+      if (Number.isFinite(stats.size)) {
+        parts.push(formatSize(stats.size));
+      }
+      if (Number.isFinite(stats.mtime)) {
+        parts.push(`modified ${new Date(stats.mtime).toISOString().slice(0, 10)}`);
+      }
+      lines.push(`  ${path}${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`);
+    }
+  });
+  if (report.clusters.length > params.limit) {
+    lines.push('', `... ${report.clusters.length - params.limit} more clusters`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render link suggestions from suggestLinks as human-readable text.
+ *
+ * Each suggestion is listed like a search result, followed by its evidence:
+ * the section of the note where the link fits (with its line range when
+ * known) and the matching section of the suggested note.
+ *
+ * @param {string} notePath - The note the suggestions are for.
+ * @param {ReturnType<typeof suggestLinks>} report - The suggestions.
+ * @returns {string} Formatted multi-line text ready for MCP content.
+ */
+function formatLinkSuggestions(notePath, report) {
+  const header = `Link suggestions for ${notePath} (links to ${report.outlinks.length} notes, ` +
+    `linked from ${report.backlinks.length}):`;
+  if (report.suggestions.length === 0) {
+    return `${header}\nNo unlinked related notes found.`;
+  }
+  const lines = [header];
+  for (const suggestion of report.suggestions) {
+    lines.push(`${suggestion.path} (score: ${suggestion.score.toFixed(3)})`);
+    const { evidence } = suggestion;
+    if (evidence) {
+      const where = evidence.lines ? ` [lines ${evidence.lines[0]}-${evidence.lines[1]}]` : '';
+      lines.push(`  ${evidence.from}${where} matches ${evidence.to} (${evidence.score.toFixed(3)})`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render topic clusters from clusterVault as human-readable text.
+ *
+ * @param {ReturnType<typeof clusterVault>} result - The clustering.
+ * @returns {string} Formatted multi-line text ready for MCP content.
+ */
+function formatClusters(result) {
+  if (result.notes === 0) {
+    return 'No notes to cluster.';
+  }
+  const lines = [`Clusters: ${result.clusters.length} (${result.notes} notes, k-means, ${result.iterations} rounds)`];
+  result.clusters.forEach((cluster, i) => {
+    lines.push('', `${i + 1}. ${cluster.label || '(no distinctive words)'} -- ${cluster.size} notes`);
+    for (const r of cluster.representatives) {
+      lines.push(`  ${r.path} (${r.score.toFixed(3)})`);
+    }
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Render a recall measurement from measureRecall as human-readable text.
+ *
+ * @param {ReturnType<typeof measureRecall>} report - The measurement to render.
+ * @param {number} ef - Search breadth the measurement used.
+ * @returns {string} Formatted multi-line text ready for MCP content.
+ */
+function formatRecallReport(report, ef) {
+  if (report.queries === 0) {
+    return 'No embeddings to measure recall on.';
+  }
+  const perQuery = (ms) => `${(ms / report.queries).toFixed(2)} ms/query`;
+  return [
+    `Recall@${report.k}: ${report.recall.toFixed(3)} (${report.queries} queries, ef ${ef})`,
+    `Exact search: ${perQuery(report.exactMs)}`,
+    `ANN search: ${perQuery(report.annMs)}`,
+  ].join('\n');
+}
+
 /**
  * Wrap a string in an MCP text content envelope.
  *
@@ -41,6 +447,39 @@ function textContent(text) {
   return { content: [{ type: 'text', text }] };
 }
 
+/**
+ * Parse an optional date filter parameter.
+ *
+ * @param {string} name - Parameter name, for the error message.
+ * @param {string|undefined} value - ISO 8601 date or date-time, e.g. "2024-05-01".
+ * @returns {number|undefined} Epoch milliseconds, or undefined when unset.
+ * @throws {Error} If the value is not a date.
+ */
+function parseDateFilter(name, value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${name} must be an ISO date such as 2024-05-01 (got "${value}")`);
+  }
+  return time;
+}
+
+/**
+ * Collect the link boost weights a search tool was called with.
+ *
+ * @param {{proximity_weight?: number, backlink_weight?: number, pagerank_weight?: number}} args - Tool arguments.
+ * @returns {{proximityWeight: number, backlinkWeight: number, pagerankWeight: number}|null} The weights,
+ *   or null when none is above 0.
+ */
+function linkWeights({ proximity_weight = 0, backlink_weight = 0, pagerank_weight = 0 }) {
+  if (proximity_weight === 0 && backlink_weight === 0 && pagerank_weight === 0) {
+    return null;
+  }
+  return { proximityWeight: proximity_weight, backlinkWeight: backlink_weight, pagerankWeight: pagerank_weight };
+}
+
 // ---------------------------------------------------------------------------
 // Server factory (exported for testing)
 // ---------------------------------------------------------------------------
@@ -52,12 +491,78 @@ function textContent(text) {
  * themselves. This separation lets tests exercise tool registration without
  * starting stdio.
  *
- * @param {Map<string, {vec: number[], type: string}>} embeddings - Preloaded vault embeddings.
- * @param {{ encode: (text: string) => Promise<Float32Array> }} embedder - Text encoder instance.
+ * Embeddings may be passed as a plain Map (served as-is for the server's
+ * lifetime) or as an index store from createIndexStore. With a store, every
+ * tool call reads the store's current snapshot once, so live reloads swap in
+ * between calls and never in the middle of one.
+ *
+ * @param {Map<string, {vec: number[], type: string}>|{current: Function}} embeddings -
+ *   Preloaded vault embeddings, or an index store.
+ * @param {{ encode: (text: string) => Promise<Float32Array>, modelId?: string }} embedder - Text encoder instance.
  * @param {string|null} [vaultPath] - Absolute path to the vault root (required for read_note).
- * @returns {McpServer} Configured server with semantic_search, find_related, vault_stats, read_note tools.
+ * When a vault path is given, semantic_search leaves out entries whose note
+ * no longer exists on disk unless include_orphans is set. The vault's file
+ * list is kept by a scanner that watches the vault and rescans it in the
+ * background (see createVaultScanner), so searches do not walk the vault.
+ * Tag, property, and date filters, link boosts, and suggest_links also need
+ * the vault path.
+ * semantic_search and find_related page their results (see createPager); the
+ * ranked lists behind outstanding cursors are kept by the server.
+ *
+ * @param {{
+ *   modelKey?: string|null,
+ *   modelKeys?: Array<{modelKey: string, count: number}>,
+ *   scanner?: {files: Function, refresh: Function},
+ *   workers?: {rank: Function},
+ *   reranker?: {score: Function}
+ * }} [options]
+ *   modelKey and modelKeys are only used when embeddings is a Map (a store's snapshots carry their own).
+ *   modelKey: model the stored vectors were produced by (as selected by loadEmbeddingIndex).
+ *   modelKeys: every model key found in the vault, with entry counts.
+ *   scanner: vault file scanner; defaults to a watching createVaultScanner(vaultPath) when vaultPath is set.
+ *   workers: scoring pool from createScoringPool, used by semantic and hybrid search on very large vaults.
+ *   reranker: cross-encoder for semantic_search's rerank option; defaults to createReranker() (loaded on first use).
+ * @returns {McpServer} Configured server with semantic_search, find_related, find_related_multi, suggest_links,
+ *   vault_stats, index_health, embedding_freshness, find_duplicates, cluster_vault, ann_recall, read_note tools.
  */
-export function createServer(embeddings, embedder, vaultPath = null) {
+export function createServer(embeddings, embedder, vaultPath = null, options = {}) {
+  const store = embeddings instanceof Map
+    ? createIndexStore({
+      embeddings,
+      modelKey: options.modelKey ?? null,
+      modelKeys: options.modelKeys ?? [],
+    })
+    : embeddings;
+
+  const scanner = options.scanner ?? (vaultPath ? createVaultScanner(vaultPath, { watch: true }) : null);
+  const reranker = options.reranker ?? createReranker();
+  // One reader feeds the lexical, metadata, and link indexes, so each changed note is read once.
+  // It first runs on the first query that needs any of them: lexical or hybrid mode, a tag,
+  // property, or date filter, a link boost, or suggest_links.
+  const vaultReader = scanner ? createVaultReader(vaultPath, scanner) : null;
+  const lexical = vaultReader ? createLexicalIndex(vaultReader) : null;
+  const metadata = vaultReader ? createMetadataIndex(vaultReader) : null;
+  const links = vaultReader ? createLinkGraph(vaultReader) : null;
+  // Result lists behind the cursors handed out by semantic_search and find_related.
+  const pager = createPager();
+
+  // The orphan set only changes when the embeddings or the file list do, so keep the last one.
+  let orphanCache = { embeddings: null, files: null, orphans: null };
+
+  /**
+   * Entry paths in a snapshot whose note is missing from the (cached) vault scan.
+   *
+   * @param {Map<string, object>} embeddings - The snapshot's embeddings.
+   * @returns {Promise<Set<string>>} Orphaned entry paths.
+   */
+  async function currentOrphans(embeddings) {
+    const files = await scanner.files();
+    if (orphanCache.embeddings !== embeddings || orphanCache.files !== files) {
+      orphanCache = { embeddings, files, orphans: findOrphans(embeddings, files) };
+    }
+    return orphanCache.orphans;
+  }
+
   const server = new McpServer({
     name: 'smart-search',
     version: '1.1.0',
@@ -67,23 +572,196 @@ export function createServer(embeddings, embedder, vaultPath = null) {
   // Encodes a natural-language query and returns the most similar vault notes.
   server.tool(
     'semantic_search',
-    'Search vault notes semantically using a natural-language query.',
+    'Search vault notes using a natural-language query. mode: "semantic" (default, by meaning), ' +
+      '"lexical" (BM25 full text, for exact terms and identifiers), or "hybrid" (both, rank-fused). ' +
+      'diversity (0-1) favours results that cover different notes and subtopics; max_per_file caps results per note. ' +
+      'group_by "note" lists notes with their best-matching headings. ' +
+      'rerank rescores the top candidates with a local cross-encoder (slower, more precise). ' +
+      'tags, exclude_tags, properties (frontmatter), created/modified date ranges, and include_paths/exclude_paths ' +
+      '(globs such as "projects/**") restrict which notes are searched. ' +
+      'proximity_weight, backlink_weight, and pagerank_weight (0-1) add wikilink-graph signals to the score: ' +
+      'closeness to link_context, backlink count, and personalized PageRank. ' +
+      'recency (0-1) favours recent notes, dated by frontmatter date/created, a daily-note file name, or mtime; ' +
+      'half_life_days (default 90) sets how fast older notes fade. ' +
+      'snippets adds a short excerpt under each hit: the matched section for blocks, and the opening paragraph ' +
+      'or the section sharing most query terms for notes. ' +
+      'When more results follow, the response ends with a cursor: call again with the same arguments plus cursor ' +
+      'for the next page, or use offset.',
     {
       query: z.string().min(1).max(2000),
-      limit: z.number().optional(),
+      limit: z.number().int().positive().optional(),
+      offset: z.number().int().nonnegative().optional(),
+      cursor: z.string().min(1).optional(),
       threshold: z.number().optional(),
       type: z.enum(['source', 'block']).optional(),
       folder: z.string().optional(),
+      include_orphans: z.boolean().optional(),
+      mode: z.enum(['semantic', 'lexical', 'hybrid']).optional(),
+      diversity: z.number().min(0).max(1).optional(),
+      max_per_file: z.number().int().positive().optional(),
+      group_by: z.enum(['note']).optional(),
+      note_weight: z.number().min(0).max(1).optional(),
+      rerank: z.boolean().optional(),
+      rerank_candidates: z.number().int().positive().max(100).optional(),
+      tags: z.array(z.string().min(1)).optional(),
+      exclude_tags: z.array(z.string().min(1)).optional(),
+      properties: z.record(z.string(), z.union([z.string(), z.number(), z.boolean()])).optional(),
+      created_after: z.string().optional(),
+      created_before: z.string().optional(),
+      modified_after: z.string().optional(),
+      modified_before: z.string().optional(),
+      include_paths: z.array(z.string().min(1)).optional(),
+      exclude_paths: z.array(z.string().min(1)).optional(),
+      link_context: z.string().min(1).max(500).optional(),
+      proximity_weight: z.number().min(0).max(1).optional(),
+      backlink_weight: z.number().min(0).max(1).optional(),
+      pagerank_weight: z.number().min(0).max(1).optional(),
+      recency: z.number().min(0).max(1).optional(),
+      half_life_days: z.number().positive().optional(),
+      snippets: z.boolean().optional(),
     },
-    async ({ query, limit, threshold, type, folder }) => {
+    async ({ limit, offset, cursor, snippets, ...args }) => {
+      const {
+        query,
+        threshold,
+        type,
+        folder,
+        include_orphans,
+        mode = 'semantic',
+        diversity,
+        max_per_file,
+        group_by,
+        note_weight,
+        rerank,
+        rerank_candidates,
+        tags,
+        exclude_tags,
+        properties,
+        created_after,
+        created_before,
+        modified_after,
+        modified_before,
+        include_paths,
+        exclude_paths,
+        link_context,
+        recency,
+        half_life_days,
+      } = args;
       try {
-        const results = await semanticSearch(query, embeddings, embedder, {
-          limit,
-          threshold,
-          type,
-          folder,
-        });
-        return textContent(formatResults(results));
+        if (cursor && offset !== undefined) {
+          return textContent('Error: pass either offset or cursor, not both.');
+        }
+        const { embeddings, modelKey, ann } = store.current();
+        // Refuse rather than return meaningless scores from mismatched vector spaces.
+        const mismatch = mode !== 'lexical' && checkModelCompatibility(embedder.modelId, modelKey);
+        if (mismatch) {
+          return textContent(`Error running semantic_search: ${mismatch}`);
+        }
+        if (mode !== 'semantic' && (diversity !== undefined || max_per_file !== undefined || group_by !== undefined)) {
+          return textContent('Error: diversity, max_per_file, and group_by apply to semantic mode only.');
+        }
+        if (rerank && group_by) {
+          return textContent('Error: rerank cannot be combined with group_by.');
+        }
+        const weights = linkWeights(args);
+        if (weights && mode !== 'semantic') {
+          return textContent('Error: link boosts apply to semantic mode only.');
+        }
+        if (weights && rerank) {
+          return textContent('Error: rerank cannot be combined with link boosts.');
+        }
+        if (weights && !links) {
+          return textContent('Error: link boosts are unavailable (vault path not configured).');
+        }
+        if (recency && mode !== 'semantic') {
+          return textContent('Error: recency applies to semantic mode only.');
+        }
+        if (recency && rerank) {
+          return textContent('Error: rerank cannot be combined with recency.');
+        }
+        if (rerank && !vaultPath) {
+          return textContent('Error: rerank is unavailable (vault path not configured).');
+        }
+        if (snippets && !vaultPath) {
+          return textContent('Error: snippets are unavailable (vault path not configured).');
+        }
+        if (mode !== 'semantic' && !lexical) {
+          return textContent(`Error: ${mode} search is unavailable (vault path not configured).`);
+        }
+        const noteFilters = {
+          tags,
+          excludeTags: exclude_tags,
+          properties,
+          createdAfter: parseDateFilter('created_after', created_after),
+          createdBefore: parseDateFilter('created_before', created_before),
+          modifiedAfter: parseDateFilter('modified_after', modified_after),
+          modifiedBefore: parseDateFilter('modified_before', modified_before),
+          includePaths: include_paths,
+          excludePaths: exclude_paths,
+        };
+        if (usesMetadata(noteFilters) && !metadata) {
+          return textContent('Error: tag, property, and date filters are unavailable (vault path not configured).');
+        }
+        const pageSize = limit ?? DEFAULT_LIMIT;
+
+        /**
+         * Rank the results the pages are cut from.
+         *
+         * @param {number} count - Number of results wanted.
+         * @returns {Promise<Array<object>>} Results, best first.
+         */
+        async function rank(count) {
+          // Recency reads note dates from frontmatter when the vault is available.
+          if (usesMetadata(noteFilters) || (recency && metadata)) {
+            await metadata.sync();
+          }
+          if (weights) {
+            await links.sync();
+          }
+          const exclude = scanner && !include_orphans ? await currentOrphans(embeddings) : undefined;
+          const searchOptions = {
+            // With rerank, the reranker orders a fixed candidate set, and only that set is paged.
+            limit: rerank ? Math.max((offset ?? 0) + pageSize, rerank_candidates ?? DEFAULT_RERANK_CANDIDATES) : count,
+            threshold,
+            type,
+            folder,
+            noteFilter: compileNoteFilter(noteFilters, metadata),
+            exclude,
+            diversity,
+            maxPerFile: max_per_file,
+            groupBy: group_by,
+            noteWeight: note_weight,
+            links: weights ? { graph: links, context: link_context && extractNotePath(link_context), ...weights } : undefined,
+            recency: recency
+              ? {
+                weight: recency,
+                halfLifeDays: half_life_days,
+                dateOf: (notePath) =>
+                  noteDate(notePath, metadata?.get(notePath) ?? { modified: embeddings.get(notePath)?.meta?.mtime }),
+              }
+              : undefined,
+            ann,
+            workers: options.workers,
+          };
+
+          let results;
+          if (mode === 'semantic') {
+            results = await semanticSearch(query, embeddings, embedder, searchOptions);
+          } else {
+            await lexical.sync();
+            results = mode === 'lexical'
+              ? lexicalSearch(query, embeddings, lexical, searchOptions)
+              : await hybridSearch(query, embeddings, embedder, lexical, searchOptions);
+          }
+          return rerank ? rerankResults(query, results, reranker, vaultPath) : results;
+        }
+
+        const page = await pager.page(searchKey('semantic_search', args), { cursor, offset, limit: pageSize }, rank);
+        const excerpts = snippets
+          ? await readSnippets(page.results, vaultPath, { rankSection: queryTermRanker(query) })
+          : undefined;
+        const text = group_by ? formatGroupedResults(page.results, excerpts) : formatResults(page.results, excerpts);
+        return textContent(text + formatPageFooter(page));
       } catch (err) {
         // Return error as text so the client receives a readable message
         // rather than an MCP protocol error that would crash the call.
@@ -96,18 +774,153 @@ export function createServer(embeddings, embedder, vaultPath = null) {
   // Finds notes similar to a known note by comparing their stored embeddings.
   server.tool(
     'find_related',
-    'Find notes related to a specific note by path.',
+    'Find notes related to a specific note by path. diversity, max_per_file, offset, cursor, and the link ' +
+      'weights work as in semantic_search, with the note itself as the link context. snippets adds a short excerpt ' +
+      'under each hit: the matched section for blocks, and the opening paragraph or the section closest to the ' +
+      'note for notes.',
     {
       note_path: z.string().min(1).max(500),
+      limit: z.number().int().positive().optional(),
+      offset: z.number().int().nonnegative().optional(),
+      cursor: z.string().min(1).optional(),
+      type: z.enum(['source', 'block']).optional(),
+      diversity: z.number().min(0).max(1).optional(),
+      max_per_file: z.number().int().positive().optional(),
+      proximity_weight: z.number().min(0).max(1).optional(),
+      backlink_weight: z.number().min(0).max(1).optional(),
+      pagerank_weight: z.number().min(0).max(1).optional(),
+      snippets: z.boolean().optional(),
+    },
+    async ({ limit, offset, cursor, snippets, ...args }) => {
+      const { note_path, type, diversity, max_per_file } = args;
+      try {
+        if (cursor && offset !== undefined) {
+          return textContent('Error: pass either offset or cursor, not both.');
+        }
+        const weights = linkWeights(args);
+        if (weights && !links) {
+          return textContent('Error: link boosts are unavailable (vault path not configured).');
+        }
+        if (snippets && !vaultPath) {
+          return textContent('Error: snippets are unavailable (vault path not configured).');
+        }
+        const { embeddings, ann } = store.current();
+        const page = await pager.page(
+          searchKey('find_related', args),
+          { cursor, offset, limit: limit ?? DEFAULT_LIMIT },
+          async (count) => {
+            if (weights) {
+              await links.sync();
+            }
+            return findRelated(note_path, embeddings, {
+              limit: count,
+              type,
+              diversity,
+              maxPerFile: max_per_file,
+              links: weights ? { graph: links, ...weights } : undefined,
+              ann,
+            });
+          }
+        );
+        let excerpts;
+        if (snippets) {
+          // A related note's excerpt is its section most similar to the source note, when sections are embedded.
+          const source = embeddings.get(note_path)?.vec;
+          excerpts = await readSnippets(page.results, vaultPath, {
+            rankSection: (blockPath) => {
+              const vec = embeddings.get(blockPath)?.vec;
+              return source && vec?.length === source.length ? cosineSimilarity(source, vec) : 0;
+            },
+          });
+        }
+        return textContent(formatResults(page.results, excerpts) + formatPageFooter(page));
+      } catch (err) {
+        return textContent(`Error running find_related: ${err.message}`);
+      }
+    }
+  );
+
+  // Tool: find_related_multi
+  // Combines several positive and negative seeds (notes or queries) into one search vector.
+  const seedList = z.array(z.string().min(1).max(2000)).max(20).optional();
+  server.tool(
+    'find_related_multi',
+    'Find notes like several seed notes and/or queries and unlike negative ones ' +
+      '("like A and B but not like C"). Seed notes and their blocks are left out of the results.',
+    {
+      positive_notes: seedList,
+      positive_queries: seedList,
+      negative_notes: seedList,
+      negative_queries: seedList,
+      negative_weight: z.number().min(0).max(2).optional(),
       limit: z.number().optional(),
+      threshold: z.number().optional(),
       type: z.enum(['source', 'block']).optional(),
+      folder: z.string().optional(),
+      include_orphans: z.boolean().optional(),
     },
-    async ({ note_path, limit, type }) => {
+    async ({
+      positive_notes,
+      positive_queries,
+      negative_notes,
+      negative_queries,
+      negative_weight,
+      limit,
+      threshold,
+      type,
+      folder,
+      include_orphans,
+    }) => {
       try {
-        const results = findRelated(note_path, embeddings, { limit, type });
+        const { embeddings, modelKey, ann } = store.current();
+        // Note seeds reuse stored vectors; only query seeds go through the (possibly mismatched) embedder.
+        const hasQueries = (positive_queries?.length ?? 0) + (negative_queries?.length ?? 0) > 0;
+        const mismatch = hasQueries && checkModelCompatibility(embedder.modelId, modelKey);
+        if (mismatch) {
+          return textContent(`Error running find_related_multi: ${mismatch}`);
+        }
+        const exclude = scanner && !include_orphans ? await currentOrphans(embeddings) : undefined;
+        const results = await findRelatedToSeeds(
+          {
+            positiveNotes: positive_notes,
+            positiveQueries: positive_queries,
+            negativeNotes: negative_notes,
+            negativeQueries: negative_queries,
+          },
+          embeddings,
+          embedder,
+          { limit, threshold, type, folder, exclude, negativeWeight: negative_weight, ann, workers: options.workers }
+        );
         return textContent(formatResults(results));
       } catch (err) {
-        return textContent(`Error running find_related: ${err.message}`);
+        return textContent(`Error running find_related_multi: ${err.message}`);
+      }
+    }
+  );
+
+  // Tool: suggest_links
+  // Finds related notes that are not yet linked to or from a note, with the sections that justify a link.
+  server.tool(
+    'suggest_links',
+    "Suggest links for a note: semantically related notes it neither links to nor is linked from (per the vault's " +
+      '[[wikilinks]] and Markdown links). Each suggestion names the section of the note where the link fits and ' +
+      'the matching section of the suggested note. threshold defaults to 0.5.',
+    {
+      note_path: z.string().min(1).max(500),
+      limit: z.number().int().positive().max(50).optional(),
+      threshold: z.number().min(0).max(1).optional(),
+    },
+    async ({ note_path, limit, threshold = DEFAULT_SUGGESTION_THRESHOLD }) => {
+      try {
+        if (!links) {
+          return textContent('Error: suggest_links is unavailable (vault path not configured).');
+        }
+        const { embeddings, ann } = store.current();
+        await links.sync();
+        const report = suggestLinks(note_path, embeddings, links, { limit, threshold, ann });
+        return textContent(formatLinkSuggestions(extractNotePath(note_path), report));
+      } catch (err) {
+        return textContent(`Error running suggest_links: ${err.message}`);
       }
     }
   );
@@ -120,13 +933,41 @@ export function createServer(embeddings, embedder, vaultPath = null) {
     {},
     () => {
       try {
-        const stats = getStats(embeddings);
+        const index = store.current();
+        const { embeddings, modelKey, modelKeys = [], replay, format, snapshot, ann } = index;
+        const stats = getStats(embeddings, { modelId: modelKey ?? embedder.modelId });
         const lines = [
           `Total notes: ${stats.totalNotes}`,
           `Total blocks: ${stats.totalBlocks}`,
           `Dimensions: ${stats.dimensions}`,
           `Model: ${stats.modelId}`,
         ];
+        if (embedder.modelId && embedder.modelId !== stats.modelId) {
+          lines.push(`Query model: ${embedder.modelId} (mismatch -- search disabled)`);
+        }
+        if (modelKeys.length > 1) {
+          const found = modelKeys.map((m) => `${m.modelKey} (${m.count})`).join(', ');
+          lines.push(`Models found: ${found}`);
+        }
+        if (format !== undefined) {
+          const reader = FORMAT_READERS.find((r) => r.name === format);
+          lines.push(`Format: ${reader ? `${reader.name} (${reader.location})` : 'none found'}`);
+        }
+        if (replay) {
+          lines.push(`Superseded entries: ${replay.superseded}`);
+          lines.push(`Deleted entries: ${replay.deleted}`);
+        }
+        if (snapshot) {
+          lines.push(`Startup snapshot: ${snapshot.reused} file(s) reused, ${snapshot.parsed} parsed`);
+        }
+        if (ann) {
+          const state = ann.embeddings === embeddings ? `${ann.size} entries` : 'rebuilding';
+          lines.push(`ANN index: ${state}`);
+        }
+        const health = buildHealthReport(index);
+        if (health.issues > 0) {
+          lines.push(`Index problems: ${health.issues} (run index_health for details)`);
+        }
         return textContent(lines.join('\n'));
       } catch (err) {
         return textContent(`Error running vault_stats: ${err.message}`);
@@ -134,6 +975,124 @@ export function createServer(embeddings, embedder, vaultPath = null) {
     }
   );
 
+  // Tool: index_health
+  // Reports skipped lines, unreadable files, duplicate keys, and dimension mismatches.
+  server.tool(
+    'index_health',
+    'Diagnose the loaded embeddings: skipped or malformed entries, unreadable files, duplicate keys, and dimension mismatches.',
+    {},
+    () => {
+      try {
+        return textContent(formatHealthReport(buildHealthReport(store.current())));
+      } catch (err) {
+        return textContent(`Error running index_health: ${err.message}`);
+      }
+    }
+  );
+
+  // Tool: embedding_freshness
+  // Compares the embeddings with the notes on disk: orphaned, stale, and unembedded notes.
+  server.tool(
+    'embedding_freshness',
+    'Find embeddings whose note was deleted or changed since it was embedded, and notes with no embedding.',
+    {
+      limit: z.number().int().positive().optional(),
+    },
+    async ({ limit }) => {
+      try {
+        if (!scanner) {
+          return textContent('Error: embedding_freshness is unavailable (vault path not configured).');
+        }
+        const { embeddings } = store.current();
+        const files = await scanner.refresh();
+        const report = checkFreshness(embeddings, files);
+        return textContent(formatFreshnessReport(report, limit ?? DEFAULT_FRESHNESS_LIMIT));
+      } catch (err) {
+        return textContent(`Error running embedding_freshness: ${err.message}`);
+      }
+    }
+  );
+
+  // Tool: find_duplicates
+  // Groups entries whose embeddings are nearly identical, for merging copied or forked notes.
+  server.tool(
+    'find_duplicates',
+    'Find clusters of near-duplicate notes (or blocks) by embedding similarity, with file sizes and modified ' +
+      'dates to help decide what to merge. threshold (0.8-1) defaults to 0.95; folder limits the scan to a subfolder.',
+    {
+      threshold: z.number().min(MIN_DUPLICATE_THRESHOLD).max(1).optional(),
+      type: z.enum(['source', 'block']).optional(),
+      folder: z.string().optional(),
+      limit: z.number().int().positive().optional(),
+      include_orphans: z.boolean().optional(),
+    },
+    async ({ threshold = DEFAULT_DUPLICATE_THRESHOLD, type = 'source', folder, limit, include_orphans }) => {
+      try {
+        const { embeddings } = store.current();
+        const files = scanner ? await scanner.files() : null;
+        const exclude = scanner && !include_orphans ? await currentOrphans(embeddings) : undefined;
+        const report = findDuplicates(embeddings, { threshold, type, folder, exclude });
+        return textContent(formatDuplicateReport(report, embeddings, files, {
+          type,
+          threshold,
+          limit: limit ?? DEFAULT_DUPLICATE_CLUSTERS,
+        }));
+      } catch (err) {
+        return textContent(`Error running find_duplicates: ${err.message}`);
+      }
+    }
+  );
+
+  // Tool: cluster_vault
+  // Groups notes into themes by their embeddings; cached until the embeddings change.
+  server.tool(
+    'cluster_vault',
+    'Group vault notes into topic clusters with k-means over their embeddings. Each cluster shows a label from ' +
+      "its notes' titles and headings, its size, and the notes nearest its centre. k defaults to about " +
+      'sqrt(notes / 2); folder limits clustering to a subfolder.',
+    {
+      k: z.number().int().min(2).max(50).optional(),
+      folder: z.string().optional(),
+      representatives: z.number().int().positive().max(20).optional(),
+    },
+    async ({ k, folder, representatives }) => {
+      try {
+        const { embeddings } = store.current();
+        return textContent(formatClusters(clusterVault(embeddings, { k, folder, representatives })));
+      } catch (err) {
+        return textContent(`Error running cluster_vault: ${err.message}`);
+      }
+    }
+  );
+
+  // Tool: ann_recall
+  // Compares the approximate index against exact search on sampled stored vectors.
+  server.tool(
+    'ann_recall',
+    'Measure the recall and speed of the approximate nearest-neighbour index against exact search.',
+    {
+      queries: z.number().int().positive().max(1000).optional(),
+      k: z.number().int().positive().max(100).optional(),
+      ef: z.number().int().positive().optional(),
+    },
+    ({ queries, k, ef }) => {
+      try {
+        const { embeddings, ann } = store.current();
+        if (!ann || ann.embeddings !== embeddings) {
+          return textContent(
+            ann
+              ? 'Error: the ANN index is still being rebuilt; try again shortly.'
+              : 'Error: no ANN index has been built (set SMART_SEARCH_ANN=true).'
+          );
+        }
+        const report = measureRecall(embeddings, ann, { queries, k, ef });
+        return textContent(formatRecallReport(report, ef ?? ann.efSearch));
+      } catch (err) {
+        return textContent(`Error running ann_recall: ${err.message}`);
+      }
+    }
+  );
+
   // Tool: read_note
   // Reads the raw Markdown content of a vault note by its path.
   server.tool(
@@ -165,6 +1124,17 @@ export function createServer(embeddings, embedder, vaultPath = null) {
 // Startup
 // ---------------------------------------------------------------------------
 
+/**
+ * Parse an optional positive integer setting.
+ *
+ * @param {string|undefined} value - Raw environment variable value.
+ * @returns {number|undefined} The number, or undefined when unset or invalid (so defaults apply).
+ */
+function parsePositiveInt(value) {
+  const n = Number.parseInt(value ?? '', 10);
+  return n > 0 ? n : undefined;
+}
+
 /**
  * Main entry point: read env, load embeddings, create server, connect transport.
  *
@@ -173,6 +1143,39 @@ export function createServer(embeddings, embedder, vaultPath = null) {
  * embeddings directory is treated as a warning (not a fatal error) so the
  * server can still serve vault_stats indicating zero notes.
  *
+ * Embeddings are read from whichever Smart Connections layout the vault has
+ * (see FORMAT_READERS in formats.js).
+ *
+ * The embedding model is taken from SMART_SEARCH_MODEL when set, otherwise the
+ * most common model in the vault. Queries are encoded with SMART_SEARCH_QUERY_MODEL
+ * (default bge-micro-v2), configured separately because not every vault model
+ * can run locally. When the two differ, a warning is written at startup, the
+ * tools that encode queries refuse and say why, and self-indexing is skipped.
+ *
+ * Files are parsed SMART_SEARCH_LOAD_CONCURRENCY at a time (default 8) and
+ * vectors are held as Float32Array. Unless SMART_SEARCH_SNAPSHOT is "false",
+ * parsed .ajson files are cached in a binary snapshot so the next start only
+ * parses the files that changed; it is kept in <vault>/.smart-search/ unless
+ * SMART_SEARCH_SNAPSHOT_DIR names another directory, and rewritten after reloads.
+ *
+ * For the .ajson layout, unless SMART_SEARCH_WATCH is "false", .smart-env/multi/
+ * is watched and the embeddings are reloaded whenever Smart Connections rewrites its files.
+ *
+ * When SMART_SEARCH_SELF_INDEX is "true", notes Smart Connections has not
+ * embedded (or embedded before their last edit) are embedded in the background
+ * with the query embedder and merged in as self-indexed entries.
+ *
+ * When SMART_SEARCH_ANN is "true", an HNSW index is built in the background
+ * (and rebuilt after each reload) so searches stop scoring every entry. Its
+ * graph degree and search breadth come from SMART_SEARCH_ANN_M and
+ * SMART_SEARCH_ANN_EF.
+ *
+ * SMART_SEARCH_RERANK_MODEL picks the cross-encoder used by semantic_search's
+ * rerank option (default ms-marco-MiniLM-L-6-v2); it is only loaded when first used.
+ *
+ * SMART_SEARCH_WORKERS starts that many worker threads to split exact scoring
+ * of very large vaults (default: none, scoring stays on the main thread).
+ *
  * @returns {Promise<void>}
  */
 export async function main() {
@@ -184,16 +1187,81 @@ export async function main() {
     process.exit(1);
   }
 
-  const embeddings = await loadEmbeddings(vaultPath);
-  if (embeddings.size === 0) {
+  const configuredModel = process.env.SMART_SEARCH_MODEL || undefined;
+  const useSnapshot = process.env.SMART_SEARCH_SNAPSHOT !== 'false';
+  const snapshotDir = process.env.SMART_SEARCH_SNAPSHOT_DIR || undefined;
+  const index = await loadVaultIndex(vaultPath, {
+    modelKey: configuredModel,
+    concurrency: parsePositiveInt(process.env.SMART_SEARCH_LOAD_CONCURRENCY),
+    // Float32 storage halves the memory of large vaults; scores are unaffected at 3 decimals.
+    compact: true,
+    snapshot: useSnapshot,
+    snapshotDir,
+  });
+  const { embeddings, modelKey, modelKeys } = index;
+  if (embeddings.size === 0 && configuredModel && modelKeys.length > 0) {
+    const available = modelKeys.map((m) => m.modelKey).join(', ');
     process.stderr.write(
-      `Warning: No embeddings found in ${vaultPath}/.smart-env/multi/. ` +
+      `Warning: No embeddings for model "${configuredModel}" in ${vaultPath}. ` +
+        `Models found: ${available}.\n`
+    );
+  } else if (embeddings.size === 0) {
+    const locations = FORMAT_READERS.map((r) => r.location).join(', ');
+    process.stderr.write(
+      `Warning: No embeddings found in ${vaultPath} (looked for ${locations}). ` +
         'Run Smart Connections in Obsidian to generate embeddings.\n'
     );
   }
 
-  const embedder = createEmbedder();
-  const server = createServer(embeddings, embedder, vaultPath);
+  const store = createIndexStore(index);
+  const selfIndex = process.env.SMART_SEARCH_SELF_INDEX === 'true';
+  const ann = process.env.SMART_SEARCH_ANN === 'true'
+    ? keepAnnIndex(store, {
+      m: parsePositiveInt(process.env.SMART_SEARCH_ANN_M),
+      efSearch: parsePositiveInt(process.env.SMART_SEARCH_ANN_EF),
+      onError: (err) => process.stderr.write(`Warning: ANN index build failed: ${err.message}\n`),
+    })
+    : null;
+  ann?.refresh();
+  // Legacy layouts are no longer written by Smart Connections, so only .ajson is watched
+  // (also when no layout exists yet, in case the multi directory appears empty at startup).
+  const watchable = index.format === 'ajson' || index.format === null;
+  if (watchable && process.env.SMART_SEARCH_WATCH !== 'false') {
+    try {
+      watchEmbeddings(vaultPath, store, {
+        transform: selfIndex ? reapplySelfIndex : undefined,
+        onReload: () => ann?.refresh(),
+        onError: (err) => process.stderr.write(`Warning: embeddings reload failed: ${err.message}\n`),
+        snapshot: useSnapshot ? { dir: snapshotDir } : undefined,
+      });
+    } catch (err) {
+      // Typically the multi directory does not exist yet; serve the startup index.
+      process.stderr.write(`Warning: not watching for embedding changes: ${err.message}\n`);
+    }
+  }
+
+  const embedder = createEmbedder(process.env.SMART_SEARCH_QUERY_MODEL || undefined);
+  const mismatch = checkModelCompatibility(embedder.modelId, modelKey);
+  if (mismatch) {
+    process.stderr.write(`Warning: ${mismatch}. Semantic search is disabled.\n`);
+  }
+  if (selfIndex && mismatch) {
+    process.stderr.write('Warning: not self-indexing, since notes would be embedded with the query model.\n');
+  } else if (selfIndex) {
+    startSelfIndexing(vaultPath, store, embedder, {
+      onIndexed: ({ embedded, failed }) => {
+        ann?.refresh();
+        if (embedded > 0 || failed > 0) {
+          process.stderr.write(`Self-indexed ${embedded} note(s)${failed > 0 ? `, ${failed} failed` : ''}.\n`);
+        }
+      },
+      onError: (err) => process.stderr.write(`Warning: self-indexing failed: ${err.message}\n`),
+    });
+  }
+  const workerCount = parsePositiveInt(process.env.SMART_SEARCH_WORKERS);
+  const workers = workerCount ? createScoringPool(workerCount) : undefined;
+  const reranker = createReranker(process.env.SMART_SEARCH_RERANK_MODEL || undefined);
+  const server = createServer(store, embedder, vaultPath, { workers, reranker });
 
   const transport = new StdioServerTransport();
   await server.connect(transport);
@@ -22,16 +22,17 @@ export function cosineSimilarity(vecA, vecB) {
     return 0;
   }
 
-  // Compute dot product and magnitudes in a single pass for efficiency.
-  // Using reduce with an immutable accumulator tuple avoids mutation.
-  const [dotProduct, magA, magB] = vecA.reduce(
-    ([dot, sumA, sumB], a, i) => [
-      dot + a * vecB[i],
-      sumA + a * a,
-      sumB + vecB[i] * vecB[i],
-    ],
-    [0, 0, 0]
-  );
+  // Compute dot product and magnitudes in a single pass with plain loops
+  // (no per-element allocation; the sums are accumulated in the same order
+  // as the matrix kernel in matrix.js, so both give bit-identical scores).
+  let dotProduct = 0;
+  let magA = 0;
+  let magB = 0;
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    magA += vecA[i] * vecA[i];
+    magB += vecB[i] * vecB[i];
+  }
 
   const magnitude = Math.sqrt(magA) * Math.sqrt(magB);
 
@@ -40,5 +41,32 @@ export function cosineSimilarity(vecA, vecB) {
     return 0;
   }
 
-  return Math.round((dotProduct / magnitude) * 1000) / 1000;
+  return roundScore(dotProduct / magnitude);
+}
+
+/**
+ * Compute the Euclidean length of a vector.
+ *
+ * Summed in index order, exactly as cosineSimilarity sums its magnitudes, so
+ * a precomputed norm yields the same score as computing it on the fly.
+ *
+ * @param {ArrayLike<number>} vec - The vector.
+ * @returns {number} The vector's length (0 for an all-zero vector).
+ */
+export function vectorNorm(vec) {
+  let sum = 0;
+  for (let i = 0; i < vec.length; i++) {
+    sum += vec[i] * vec[i];
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * Round a similarity to the 3 decimal places every search reports.
+ *
+ * @param {number} score - Raw cosine similarity.
+ * @returns {number} The score rounded to 3 decimal places.
+ */
+export function roundScore(score) {
+  return Math.round(score * 1000) / 1000;
 }
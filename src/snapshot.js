@@ -0,0 +1,226 @@
+// Binary snapshot of parsed .ajson files: packed Float32 vectors plus a JSON path
+// index, keyed by each source file's mtime and size so unchanged files skip parsing.
+
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Default snapshot location, relative to the vault root (alongside the self-index cache).
+const SNAPSHOT_DIR = '.smart-search';
+const SNAPSHOT_FILE = 'embeddings.snapshot';
+
+// File signature and layout version. Bump the version whenever the layout changes;
+// snapshots with any other version are ignored.
+const MAGIC = 'SSNP';
+const SNAPSHOT_VERSION = 1;
+
+// Fixed header: magic (4 bytes), version (uint32), path index length in bytes (uint32).
+const PREAMBLE_BYTES = 12;
+
+/**
+ * Stat each .ajson file, recording the mtime and size a snapshot is keyed by.
+ *
+ * @param {string} multiDir - Absolute path to .smart-env/multi.
+ * @param {string[]} filenames - Filenames to stat.
+ * @returns {Promise<Array<{mtime: number, size: number}|null>>} Stats in input order; null if a file cannot be stat'ed.
+ */
+export async function statSourceFiles(multiDir, filenames) {
+  return Promise.all(
+    filenames.map(async (filename) => {
+      try {
+        const stats = await fs.stat(path.join(multiDir, filename));
+        return { mtime: stats.mtimeMs, size: stats.size };
+      } catch {
+        return null;
+      }
+    })
+  );
+}
+
+/**
+ * Locate a vault's snapshot file.
+ *
+ * By default the snapshot lives in the vault, as .smart-search/embeddings.snapshot.
+ * A directory outside the vault may be shared by several vaults, so there the
+ * file name carries a hash of the vault's absolute path.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {string} [dir] - Directory to keep the snapshot in instead.
+ * @returns {string} Absolute path of the snapshot file.
+ */
+export function snapshotPath(vaultPath, dir) {
+  if (!dir) {
+    return path.join(vaultPath, SNAPSHOT_DIR, SNAPSHOT_FILE);
+  }
+  const vaultHash = createHash('sha256').update(path.resolve(vaultPath)).digest('hex').slice(0, 16);
+  return path.join(path.resolve(dir), `embeddings-${vaultHash}.snapshot`);
+}
+
+/**
+ * Read the vault's snapshot.
+ *
+ * Returns null -- so the caller falls back to a full parse -- when the snapshot
+ * is missing, truncated, corrupt, written by another layout version, or
+ * written on a machine with different byte order.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{ dir?: string }} [options] - dir: where the snapshot is kept (see snapshotPath).
+ * @returns {Promise<{
+ *   modelKey: string|null,
+ *   files: Map<string, {mtime: number, size: number, result: object}>
+ * }|null>} Per-file results (as built by loadEmbeddingIndex) keyed by filename.
+ */
+export async function readSnapshot(vaultPath, options = {}) {
+  let buf;
+  try {
+    buf = await fs.readFile(snapshotPath(vaultPath, options.dir));
+  } catch {
+    return null;
+  }
+
+  try {
+    if (buf.length < PREAMBLE_BYTES || buf.toString('latin1', 0, 4) !== MAGIC) {
+      return null;
+    }
+    if (buf.readUInt32LE(4) !== SNAPSHOT_VERSION) {
+      return null;
+    }
+    const headerBytes = buf.readUInt32LE(8);
+    const header = JSON.parse(buf.toString('utf-8', PREAMBLE_BYTES, PREAMBLE_BYTES + headerBytes));
+    if (header.endianness !== os.endianness()) {
+      return null;
+    }
+
+    // Copy the vector blob into its own aligned buffer; Float32Array views need 4-byte alignment.
+    const dataStart = align4(PREAMBLE_BYTES + headerBytes);
+    const floats = (buf.length - dataStart) / 4;
+    if (!Number.isInteger(floats) || floats < 0) {
+      return null;
+    }
+    const data = new Float32Array(floats);
+    buf.copy(Buffer.from(data.buffer), 0, dataStart);
+
+    const files = new Map();
+    for (const file of header.files) {
+      files.set(file.name, { mtime: file.mtime, size: file.size, result: decodeFile(file, data) });
+    }
+    return { modelKey: header.modelKey ?? null, files };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rebuild one file's result from its path index entry and the vector blob.
+ *
+ * @param {object} file - The file's entry in the snapshot header.
+ * @param {Float32Array} data - All vectors, packed.
+ * @returns {object} Per-file result with Float32Array views into data.
+ * @throws {Error} If an entry points outside the blob.
+ */
+function decodeFile(file, data) {
+  const entries = new Map();
+  for (const [entryPath, type, offset, length, meta] of file.entries) {
+    if (type === null) {
+      entries.set(entryPath, null);
+      continue;
+    }
+    let vec = null;
+    if (offset >= 0) {
+      if (offset + length > data.length) {
+        throw new Error('snapshot vector out of range');
+      }
+      vec = data.subarray(offset, offset + length);
+    }
+    entries.set(entryPath, meta ? { vec, type, meta } : { vec, type });
+  }
+  return {
+    entries,
+    superseded: file.superseded,
+    deleted: file.deleted,
+    modelCounts: new Map(file.modelCounts),
+    skipped: file.skipped,
+    samples: file.samples,
+  };
+}
+
+/**
+ * Round a byte offset up to the next multiple of 4.
+ *
+ * @param {number} n - Byte offset.
+ * @returns {number} Aligned offset.
+ */
+function align4(n) {
+  return Math.ceil(n / 4) * 4;
+}
+
+/**
+ * Write a snapshot of per-file results to the vault's snapshot file (see snapshotPath).
+ *
+ * The file holds a small preamble, a JSON path index (per file: its mtime and
+ * size, replay counts, and for each entry its path, type, metadata, and where
+ * its vector sits), then every vector packed as Float32. It is written to a
+ * temporary file and renamed into place.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{
+ *   modelKey: string|null,
+ *   files: Map<string, {mtime: number, size: number, result: object}>
+ * }} snapshot - Per-file results keyed by filename.
+ * @param {{ dir?: string }} [options] - dir: where the snapshot is kept (see snapshotPath).
+ * @returns {Promise<void>}
+ */
+export async function writeSnapshot(vaultPath, snapshot, options = {}) {
+  let floats = 0;
+  for (const { result } of snapshot.files.values()) {
+    for (const entry of result.entries.values()) {
+      floats += entry?.vec ? entry.vec.length : 0;
+    }
+  }
+
+  const data = new Float32Array(floats);
+  let offset = 0;
+  const files = [];
+  for (const [name, { mtime, size, result }] of snapshot.files) {
+    const entries = [];
+    for (const [entryPath, entry] of result.entries) {
+      if (entry === null) {
+        entries.push([entryPath, null, -1, 0, null]);
+      } else if (!entry.vec) {
+        entries.push([entryPath, entry.type, -1, 0, entry.meta ?? null]);
+      } else {
+        data.set(entry.vec, offset);
+        entries.push([entryPath, entry.type, offset, entry.vec.length, entry.meta ?? null]);
+        offset += entry.vec.length;
+      }
+    }
+    files.push({
+      name,
+      mtime,
+      size,
+      superseded: result.superseded,
+      deleted: result.deleted,
+      modelCounts: Array.from(result.modelCounts),
+      skipped: result.skipped ?? {},
+      samples: result.samples ?? [],
+      entries,
+    });
+  }
+
+  const header = Buffer.from(
+    JSON.stringify({ modelKey: snapshot.modelKey, endianness: os.endianness(), files }),
+    'utf-8'
+  );
+  const preamble = Buffer.alloc(PREAMBLE_BYTES);
+  preamble.write(MAGIC, 0, 'latin1');
+  preamble.writeUInt32LE(SNAPSHOT_VERSION, 4);
+  preamble.writeUInt32LE(header.length, 8);
+  const padding = Buffer.alloc(align4(PREAMBLE_BYTES + header.length) - (PREAMBLE_BYTES + header.length));
+
+  const target = snapshotPath(vaultPath, options.dir);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  const tmp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, Buffer.concat([preamble, header, padding, Buffer.from(data.buffer)]));
+  await fs.rename(tmp, target);
+}
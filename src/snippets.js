@@ -0,0 +1,142 @@
+// Result snippets: short excerpts of the text behind each search hit, read from the vault
+// through readNote so they pass the same path-safety checks as read_note.
+
+import { readNote, extractNotePath } from './reader.js';
+import { chunkMarkdown } from './chunker.js';
+import { tokenize } from './bm25.js';
+
+// Default excerpt length in characters; longer text is cut at a word boundary.
+export const DEFAULT_SNIPPET_CHARS = 240;
+
+// A Markdown heading line.
+const HEADING_LINE_RE = /^#{1,6}\s/;
+
+/**
+ * Collapse whitespace and cut text to a maximum length at a word boundary.
+ *
+ * @param {string} text - Text to shorten.
+ * @param {number} maxChars - Maximum length, not counting the ellipsis.
+ * @returns {string} The text on one line, ending in "…" when it was cut.
+ */
+function shorten(text, maxChars) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= maxChars) {
+    return flat;
+  }
+  const cut = flat.slice(0, maxChars);
+  const space = cut.lastIndexOf(' ');
+  return `${space > maxChars / 2 ? cut.slice(0, space) : cut}…`;
+}
+
+/**
+ * Find the first paragraph of a note body that is more than headings.
+ *
+ * @param {string} body - Note body without frontmatter.
+ * @returns {string} The paragraph, or "" if the note has none.
+ */
+function openingParagraph(body) {
+  for (const paragraph of body.split(/\n\s*\n/)) {
+    const text = paragraph.split('\n').filter((line) => !HEADING_LINE_RE.test(line)).join('\n').trim();
+    if (text) {
+      return text;
+    }
+  }
+  return '';
+}
+
+/**
+ * Build a section ranker that counts the query's distinct terms in each section.
+ *
+ * @param {string} query - The search query.
+ * @returns {(blockPath: string, section: {heading: string, text: string}) => number} The ranker.
+ */
+export function queryTermRanker(query) {
+  const terms = new Set(tokenize(query));
+  return (blockPath, section) => {
+    const words = new Set(tokenize(`${section.heading}\n${section.text}`));
+    let shared = 0;
+    for (const term of terms) {
+      if (words.has(term)) {
+        shared += 1;
+      }
+    }
+    return shared;
+  };
+}
+
+/**
+ * Cut the excerpt for one search hit out of its note's content.
+ *
+ * A block's excerpt is its heading section, found by its key (as the chunker
+ * keys sections) or, failing that, by its line range. A note's excerpt is its
+ * best-ranked section when rankSection gives some section a score above 0,
+ * and otherwise its opening paragraph.
+ *
+ * @param {string} content - The note's raw Markdown content.
+ * @param {string} entryPath - The hit's path (a note, or a block such as "notes/plan.md#Goals").
+ * @param {{ lines?: [number, number], maxChars?: number,
+ *   rankSection?: (blockPath: string, section: {heading: string, text: string}) => number }} [options] -
+ *   lines is the block's 1-based inclusive range from its metadata; maxChars defaults to 240.
+ * @returns {{text: string, section: string|null}|null} The excerpt and, for a note, the heading chain of the
+ *   section it came from (null for an opening paragraph or a block); null when there is no text to show.
+ */
+export function extractSnippet(content, entryPath, options = {}) {
+  const maxChars = options.maxChars ?? DEFAULT_SNIPPET_CHARS;
+  const notePath = extractNotePath(entryPath);
+  const { text, blocks } = chunkMarkdown(content);
+
+  if (entryPath !== notePath) {
+    const key = entryPath.slice(notePath.length);
+    let body = blocks.find((block) => block.key === key)?.text;
+    const range = options.lines;
+    const lines = content.split(/\r?\n/);
+    if (body === undefined && range && range[1] <= lines.length) {
+      // The first line of the range is the heading itself.
+      body = lines.slice(range[0], range[1]).join('\n');
+    }
+    return body?.trim() ? { text: shorten(body, maxChars), section: null } : null;
+  }
+
+  if (options.rankSection) {
+    let best = null;
+    let bestScore = 0;
+    for (const block of blocks) {
+      const score = options.rankSection(`${notePath}${block.key}`, block);
+      if (score > bestScore) {
+        best = block;
+        bestScore = score;
+      }
+    }
+    if (best) {
+      return { text: shorten(best.text, maxChars), section: best.heading };
+    }
+  }
+  const opening = openingParagraph(text);
+  return opening ? { text: shorten(opening, maxChars), section: null } : null;
+}
+
+/**
+ * Read the excerpts for a page of search results.
+ *
+ * Each note is read once through readNote, however many of its blocks are
+ * in the results. Hits whose note cannot be read (deleted, or outside the
+ * vault) get no excerpt.
+ *
+ * @param {Array<{path: string, meta?: {lines?: [number, number]}}>} results - Search results.
+ * @param {string} vaultPath - Absolute path to the vault root.
+ * @param {{ maxChars?: number, rankSection?: Function }} [options] - As for extractSnippet.
+ * @returns {Promise<Array<{text: string, section: string|null}|null>>} One excerpt (or null) per result.
+ */
+export async function readSnippets(results, vaultPath, options = {}) {
+  const reads = new Map();
+  return Promise.all(
+    results.map(async (result) => {
+      const notePath = extractNotePath(result.path);
+      if (!reads.has(notePath)) {
+        reads.set(notePath, readNote(notePath, vaultPath).then(({ content }) => content, () => null));
+      }
+      const content = await reads.get(notePath);
+      return content === null ? null : extractSnippet(content, result.path, { ...options, lines: result.meta?.lines });
+    })
+  );
+}
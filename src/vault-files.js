@@ -0,0 +1,195 @@
+// Vault file listing: walks the vault on disk and records each file's mtime and size,
+// so embeddings can be checked against the notes that actually exist.
+
+import fs from 'fs/promises';
+import { watch } from 'fs';
+import path from 'path';
+
+// How long an unwatched scan is served before a background rescan starts.
+const DEFAULT_MAX_AGE_MS = 5000;
+
+/**
+ * Stat one directory entry, following a symlink only when it points at a file.
+ *
+ * @param {string} fullPath - Absolute path of the entry.
+ * @param {import('fs').Dirent} dirent - The directory entry.
+ * @returns {Promise<{mtime: number, size: number, created: number}|null>} File stats, or null if it is not a readable file.
+ */
+async function statFile(fullPath, dirent) {
+  if (!dirent.isFile() && !dirent.isSymbolicLink()) {
+    return null;
+  }
+  try {
+    const stats = await fs.stat(fullPath);
+    if (!stats.isFile()) {
+      return null;
+    }
+    // Some filesystems do not record a birth time (birthtimeMs is 0); fall back to mtime.
+    const created = Math.trunc(stats.birthtimeMs || stats.mtimeMs);
+    return { mtime: Math.trunc(stats.mtimeMs), size: stats.size, created };
+  } catch {
+    // Removed between readdir and stat, or a dangling symlink.
+    return null;
+  }
+}
+
+/**
+ * List every file in the vault with its last-modified time, size, and creation time.
+ *
+ * Paths are vault-relative with forward slashes, matching the keys Smart
+ * Connections uses. Hidden files and directories (.obsidian, .smart-env,
+ * .trash, .git, ...) are skipped, as are symlinked directories. mtime and
+ * created are truncated to whole milliseconds, the resolution Obsidian records.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @returns {Promise<Map<string, {mtime: number, size: number, created: number}>>} Files keyed by vault-relative path.
+ */
+export async function listVaultFiles(vaultPath) {
+  const files = new Map();
+  const pending = [''];
+
+  while (pending.length > 0) {
+    const relDir = pending.pop();
+    let dirents;
+    try {
+      dirents = await fs.readdir(path.join(vaultPath, relDir), { withFileTypes: true });
+    } catch {
+      // Unreadable directory -- its notes simply count as missing.
+      continue;
+    }
+
+    const visible = dirents.filter((d) => !d.name.startsWith('.'));
+    const stats = await Promise.all(
+      visible.map((d) => statFile(path.join(vaultPath, relDir, d.name), d))
+    );
+    visible.forEach((dirent, i) => {
+      const relPath = relDir ? `${relDir}/${dirent.name}` : dirent.name;
+      if (dirent.isDirectory()) {
+        pending.push(relPath);
+      } else if (stats[i]) {
+        files.set(relPath, stats[i]);
+      }
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Whether a path reported by fs.watch lies inside a hidden file or directory.
+ *
+ * @param {string} relPath - Path relative to the vault root, with either separator.
+ * @returns {boolean} True for paths listVaultFiles skips (.obsidian, .smart-env, ...).
+ */
+function isHiddenPath(relPath) {
+  return relPath.split(/[\\/]/).some((segment) => segment.startsWith('.'));
+}
+
+/**
+ * Create a cached scanner over a vault's files.
+ *
+ * Only the first files() call waits for a walk of the vault. After that,
+ * files() returns the last completed scan at once and, when it is out of date,
+ * starts a rescan in the background, so searches never pay for walking a large
+ * vault. With watch set, the vault is watched recursively and a scan is out of
+ * date once a visible file changed after it started; without it (or when the
+ * platform cannot watch), a scan is out of date after maxAgeMs. refresh()
+ * always walks the vault and resolves with the new scan.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{ maxAgeMs?: number, watch?: boolean }} [options] - maxAgeMs defaults to 5000.
+ * @returns {{
+ *   files: () => Promise<Map<string, {mtime: number, size: number}>>,
+ *   refresh: () => Promise<Map<string, {mtime: number, size: number}>>,
+ *   close: () => void
+ * }} close() stops watching the vault.
+ */
+export function createVaultScanner(vaultPath, options = {}) {
+  const maxAgeMs = options.maxAgeMs ?? DEFAULT_MAX_AGE_MS;
+  let latest = null;
+  let scannedAt = 0;
+  let scanning = null;
+  // Set by the watcher; a scan that starts afterwards clears it.
+  let changed = false;
+  let watcher = null;
+
+  if (options.watch) {
+    try {
+      const vaultWatcher = watch(vaultPath, { recursive: true }, (eventType, filename) => {
+        if (!filename || !isHiddenPath(filename)) {
+          changed = true;
+        }
+      });
+      vaultWatcher.on('error', () => {
+        // E.g. the vault was removed or the watch limit reached: fall back to maxAgeMs.
+        vaultWatcher.close();
+        if (watcher === vaultWatcher) {
+          watcher = null;
+        }
+      });
+      // Do not keep the process alive just for the watch.
+      vaultWatcher.unref();
+      watcher = vaultWatcher;
+    } catch {
+      // Recursive watching is unsupported here; scans age out after maxAgeMs instead.
+    }
+  }
+
+  /**
+   * Walk the vault and keep the result unless a later walk finished first.
+   *
+   * @returns {Promise<Map<string, {mtime: number, size: number}>>} The new scan.
+   */
+  function refresh() {
+    const started = Date.now();
+    changed = false;
+    const walk = listVaultFiles(vaultPath).then(
+      (files) => {
+        if (started >= scannedAt) {
+          latest = files;
+          scannedAt = started;
+        }
+        return files;
+      },
+      (err) => {
+        // A failed walk is not cached; the next files() call tries again.
+        changed = true;
+        throw err;
+      }
+    );
+    scanning = walk;
+    walk
+      .catch(() => {})
+      .finally(() => {
+        if (scanning === walk) {
+          scanning = null;
+        }
+      });
+    return walk;
+  }
+
+  /**
+   * The last scan, starting a background rescan when it is out of date.
+   *
+   * @returns {Promise<Map<string, {mtime: number, size: number}>>} The last completed scan.
+   */
+  async function files() {
+    if (!latest) {
+      return scanning ?? refresh();
+    }
+    const outdated = watcher ? changed : Date.now() - scannedAt >= maxAgeMs;
+    if (outdated && !scanning) {
+      refresh().catch(() => {});
+    }
+    return latest;
+  }
+
+  return {
+    files,
+    refresh,
+    close() {
+      watcher?.close();
+      watcher = null;
+    },
+  };
+}
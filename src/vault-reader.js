@@ -0,0 +1,119 @@
+// Incremental reader over the vault's Markdown notes: reads each new or changed note
+// once, a few at a time, and hands its content to every index that follows the vault.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { mapWithConcurrency } from './concurrency.js';
+
+// Default number of notes read at the same time.
+const DEFAULT_CONCURRENCY = 8;
+
+// Notes read before their contents are handed over, which bounds the text held in
+// memory while a cold start reads the whole vault.
+const BATCH_SIZE = 64;
+
+/**
+ * Create an incremental reader that keeps vault indexes in step with a scanner.
+ *
+ * Indexes register with follow(), before the first sync. sync() compares the
+ * scanner's current file list with the notes read so far: every follower is
+ * told to remove deleted notes, then each new or changed Markdown note
+ * (mtime or size differs) is read once, `concurrency` at a time, and its
+ * content passed to every follower's update, in file-list order. A note that
+ * cannot be read is left as it was and read again on the next sync. Finally
+ * each follower's synced hook learns whether anything changed. Concurrent
+ * sync() calls share one run.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{ files: () => Promise<Map<string, {mtime: number, size: number, created?: number}>> }} scanner - Vault scanner.
+ * @param {{ concurrency?: number }} [options] - concurrency defaults to 8.
+ * @returns {{ follow: (follower: VaultFollower) => void, sync: () => Promise<void> }}
+ *
+ * @typedef {{
+ *   update: (notePath: string, content: string, file: {mtime: number, size: number, created?: number}) => void,
+ *   remove: (notePath: string) => void,
+ *   synced?: (changed: boolean) => void
+ * }} VaultFollower
+ */
+export function createVaultReader(vaultPath, scanner, options = {}) {
+  const concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+  const followers = [];
+  // notePath -> {mtime, size} as last read.
+  const known = new Map();
+  let syncing = null;
+
+  /**
+   * Read one note.
+   *
+   * @param {string} notePath - Vault-relative note path.
+   * @returns {Promise<string|null>} The note's content, or null if it cannot be read.
+   */
+  async function readNote(notePath) {
+    try {
+      return await fs.readFile(path.join(vaultPath, notePath), 'utf-8');
+    } catch {
+      // Deleted or unreadable since the scan; the next sync tries again.
+      return null;
+    }
+  }
+
+  /**
+   * Drop deleted notes, read new and changed ones, and notify every follower.
+   *
+   * @returns {Promise<void>}
+   */
+  async function run() {
+    const files = await scanner.files();
+    let changed = false;
+
+    for (const notePath of known.keys()) {
+      if (!files.has(notePath)) {
+        known.delete(notePath);
+        followers.forEach((follower) => follower.remove(notePath));
+        changed = true;
+      }
+    }
+
+    const pending = [];
+    for (const [notePath, file] of files) {
+      const last = known.get(notePath);
+      if (notePath.endsWith('.md') && (!last || last.mtime !== file.mtime || last.size !== file.size)) {
+        pending.push([notePath, file]);
+      }
+    }
+
+    for (let start = 0; start < pending.length; start += BATCH_SIZE) {
+      const batch = pending.slice(start, start + BATCH_SIZE);
+      const contents = await mapWithConcurrency(batch, concurrency, ([notePath]) => readNote(notePath));
+      batch.forEach(([notePath, file], i) => {
+        if (contents[i] === null) {
+          return;
+        }
+        known.set(notePath, { mtime: file.mtime, size: file.size });
+        followers.forEach((follower) => follower.update(notePath, contents[i], file));
+        changed = true;
+      });
+    }
+
+    followers.forEach((follower) => follower.synced?.(changed));
+  }
+
+  /**
+   * Start a sync unless one is already running.
+   *
+   * @returns {Promise<void>} Settles when every follower matches the scanned files.
+   */
+  function sync() {
+    syncing ??= run().finally(() => {
+      syncing = null;
+    });
+    return syncing;
+  }
+
+  return {
+    follow(follower) {
+      followers.push(follower);
+    },
+    sync,
+  };
+}
@@ -0,0 +1,136 @@
+// Watches .smart-env/multi/ for .ajson changes and reloads the embeddings index.
+// Obsidian rewrites many files in quick bursts, so changes are debounced and batched.
+
+import { watch } from 'fs';
+import path from 'path';
+import { reloadEmbeddingIndex, writeIndexSnapshot } from './ajson-parser.js';
+
+// Quiet period after the last file event before a reload starts.
+// Smart Connections flushes its writes within a few hundred milliseconds.
+const DEFAULT_DEBOUNCE_MS = 1000;
+
+// Quiet period after the last reload before the snapshot is rewritten. A rewrite
+// packs every vector in the vault, so a long re-embedding run should cause one.
+const DEFAULT_SNAPSHOT_DELAY_MS = 30000;
+
+/**
+ * Watch a directory and report batches of changed .ajson filenames.
+ *
+ * Events are collected until no new event has arrived for `debounceMs`, then
+ * onChange is called once with every filename seen. When the platform does not
+ * report a filename, the batch is reported as null, meaning "rescan everything".
+ *
+ * @param {string} dir - Directory to watch.
+ * @param {(changed: string[]|null) => void} onChange - Called once per batch.
+ * @param {{ debounceMs?: number }} [options] - Optional debounce override.
+ * @returns {{ close: () => void }} Handle that stops watching and drops pending events.
+ * @throws {Error} If the directory cannot be watched (e.g. it does not exist).
+ */
+export function watchAjsonDir(dir, onChange, options = {}) {
+  const debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+
+  let changed = new Set();
+  let rescanAll = false;
+  let timer = null;
+
+  function flush() {
+    const batch = rescanAll ? null : Array.from(changed);
+    changed = new Set();
+    rescanAll = false;
+    timer = null;
+    onChange(batch);
+  }
+
+  const watcher = watch(dir, (eventType, filename) => {
+    if (!filename) {
+      rescanAll = true;
+    } else if (filename.endsWith('.ajson')) {
+      changed.add(filename);
+    } else {
+      // Ignore temp files and anything else that is not an embeddings file.
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  });
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
+
+/**
+ * Keep an index store in sync with the vault's .smart-env/multi/ directory.
+ *
+ * Each debounced batch re-parses only the changed files via reloadEmbeddingIndex
+ * and swaps the result into the store. Reload failures are passed to onError
+ * and leave the current index in place.
+ *
+ * transform, when given, is applied to each reloaded index before the swap
+ * (e.g. to merge in entries that do not come from the .ajson files).
+ *
+ * With snapshot, the startup snapshot is rewritten from the current index once
+ * reloads have been quiet for snapshot.delayMs, so the next start does not
+ * parse again what this run already reloaded. A failed write is ignored, as at
+ * startup: the next start just parses more.
+ *
+ * @param {string} vaultPath - Absolute path to the Obsidian vault root.
+ * @param {{ current: Function, update: Function }} store - Index store from createIndexStore.
+ * @param {{
+ *   debounceMs?: number,
+ *   transform?: (index: object) => object,
+ *   onReload?: (index: object) => void,
+ *   onError?: (err: Error) => void,
+ *   snapshot?: { dir?: string, delayMs?: number }
+ * }} [options] - snapshot.dir is passed to writeIndexSnapshot; snapshot.delayMs defaults to 30 seconds.
+ * @returns {{ close: () => void }} Handle that stops watching and drops a pending snapshot write.
+ * @throws {Error} If the multi directory cannot be watched.
+ */
+export function watchEmbeddings(vaultPath, store, options = {}) {
+  const multiDir = path.join(vaultPath, '.smart-env', 'multi');
+  const snapshotDelayMs = options.snapshot?.delayMs ?? DEFAULT_SNAPSHOT_DELAY_MS;
+  let snapshotTimer = null;
+  let writing = Promise.resolve();
+
+  /**
+   * Rewrite the snapshot from the store's current index, after any write still in progress.
+   */
+  function saveSnapshot() {
+    snapshotTimer = null;
+    writing = writing
+      .then(() => writeIndexSnapshot(vaultPath, store.current(), { dir: options.snapshot.dir }))
+      .catch(() => {});
+  }
+
+  const watcher = watchAjsonDir(
+    multiDir,
+    (changed) => {
+      store
+        .update(async (index) => {
+          const reloaded = await reloadEmbeddingIndex(vaultPath, index, changed);
+          return options.transform ? options.transform(reloaded) : reloaded;
+        })
+        .then((index) => {
+          if (options.snapshot) {
+            clearTimeout(snapshotTimer);
+            snapshotTimer = setTimeout(saveSnapshot, snapshotDelayMs);
+            // A pending rewrite does not keep the process alive.
+            snapshotTimer.unref?.();
+          }
+          options.onReload?.(index);
+        })
+        .catch((err) => options.onError?.(err));
+    },
+    { debounceMs: options.debounceMs }
+  );
+
+  return {
+    close() {
+      clearTimeout(snapshotTimer);
+      watcher.close();
+    },
+  };
+}
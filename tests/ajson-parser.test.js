@@ -5,7 +5,14 @@ import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
-import { parseAjsonContent, loadEmbeddings } from '../src/ajson-parser.js';
+import {
+  parseAjsonContent,
+  loadEmbeddings,
+  loadEmbeddingIndex,
+  reloadEmbeddingIndex,
+  replayAjsonContent,
+  writeIndexSnapshot,
+} from '../src/ajson-parser.js';
 
 // ---------------------------------------------------------------------------
 // Fixtures
@@ -28,6 +35,31 @@ const NO_EMBEDDINGS_LINE =
 const NO_VEC_LINE =
   '"smart_sources:00 INBOX/no-vec.md": {"path":"00 INBOX/no-vec.md","embeddings":{"TaylorAI/bge-micro-v2":{}}},';
 
+// An entry embedded by a different model than bge-micro-v2.
+const OTHER_MODEL_LINE =
+  '"smart_sources:00 INBOX/other.md": {"path":"00 INBOX/other.md","embeddings":{"Xenova/jina-embeddings-v2-small-en":{"vec":[0.5,0.5]}}},';
+
+// An entry carrying vectors for two models at once.
+const TWO_MODEL_LINE =
+  '"smart_sources:00 INBOX/both.md": {"path":"00 INBOX/both.md","embeddings":{"TaylorAI/bge-micro-v2":{"vec":[0.1,0.2,0.3]},"Xenova/jina-embeddings-v2-small-en":{"vec":[0.9,0.1]}}},';
+
+// Tombstones appended by Smart Connections when a note or heading is deleted.
+const SOURCE_TOMBSTONE = '"smart_sources:00 INBOX/note.md": null,';
+const BLOCK_TOMBSTONE = '"smart_blocks:00 INBOX/note.md#Some Heading": null,';
+
+// A later write of the source entry with a different vector.
+const SOURCE_REWRITE_LINE =
+  '"smart_sources:00 INBOX/note.md": {"path":"00 INBOX/note.md","embeddings":{"TaylorAI/bge-micro-v2":{"vec":[0.7,0.2,0.1]}}},';
+
+// Entries carrying the metadata Smart Connections records alongside vectors.
+const SOURCE_META_LINE =
+  '"smart_sources:notes/meta.md": {"path":"notes/meta.md","mtime":1714521600000,"size":2048,' +
+  '"last_read":{"hash":"abc123"},"outlinks":[{"key":"notes/other.md","target":"notes/other.md"},"notes/third.md"],' +
+  '"embeddings":{"TaylorAI/bge-micro-v2":{"vec":[0.1,0.2,0.3]}}},';
+const BLOCK_META_LINE =
+  '"smart_blocks:notes/meta.md#Intro": {"path":null,"lines":[3,10],"size":120,"hash":"def456",' +
+  '"embeddings":{"TaylorAI/bge-micro-v2":{"vec":[0.3,0.2,0.1]}}},';
+
 // Completely garbled text that cannot be parsed.
 const MALFORMED_LINE = 'not valid json at all }{';
 
@@ -129,6 +161,41 @@ describe('parseAjsonContent', () => {
     const results = parseAjsonContent(content);
     expect(results).toHaveLength(2);
   });
+
+  // -- model key selection --------------------------------------------------
+
+  it('reads vectors stored under a model other than bge-micro-v2', () => {
+    const results = parseAjsonContent(OTHER_MODEL_LINE);
+
+    expect(results).toHaveLength(1);
+    expect(results[0].vec).toEqual([0.5, 0.5]);
+  });
+
+  it('defaults to the most common model key in the content', () => {
+    const content = [SOURCE_LINE, BLOCK_LINE, OTHER_MODEL_LINE].join('\n');
+    const results = parseAjsonContent(content);
+
+    // bge-micro-v2 has two entries, jina has one.
+    expect(results.map((r) => r.path)).toEqual([
+      '00 INBOX/note.md',
+      '00 INBOX/note.md#Some Heading',
+    ]);
+  });
+
+  it('reads only the configured model key when one is given', () => {
+    const content = [SOURCE_LINE, OTHER_MODEL_LINE, TWO_MODEL_LINE].join('\n');
+    const results = parseAjsonContent(content, {
+      modelKey: 'Xenova/jina-embeddings-v2-small-en',
+    });
+
+    expect(results.map((r) => r.path)).toEqual(['00 INBOX/other.md', '00 INBOX/both.md']);
+    expect(results[1].vec).toEqual([0.9, 0.1]);
+  });
+
+  it('returns an empty array when the configured model key is absent', () => {
+    const results = parseAjsonContent(SOURCE_LINE, { modelKey: 'missing/model' });
+    expect(results).toEqual([]);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -227,3 +294,596 @@ describe('loadEmbeddings', () => {
     // Value is deterministic (last-write-wins given directory sort order).
   });
 });
+
+// ---------------------------------------------------------------------------
+// loadEmbeddingIndex - model key discovery across files
+// ---------------------------------------------------------------------------
+
+describe('loadEmbeddingIndex', () => {
+  let tmpDir;
+  let multiDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ajson-index-test-'));
+    multiDir = path.join(tmpDir, '.smart-env', 'multi');
+    await fs.mkdir(multiDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reports every model key found across files with entry counts', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), [SOURCE_LINE, BLOCK_LINE].join('\n'));
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), [OTHER_MODEL_LINE, TWO_MODEL_LINE].join('\n'));
+
+    const { modelKeys } = await loadEmbeddingIndex(tmpDir);
+
+    expect(modelKeys).toEqual([
+      { modelKey: 'TaylorAI/bge-micro-v2', count: 3 },
+      { modelKey: 'Xenova/jina-embeddings-v2-small-en', count: 2 },
+    ]);
+  });
+
+  it('selects the most common model key by default', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), OTHER_MODEL_LINE);
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), TWO_MODEL_LINE);
+
+    const { embeddings, modelKey } = await loadEmbeddingIndex(tmpDir);
+
+    expect(modelKey).toBe('Xenova/jina-embeddings-v2-small-en');
+    expect(embeddings.size).toBe(2);
+    expect(embeddings.get('00 INBOX/both.md').vec).toEqual([0.9, 0.1]);
+  });
+
+  it('honours a configured model key', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), OTHER_MODEL_LINE);
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), TWO_MODEL_LINE);
+
+    const { embeddings, modelKey } = await loadEmbeddingIndex(tmpDir, {
+      modelKey: 'TaylorAI/bge-micro-v2',
+    });
+
+    expect(modelKey).toBe('TaylorAI/bge-micro-v2');
+    expect(Array.from(embeddings.keys())).toEqual(['00 INBOX/both.md']);
+  });
+
+  it('returns a null model key when the directory does not exist', async () => {
+    await fs.rm(path.join(tmpDir, '.smart-env'), { recursive: true });
+
+    const { embeddings, modelKey, modelKeys } = await loadEmbeddingIndex(tmpDir);
+
+    expect(embeddings.size).toBe(0);
+    expect(modelKey).toBeNull();
+    expect(modelKeys).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// reloadEmbeddingIndex - incremental re-parse of changed files
+// ---------------------------------------------------------------------------
+
+describe('reloadEmbeddingIndex', () => {
+  let tmpDir;
+  let multiDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ajson-reload-test-'));
+    multiDir = path.join(tmpDir, '.smart-env', 'multi');
+    await fs.mkdir(multiDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('re-parses a changed file and picks up its new vectors', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), SOURCE_LINE);
+    const index = await loadEmbeddingIndex(tmpDir);
+
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), SOURCE_LINE.replace('-0.059', '0.5'));
+    const next = await reloadEmbeddingIndex(tmpDir, index, ['a.ajson']);
+
+    expect(next.embeddings.get('00 INBOX/note.md').vec).toEqual([0.5, 0.001, 0.042]);
+  });
+
+  it('reuses results for files that were not reported as changed', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), SOURCE_LINE);
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), BLOCK_LINE);
+    const index = await loadEmbeddingIndex(tmpDir);
+
+    const next = await reloadEmbeddingIndex(tmpDir, index, ['b.ajson']);
+
+    expect(next.files.get('a.ajson')).toBe(index.files.get('a.ajson'));
+    expect(next.files.get('b.ajson')).not.toBe(index.files.get('b.ajson'));
+  });
+
+  it('keeps fields callers added to the previous index', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), SOURCE_LINE);
+    const index = { ...(await loadEmbeddingIndex(tmpDir)), format: 'ajson' };
+
+    const next = await reloadEmbeddingIndex(tmpDir, index, ['a.ajson']);
+
+    expect(next.format).toBe('ajson');
+  });
+
+  it('drops entries whose file was deleted', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), SOURCE_LINE);
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), BLOCK_LINE);
+    const index = await loadEmbeddingIndex(tmpDir);
+
+    await fs.rm(path.join(multiDir, 'b.ajson'));
+    const next = await reloadEmbeddingIndex(tmpDir, index, ['b.ajson']);
+
+    expect(Array.from(next.embeddings.keys())).toEqual(['00 INBOX/note.md']);
+  });
+
+  it('does not mutate the previous index', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), SOURCE_LINE);
+    const index = await loadEmbeddingIndex(tmpDir);
+
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), BLOCK_LINE);
+    const next = await reloadEmbeddingIndex(tmpDir, index, null);
+
+    expect(index.embeddings.size).toBe(1);
+    expect(next.embeddings.size).toBe(2);
+    expect(next.embeddings).not.toBe(index.embeddings);
+  });
+
+  it('keeps the model key of the previous index', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), TWO_MODEL_LINE);
+    const index = await loadEmbeddingIndex(tmpDir, { modelKey: 'TaylorAI/bge-micro-v2' });
+
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), OTHER_MODEL_LINE);
+    const next = await reloadEmbeddingIndex(tmpDir, index, ['b.ajson']);
+
+    expect(next.modelKey).toBe('TaylorAI/bge-micro-v2');
+    expect(Array.from(next.embeddings.keys())).toEqual(['00 INBOX/both.md']);
+    expect(next.modelKeys).toEqual([
+      { modelKey: 'Xenova/jina-embeddings-v2-small-en', count: 2 },
+      { modelKey: 'TaylorAI/bge-micro-v2', count: 1 },
+    ]);
+  });
+
+  it('chooses a model once vectors appear in a vault that had none', async () => {
+    await fs.rm(multiDir, { recursive: true });
+    const index = await loadEmbeddingIndex(tmpDir);
+
+    await fs.mkdir(multiDir, { recursive: true });
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), SOURCE_LINE);
+    const first = await reloadEmbeddingIndex(tmpDir, index, ['a.ajson']);
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), BLOCK_LINE);
+    const second = await reloadEmbeddingIndex(tmpDir, first, ['b.ajson']);
+
+    expect(index).toMatchObject({ modelKey: null, embeddings: new Map() });
+    expect(first.modelKey).toBe('TaylorAI/bge-micro-v2');
+    expect(first.embeddings.get('00 INBOX/note.md').vec).toEqual([-0.059, 0.001, 0.042]);
+    expect(second.files.get('a.ajson')).toBe(first.files.get('a.ajson'));
+    expect(Array.from(second.embeddings.keys())).toEqual(['00 INBOX/note.md', '00 INBOX/note.md#Some Heading']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// loadEmbeddingIndex - streaming, concurrency and compact storage
+// ---------------------------------------------------------------------------
+
+describe('loadEmbeddingIndex streaming', () => {
+  let tmpDir;
+  let multiDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ajson-stream-test-'));
+    multiDir = path.join(tmpDir, '.smart-env', 'multi');
+    await fs.mkdir(multiDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  // Write `count` files, each holding one source line and one block line.
+  async function writeVault(count) {
+    for (let i = 0; i < count; i++) {
+      const lines = [
+        SOURCE_LINE.replaceAll('00 INBOX/note.md', `notes/n${i}.md`),
+        BLOCK_LINE.replaceAll('00 INBOX/note.md', `notes/n${i}.md`),
+      ];
+      await fs.writeFile(path.join(multiDir, `n${i}.ajson`), lines.join('\n') + '\n');
+    }
+  }
+
+  it('builds the same Map as parseAjsonContent over each file in directory order', async () => {
+    await writeVault(12);
+    // A later file re-embeds a note from an earlier one: last write must still win.
+    await fs.writeFile(
+      path.join(multiDir, 'zz.ajson'),
+      SOURCE_LINE.replaceAll('00 INBOX/note.md', 'notes/n0.md').replace('-0.059', '0.9')
+    );
+
+    const { embeddings } = await loadEmbeddingIndex(tmpDir, { concurrency: 4 });
+
+    const expected = new Map();
+    for (const filename of (await fs.readdir(multiDir)).filter((f) => f.endsWith('.ajson'))) {
+      const content = await fs.readFile(path.join(multiDir, filename), 'utf-8');
+      for (const entry of parseAjsonContent(content)) {
+        expected.set(entry.path, { vec: entry.vec, type: entry.type });
+      }
+    }
+    expect(Array.from(embeddings)).toEqual(Array.from(expected));
+    expect(embeddings.get('notes/n0.md').vec[0]).toBe(0.9);
+  });
+
+  it('produces the same Map regardless of the concurrency limit', async () => {
+    await writeVault(10);
+
+    const serial = await loadEmbeddingIndex(tmpDir, { concurrency: 1 });
+    const parallel = await loadEmbeddingIndex(tmpDir, { concurrency: 16 });
+
+    expect(Array.from(parallel.embeddings)).toEqual(Array.from(serial.embeddings));
+  });
+
+  it('handles CRLF line endings and a missing trailing newline', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), [SOURCE_LINE, BLOCK_LINE].join('\r\n'));
+
+    const { embeddings } = await loadEmbeddingIndex(tmpDir);
+
+    expect(embeddings.size).toBe(2);
+    expect(embeddings.get('00 INBOX/note.md#Some Heading').vec).toEqual([-0.083, 0.011, 0.027]);
+  });
+
+  it('stores Float32Array vectors when compact is set', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), SOURCE_LINE);
+
+    const { embeddings } = await loadEmbeddingIndex(tmpDir, { compact: true });
+
+    const { vec } = embeddings.get('00 INBOX/note.md');
+    expect(vec).toBeInstanceOf(Float32Array);
+    expect(Array.from(vec)).toEqual(Array.from(new Float32Array([-0.059, 0.001, 0.042])));
+  });
+
+  it('keeps compact storage when files are reloaded', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), SOURCE_LINE);
+    const index = await loadEmbeddingIndex(tmpDir, { compact: true });
+
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), BLOCK_LINE);
+    const next = await reloadEmbeddingIndex(tmpDir, index, ['b.ajson']);
+
+    expect(next.embeddings.get('00 INBOX/note.md#Some Heading').vec).toBeInstanceOf(Float32Array);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// replayAjsonContent - append-log semantics within a file
+// ---------------------------------------------------------------------------
+
+describe('replayAjsonContent', () => {
+  it('keeps only the last write for a key', () => {
+    const { entries, superseded } = replayAjsonContent([SOURCE_LINE, SOURCE_REWRITE_LINE].join('\n'));
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].vec).toEqual([0.7, 0.2, 0.1]);
+    expect(superseded).toBe(1);
+  });
+
+  it('removes a key whose last line is a tombstone', () => {
+    const content = [SOURCE_LINE, BLOCK_LINE, BLOCK_TOMBSTONE].join('\n');
+    const { entries, deleted } = replayAjsonContent(content);
+
+    expect(entries.map((e) => e.path)).toEqual(['00 INBOX/note.md']);
+    expect(deleted).toBe(1);
+  });
+
+  it('restores a key written again after its tombstone', () => {
+    const content = [SOURCE_LINE, SOURCE_TOMBSTONE, SOURCE_REWRITE_LINE].join('\n');
+    const { entries, deleted, superseded } = replayAjsonContent(content);
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].vec).toEqual([0.7, 0.2, 0.1]);
+    expect(deleted).toBe(1);
+    expect(superseded).toBe(0);
+  });
+
+  it('drops a stale vector when the latest write has no embedding', () => {
+    const rewrittenWithoutVec = NO_EMBEDDINGS_LINE.replaceAll('orphan', 'note');
+    const { entries, superseded } = replayAjsonContent([SOURCE_LINE, rewrittenWithoutVec].join('\n'));
+
+    expect(entries).toEqual([]);
+    expect(superseded).toBe(1);
+  });
+
+  it('does not count a tombstone for a key that was never written', () => {
+    const { entries, deleted } = replayAjsonContent(SOURCE_TOMBSTONE);
+
+    expect(entries).toEqual([]);
+    expect(deleted).toBe(0);
+  });
+
+  it('carries source metadata: mtime, size, hash and outlink targets', () => {
+    const { entries } = replayAjsonContent(SOURCE_META_LINE);
+
+    expect(entries[0].meta).toEqual({
+      mtime: 1714521600000,
+      size: 2048,
+      hash: 'abc123',
+      outlinks: ['notes/other.md', 'notes/third.md'],
+    });
+  });
+
+  it('carries block metadata including the line range', () => {
+    const { entries } = replayAjsonContent(BLOCK_META_LINE);
+
+    expect(entries[0].meta).toEqual({ lines: [3, 10], size: 120, hash: 'def456' });
+  });
+
+  it('omits meta for entries that record none', () => {
+    const { entries } = replayAjsonContent(SOURCE_LINE);
+
+    expect(entries[0]).not.toHaveProperty('meta');
+  });
+
+  it('prefers the last_embed hash over the last_read hash', () => {
+    const line = SOURCE_META_LINE.replace('"last_read"', '"last_embed":{"hash":"emb999"},"last_read"');
+    const { entries } = replayAjsonContent(line);
+
+    expect(entries[0].meta.hash).toBe('emb999');
+  });
+
+  it('parseAjsonContent returns the replayed entries', () => {
+    const content = [SOURCE_LINE, BLOCK_LINE, SOURCE_TOMBSTONE].join('\n');
+
+    expect(parseAjsonContent(content).map((e) => e.path)).toEqual(['00 INBOX/note.md#Some Heading']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// loadEmbeddingIndex - append-log semantics across files
+// ---------------------------------------------------------------------------
+
+describe('loadEmbeddingIndex replay', () => {
+  let tmpDir;
+  let multiDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ajson-replay-test-'));
+    multiDir = path.join(tmpDir, '.smart-env', 'multi');
+    await fs.mkdir(multiDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('removes entries tombstoned by a later file', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), [SOURCE_LINE, BLOCK_LINE].join('\n'));
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), BLOCK_TOMBSTONE);
+
+    const { embeddings, replay } = await loadEmbeddingIndex(tmpDir);
+
+    expect(Array.from(embeddings.keys())).toEqual(['00 INBOX/note.md']);
+    expect(replay.deleted).toBe(1);
+  });
+
+  it('counts superseded and deleted entries within and across files', async () => {
+    await fs.writeFile(
+      path.join(multiDir, 'a.ajson'),
+      [SOURCE_LINE, SOURCE_REWRITE_LINE, BLOCK_LINE, BLOCK_TOMBSTONE].join('\n')
+    );
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), SOURCE_LINE);
+
+    const { embeddings, replay } = await loadEmbeddingIndex(tmpDir);
+
+    // One rewrite inside a.ajson, one rewrite from b.ajson.
+    expect(replay).toEqual({ superseded: 2, deleted: 1 });
+    expect(embeddings.get('00 INBOX/note.md').vec).toEqual([-0.059, 0.001, 0.042]);
+  });
+
+  it('keeps metadata on the Map entries', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), [SOURCE_META_LINE, BLOCK_META_LINE].join('\n'));
+
+    const { embeddings } = await loadEmbeddingIndex(tmpDir);
+
+    expect(embeddings.get('notes/meta.md').meta.mtime).toBe(1714521600000);
+    expect(embeddings.get('notes/meta.md#Intro').meta.lines).toEqual([3, 10]);
+  });
+
+  it('reports zero counts for an empty vault', async () => {
+    const { replay } = await loadEmbeddingIndex(tmpDir);
+
+    expect(replay).toEqual({ superseded: 0, deleted: 0 });
+  });
+
+  it('applies a tombstone appended after a reload', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), [SOURCE_LINE, BLOCK_LINE].join('\n') + '\n');
+    const index = await loadEmbeddingIndex(tmpDir);
+
+    await fs.appendFile(path.join(multiDir, 'a.ajson'), SOURCE_TOMBSTONE + '\n');
+    const next = await reloadEmbeddingIndex(tmpDir, index, ['a.ajson']);
+
+    expect(Array.from(next.embeddings.keys())).toEqual(['00 INBOX/note.md#Some Heading']);
+    expect(next.replay.deleted).toBe(1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// loadEmbeddingIndex diagnostics
+// ---------------------------------------------------------------------------
+
+describe('loadEmbeddingIndex diagnostics', () => {
+  let tmpDir;
+  let multiDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ajson-diag-test-'));
+    multiDir = path.join(tmpDir, '.smart-env', 'multi');
+    await fs.mkdir(multiDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('counts skipped lines by reason with their line numbers', async () => {
+    await fs.writeFile(
+      path.join(multiDir, 'a.ajson'),
+      [SOURCE_LINE, MALFORMED_LINE, '"smart_other:x": {},', NO_VEC_LINE].join('\n')
+    );
+
+    const { diagnostics } = await loadEmbeddingIndex(tmpDir);
+
+    expect(diagnostics.filesParsed).toBe(1);
+    expect(diagnostics.skippedFiles).toEqual([
+      {
+        file: 'a.ajson',
+        skipped: { malformed: 1, 'unknown-prefix': 1, 'no-vector': 1 },
+        samples: [
+          { line: 2, reason: 'malformed' },
+          { line: 3, reason: 'unknown-prefix' },
+          { path: '00 INBOX/no-vec.md', reason: 'no-vector' },
+        ],
+      },
+    ]);
+  });
+
+  it('does not count blank lines as skipped', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), `${SOURCE_LINE}\n\n${BLOCK_LINE}\n`);
+
+    const { diagnostics } = await loadEmbeddingIndex(tmpDir);
+
+    expect(diagnostics.skippedFiles).toEqual([]);
+  });
+
+  it('reports keys written by more than one file', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), SOURCE_LINE);
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), SOURCE_REWRITE_LINE);
+
+    const { diagnostics } = await loadEmbeddingIndex(tmpDir);
+
+    expect(diagnostics.duplicates).toEqual({
+      count: 1,
+      samples: [{ path: '00 INBOX/note.md', files: ['a.ajson', 'b.ajson'] }],
+    });
+  });
+
+  it('lists unreadable files with the read error', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), SOURCE_LINE);
+    // A directory with an .ajson name is listed but cannot be read as a file.
+    await fs.mkdir(path.join(multiDir, 'b.ajson'));
+
+    const { embeddings, diagnostics } = await loadEmbeddingIndex(tmpDir);
+
+    expect(embeddings.size).toBe(1);
+    expect(diagnostics.unreadable).toHaveLength(1);
+    expect(diagnostics.unreadable[0].file).toBe('b.ajson');
+    expect(diagnostics.unreadable[0].error).toEqual(expect.any(String));
+  });
+
+  it('recomputes diagnostics on reload', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), [SOURCE_LINE, MALFORMED_LINE].join('\n'));
+    const index = await loadEmbeddingIndex(tmpDir);
+
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), SOURCE_LINE);
+    const next = await reloadEmbeddingIndex(tmpDir, index, ['a.ajson']);
+
+    expect(index.diagnostics.skippedFiles).toHaveLength(1);
+    expect(next.diagnostics.skippedFiles).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// loadEmbeddingIndex snapshot
+// ---------------------------------------------------------------------------
+
+describe('loadEmbeddingIndex snapshot', () => {
+  let tmpDir;
+  let multiDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ajson-snapshot-test-'));
+    multiDir = path.join(tmpDir, '.smart-env', 'multi');
+    await fs.mkdir(multiDir, { recursive: true });
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), [SOURCE_META_LINE, BLOCK_META_LINE].join('\n'));
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), [SOURCE_LINE, BLOCK_LINE, BLOCK_TOMBSTONE].join('\n'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reuses every unchanged file on the next load', async () => {
+    const first = await loadEmbeddingIndex(tmpDir, { snapshot: true });
+    const second = await loadEmbeddingIndex(tmpDir, { snapshot: true });
+    const parsed = await loadEmbeddingIndex(tmpDir, { compact: true });
+
+    expect(first.snapshot).toEqual({ reused: 0, parsed: 2 });
+    expect(second.snapshot).toEqual({ reused: 2, parsed: 0 });
+    expect(second.embeddings).toEqual(parsed.embeddings);
+    expect(second.replay).toEqual(parsed.replay);
+    expect(second.modelKeys).toEqual(parsed.modelKeys);
+  });
+
+  it('parses only the files that changed', async () => {
+    await loadEmbeddingIndex(tmpDir, { snapshot: true });
+    await fs.appendFile(path.join(multiDir, 'b.ajson'), '\n' + SOURCE_TOMBSTONE);
+
+    const index = await loadEmbeddingIndex(tmpDir, { snapshot: true });
+
+    expect(index.snapshot).toEqual({ reused: 1, parsed: 1 });
+    expect(index.embeddings.has('00 INBOX/note.md')).toBe(false);
+    expect(index.embeddings.has('notes/meta.md')).toBe(true);
+  });
+
+  it('drops files removed since the snapshot was written', async () => {
+    await loadEmbeddingIndex(tmpDir, { snapshot: true });
+    await fs.rm(path.join(multiDir, 'a.ajson'));
+
+    const index = await loadEmbeddingIndex(tmpDir, { snapshot: true });
+
+    expect(Array.from(index.embeddings.keys())).toEqual(['00 INBOX/note.md']);
+  });
+
+  it('falls back to a full parse when the snapshot is corrupt', async () => {
+    await loadEmbeddingIndex(tmpDir, { snapshot: true });
+    await fs.writeFile(path.join(tmpDir, '.smart-search', 'embeddings.snapshot'), 'corrupt');
+
+    const index = await loadEmbeddingIndex(tmpDir, { snapshot: true });
+
+    expect(index.snapshot).toEqual({ reused: 0, parsed: 2 });
+    expect(index.embeddings.size).toBe(3);
+  });
+
+  it('ignores a snapshot written for a different model', async () => {
+    await loadEmbeddingIndex(tmpDir, { snapshot: true });
+
+    const index = await loadEmbeddingIndex(tmpDir, {
+      snapshot: true,
+      modelKey: 'Xenova/jina-embeddings-v2-small-en',
+    });
+
+    expect(index.snapshot.reused).toBe(0);
+    expect(index.embeddings.size).toBe(0);
+  });
+
+  it('saves reloaded files so the next load reuses them', async () => {
+    const index = await loadEmbeddingIndex(tmpDir, { snapshot: true });
+    await fs.appendFile(path.join(multiDir, 'b.ajson'), '\n' + SOURCE_TOMBSTONE);
+    await fs.writeFile(path.join(multiDir, 'c.ajson'), SOURCE_LINE);
+
+    const reloaded = await reloadEmbeddingIndex(tmpDir, index, ['b.ajson', 'c.ajson']);
+    await writeIndexSnapshot(tmpDir, reloaded);
+    const next = await loadEmbeddingIndex(tmpDir, { snapshot: true });
+
+    expect(Array.from(reloaded.sourceStats.keys())).toEqual(['a.ajson', 'b.ajson', 'c.ajson']);
+    expect(next.snapshot).toEqual({ reused: 3, parsed: 0 });
+    expect(next.embeddings).toEqual(reloaded.embeddings);
+  });
+
+  it('reads and writes the snapshot in snapshotDir when given', async () => {
+    const snapshotDir = path.join(tmpDir, 'cache');
+
+    await loadEmbeddingIndex(tmpDir, { snapshot: true, snapshotDir });
+    const index = await loadEmbeddingIndex(tmpDir, { snapshot: true, snapshotDir });
+
+    expect(index.snapshot).toEqual({ reused: 2, parsed: 0 });
+    await expect(fs.access(path.join(tmpDir, '.smart-search'))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,64 @@
+// Tests for the BM25 index (src/bm25.js).
+// Pure in-memory documents.
+
+import { describe, it, expect } from 'vitest';
+import { tokenize, createBm25Index } from '../src/bm25.js';
+
+describe('tokenize', () => {
+  it('lowercases and splits on anything but letters, digits, and underscores', () => {
+    expect(tokenize('Fix PROJ-1234 in my_module (Zürich)')).toEqual([
+      'fix', 'proj', '1234', 'in', 'my_module', 'zürich',
+    ]);
+  });
+
+  it('returns an empty array for text without terms', () => {
+    expect(tokenize('--- !!')).toEqual([]);
+  });
+});
+
+describe('createBm25Index', () => {
+  function buildIndex() {
+    const index = createBm25Index();
+    index.add('a.md', 'the deployment runbook for PROJ-1234', 'source');
+    index.add('b.md', 'notes about the garden and the weather', 'source');
+    index.add('b.md#Tomatoes', 'tomatoes tomatoes tomatoes', 'block');
+    return index;
+  }
+
+  it('ranks only documents that contain a query term', () => {
+    const results = buildIndex().search('proj-1234');
+
+    expect(results.map((r) => r.path)).toEqual(['a.md']);
+    expect(results[0].score).toBeGreaterThan(0);
+  });
+
+  it('weights rare terms above common ones', () => {
+    const index = buildIndex();
+
+    // "the" appears in two documents, "garden" in one.
+    expect(index.score('garden', 'b.md')).toBeGreaterThan(index.score('the', 'b.md'));
+  });
+
+  it('applies the filter before scoring and honours the limit', () => {
+    const index = buildIndex();
+
+    expect(index.search('tomatoes garden', { filter: (id, type) => type === 'source' }).map((r) => r.path))
+      .toEqual(['b.md']);
+    expect(index.search('the', { limit: 1 })).toHaveLength(1);
+  });
+
+  it('replaces a document added again and forgets removed ones', () => {
+    const index = buildIndex();
+
+    index.add('a.md', 'completely different text', 'source');
+    index.remove('b.md#Tomatoes');
+
+    expect(index.search('runbook')).toEqual([]);
+    expect(index.search('tomatoes')).toEqual([]);
+    expect(index.size()).toBe(2);
+  });
+
+  it('scores unknown documents as zero', () => {
+    expect(buildIndex().score('garden', 'missing.md')).toBe(0);
+  });
+});
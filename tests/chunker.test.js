@@ -0,0 +1,53 @@
+// Tests for the Markdown chunker (src/chunker.js).
+// Pure string input -- no files on disk.
+
+import { describe, it, expect } from 'vitest';
+import { chunkMarkdown } from '../src/chunker.js';
+
+describe('chunkMarkdown', () => {
+  it('keys nested sections by their heading chain', () => {
+    const content = ['# Project', 'Intro text.', '', '## Goals', 'Ship it.', '', '# Notes', 'More.'].join('\n');
+
+    const { blocks } = chunkMarkdown(content);
+
+    expect(blocks.map((b) => b.key)).toEqual(['#Project', '#Project#Goals', '#Notes']);
+    expect(blocks[1]).toEqual({
+      key: '#Project#Goals',
+      heading: 'Project > Goals',
+      text: 'Ship it.',
+      lines: [4, 5],
+    });
+  });
+
+  it('strips frontmatter from the note text and keeps line numbers absolute', () => {
+    const content = ['---', 'tags: [a]', '---', '# Title', 'Body.'].join('\n');
+
+    const { text, blocks } = chunkMarkdown(content);
+
+    expect(text).toBe('# Title\nBody.');
+    expect(blocks[0].lines).toEqual([4, 5]);
+  });
+
+  it('ignores headings inside fenced code blocks', () => {
+    const content = ['# Real', '```', '# not a heading', '```'].join('\n');
+
+    const { blocks } = chunkMarkdown(content);
+
+    expect(blocks.map((b) => b.key)).toEqual(['#Real']);
+  });
+
+  it('skips empty sections and numbers repeated headings', () => {
+    const content = ['# Empty', '# Log', 'one', '# Log', 'two'].join('\n');
+
+    const { blocks } = chunkMarkdown(content);
+
+    expect(blocks.map((b) => b.key)).toEqual(['#Log', '#Log{2}']);
+  });
+
+  it('returns no blocks for a note without headings', () => {
+    const { text, blocks } = chunkMarkdown('just a line\r\nand another');
+
+    expect(text).toBe('just a line\nand another');
+    expect(blocks).toEqual([]);
+  });
+});
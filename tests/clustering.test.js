@@ -0,0 +1,80 @@
+// Tests for topic clustering (src/clustering.js).
+// Uses small hand-built embeddings with well-separated themes.
+
+import { describe, it, expect } from 'vitest';
+import { clusterVault } from '../src/clustering.js';
+import { createRandom } from '../src/random.js';
+
+// Three themes along the x, y, and z axes, with a little spread, plus blocks whose headings
+// add label words. The "meeting" titles appear in every theme, so they never label one.
+function buildThemedEmbeddings() {
+  const themes = [
+    ['garden', [1, 0, 0], ['Tomato planting', 'Basil harvest', 'Compost meeting', 'Tomato pests']],
+    ['work', [0, 1, 0], ['Roadmap review', 'Sprint planning', 'Roadmap meeting']],
+    ['travel', [0, 0, 1], ['Lisbon trip', 'Packing list meeting']],
+  ];
+  const embeddings = new Map();
+  for (const [folder, axis, titles] of themes) {
+    titles.forEach((title, i) => {
+      const vec = axis.map((x, d) => x + (d === i % 3 ? 0.05 : 0.02) * (i + 1));
+      embeddings.set(`${folder}/${title}.md`, { vec, type: 'source' });
+    });
+  }
+  embeddings.set('work/Roadmap review.md#Milestones', { vec: [0, 1, 0.1], type: 'block' });
+  return embeddings;
+}
+
+describe('clusterVault', () => {
+  it('groups notes by theme, largest first, with representatives and labels', () => {
+    const result = clusterVault(buildThemedEmbeddings(), { k: 3 });
+
+    expect(result.notes).toBe(9);
+    expect(result.clusters.map((c) => c.size)).toEqual([4, 3, 2]);
+    const folders = result.clusters.map((c) => new Set(c.representatives.map((r) => r.path.split('/')[0])));
+    expect(folders).toEqual([new Set(['garden']), new Set(['work']), new Set(['travel'])]);
+    expect(result.clusters[0].label).toBe('tomato, basil, compost');
+    expect(result.clusters[1].label).toBe('roadmap, milestones, planning');
+    expect(result.clusters[2].representatives[0].score).toBeGreaterThan(0.99);
+  });
+
+  it('limits representatives and caches results per embeddings Map', () => {
+    const embeddings = buildThemedEmbeddings();
+
+    const first = clusterVault(embeddings, { k: 3, representatives: 2 });
+
+    expect(first.clusters[0].representatives).toHaveLength(2);
+    expect(clusterVault(embeddings, { k: 3, representatives: 2 })).toBe(first);
+    expect(clusterVault(buildThemedEmbeddings(), { k: 3, representatives: 2 })).not.toBe(first);
+  });
+
+  it('scores representatives against their final centroid when k-means hits the round cap', () => {
+    // Points scattered over a plane keep drifting between 20 clusters for
+    // longer than the 30 rounds k-means is allowed.
+    const random = createRandom(7);
+    const embeddings = new Map();
+    for (let i = 0; i < 3000; i++) {
+      embeddings.set(`n${i}.md`, { vec: [random() - 0.5, random() - 0.5], type: 'source' });
+    }
+
+    const result = clusterVault(embeddings, { k: 20, representatives: 3000 });
+
+    expect(result.iterations).toBe(30);
+    for (const cluster of result.clusters) {
+      const vecs = cluster.representatives.map((r) => embeddings.get(r.path).vec);
+      const units = vecs.map(([x, y]) => [x / Math.hypot(x, y), y / Math.hypot(x, y)]);
+      const mean = units.reduce(([x, y], [ux, uy]) => [x + ux, y + uy], [0, 0]);
+      cluster.representatives.forEach((r, i) => {
+        const similarity = (units[i][0] * mean[0] + units[i][1] * mean[1]) / Math.hypot(...mean);
+        expect(Math.abs(r.score - similarity)).toBeLessThan(0.0011);
+      });
+    }
+  });
+
+  it('scopes to a folder and caps k at the number of notes', () => {
+    const result = clusterVault(buildThemedEmbeddings(), { folder: 'TRAVEL/', k: 10 });
+
+    expect(result.notes).toBe(2);
+    expect(result.clusters.map((c) => c.size)).toEqual([1, 1]);
+    expect(clusterVault(new Map(), {})).toEqual({ clusters: [], notes: 0, iterations: 0 });
+  });
+});
@@ -0,0 +1,35 @@
+// Tests for the bounded-concurrency helpers (src/concurrency.js).
+
+import { describe, it, expect } from 'vitest';
+import { mapWithConcurrency } from '../src/concurrency.js';
+
+describe('mapWithConcurrency', () => {
+  it('keeps input order with at most limit calls in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async (delay, i) => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      inFlight -= 1;
+      return `${i}:${delay}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:10', '2:20', '3:0', '4:5']);
+    expect(peak).toBe(2);
+  });
+
+  it('runs one call at a time for a limit below 1 and handles no items', async () => {
+    let inFlight = 0;
+    const results = await mapWithConcurrency([1, 2, 3], 0, async (n) => {
+      inFlight += 1;
+      expect(inFlight).toBe(1);
+      await Promise.resolve();
+      inFlight -= 1;
+      return n * 2;
+    });
+
+    expect(results).toEqual([2, 4, 6]);
+    expect(await mapWithConcurrency([], 4, async (n) => n)).toEqual([]);
+  });
+});
@@ -0,0 +1,161 @@
+// Tests for near-duplicate detection (src/duplicates.js).
+// Small scopes are checked by hand; the LSH path is checked against a brute-force scan.
+
+import { describe, it, expect } from 'vitest';
+import { findDuplicates } from '../src/duplicates.js';
+import { cosineSimilarity } from '../src/similarity.js';
+import { createRandom } from '../src/random.js';
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+// Deterministic pseudo-random numbers in [-0.5, 0.5).
+function createNoise(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+}
+
+// count random vectors sharing a common offset (embedding models put vectors in a
+// narrow cone), plus a slightly perturbed copy of every tenth one.
+function buildClusteredEmbeddings(count, dims) {
+  const noise = createNoise(5);
+  const embeddings = new Map();
+  for (let i = 0; i < count; i++) {
+    const vec = new Float32Array(dims).map(() => 0.3 + noise());
+    embeddings.set(`notes/n${i}.md`, { vec, type: 'source' });
+    if (i % 10 === 0) {
+      embeddings.set(`copies/n${i}.md`, { vec: vec.map((x) => x + noise() * 0.3), type: 'source' });
+    }
+  }
+  return embeddings;
+}
+
+// count vectors spread over 200 topics around a common offset, plus a copy of every
+// tenth one with a random amount of noise (similarity from about 0.75 to 0.99).
+function buildTopicEmbeddings(count, dims) {
+  const random = createRandom(3);
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  const topics = Array.from({ length: 200 }, () => Float32Array.from({ length: dims }, gaussian));
+  const embeddings = new Map();
+  for (let i = 0; i < count; i++) {
+    const vec = topics[i % 200].map((x) => 0.7 + x + gaussian());
+    embeddings.set(`notes/n${i}.md`, { vec, type: 'source' });
+    if (i % 10 === 0) {
+      const spread = 0.05 + random() * 0.8;
+      embeddings.set(`copies/n${i}.md`, { vec: vec.map((x) => x + gaussian() * spread), type: 'source' });
+    }
+  }
+  return embeddings;
+}
+
+// Brute-force clusters: every linked pair, as sorted "a|b" strings.
+function bruteForcePairs(embeddings, threshold) {
+  const entries = Array.from(embeddings);
+  const pairs = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (cosineSimilarity(entries[i][1].vec, entries[j][1].vec) >= threshold) {
+        pairs.push([entries[i][0], entries[j][0]].sort().join('|'));
+      }
+    }
+  }
+  return pairs.sort();
+}
+
+// ---------------------------------------------------------------------------
+// findDuplicates
+// ---------------------------------------------------------------------------
+
+describe('findDuplicates', () => {
+  it('links pairs above the threshold into connected clusters', () => {
+    const embeddings = new Map([
+      ['a.md', { vec: [1, 0, 0], type: 'source' }],
+      ['b.md', { vec: [0.99, 0.14, 0], type: 'source' }],
+      ['c.md', { vec: [0.96, 0.28, 0], type: 'source' }],
+      ['d.md', { vec: [0, 1, 0], type: 'source' }],
+      ['e.md', { vec: [0, 0, 1], type: 'source' }],
+      ['f.md', { vec: [0, 0.05, 1], type: 'source' }],
+    ]);
+
+    const report = findDuplicates(embeddings, { threshold: 0.98 });
+
+    // a and c are only linked through b.
+    expect(report.clusters).toEqual([
+      { paths: ['a.md', 'b.md', 'c.md'], minScore: 0.99, maxScore: 0.99 },
+      { paths: ['e.md', 'f.md'], minScore: 0.999, maxScore: 0.999 },
+    ]);
+    expect(report).toMatchObject({ entries: 6, comparisons: 15, method: 'exact' });
+  });
+
+  it('scopes by type, folder, and exclusions, and skips unusable vectors', () => {
+    const embeddings = new Map([
+      ['Projects/a.md', { vec: [1, 0], type: 'source' }],
+      ['projects/b.md', { vec: [1, 0], type: 'source' }],
+      ['projects/b.md#Intro', { vec: [1, 0], type: 'block' }],
+      ['Projects/c.md', { vec: [1, 0], type: 'source' }],
+      ['Projects/zero.md', { vec: [0, 0], type: 'source' }],
+      ['Projects/wide.md', { vec: [1, 0, 0], type: 'source' }],
+      ['Other/d.md', { vec: [1, 0], type: 'source' }],
+    ]);
+
+    const report = findDuplicates(embeddings, { folder: 'projects/', exclude: new Set(['Projects/c.md']) });
+
+    expect(report.clusters.map((c) => c.paths)).toEqual([['Projects/a.md', 'projects/b.md']]);
+    expect(report.entries).toBe(2);
+    expect(findDuplicates(embeddings, { type: 'block' }).clusters).toEqual([]);
+  });
+
+  it('uses LSH on large scopes and finds the same pairs as a full scan', () => {
+    const embeddings = buildClusteredEmbeddings(2400, 64);
+
+    const report = findDuplicates(embeddings, { threshold: 0.95 });
+
+    expect(report.method).toBe('lsh');
+    expect(report.entries).toBe(2640);
+    // Far fewer comparisons than the 3.5 million pairs a full scan makes.
+    expect(report.comparisons).toBeLessThan(100000);
+    const found = report.clusters.flatMap((c) => (c.paths.length === 2 ? [c.paths.join('|')] : [])).sort();
+    expect(report.clusters.every((c) => c.paths.length === 2)).toBe(true);
+    expect(found).toEqual(bruteForcePairs(embeddings, 0.95));
+  });
+
+  it('keeps comparisons about linear in a large vault at the lowest threshold', () => {
+    const embeddings = buildTopicEmbeddings(20000, 32);
+
+    const report = findDuplicates(embeddings, { threshold: 0.8 });
+
+    expect(report.method).toBe('lsh');
+    // Some 300 per entry, against the 11,000 per entry (242 million in all) of a full scan.
+    expect(report.comparisons).toBeLessThan(400 * report.entries);
+    // Nearly every copy at or above the threshold is still clustered with its original.
+    const clusterOf = new Map(report.clusters.flatMap((c, k) => c.paths.map((p) => [p, k])));
+    const pairs = [];
+    for (const [copy, { vec }] of embeddings) {
+      const original = copy.replace('copies/', 'notes/');
+      if (copy.startsWith('copies/') && cosineSimilarity(vec, embeddings.get(original).vec) >= 0.8) {
+        pairs.push(clusterOf.has(copy) && clusterOf.get(copy) === clusterOf.get(original));
+      }
+    }
+    expect(pairs.filter(Boolean).length).toBeGreaterThan(0.97 * pairs.length);
+  });
+
+  it('compares identical vectors with their bucket neighbours only', () => {
+    const embeddings = new Map();
+    for (let i = 0; i < 3000; i++) {
+      embeddings.set(`empty/e${i}.md`, { vec: [0.5, 0.5, 0.5, 0.5], type: 'source' });
+    }
+
+    const report = findDuplicates(embeddings);
+
+    expect(report.comparisons).toBeLessThan(31 * 3000);
+    expect(report.clusters).toEqual([{ paths: Array.from(embeddings.keys()).sort(), minScore: 1, maxScore: 1 }]);
+  });
+
+  it('rejects thresholds below 0.8', () => {
+    expect(() => findDuplicates(new Map(), { threshold: 0.5 })).toThrow('threshold must be between 0.8 and 1');
+  });
+});
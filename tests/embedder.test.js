@@ -24,6 +24,13 @@ describe('createEmbedder', () => {
     expect(a).not.toBe(b);
   });
 
+  it('exposes the model id it encodes with', () => {
+    expect(createEmbedder().modelId).toBe('TaylorAI/bge-micro-v2');
+    expect(createEmbedder('Xenova/jina-embeddings-v2-small-en').modelId).toBe(
+      'Xenova/jina-embeddings-v2-small-en'
+    );
+  });
+
   it('accepts a custom modelId without throwing at construction time', () => {
     // Lazy init means construction itself should never throw
     expect(() => createEmbedder('TaylorAI/bge-micro-v2')).not.toThrow();
@@ -0,0 +1,94 @@
+// Tests for the embedding format registry (src/formats.js).
+// Covers layout detection, preference order, and fall-through for empty layouts.
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { detectFormats, loadVaultIndex } from '../src/formats.js';
+
+// One AJSON source line for notes/a.md.
+const AJSON_LINE =
+  '"smart_sources:notes/a.md": {"path":"notes/a.md","embeddings":{"TaylorAI/bge-micro-v2":{"vec":[1,0,0]}}},';
+
+// v1 document with one entry for notes/old.md.
+const V1_DOC = { key: { vec: [0, 1, 0], meta: { path: 'notes/old.md' } } };
+
+describe('loadVaultIndex', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'formats-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  // Write a file relative to the temp vault, creating parent directories.
+  async function write(relPath, content) {
+    const full = path.join(tmpDir, relPath);
+    await fs.mkdir(path.dirname(full), { recursive: true });
+    await fs.writeFile(full, content);
+  }
+
+  it('loads the .ajson layout and reports format "ajson"', async () => {
+    await write('.smart-env/multi/a.ajson', AJSON_LINE);
+
+    const index = await loadVaultIndex(tmpDir);
+
+    expect(index.format).toBe('ajson');
+    expect(index.embeddings.has('notes/a.md')).toBe(true);
+  });
+
+  it('loads the v1 layout when it is the only one present', async () => {
+    await write('.smart-connections/embeddings-2.json', JSON.stringify(V1_DOC));
+
+    const index = await loadVaultIndex(tmpDir);
+
+    expect(index.format).toBe('smart-connections-v1');
+    expect(index.embeddings.has('notes/old.md')).toBe(true);
+  });
+
+  it('prefers .ajson over legacy layouts left behind after migration', async () => {
+    await write('.smart-env/multi/a.ajson', AJSON_LINE);
+    await write('.smart-connections/embeddings-2.json', JSON.stringify(V1_DOC));
+
+    const detected = await detectFormats(tmpDir);
+    const index = await loadVaultIndex(tmpDir);
+
+    expect(detected.map((r) => r.name)).toEqual(['ajson', 'smart-connections-v1']);
+    expect(index.format).toBe('ajson');
+    expect(index.embeddings.has('notes/old.md')).toBe(false);
+  });
+
+  it('falls through a settings-only .smart-env/*.json to the v1 layout', async () => {
+    await write('.smart-env/smart_env.json', '{"is_obsidian_vault": true}');
+    await write('.smart-connections/embeddings-2.json', JSON.stringify(V1_DOC));
+
+    const index = await loadVaultIndex(tmpDir);
+
+    expect(index.format).toBe('smart-connections-v1');
+  });
+
+  it('returns an empty index with a null format when no layout exists', async () => {
+    const index = await loadVaultIndex(tmpDir);
+
+    expect(index.format).toBeNull();
+    expect(index.embeddings.size).toBe(0);
+  });
+
+  it('accepts custom readers', async () => {
+    const reader = {
+      name: 'custom',
+      location: 'custom.bin',
+      detect: async () => true,
+      load: async () => ({ embeddings: new Map([['x.md', { vec: [1], type: 'source' }]]), modelKey: null }),
+    };
+
+    const index = await loadVaultIndex(tmpDir, {}, [reader]);
+
+    expect(index.format).toBe('custom');
+    expect(index.embeddings.has('x.md')).toBe(true);
+  });
+});
@@ -0,0 +1,69 @@
+// Tests for the freshness check (src/freshness.js).
+// Uses in-memory embeddings and file listings -- no files on disk.
+
+import { describe, it, expect } from 'vitest';
+import { checkFreshness, findOrphans } from '../src/freshness.js';
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+const EMBEDDED_AT = 1714521600000;
+
+// Embeddings for four notes: one unchanged, one edited, one resized, one deleted.
+const embeddings = new Map([
+  ['notes/same.md', { vec: [1, 0], type: 'source', meta: { mtime: EMBEDDED_AT, size: 10 } }],
+  ['notes/same.md#Intro', { vec: [1, 0], type: 'block', meta: { lines: [1, 3] } }],
+  ['notes/edited.md', { vec: [0, 1], type: 'source', meta: { mtime: EMBEDDED_AT, size: 10 } }],
+  ['notes/resized.md', { vec: [0, 1], type: 'source', meta: { size: 10 } }],
+  ['notes/gone.md', { vec: [1, 1], type: 'source' }],
+  ['notes/gone.md#Heading', { vec: [1, 1], type: 'block' }],
+  ['notes/no-meta.md', { vec: [1, 1], type: 'source' }],
+]);
+
+const files = new Map([
+  ['notes/same.md', { mtime: EMBEDDED_AT, size: 10 }],
+  ['notes/edited.md', { mtime: EMBEDDED_AT + 60000, size: 10 }],
+  ['notes/resized.md', { mtime: EMBEDDED_AT, size: 12 }],
+  ['notes/no-meta.md', { mtime: EMBEDDED_AT, size: 1 }],
+  ['notes/new.md', { mtime: EMBEDDED_AT, size: 1 }],
+  ['images/pic.png', { mtime: EMBEDDED_AT, size: 1 }],
+]);
+
+// ---------------------------------------------------------------------------
+// findOrphans
+// ---------------------------------------------------------------------------
+
+describe('findOrphans', () => {
+  it('returns the notes and blocks whose file is missing', () => {
+    expect(findOrphans(embeddings, files)).toEqual(new Set(['notes/gone.md', 'notes/gone.md#Heading']));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// checkFreshness
+// ---------------------------------------------------------------------------
+
+describe('checkFreshness', () => {
+  it('reports orphaned notes with their entry counts', () => {
+    const report = checkFreshness(embeddings, files);
+
+    expect(report.orphaned).toEqual([{ path: 'notes/gone.md', entries: 2 }]);
+    expect(report.notesChecked).toBe(5);
+  });
+
+  it('reports notes modified or resized since they were embedded', () => {
+    const report = checkFreshness(embeddings, files);
+
+    expect(report.stale).toEqual([
+      { path: 'notes/edited.md', reason: 'modified', embeddedAt: EMBEDDED_AT, modifiedAt: EMBEDDED_AT + 60000 },
+      { path: 'notes/resized.md', reason: 'size', embeddedAt: null, modifiedAt: EMBEDDED_AT },
+    ]);
+  });
+
+  it('reports Markdown files with no embedding', () => {
+    const report = checkFreshness(embeddings, files);
+
+    expect(report.unembedded).toEqual(['notes/new.md']);
+  });
+});
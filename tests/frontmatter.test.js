@@ -0,0 +1,62 @@
+// Tests for frontmatter and tag extraction (src/frontmatter.js).
+// Pure functions over inline Markdown strings -- no files involved.
+
+import { describe, it, expect } from 'vitest';
+import { parseFrontmatter, normalizeTag, extractTags } from '../src/frontmatter.js';
+
+describe('parseFrontmatter', () => {
+  it('parses scalars with lowercased keys', () => {
+    const content = '---\nStatus: Active\npriority: 2\ndone: false\nowner: "Sam: lead"\nempty:\n---\nBody';
+
+    expect(parseFrontmatter(content)).toEqual({
+      status: 'Active',
+      priority: 2,
+      done: false,
+      owner: 'Sam: lead',
+      empty: null,
+    });
+  });
+
+  it('parses inline and block lists', () => {
+    const content = '---\naliases: [Alpha, "Beta"]\ntags:\n  - project/alpha\n  - review\nnone: []\n---\n';
+
+    expect(parseFrontmatter(content)).toEqual({
+      aliases: ['Alpha', 'Beta'],
+      tags: ['project/alpha', 'review'],
+      none: [],
+    });
+  });
+
+  it('returns an empty object without a closed frontmatter block', () => {
+    expect(parseFrontmatter('# Title\nstatus: active')).toEqual({});
+    expect(parseFrontmatter('---\nstatus: active\nno closing fence')).toEqual({});
+  });
+
+  it('skips nested mappings', () => {
+    const content = '---\nauthor:\n  name: Sam\nstatus: draft\n---\n';
+
+    expect(parseFrontmatter(content)).toEqual({ author: null, status: 'draft' });
+  });
+});
+
+describe('extractTags', () => {
+  it('combines frontmatter and inline tags, normalised and unique', () => {
+    const content = '---\ntags: [Project/Alpha, review]\n---\nNotes #Review and #idea/later.\n#todo';
+
+    expect(extractTags(content)).toEqual(['project/alpha', 'review', 'idea/later', 'todo']);
+  });
+
+  it('accepts a comma or space separated tags string', () => {
+    expect(extractTags('---\ntags: one, #two three\n---\n')).toEqual(['one', 'two', 'three']);
+  });
+
+  it('ignores code, headings, anchors, and numeric tags', () => {
+    const content = '# Heading\nSee [[note#Section]] and `#inline`.\n```\n#fenced\n```\nIssue #123 fixed #real';
+
+    expect(extractTags(content)).toEqual(['real']);
+  });
+
+  it('normalizeTag strips the hash and lowercases', () => {
+    expect(normalizeTag(' #Project/Alpha ')).toBe('project/alpha');
+  });
+});
@@ -0,0 +1,90 @@
+// Tests for the index health report (src/health.js).
+// Uses in-memory indexes shaped like loadEmbeddingIndex output -- no files on disk.
+
+import { describe, it, expect } from 'vitest';
+import { checkDimensions, buildHealthReport } from '../src/health.js';
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+// Three 3-dimensional vectors and one stray 2-dimensional one.
+const mixedEmbeddings = new Map([
+  ['a.md', { vec: [1, 0, 0], type: 'source' }],
+  ['b.md', { vec: [0, 1, 0], type: 'source' }],
+  ['b.md#Heading', { vec: [0.5, 0.5], type: 'block' }],
+  ['c.md', { vec: [0, 0, 1], type: 'source' }],
+]);
+
+// Diagnostics as attached by loadEmbeddingIndex.
+const diagnostics = {
+  filesParsed: 2,
+  unreadable: [{ file: 'c.ajson', error: 'EACCES: permission denied' }],
+  skippedFiles: [
+    { file: 'a.ajson', skipped: { malformed: 2 }, samples: [{ line: 4, reason: 'malformed' }] },
+    { file: 'b.ajson', skipped: { malformed: 1, 'no-vector': 1 }, samples: [] },
+  ],
+  duplicates: { count: 1, samples: [{ path: 'a.md', files: ['a.ajson', 'b.ajson'] }] },
+};
+
+// ---------------------------------------------------------------------------
+// checkDimensions
+// ---------------------------------------------------------------------------
+
+describe('checkDimensions', () => {
+  it('takes the most common length as expected and lists the others', () => {
+    const result = checkDimensions(mixedEmbeddings);
+
+    expect(result.expected).toBe(3);
+    expect(result.counts).toEqual([
+      { dimensions: 3, count: 3 },
+      { dimensions: 2, count: 1 },
+    ]);
+    expect(result.mismatched).toBe(1);
+    expect(result.samples).toEqual([{ path: 'b.md#Heading', dimensions: 2 }]);
+  });
+
+  it('reports no expected dimensionality for an empty Map', () => {
+    const result = checkDimensions(new Map());
+
+    expect(result).toEqual({ expected: null, counts: [], mismatched: 0, samples: [] });
+  });
+
+  it('works with Float32Array vectors', () => {
+    const embeddings = new Map([['a.md', { vec: new Float32Array(4), type: 'source' }]]);
+
+    expect(checkDimensions(embeddings).expected).toBe(4);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// buildHealthReport
+// ---------------------------------------------------------------------------
+
+describe('buildHealthReport', () => {
+  it('totals skipped reasons across files', () => {
+    const report = buildHealthReport({ embeddings: new Map(), diagnostics });
+
+    expect(report.skipped).toEqual({ malformed: 3, 'no-vector': 1 });
+  });
+
+  it('counts every problem in issues', () => {
+    const report = buildHealthReport({ embeddings: mixedEmbeddings, diagnostics });
+
+    // 1 unreadable + 4 skipped + 1 duplicate + 1 dimension mismatch.
+    expect(report.issues).toBe(7);
+    expect(report.entries).toBe(4);
+    expect(report.filesParsed).toBe(2);
+  });
+
+  it('reports a healthy index as zero issues', () => {
+    const embeddings = new Map([['a.md', { vec: [1, 0], type: 'source' }]]);
+
+    const report = buildHealthReport({ embeddings });
+
+    expect(report.issues).toBe(0);
+    expect(report.filesParsed).toBeNull();
+    expect(report.unreadable).toEqual([]);
+    expect(report.duplicates).toEqual({ count: 0, samples: [] });
+  });
+});
@@ -0,0 +1,114 @@
+// Tests for the approximate nearest-neighbour index (src/hnsw.js).
+// Uses seeded random vectors so recall figures are reproducible.
+
+import { describe, it, expect } from 'vitest';
+import { buildHnswIndex, measureRecall, keepAnnIndex } from '../src/hnsw.js';
+import { createIndexStore } from '../src/index-store.js';
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+// Deterministic pseudo-random embeddings: `count` notes of `dims` dimensions,
+// alternating between the Projects/ and Archive/ folders.
+function buildRandomEmbeddings(count, dims) {
+  let state = 7;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+  const embeddings = new Map();
+  for (let i = 0; i < count; i++) {
+    const vec = new Float32Array(dims);
+    for (let d = 0; d < dims; d++) {
+      vec[d] = random();
+    }
+    const folder = i % 2 === 0 ? 'Projects' : 'Archive';
+    embeddings.set(`${folder}/note${i}.md`, { vec, type: 'source' });
+  }
+  return embeddings;
+}
+
+// ---------------------------------------------------------------------------
+// buildHnswIndex
+// ---------------------------------------------------------------------------
+
+describe('buildHnswIndex', () => {
+  it('finds the exact nearest neighbours for most queries', async () => {
+    const embeddings = buildRandomEmbeddings(600, 16);
+    const index = await buildHnswIndex(embeddings);
+
+    const report = measureRecall(embeddings, index, { queries: 50, k: 10 });
+
+    expect(index.size).toBe(600);
+    expect(report.queries).toBe(50);
+    expect(report.recall).toBeGreaterThanOrEqual(0.9);
+  });
+
+  it('returns a stored vector as its own nearest neighbour', async () => {
+    const embeddings = buildRandomEmbeddings(200, 8);
+    const index = await buildHnswIndex(embeddings);
+
+    const results = index.search(embeddings.get('Archive/note41.md').vec, 3);
+
+    expect(results[0]).toBe('Archive/note41.md');
+    expect(results).toHaveLength(3);
+  });
+
+  it('only returns entries accepted by the filter', async () => {
+    const embeddings = buildRandomEmbeddings(200, 8);
+    const index = await buildHnswIndex(embeddings);
+
+    const results = index.search(embeddings.get('Archive/note41.md').vec, 10, {
+      filter: (entryPath) => entryPath.startsWith('Projects/'),
+    });
+
+    expect(results).toHaveLength(10);
+    expect(results.every((p) => p.startsWith('Projects/'))).toBe(true);
+  });
+
+  it('skips entries whose dimensions differ from the rest', async () => {
+    const embeddings = buildRandomEmbeddings(50, 8);
+    embeddings.set('odd.md', { vec: new Float32Array([1, 0, 0]), type: 'source' });
+    const index = await buildHnswIndex(embeddings);
+
+    expect(index.size).toBe(50);
+    expect(index.search(embeddings.get('odd.md').vec, 5)).not.toContain('odd.md');
+  });
+
+  it('returns an empty result for an empty index', async () => {
+    const index = await buildHnswIndex(new Map());
+
+    expect(index.size).toBe(0);
+    expect(index.search([1, 0, 0], 5)).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// keepAnnIndex
+// ---------------------------------------------------------------------------
+
+describe('keepAnnIndex', () => {
+  it('attaches an index built from the served embeddings', async () => {
+    const embeddings = buildRandomEmbeddings(40, 4);
+    const store = createIndexStore({ embeddings, modelKey: null });
+    const built = [];
+
+    await keepAnnIndex(store, { onBuilt: (ann) => built.push(ann) }).refresh();
+
+    expect(store.current().ann.embeddings).toBe(embeddings);
+    expect(built).toEqual([store.current().ann]);
+  });
+
+  it('rebuilds when the embeddings change during a build', async () => {
+    const store = createIndexStore({ embeddings: buildRandomEmbeddings(40, 4), modelKey: null });
+    const next = buildRandomEmbeddings(30, 4);
+
+    const building = keepAnnIndex(store).refresh();
+    await store.update((index) => ({ ...index, embeddings: next }));
+    await building;
+
+    expect(store.current().ann.embeddings).toBe(next);
+    expect(store.current().ann.size).toBe(30);
+  });
+});
@@ -0,0 +1,82 @@
+// Tests for the index store (src/index-store.js).
+// Covers snapshot access, versioning, serialized updates, and failure isolation.
+
+import { describe, it, expect } from 'vitest';
+import { createIndexStore } from '../src/index-store.js';
+
+// Build a minimal index around a single-entry Map.
+function buildIndex(notePath) {
+  return {
+    embeddings: new Map([[notePath, { vec: [1, 0, 0], type: 'source' }]]),
+    modelKey: 'TaylorAI/bge-micro-v2',
+  };
+}
+
+describe('createIndexStore', () => {
+  it('serves the initial index as version 1', () => {
+    const store = createIndexStore(buildIndex('notes/a.md'));
+
+    const snapshot = store.current();
+    expect(snapshot.version).toBe(1);
+    expect(snapshot.embeddings.has('notes/a.md')).toBe(true);
+    expect(snapshot.modelKey).toBe('TaylorAI/bge-micro-v2');
+  });
+
+  it('swaps in the updated index and bumps the version', async () => {
+    const store = createIndexStore(buildIndex('notes/a.md'));
+
+    await store.update(() => buildIndex('notes/b.md'));
+
+    const snapshot = store.current();
+    expect(snapshot.version).toBe(2);
+    expect(snapshot.embeddings.has('notes/b.md')).toBe(true);
+    expect(snapshot.embeddings.has('notes/a.md')).toBe(false);
+  });
+
+  it('keeps serving the old snapshot until an update finishes', async () => {
+    const store = createIndexStore(buildIndex('notes/a.md'));
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+
+    const pending = store.update(async () => {
+      await gate;
+      return buildIndex('notes/b.md');
+    });
+
+    // Update is in flight: readers still see the original index.
+    expect(store.current().embeddings.has('notes/a.md')).toBe(true);
+    release();
+    await pending;
+    expect(store.current().embeddings.has('notes/b.md')).toBe(true);
+  });
+
+  it('runs updates one at a time, each seeing the previous result', async () => {
+    const store = createIndexStore(buildIndex('notes/a.md'));
+    const seen = [];
+
+    const first = store.update(async (index) => {
+      seen.push(index.version);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return buildIndex('notes/b.md');
+    });
+    const second = store.update((index) => {
+      seen.push(index.version);
+      return buildIndex('notes/c.md');
+    });
+    await Promise.all([first, second]);
+
+    expect(seen).toEqual([1, 2]);
+    expect(store.current().version).toBe(3);
+  });
+
+  it('leaves the current index in place when an update fails', async () => {
+    const store = createIndexStore(buildIndex('notes/a.md'));
+
+    await expect(store.update(() => { throw new Error('parse failed'); })).rejects.toThrow('parse failed');
+
+    expect(store.current().version).toBe(1);
+    // Later updates still run after a failure.
+    await store.update(() => buildIndex('notes/b.md'));
+    expect(store.current().version).toBe(2);
+  });
+});
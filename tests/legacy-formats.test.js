@@ -0,0 +1,155 @@
+// Tests for the legacy Smart Connections readers (src/legacy-formats.js).
+// Covers the v2 single-file .smart-env/*.json format and the v1 .smart-connections layout.
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  parseSmartEnvJson,
+  parseSmartConnectionsV1,
+  loadSmartEnvJsonIndex,
+  loadSmartConnectionsV1Index,
+} from '../src/legacy-formats.js';
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+// v2 single-file document: same keys and values as AJSON lines, in one object.
+const SMART_ENV_DOC = {
+  'smart_sources:notes/a.md': {
+    path: 'notes/a.md',
+    mtime: 1714521600000,
+    embeddings: { 'TaylorAI/bge-micro-v2': { vec: [1, 0, 0] } },
+  },
+  'smart_blocks:notes/a.md#Intro': {
+    path: null,
+    lines: [1, 4],
+    embeddings: { 'TaylorAI/bge-micro-v2': { vec: [0, 1, 0] } },
+  },
+  'smart_sources:notes/gone.md': null,
+};
+
+// v1 document: opaque keys, vec and meta.path per entry.
+const V1_DOC = {
+  '8b1a9953c4611296a827abf8c47804d7': {
+    vec: [0.1, 0.2, 0.3],
+    meta: { path: 'notes/a.md', mtime: 1700000000000, size: 512, hash: 'h1' },
+  },
+  '5d41402abc4b2a76b9719d911017c592': {
+    vec: [0.3, 0.2, 0.1],
+    meta: { path: 'notes/a.md#Intro', parent: '8b1a9953c4611296a827abf8c47804d7' },
+  },
+  'no-vec': { meta: { path: 'notes/empty.md' } },
+};
+
+// ---------------------------------------------------------------------------
+// parseSmartEnvJson
+// ---------------------------------------------------------------------------
+
+describe('parseSmartEnvJson', () => {
+  it('normalises sources and blocks into {path, vec, type} entries', () => {
+    const { entries } = parseSmartEnvJson(JSON.stringify(SMART_ENV_DOC));
+
+    expect(entries.map((e) => [e.path, e.type, e.vec])).toEqual([
+      ['notes/a.md', 'source', [1, 0, 0]],
+      ['notes/a.md#Intro', 'block', [0, 1, 0]],
+    ]);
+  });
+
+  it('keeps metadata the same way the AJSON parser does', () => {
+    const { entries } = parseSmartEnvJson(JSON.stringify(SMART_ENV_DOC));
+
+    expect(entries[0].meta).toEqual({ mtime: 1714521600000 });
+    expect(entries[1].meta).toEqual({ lines: [1, 4] });
+  });
+
+  it('returns no entries for invalid JSON', () => {
+    expect(parseSmartEnvJson('{ not json').entries).toEqual([]);
+  });
+
+  it('returns no entries for a settings document without smart_ keys', () => {
+    expect(parseSmartEnvJson('{"is_obsidian_vault": true}').entries).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseSmartConnectionsV1
+// ---------------------------------------------------------------------------
+
+describe('parseSmartConnectionsV1', () => {
+  it('takes the path from meta.path and infers the type from a # fragment', () => {
+    const entries = parseSmartConnectionsV1(JSON.stringify(V1_DOC));
+
+    expect(entries.map((e) => [e.path, e.type])).toEqual([
+      ['notes/a.md', 'source'],
+      ['notes/a.md#Intro', 'block'],
+    ]);
+  });
+
+  it('keeps mtime, size and hash as metadata', () => {
+    const [source, block] = parseSmartConnectionsV1(JSON.stringify(V1_DOC));
+
+    expect(source.meta).toEqual({ mtime: 1700000000000, size: 512, hash: 'h1' });
+    expect(block).not.toHaveProperty('meta');
+  });
+
+  it('returns an empty array for invalid JSON', () => {
+    expect(parseSmartConnectionsV1('[1, 2')).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Directory loaders
+// ---------------------------------------------------------------------------
+
+describe('legacy directory loaders', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'legacy-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('loads every .smart-env/*.json file and replays them as one log', async () => {
+    const envDir = path.join(tmpDir, '.smart-env');
+    await fs.mkdir(envDir, { recursive: true });
+    await fs.writeFile(path.join(envDir, 'smart_sources.json'), JSON.stringify(SMART_ENV_DOC));
+    await fs.writeFile(
+      path.join(envDir, 'smart_zz.json'),
+      JSON.stringify({ 'smart_blocks:notes/a.md#Intro': null })
+    );
+
+    const index = await loadSmartEnvJsonIndex(tmpDir);
+
+    expect(Array.from(index.embeddings.keys())).toEqual(['notes/a.md']);
+    expect(index.modelKey).toBe('TaylorAI/bge-micro-v2');
+    expect(index.replay.deleted).toBe(1);
+  });
+
+  it('loads v1 embeddings files with later files winning', async () => {
+    const scDir = path.join(tmpDir, '.smart-connections');
+    await fs.mkdir(scDir, { recursive: true });
+    await fs.writeFile(path.join(scDir, 'embeddings-2.json'), JSON.stringify(V1_DOC));
+    await fs.writeFile(
+      path.join(scDir, 'embeddings-3.json'),
+      JSON.stringify({ k: { vec: [9, 9, 9], meta: { path: 'notes/a.md' } } })
+    );
+
+    const index = await loadSmartConnectionsV1Index(tmpDir, { modelKey: 'TaylorAI/bge-micro-v2' });
+
+    expect(index.embeddings.size).toBe(2);
+    expect(index.embeddings.get('notes/a.md').vec).toEqual([9, 9, 9]);
+    expect(index.modelKey).toBe('TaylorAI/bge-micro-v2');
+    expect(index.replay.superseded).toBe(1);
+  });
+
+  it('returns empty indexes when the directories are absent', async () => {
+    expect((await loadSmartEnvJsonIndex(tmpDir)).embeddings.size).toBe(0);
+    expect((await loadSmartConnectionsV1Index(tmpDir)).embeddings.size).toBe(0);
+  });
+});
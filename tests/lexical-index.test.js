@@ -0,0 +1,54 @@
+// Tests for the vault-backed lexical index (src/lexical-index.js).
+// Uses a temporary vault read through a vault reader; edits are rescanned explicitly.
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { createLexicalIndex } from '../src/lexical-index.js';
+import { createVaultScanner } from '../src/vault-files.js';
+import { createVaultReader } from '../src/vault-reader.js';
+
+describe('createLexicalIndex', () => {
+  let tmpVault;
+  let scanner;
+  let lexical;
+
+  beforeEach(async () => {
+    tmpVault = await fs.mkdtemp(path.join(os.tmpdir(), 'lexical-test-'));
+    await fs.writeFile(path.join(tmpVault, 'Runbook.md'), '# Deploy\nRun the PROJ-1234 migration.\n');
+    await fs.writeFile(path.join(tmpVault, 'garden.md'), 'Tomatoes and basil.');
+    scanner = createVaultScanner(tmpVault);
+    lexical = createLexicalIndex(createVaultReader(tmpVault, scanner));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpVault, { recursive: true, force: true });
+  });
+
+  it('indexes notes and their heading sections', async () => {
+    await lexical.sync();
+
+    expect(lexical.search('proj-1234').map((r) => r.path)).toEqual(['Runbook.md#Deploy', 'Runbook.md']);
+  });
+
+  it('matches note titles', async () => {
+    await lexical.sync();
+
+    expect(lexical.search('runbook').map((r) => r.path)).toEqual(['Runbook.md']);
+  });
+
+  it('picks up edited and deleted notes on the next sync', async () => {
+    await lexical.sync();
+    await fs.writeFile(path.join(tmpVault, 'garden.md'), 'Now about cucumbers, a longer note.');
+    await fs.rm(path.join(tmpVault, 'Runbook.md'));
+
+    await scanner.refresh();
+    await lexical.sync();
+
+    expect(lexical.search('tomatoes')).toEqual([]);
+    expect(lexical.search('cucumbers').map((r) => r.path)).toEqual(['garden.md']);
+    expect(lexical.search('migration')).toEqual([]);
+    expect(lexical.size()).toBe(1);
+  });
+});
@@ -0,0 +1,92 @@
+// Tests for wikilink parsing and the vault-backed link graph (src/link-graph.js).
+// Uses a temporary vault read through a vault reader; edits are rescanned explicitly.
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { parseLinks, createLinkGraph } from '../src/link-graph.js';
+import { createVaultScanner } from '../src/vault-files.js';
+import { createVaultReader } from '../src/vault-reader.js';
+
+describe('parseLinks', () => {
+  it('collects wikilinks and embeds without their heading, block, and alias parts', () => {
+    const content = 'See [[Alpha]], [[projects/Beta#Goals|the goals]], ![[Diagram.png]], and [[Gamma^abc123]].\n' +
+      'Again [[Alpha]] and [[#Local heading]].';
+
+    expect(parseLinks(content)).toEqual(['Alpha', 'projects/Beta', 'Diagram.png', 'Gamma']);
+  });
+
+  it('collects Markdown links to files but not URLs or anchors', () => {
+    const content = '[plan](notes/my%20plan.md#Goals) [spaced](<notes/other plan.md>) ' +
+      '[site](https://example.com) [mail](mailto:a@b.c) [top](#top)';
+
+    expect(parseLinks(content)).toEqual(['notes/my plan.md', 'notes/other plan.md']);
+  });
+
+  it('ignores links in fenced code and inline code but reads frontmatter', () => {
+    const content = '---\nrelated: "[[Delta]]"\n---\n```\n[[Hidden]]\n```\nUse `[[Literal]]` with [[Epsilon]].';
+
+    expect(parseLinks(content)).toEqual(['Delta', 'Epsilon']);
+  });
+});
+
+describe('createLinkGraph', () => {
+  let tmpVault;
+  let scanner;
+  let graph;
+
+  /**
+   * Write a note into the temporary vault, creating folders as needed.
+   *
+   * @param {string} notePath - Vault-relative path.
+   * @param {string} content - Note content.
+   */
+  async function write(notePath, content) {
+    await fs.mkdir(path.dirname(path.join(tmpVault, notePath)), { recursive: true });
+    await fs.writeFile(path.join(tmpVault, notePath), content);
+  }
+
+  beforeEach(async () => {
+    tmpVault = await fs.mkdtemp(path.join(os.tmpdir(), 'link-graph-test-'));
+    await write('index.md', 'Start at [[plan]], [[old/plan]], [[Missing]], and [[index]].');
+    await write('projects/plan.md', 'Links to [[../index.md]] and [Alpha](alpha.md).');
+    await write('projects/alpha.md', 'No links.');
+    await write('archive/old/plan.md', 'Old plan, see [[alpha]].');
+    scanner = createVaultScanner(tmpVault);
+    graph = createLinkGraph(createVaultReader(tmpVault, scanner));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpVault, { recursive: true, force: true });
+  });
+
+  it('resolves links by path, relative path, path suffix, and shortest matching name', async () => {
+    await graph.sync();
+
+    expect(graph.outlinks('index.md').sort()).toEqual(['archive/old/plan.md', 'projects/plan.md']);
+    expect(graph.outlinks('projects/plan.md').sort()).toEqual(['index.md', 'projects/alpha.md']);
+    expect(graph.outlinks('archive/old/plan.md')).toEqual(['projects/alpha.md']);
+    expect(graph.backlinks('projects/alpha.md').sort()).toEqual(['archive/old/plan.md', 'projects/plan.md']);
+    expect(graph.backlinks('index.md')).toEqual(['projects/plan.md']);
+    expect(graph.has('projects/alpha.md')).toBe(true);
+    expect(graph.has('missing.md')).toBe(false);
+    expect(graph.notes().sort()).toEqual(['archive/old/plan.md', 'index.md', 'projects/alpha.md', 'projects/plan.md']);
+    expect(graph.size()).toBe(4);
+  });
+
+  it('follows edits, deletions, and newly created link targets', async () => {
+    await graph.sync();
+    await fs.rm(path.join(tmpVault, 'archive', 'old', 'plan.md'));
+    await write('missing.md', 'Now it exists.');
+    await write('projects/alpha.md', 'Back to [[index]].');
+
+    await scanner.refresh();
+    await graph.sync();
+
+    expect(graph.outlinks('index.md').sort()).toEqual(['missing.md', 'projects/plan.md']);
+    expect(graph.backlinks('index.md').sort()).toEqual(['projects/alpha.md', 'projects/plan.md']);
+    expect(graph.backlinks('projects/alpha.md')).toEqual(['projects/plan.md']);
+    expect(graph.has('archive/old/plan.md')).toBe(false);
+  });
+});
@@ -0,0 +1,101 @@
+// Tests for link-graph ranking signals (src/link-ranking.js).
+// Uses a stub link graph built from an adjacency list.
+
+import { describe, it, expect } from 'vitest';
+import { wantsLinkBoost, linkDistances, personalizedPageRank, boostByLinks } from '../src/link-ranking.js';
+
+/**
+ * Build a stub link graph from outgoing links.
+ *
+ * @param {Record<string, string[]>} edges - Outgoing links per note.
+ * @returns {{notes: Function, outlinks: Function, backlinks: Function}} The graph.
+ */
+function stubGraph(edges) {
+  return {
+    notes: () => Object.keys(edges),
+    outlinks: (notePath) => edges[notePath] ?? [],
+    backlinks: (notePath) => Object.keys(edges).filter((source) => edges[source].includes(notePath)),
+  };
+}
+
+// hub.md is linked from everywhere; a -> b -> c is a chain; far.md is only linked from c.
+const graph = stubGraph({
+  'a.md': ['b.md', 'hub.md'],
+  'b.md': ['c.md', 'hub.md'],
+  'c.md': ['far.md', 'hub.md'],
+  'far.md': [],
+  'hub.md': [],
+  'lonely.md': ['hub.md'],
+});
+
+describe('wantsLinkBoost', () => {
+  it('is false without weights and rejects invalid combinations', () => {
+    expect(wantsLinkBoost(undefined)).toBe(false);
+    expect(wantsLinkBoost({ graph, proximityWeight: 0 })).toBe(false);
+    expect(wantsLinkBoost({ graph, backlinkWeight: 0.2 })).toBe(true);
+    expect(() => wantsLinkBoost({ graph, pagerankWeight: 2 })).toThrow('pagerankWeight must be between 0 and 1');
+    expect(() => wantsLinkBoost({ backlinkWeight: 0.2 })).toThrow('need a link graph');
+    expect(() => wantsLinkBoost({ graph, proximityWeight: 0.2 })).toThrow('needs a context note');
+  });
+});
+
+describe('linkDistances', () => {
+  it('follows links in both directions up to two hops', () => {
+    const distances = linkDistances(graph, 'b.md');
+
+    expect(Object.fromEntries(distances)).toEqual({
+      'c.md': 1,
+      'hub.md': 1,
+      'a.md': 1,
+      'far.md': 2,
+      'lonely.md': 2,
+    });
+  });
+});
+
+describe('personalizedPageRank', () => {
+  it('ranks notes by how often a walk from the seeds reaches them', () => {
+    const ranks = personalizedPageRank(graph, new Map([['a.md', 1]]));
+
+    expect(ranks.get('a.md')).toBe(1);
+    expect(ranks.get('b.md')).toBeGreaterThan(ranks.get('c.md'));
+    expect(ranks.get('hub.md')).toBeGreaterThan(ranks.get('b.md'));
+    expect(ranks.get('c.md')).toBeGreaterThan(ranks.get('far.md'));
+    expect(ranks.get('lonely.md')).toBe(0);
+  });
+
+  it('returns no ranks when no seed is in the graph', () => {
+    expect(personalizedPageRank(graph, new Map([['missing.md', 1]])).size).toBe(0);
+  });
+});
+
+describe('boostByLinks', () => {
+  const results = [
+    { path: 'lonely.md', score: 0.8 },
+    { path: 'far.md', score: 0.75 },
+    { path: 'c.md#Section', score: 0.7 },
+  ];
+
+  it('adds each weighted signal, reports its share, and re-sorts', () => {
+    const boosted = boostByLinks(results, { graph, context: 'b.md', proximityWeight: 0.2, backlinkWeight: 0.1 });
+
+    expect(boosted.map((r) => r.path)).toEqual(['c.md#Section', 'lonely.md', 'far.md']);
+    expect(boosted[0]).toEqual({
+      path: 'c.md#Section',
+      score: 0.943,
+      similarity: 0.7,
+      // One backlink against hub.md's four: 0.1 * log(2) / log(5).
+      linkBoosts: { proximity: 0.2, backlinks: 0.043 },
+    });
+    expect(boosted[1]).toMatchObject({ score: 0.9, linkBoosts: { proximity: 0.1, backlinks: 0 } });
+    expect(boosted[2]).toMatchObject({ score: 0.893, linkBoosts: { proximity: 0.1, backlinks: 0.043 } });
+  });
+
+  it('seeds PageRank with the best results when there is no context note', () => {
+    const boosted = boostByLinks(results, { graph, pagerankWeight: 0.5 });
+
+    const byPath = Object.fromEntries(boosted.map((r) => [r.path, r.linkBoosts.pagerank]));
+    expect(Math.max(...Object.values(byPath))).toBe(0.5);
+    expect(byPath['far.md']).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,48 @@
+// Tests for link suggestions (src/link-suggestions.js).
+// Uses a small in-memory embeddings Map and a stub link graph.
+
+import { describe, it, expect } from 'vitest';
+import { suggestLinks } from '../src/link-suggestions.js';
+
+const embeddings = new Map([
+  ['plan.md', { vec: [1, 0.2, 0], type: 'source' }],
+  ['plan.md#Goals', { vec: [1, 0, 0], type: 'block', meta: { lines: [3, 9] } }],
+  ['plan.md#Budget', { vec: [0, 0, 1], type: 'block', meta: { lines: [10, 14] } }],
+  ['roadmap.md', { vec: [0.9, 0.3, 0], type: 'source' }],
+  ['roadmap.md#Q3', { vec: [0.99, 0.01, 0], type: 'block' }],
+  ['costs.md', { vec: [0.5, 0, 1], type: 'source' }],
+  ['linked.md', { vec: [1, 0.2, 0], type: 'source' }],
+  ['backlinker.md', { vec: [1, 0.2, 0], type: 'source' }],
+  ['deleted.md', { vec: [1, 0.2, 0], type: 'source' }],
+  ['unrelated.md', { vec: [0, 1, 0], type: 'source' }],
+]);
+
+const graph = {
+  has: (notePath) => notePath !== 'deleted.md',
+  outlinks: (notePath) => (notePath === 'plan.md' ? ['linked.md'] : []),
+  backlinks: (notePath) => (notePath === 'plan.md' ? ['backlinker.md'] : []),
+};
+
+describe('suggestLinks', () => {
+  it('suggests related notes that are not linked either way, with the sections behind each', () => {
+    const report = suggestLinks('plan.md', embeddings, graph, { threshold: 0.3 });
+
+    expect(report.outlinks).toEqual(['linked.md']);
+    expect(report.backlinks).toEqual(['backlinker.md']);
+    expect(report.suggestions.map((s) => s.path)).toEqual(['roadmap.md', 'costs.md']);
+    expect(report.suggestions[0].evidence).toEqual({ from: 'plan.md#Goals', to: 'roadmap.md#Q3', score: 1, lines: [3, 9] });
+    expect(report.suggestions[1].evidence).toMatchObject({ from: 'plan.md#Budget', to: 'costs.md', lines: [10, 14] });
+  });
+
+  it('applies the default threshold and the limit', () => {
+    expect(suggestLinks('plan.md#Goals', embeddings, graph).suggestions.map((s) => s.path)).toEqual(['roadmap.md']);
+    expect(suggestLinks('plan.md', embeddings, graph, { threshold: 0, limit: 1 }).suggestions).toHaveLength(1);
+  });
+
+  it('uses the note itself as evidence when it has no blocks, and rejects unknown notes', () => {
+    const report = suggestLinks('costs.md', embeddings, graph, { threshold: 0.3, limit: 1 });
+
+    expect(report.suggestions[0]).toMatchObject({ path: 'plan.md', evidence: { from: 'costs.md', to: 'plan.md#Budget' } });
+    expect(() => suggestLinks('nope.md', embeddings, graph)).toThrow('not found in the embeddings Map');
+  });
+});
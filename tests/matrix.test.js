@@ -0,0 +1,153 @@
+// Tests for the embeddings matrix and scoring kernel (src/matrix.js).
+// Checks the kernel against a reference cosine scan on seeded random vectors.
+
+import { describe, it, expect } from 'vitest';
+import { buildEmbeddingMatrix, getEmbeddingMatrix, rankRows } from '../src/matrix.js';
+import { cosineSimilarity } from '../src/similarity.js';
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+// Deterministic pseudo-random Float32 embeddings with a coarse value grid, so
+// many rounded scores tie and the tie order is exercised too.
+function buildRandomEmbeddings(count, dims) {
+  let state = 11;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return Math.round((state / 2147483648 - 0.5) * 8) / 8;
+  };
+  const embeddings = new Map();
+  for (let i = 0; i < count; i++) {
+    const vec = new Float32Array(dims).map(random);
+    embeddings.set(`notes/n${i}.md`, { vec, type: i % 3 === 0 ? 'block' : 'source' });
+  }
+  return embeddings;
+}
+
+// Reference ranking: score every entry with cosineSimilarity, then stable-sort.
+function referenceRanking(embeddings, query, threshold, limit) {
+  return Array.from(embeddings, ([path, entry]) => ({ path, score: cosineSimilarity(query, entry.vec) }))
+    .filter((r) => r.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// ---------------------------------------------------------------------------
+// buildEmbeddingMatrix / getEmbeddingMatrix
+// ---------------------------------------------------------------------------
+
+describe('buildEmbeddingMatrix', () => {
+  it('packs unit vectors in Map order with their norms', () => {
+    const matrix = buildEmbeddingMatrix(new Map([
+      ['a.md', { vec: new Float32Array([3, 4]), type: 'source' }],
+      ['b.md', { vec: new Float32Array([1, 0]), type: 'block' }],
+    ]));
+
+    expect(matrix.paths).toEqual(['a.md', 'b.md']);
+    expect(matrix.dims).toBe(2);
+    expect(matrix.data).toBeInstanceOf(Float32Array);
+    expect(Array.from(matrix.data)).toEqual([0.6, 0.8, 1, 0].map(Math.fround));
+    expect(matrix.norms[0]).toBeCloseTo(1, 6);
+    expect(matrix.norms[1]).toBe(1);
+  });
+
+  it('leaves the entries alone and indexes its rows by path', () => {
+    const vec = [0, 0.2];
+    const wide = [1, 0, 0];
+    const embeddings = new Map([
+      ['a.md', { vec, type: 'source' }],
+      ['b.md', { vec: wide, type: 'source' }],
+    ]);
+
+    const matrix = buildEmbeddingMatrix(embeddings);
+
+    expect(embeddings.get('a.md').vec).toBe(vec);
+    expect(vec).toEqual([0, 0.2]);
+    expect(embeddings.get('b.md').vec).toBe(wide);
+    const row = matrix.rows.get('a.md');
+    expect(Array.from(matrix.data.subarray(row * matrix.dims, (row + 1) * matrix.dims))).toEqual([0, 1]);
+    expect(matrix.rows.get('b.md')).toBe(1);
+  });
+
+  it('gives missing and mismatched vectors a zero norm', () => {
+    const matrix = buildEmbeddingMatrix(new Map([
+      ['a.md', { vec: [1, 0], type: 'source' }],
+      ['b.md', { vec: null, type: 'source' }],
+      ['c.md', { vec: [1, 0, 0], type: 'source' }],
+    ]));
+
+    expect(Array.from(matrix.norms)).toEqual([1, 0, 0]);
+  });
+
+  it('getEmbeddingMatrix builds one matrix per Map and reuses it', () => {
+    const embeddings = buildRandomEmbeddings(5, 4);
+    const first = getEmbeddingMatrix(embeddings);
+
+    // A reload builds a new Map, which may share entries with the old one.
+    const reloaded = new Map([...embeddings, ['new.md', { vec: new Float32Array(4).fill(1), type: 'source' }]]);
+    const second = getEmbeddingMatrix(reloaded);
+
+    expect(getEmbeddingMatrix(embeddings)).toBe(first);
+    expect(first.count).toBe(5);
+    expect(second.count).toBe(6);
+    expect(reloaded.get('notes/n0.md')).toBe(embeddings.get('notes/n0.md'));
+    expect(second.rows.get('new.md')).toBe(5);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// rankRows
+// ---------------------------------------------------------------------------
+
+describe('rankRows', () => {
+  it('matches a cosineSimilarity scan exactly, including tie order', () => {
+    const embeddings = buildRandomEmbeddings(400, 12);
+    const matrix = buildEmbeddingMatrix(embeddings);
+
+    for (const row of [0, 17, 233]) {
+      const query = Array.from(matrix.entries[row].vec);
+      const rows = rankRows(matrix, query, { threshold: -1, limit: 25 });
+
+      const ranked = rows.map((r) => ({ path: matrix.paths[r.row], score: r.score }));
+      expect(ranked).toEqual(referenceRanking(embeddings, query, -1, 25));
+    }
+  });
+
+  it('applies the threshold and the row filter', () => {
+    const embeddings = buildRandomEmbeddings(200, 8);
+    const matrix = buildEmbeddingMatrix(embeddings);
+    const query = Array.from(matrix.entries[4].vec);
+
+    const rows = rankRows(matrix, query, {
+      threshold: 0.2,
+      limit: 1000,
+      accept: (row) => matrix.entries[row].type === 'block',
+    });
+
+    const blocks = new Map(Array.from(embeddings).filter(([, e]) => e.type === 'block'));
+    expect(rows.map((r) => matrix.paths[r.row])).toEqual(
+      referenceRanking(blocks, query, 0.2, 1000).map((r) => r.path)
+    );
+  });
+
+  it('scores zero-norm rows 0, like cosineSimilarity', () => {
+    const matrix = buildEmbeddingMatrix(new Map([
+      ['a.md', { vec: [1, 0], type: 'source' }],
+      ['zero.md', { vec: [0, 0], type: 'source' }],
+    ]));
+
+    expect(rankRows(matrix, [1, 0], { threshold: -1, limit: 10 })).toEqual([
+      { row: 0, score: 1 },
+      { row: 1, score: 0 },
+    ]);
+  });
+
+  it('scans only the requested row range', () => {
+    const matrix = buildEmbeddingMatrix(buildRandomEmbeddings(20, 4));
+
+    const rows = rankRows(matrix, [1, 1, 1, 1], { threshold: -1, limit: 100, start: 5, end: 9 });
+
+    expect(rows.map((r) => r.row).sort((a, b) => a - b)).toEqual([5, 6, 7, 8]);
+  });
+});
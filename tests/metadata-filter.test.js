@@ -0,0 +1,102 @@
+// Tests for note filters over the metadata index (src/metadata-filter.js).
+// Uses an in-memory stand-in for the metadata index.
+
+import { describe, it, expect } from 'vitest';
+import { globToRegExp, usesMetadata, compileNoteFilter } from '../src/metadata-filter.js';
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAY_1 = Date.parse('2024-05-01');
+
+// Three notes: a project note, a daily note, and an untagged archive note.
+const notes = new Map([
+  ['projects/alpha.md', {
+    frontmatter: { status: 'Active', owners: ['Sam', 'Lee'], priority: 2 },
+    tags: new Set(['project/alpha', 'work']),
+    created: MAY_1 - 30 * DAY,
+    modified: MAY_1,
+  }],
+  ['daily/2024-05-02.md', {
+    frontmatter: {},
+    tags: new Set(['daily', 'work']),
+    created: MAY_1 + DAY,
+    modified: MAY_1 + DAY,
+  }],
+  ['archive/old.md', {
+    frontmatter: { status: 'archived' },
+    tags: new Set(),
+    created: MAY_1 - 400 * DAY,
+    modified: MAY_1 - 300 * DAY,
+  }],
+]);
+const metadata = { get: (notePath) => notes.get(notePath) };
+
+// Note paths (plus one the index does not know) that pass a filter.
+function passing(filters) {
+  const filter = compileNoteFilter(filters, metadata);
+  return [...notes.keys(), 'unindexed.md'].filter(filter);
+}
+
+// ---------------------------------------------------------------------------
+// globToRegExp
+// ---------------------------------------------------------------------------
+
+describe('globToRegExp', () => {
+  it('matches stars within a folder and double stars across folders', () => {
+    expect(globToRegExp('projects/*.md').test('projects/alpha.md')).toBe(true);
+    expect(globToRegExp('projects/*.md').test('projects/sub/beta.md')).toBe(false);
+    expect(globToRegExp('projects/**').test('projects/sub/beta.md')).toBe(true);
+    expect(globToRegExp('**/draft-?.md').test('draft-1.md')).toBe(true);
+    expect(globToRegExp('**/draft-?.md').test('a/b/draft-2.md')).toBe(true);
+  });
+
+  it('supports alternatives, ignores case, and escapes other characters', () => {
+    expect(globToRegExp('{daily,weekly}/*.md').test('Weekly/w18.md')).toBe(true);
+    expect(globToRegExp('{daily,weekly}/*.md').test('monthly/m5.md')).toBe(false);
+    expect(globToRegExp('notes (old)/a+b.md').test('notes (old)/a+b.md')).toBe(true);
+    expect(globToRegExp('a.md').test('abmd')).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// compileNoteFilter
+// ---------------------------------------------------------------------------
+
+describe('compileNoteFilter', () => {
+  it('returns null when no filter is set', () => {
+    expect(compileNoteFilter({ tags: [], properties: {} }, metadata)).toBeNull();
+    expect(usesMetadata({ includePaths: ['a/**'] })).toBe(false);
+    expect(usesMetadata({ modifiedBefore: 0 })).toBe(true);
+  });
+
+  it('requires every tag, counting nested tags, and rejects excluded tags', () => {
+    expect(passing({ tags: ['#Work'] })).toEqual(['projects/alpha.md', 'daily/2024-05-02.md']);
+    expect(passing({ tags: ['project', 'work'] })).toEqual(['projects/alpha.md']);
+    expect(passing({ excludeTags: ['daily'] })).toEqual(['projects/alpha.md', 'archive/old.md']);
+  });
+
+  it('matches properties case-insensitively, including list items', () => {
+    expect(passing({ properties: { Status: 'active' } })).toEqual(['projects/alpha.md']);
+    expect(passing({ properties: { owners: 'lee', priority: 2 } })).toEqual(['projects/alpha.md']);
+    expect(passing({ properties: { status: 'draft' } })).toEqual([]);
+  });
+
+  it('applies inclusive after and exclusive before date bounds', () => {
+    expect(passing({ modifiedAfter: MAY_1 })).toEqual(['projects/alpha.md', 'daily/2024-05-02.md']);
+    expect(passing({ modifiedBefore: MAY_1 })).toEqual(['archive/old.md']);
+    expect(passing({ createdAfter: MAY_1 - 365 * DAY, createdBefore: MAY_1 })).toEqual(['projects/alpha.md']);
+  });
+
+  it('filters paths by include and exclude globs without metadata', () => {
+    const filter = compileNoteFilter({ includePaths: ['projects/**', 'daily/*'], excludePaths: ['**/2024-*'] });
+
+    expect([...notes.keys()].filter(filter)).toEqual(['projects/alpha.md']);
+  });
+
+  it('needs a metadata index for tag, property, and date filters', () => {
+    expect(() => compileNoteFilter({ tags: ['work'] })).toThrow(/metadata index/);
+  });
+});
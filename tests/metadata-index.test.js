@@ -0,0 +1,59 @@
+// Tests for the vault-backed metadata index (src/metadata-index.js).
+// Uses a temporary vault read through a vault reader; edits are rescanned explicitly.
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { createMetadataIndex } from '../src/metadata-index.js';
+import { createVaultScanner } from '../src/vault-files.js';
+import { createVaultReader } from '../src/vault-reader.js';
+
+describe('createMetadataIndex', () => {
+  let tmpVault;
+  let scanner;
+  let metadata;
+
+  beforeEach(async () => {
+    tmpVault = await fs.mkdtemp(path.join(os.tmpdir(), 'metadata-test-'));
+    await fs.mkdir(path.join(tmpVault, 'projects'));
+    await fs.writeFile(path.join(tmpVault, 'projects', 'alpha.md'), '---\nstatus: active\ntags: [work]\n---\nShip it #release\n');
+    await fs.writeFile(path.join(tmpVault, 'garden.md'), 'Tomatoes and basil.');
+    await fs.writeFile(path.join(tmpVault, 'image.png'), 'not markdown');
+    scanner = createVaultScanner(tmpVault);
+    metadata = createMetadataIndex(createVaultReader(tmpVault, scanner));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpVault, { recursive: true, force: true });
+  });
+
+  it('records frontmatter, tags, and file dates for Markdown notes', async () => {
+    const mtime = new Date('2024-05-01T00:00:00.000Z');
+    await fs.utimes(path.join(tmpVault, 'projects', 'alpha.md'), mtime, mtime);
+
+    await metadata.sync();
+
+    const note = metadata.get('projects/alpha.md');
+    expect(note.frontmatter).toEqual({ status: 'active', tags: ['work'] });
+    expect(Array.from(note.tags)).toEqual(['work', 'release']);
+    expect(note.modified).toBe(mtime.getTime());
+    expect(Number.isInteger(note.created)).toBe(true);
+    expect(metadata.get('garden.md').tags.size).toBe(0);
+    expect(metadata.get('image.png')).toBeUndefined();
+    expect(metadata.size()).toBe(2);
+  });
+
+  it('picks up edited and deleted notes on the next sync', async () => {
+    await metadata.sync();
+    await fs.writeFile(path.join(tmpVault, 'garden.md'), '---\nstatus: done\n---\nNow about cucumbers.');
+    await fs.rm(path.join(tmpVault, 'projects', 'alpha.md'));
+
+    await scanner.refresh();
+    await metadata.sync();
+
+    expect(metadata.get('garden.md').frontmatter).toEqual({ status: 'done' });
+    expect(metadata.get('projects/alpha.md')).toBeUndefined();
+    expect(metadata.size()).toBe(1);
+  });
+});
@@ -0,0 +1,127 @@
+// Tests for the result pager (src/pagination.js).
+// Uses plain numbered results; rank() is a spy so re-ranking is visible.
+
+import { describe, it, expect, vi } from 'vitest';
+import { createPager, searchKey, MAX_PAGED_RESULTS } from '../src/pagination.js';
+
+// A ranking of n results named r0, r1, ...; returns at most count of them.
+function ranking(n) {
+  return vi.fn(async (count) => Array.from({ length: Math.min(n, count) }, (_, i) => ({ path: `r${i}` })));
+}
+
+describe('createPager', () => {
+  it('serves the first page and a cursor for the next', async () => {
+    const pager = createPager();
+    const rank = ranking(25);
+
+    const first = await pager.page('k', { limit: 10 }, rank);
+    const second = await pager.page('k', { cursor: first.next, limit: 3 }, rank);
+    const third = await pager.page('k', { cursor: second.next }, rank);
+
+    // Three pages' worth is ranked up front, which covers all 25.
+    expect(rank).toHaveBeenCalledOnce();
+    expect(rank).toHaveBeenCalledWith(30);
+    expect(first).toMatchObject({ offset: 0, ranked: 25, complete: true });
+    // The cursor fixes the page size.
+    expect(second.results.map((r) => r.path)).toEqual(['r10', 'r11', 'r12', 'r13', 'r14', 'r15', 'r16', 'r17', 'r18', 'r19']);
+    expect(third.results.map((r) => r.path)).toEqual(['r20', 'r21', 'r22', 'r23', 'r24']);
+    expect(third.next).toBeNull();
+  });
+
+  it('pages by offset without a cursor, re-ranking each time', async () => {
+    const pager = createPager();
+    const rank = ranking(25);
+
+    const page = await pager.page('k', { offset: 20, limit: 10 }, rank);
+    const past = await pager.page('k', { offset: 40, limit: 10 }, rank);
+
+    expect(page.results.map((r) => r.path)).toEqual(['r20', 'r21', 'r22', 'r23', 'r24']);
+    expect(page.next).toBeNull();
+    expect(past).toMatchObject({ results: [], offset: 40, ranked: 25 });
+    expect(rank).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps a cursor on its own result list when the ranking changes', async () => {
+    const pager = createPager();
+    const first = await pager.page('k', { limit: 2 }, ranking(5));
+
+    // A reload in between would change a fresh ranking, but not the cursor's list.
+    await pager.page('k', { limit: 2 }, vi.fn(async () => [{ path: 'other' }]));
+    const second = await pager.page('k', { cursor: first.next }, ranking(0));
+
+    expect(second.results.map((r) => r.path)).toEqual(['r2', 'r3']);
+  });
+
+  it('ranks further when a page reaches the end of the ranked results', async () => {
+    const pager = createPager();
+    const rank = ranking(100);
+
+    const first = await pager.page('k', { limit: 10 }, rank);
+    const second = await pager.page('k', { cursor: first.next }, rank);
+    const third = await pager.page('k', { cursor: second.next }, rank);
+
+    expect(first).toMatchObject({ ranked: 30, complete: false });
+    expect(rank.mock.calls).toEqual([[30], [90]]);
+    expect(third.results.map((r) => r.path)).toEqual(['r20', 'r21', 'r22', 'r23', 'r24', 'r25', 'r26', 'r27', 'r28', 'r29']);
+    expect(third).toMatchObject({ ranked: 90, complete: false });
+    expect(third.next).not.toBeNull();
+  });
+
+  it('ranks further through the rank of the request that started the list', async () => {
+    const pager = createPager();
+    const rank = ranking(10);
+    // A reload between pages: later requests close over the new snapshot.
+    const reloaded = ranking(0);
+
+    const first = await pager.page('k', { limit: 2 }, rank);
+    const second = await pager.page('k', { cursor: first.next }, reloaded);
+    const third = await pager.page('k', { cursor: second.next }, reloaded);
+    const fourth = await pager.page('k', { cursor: third.next }, reloaded);
+
+    expect(third.results.map((r) => r.path)).toEqual(['r4', 'r5']);
+    expect(fourth.results.map((r) => r.path)).toEqual(['r6', 'r7']);
+    expect(rank.mock.calls).toEqual([[6], [18]]);
+    expect(reloaded).not.toHaveBeenCalled();
+  });
+
+  it('appends only new results when the longer ranking reorders', async () => {
+    const pager = createPager();
+    // Like a diversified ranking, the longer list puts a result first that the short one left out.
+    const rank = vi.fn(async (count) =>
+      count <= 6 ? ranking(10)(count) : [{ path: 'late' }, ...(await ranking(10)(count - 1))]
+    );
+    const first = await pager.page('k', { limit: 2 }, rank);
+    const second = await pager.page('k', { cursor: first.next }, rank);
+    const third = await pager.page('k', { cursor: second.next }, rank);
+    const fourth = await pager.page('k', { cursor: third.next }, rank);
+
+    expect(third.results.map((r) => r.path)).toEqual(['r4', 'r5']);
+    expect(fourth.results.map((r) => r.path)).toEqual(['late', 'r6']);
+    expect(rank).toHaveBeenCalledTimes(2);
+  });
+
+  it('marks a ranking that reached its cap as incomplete', async () => {
+    const page = await createPager().page('k', { offset: 190, limit: 10 }, ranking(1000));
+
+    expect(page).toMatchObject({ ranked: MAX_PAGED_RESULTS, complete: false, next: null });
+  });
+
+  it('rejects invalid, expired, and mismatched cursors', async () => {
+    const pager = createPager({ maxLists: 1 });
+    const first = await pager.page('a', { limit: 1 }, ranking(3));
+    const mismatched = pager.page('b', { cursor: first.next }, ranking(3));
+    await expect(mismatched).rejects.toThrow(/different search/);
+
+    await pager.page('a', { limit: 1 }, ranking(3));
+
+    await expect(pager.page('a', { cursor: first.next }, ranking(3))).rejects.toThrow(/expired/);
+    await expect(pager.page('a', { cursor: 'not-a-cursor' }, ranking(3))).rejects.toThrow('invalid cursor');
+  });
+});
+
+describe('searchKey', () => {
+  it('ignores argument order and unset arguments', () => {
+    expect(searchKey('t', { query: 'q', type: 'block', folder: undefined })).toBe(searchKey('t', { type: 'block', query: 'q' }));
+    expect(searchKey('t', { query: 'q' })).not.toBe(searchKey('u', { query: 'q' }));
+  });
+});
@@ -0,0 +1,23 @@
+// Tests for the seeded random generator (src/random.js).
+
+import { describe, it, expect } from 'vitest';
+import { createRandom } from '../src/random.js';
+
+describe('createRandom', () => {
+  it('repeats its sequence for the same seed and stays in [0, 1)', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const values = Array.from({ length: 1000 }, () => a());
+
+    expect(Array.from({ length: 1000 }, () => b())).toEqual(values);
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(1);
+  });
+
+  it('gives different sequences for different seeds', () => {
+    const a = createRandom(1);
+    const b = createRandom(2);
+
+    expect([a(), a(), a()]).not.toEqual([b(), b(), b()]);
+  });
+});
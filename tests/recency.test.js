@@ -0,0 +1,76 @@
+// Tests for recency weighting (src/recency.js).
+// Uses fixed dates and a fixed "now" so decays are exact.
+
+import { describe, it, expect } from 'vitest';
+import { noteDate, wantsRecency, applyRecency } from '../src/recency.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 4, 31);
+
+describe('noteDate', () => {
+  it('prefers a frontmatter date, then created, then a daily-note file name, then mtime', () => {
+    const mtime = Date.UTC(2024, 0, 15);
+
+    expect(noteDate('journal/2024-05-01.md', { frontmatter: { date: '2023-12-24', created: '2020-01-01' }, modified: mtime }))
+      .toEqual({ time: Date.UTC(2023, 11, 24), source: 'frontmatter' });
+    expect(noteDate('notes/meeting.md', { frontmatter: { created: '2022-03-04T09:30:00Z' } }))
+      .toEqual({ time: Date.UTC(2022, 2, 4, 9, 30), source: 'frontmatter' });
+    expect(noteDate('journal/Standup 2024_05_01.md', { frontmatter: { date: 'someday' }, modified: mtime }))
+      .toEqual({ time: Date.UTC(2024, 4, 1), source: 'filename' });
+    expect(noteDate('notes/plan.md', { frontmatter: {}, modified: mtime })).toEqual({ time: mtime, source: 'mtime' });
+  });
+
+  it('ignores impossible file name dates and reports undated notes as null', () => {
+    expect(noteDate('journal/2024-02-30.md', { modified: 5 })).toEqual({ time: 5, source: 'mtime' });
+    expect(noteDate('ids/120240501.md', undefined)).toBeNull();
+    expect(noteDate('notes/plan.md', undefined)).toBeNull();
+  });
+});
+
+describe('wantsRecency', () => {
+  it('is false at weight 0 and rejects invalid options', () => {
+    const dateOf = () => null;
+
+    expect(wantsRecency(undefined)).toBe(false);
+    expect(wantsRecency({ weight: 0, dateOf })).toBe(false);
+    expect(wantsRecency({ weight: 0.5, dateOf })).toBe(true);
+    expect(() => wantsRecency({ weight: 1.5, dateOf })).toThrow('between 0 and 1');
+    expect(() => wantsRecency({ weight: 0.5, halfLifeDays: 0, dateOf })).toThrow('halfLifeDays must be positive');
+    expect(() => wantsRecency({ weight: 0.5 })).toThrow('needs a dateOf function');
+  });
+});
+
+describe('applyRecency', () => {
+  const dates = {
+    'old.md': { time: NOW - 3 * 365 * DAY_MS, source: 'mtime' },
+    'recent.md': { time: NOW - 7 * DAY_MS, source: 'filename' },
+    'future.md': { time: NOW + 30 * DAY_MS, source: 'frontmatter' },
+  };
+  const dateOf = (notePath) => dates[notePath] ?? null;
+  const results = [
+    { path: 'old.md', score: 0.65 },
+    { path: 'recent.md#Notes', score: 0.62 },
+    { path: 'future.md', score: 0.5 },
+    { path: 'undated.md', score: 0.9 },
+  ];
+
+  it('scales scores by the decay, reports the date used, and re-sorts', () => {
+    const weighted = applyRecency(results, { weight: 0.5, halfLifeDays: 90, now: NOW, dateOf });
+
+    expect(weighted.map((r) => [r.path, r.score, r.similarity])).toEqual([
+      // 0.62 * (0.5 + 0.5 * 0.5^(7 / 90)) = 0.62 * 0.974
+      ['recent.md#Notes', 0.604, 0.62],
+      ['future.md', 0.5, 0.5],
+      ['undated.md', 0.45, 0.9],
+      ['old.md', 0.325, 0.65],
+    ]);
+    expect(weighted[0].recency).toEqual({ date: dates['recent.md'].time, source: 'filename', decay: 0.948 });
+    expect(weighted[2].recency).toEqual({ date: null, source: null, decay: 0 });
+  });
+
+  it('keeps an earlier similarity and uses the default half-life', () => {
+    const [result] = applyRecency([{ path: 'recent.md', score: 0.8, similarity: 0.6 }], { weight: 1, now: NOW, dateOf });
+
+    expect(result).toMatchObject({ score: 0.758, similarity: 0.6 });
+  });
+});
@@ -0,0 +1,76 @@
+// Tests for the cross-encoder reranking stage (src/reranker.js).
+// Uses a stub reranker and a temporary vault -- the ONNX model is never loaded.
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { createReranker, rerankResults } from '../src/reranker.js';
+
+describe('createReranker', () => {
+  it('exposes its model id without loading the model', () => {
+    expect(createReranker().modelId).toBe('Xenova/ms-marco-MiniLM-L-6-v2');
+    expect(createReranker('Xenova/bge-reranker-base').modelId).toBe('Xenova/bge-reranker-base');
+  });
+
+  it('scores an empty passage list without loading the model', async () => {
+    await expect(createReranker('not/a-real-model').score('query', [])).resolves.toEqual([]);
+  });
+});
+
+describe('rerankResults', () => {
+  let tmpVault;
+
+  beforeAll(async () => {
+    tmpVault = await fs.mkdtemp(path.join(os.tmpdir(), 'rerank-test-'));
+    await fs.writeFile(path.join(tmpVault, 'deploy.md'), '# Deploy\nRun the migration.\n# Rollback\nRevert the tag.\n');
+    await fs.writeFile(path.join(tmpVault, 'garden.md'), 'Tomatoes and basil.');
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpVault, { recursive: true, force: true });
+  });
+
+  // Stub cross-encoder: scores a passage by how many times it mentions "revert".
+  function stubReranker() {
+    return {
+      score: vi.fn(async (query, passages) => passages.map((p) => (p.match(/revert/gi) ?? []).length / 10)),
+    };
+  }
+
+  it('reads note and block text and reorders by rerank score', async () => {
+    const reranker = stubReranker();
+    const results = [
+      { path: 'garden.md', score: 0.7 },
+      { path: 'deploy.md#Deploy', score: 0.6, meta: { lines: [1, 2] } },
+      { path: 'deploy.md#Rollback', score: 0.5, meta: { lines: [3, 4] } },
+    ];
+
+    const reranked = await rerankResults('how do I revert?', results, reranker, tmpVault);
+
+    expect(reranker.score).toHaveBeenCalledWith('how do I revert?', [
+      'Tomatoes and basil.',
+      '# Deploy\nRun the migration.',
+      '# Rollback\nRevert the tag.',
+    ]);
+    expect(reranked.map((r) => [r.path, r.score, r.rerankScore])).toEqual([
+      ['deploy.md#Rollback', 0.5, 0.1],
+      ['garden.md', 0.7, 0],
+      ['deploy.md#Deploy', 0.6, 0],
+    ]);
+  });
+
+  it('puts results whose note cannot be read last, unscored', async () => {
+    const results = [
+      { path: 'deleted.md', score: 0.9 },
+      { path: 'deploy.md', score: 0.4 },
+    ];
+
+    const reranked = await rerankResults('revert', results, stubReranker(), tmpVault);
+
+    expect(reranked).toEqual([
+      { path: 'deploy.md', score: 0.4, rerankScore: 0.1 },
+      { path: 'deleted.md', score: 0.9, rerankScore: null },
+    ]);
+  });
+});
@@ -0,0 +1,47 @@
+// Tests for the worker-thread scoring pool (src/scoring-pool.js).
+// Starts real worker threads against small matrices (minRows lowered to allow it).
+
+import { describe, it, expect, afterAll } from 'vitest';
+import { createScoringPool } from '../src/scoring-pool.js';
+import { buildEmbeddingMatrix, rankRows } from '../src/matrix.js';
+
+// Deterministic embeddings: 301 rows (not divisible by the pool size) of 6 dimensions.
+function buildMatrix() {
+  const embeddings = new Map();
+  for (let i = 0; i < 301; i++) {
+    const vec = new Float32Array(6).map((_, d) => Math.sin(i * 7 + d * 3));
+    embeddings.set(`notes/n${i}.md`, { vec, type: i % 2 === 0 ? 'source' : 'block' });
+  }
+  return buildEmbeddingMatrix(embeddings);
+}
+
+describe('createScoringPool', () => {
+  const pool = createScoringPool(3, { minRows: 100 });
+  const matrix = buildMatrix();
+  const query = [0.3, -0.1, 0.8, 0, 0.5, -0.4];
+
+  afterAll(() => pool.close());
+
+  it('returns the same rows as a single-threaded scan', async () => {
+    const options = { threshold: 0, limit: 40 };
+
+    const rows = await pool.rank(matrix, query, options);
+
+    expect(rows).toEqual(rankRows(matrix, query, options));
+  });
+
+  it('applies the row filter across threads', async () => {
+    const options = { threshold: -1, limit: 1000, accept: (row) => matrix.entries[row].type === 'block' };
+
+    const rows = await pool.rank(matrix, query, options);
+
+    expect(rows).toHaveLength(150);
+    expect(rows).toEqual(rankRows(matrix, query, options));
+  });
+
+  it('declines matrices below minRows', () => {
+    const small = createScoringPool(0);
+
+    expect(small.rank(matrix, query, { threshold: 0, limit: 10 })).toBeNull();
+  });
+});
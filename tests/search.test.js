@@ -1,8 +1,17 @@
 // Tests for the search orchestrator (src/search.js).
 // Covers semanticSearch, findRelated, and getStats with controlled mock data.
 
-import { describe, it, expect } from 'vitest';
-import { semanticSearch, findRelated, getStats } from '../src/search.js';
+import { describe, it, expect, vi } from 'vitest';
+import {
+  semanticSearch,
+  lexicalSearch,
+  hybridSearch,
+  findRelated,
+  findRelatedToSeeds,
+  getStats,
+  checkModelCompatibility,
+} from '../src/search.js';
+import { createBm25Index } from '../src/bm25.js';
 
 // ---------------------------------------------------------------------------
 // Shared fixtures
@@ -194,6 +203,15 @@ describe('semanticSearch', () => {
     expect(results.length).toBeGreaterThan(0);
   });
 
+  it('leaves out excluded entry paths', async () => {
+    const embeddings = buildTestEmbeddings();
+    const results = await semanticSearch('test query', embeddings, mockEmbedder, {
+      exclude: new Set(['notes/alpha.md', 'notes/alpha.md#Section']),
+    });
+
+    expect(results.map((r) => r.path)).toEqual(['notes/gamma.md']);
+  });
+
   it('folder matching is case-insensitive', async () => {
     const embeddings = buildFolderTestEmbeddings();
     const lower = await semanticSearch('test query', embeddings, mockEmbedder, {
@@ -243,6 +261,45 @@ describe('semanticSearch', () => {
     // Should include entries from multiple folders.
     expect(withoutFolder.length).toBe(embeddings.size);
   });
+
+  // -- note filter ----------------------------------------------------------
+
+  it('checks the note filter once per note path, before scoring', async () => {
+    const embeddings = buildFolderTestEmbeddings();
+    const noteFilter = vi.fn((notePath) => notePath === 'Reference/gamma.md');
+
+    const results = await semanticSearch('test query', embeddings, mockEmbedder, { noteFilter, threshold: 0 });
+
+    expect(results.map((r) => r.path)).toEqual(['Reference/gamma.md', 'Reference/gamma.md#Section']);
+    expect(new Set(noteFilter.mock.calls.map(([notePath]) => notePath))).toEqual(
+      new Set(['Projects/alpha.md', 'Projects/beta.md', 'Reference/gamma.md'])
+    );
+  });
+
+  // -- metadata -------------------------------------------------------------
+
+  it('copies entry metadata onto the result rows', async () => {
+    const meta = { mtime: 1714521600000, lines: [3, 10] };
+    const embeddings = new Map([
+      ['notes/a.md#Intro', { vec: [1, 0, 0], type: 'block', meta }],
+      ['notes/b.md', { vec: [1, 0, 0], type: 'source' }],
+    ]);
+
+    const results = await semanticSearch('test query', embeddings, mockEmbedder);
+
+    expect(results[0]).toEqual({ path: 'notes/a.md#Intro', score: 1, meta });
+    expect(results[1]).toEqual({ path: 'notes/b.md', score: 1 });
+  });
+
+  // -- model compatibility --------------------------------------------------
+
+  it('throws when the query vector dimensions differ from the stored vectors', async () => {
+    const embeddings = new Map([['notes/a.md', { vec: [1, 0], type: 'source' }]]);
+
+    await expect(semanticSearch('test query', embeddings, mockEmbedder)).rejects.toThrow(
+      /3 dimensions but stored embeddings have 2/
+    );
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -304,6 +361,18 @@ describe('findRelated', () => {
     expect(results[0]).toHaveProperty('score');
   });
 
+  it('copies entry metadata onto the result rows', () => {
+    const meta = { mtime: 1714521600000, size: 10 };
+    const embeddings = new Map([
+      ['notes/a.md', { vec: [1, 0, 0], type: 'source' }],
+      ['notes/b.md', { vec: [1, 0, 0], type: 'source', meta }],
+    ]);
+
+    const results = findRelated('notes/a.md', embeddings);
+
+    expect(results).toEqual([{ path: 'notes/b.md', score: 1, meta }]);
+  });
+
   it('returns an empty array when the only entry is the queried note', () => {
     const embeddings = new Map([
       ['notes/only.md', { vec: [1, 0, 0], type: 'source' }],
@@ -394,6 +463,12 @@ describe('getStats', () => {
     expect(stats.modelId).toBe('TaylorAI/bge-micro-v2');
   });
 
+  it('returns the modelId passed in options', () => {
+    const stats = getStats(buildTestEmbeddings(), { modelId: 'Xenova/jina-embeddings-v2-small-en' });
+
+    expect(stats.modelId).toBe('Xenova/jina-embeddings-v2-small-en');
+  });
+
   it('returns all four expected fields', () => {
     const stats = getStats(new Map());
 
@@ -426,3 +501,431 @@ describe('getStats', () => {
     expect(stats.totalBlocks).toBe(0);
   });
 });
+
+// ---------------------------------------------------------------------------
+// checkModelCompatibility
+// ---------------------------------------------------------------------------
+
+describe('checkModelCompatibility', () => {
+  it('returns null when both model ids are equal', () => {
+    expect(checkModelCompatibility('TaylorAI/bge-micro-v2', 'TaylorAI/bge-micro-v2')).toBeNull();
+  });
+
+  it('returns null when either model id is unknown', () => {
+    expect(checkModelCompatibility(undefined, 'TaylorAI/bge-micro-v2')).toBeNull();
+    expect(checkModelCompatibility('TaylorAI/bge-micro-v2', null)).toBeNull();
+  });
+
+  it('returns a reason naming both models when they differ', () => {
+    const reason = checkModelCompatibility('TaylorAI/bge-micro-v2', 'Xenova/jina-embeddings-v2-small-en');
+
+    expect(reason).toMatch(/TaylorAI\/bge-micro-v2/);
+    expect(reason).toMatch(/Xenova\/jina-embeddings-v2-small-en/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// lexicalSearch and hybridSearch
+// ---------------------------------------------------------------------------
+
+describe('lexical and hybrid search', () => {
+  // BM25 documents for the test embeddings; only gamma and beta mention "ticket-42",
+  // and notes/epsilon.md exists on disk but has no embedding.
+  function buildLexical() {
+    const lexical = createBm25Index();
+    lexical.add('notes/alpha.md', 'alpha overview of the project', 'source');
+    lexical.add('notes/beta.md', 'beta fixes ticket-42', 'source');
+    lexical.add('notes/gamma.md', 'gamma mentions ticket-42 twice: ticket-42', 'source');
+    lexical.add('notes/epsilon.md', 'epsilon also ticket-42', 'source');
+    return lexical;
+  }
+
+  it('lexicalSearch returns BM25 matches with the same filters as semantic search', () => {
+    const results = lexicalSearch('ticket-42', buildTestEmbeddings(), buildLexical(), {
+      exclude: new Set(['notes/epsilon.md']),
+    });
+
+    expect(results.map((r) => r.path)).toEqual(['notes/gamma.md', 'notes/beta.md']);
+  });
+
+  it('lexicalSearch applies the note filter', () => {
+    const results = lexicalSearch('ticket-42', buildTestEmbeddings(), buildLexical(), {
+      noteFilter: (notePath) => notePath !== 'notes/gamma.md',
+    });
+
+    expect(results.map((r) => r.path)).toEqual(['notes/beta.md', 'notes/epsilon.md']);
+  });
+
+  it('hybridSearch ranks results found by both methods first', async () => {
+    const results = await hybridSearch('ticket-42', buildTestEmbeddings(), mockEmbedder, buildLexical());
+
+    // gamma is the only entry in both rankings: third semantically (0.707), first lexically.
+    expect(results[0].path).toBe('notes/gamma.md');
+    expect(results[0].score).toBeCloseTo(1 / 63 + 1 / 61, 6);
+  });
+
+  it('hybridSearch reports both component scores for every result', async () => {
+    const results = await hybridSearch('ticket-42', buildTestEmbeddings(), mockEmbedder, buildLexical());
+    const byPath = new Map(results.map((r) => [r.path, r]));
+
+    // alpha ranks semantically but shares no terms with the query.
+    expect(byPath.get('notes/alpha.md').lexicalScore).toBe(0);
+    // beta ranks lexically only; its semantic score is still computed.
+    expect(byPath.get('notes/beta.md').semanticScore).toBeCloseTo(0, 6);
+    // epsilon has no embedding at all.
+    expect(byPath.get('notes/epsilon.md').semanticScore).toBeNull();
+    for (const r of results) {
+      expect(typeof r.lexicalScore).toBe('number');
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Approximate nearest-neighbour index
+// ---------------------------------------------------------------------------
+
+describe('search with an ANN index', () => {
+  // Stand-in for buildHnswIndex: returns fixed candidates, honouring the filter.
+  function fakeAnn(embeddings, candidates) {
+    return {
+      embeddings,
+      search: vi.fn((query, k, { filter }) =>
+        candidates.filter((p) => filter(p, embeddings.get(p))).slice(0, k)),
+    };
+  }
+
+  it('scores only the ANN candidates, with exact scores', async () => {
+    const embeddings = buildTestEmbeddings();
+    const ann = fakeAnn(embeddings, ['notes/gamma.md', 'notes/beta.md']);
+
+    const results = await semanticSearch('q', embeddings, mockEmbedder, { ann, threshold: 0.5 });
+
+    expect(ann.search).toHaveBeenCalledOnce();
+    expect(results).toEqual([{ path: 'notes/gamma.md', score: 0.707 }]);
+  });
+
+  it('ignores an index built from different embeddings', async () => {
+    const embeddings = buildTestEmbeddings();
+    const ann = fakeAnn(new Map(), []);
+
+    const results = await semanticSearch('q', embeddings, mockEmbedder, { ann });
+
+    expect(ann.search).not.toHaveBeenCalled();
+    expect(results[0].path).toBe('notes/alpha.md');
+  });
+
+  it('falls back to exact scoring when filters leave few candidates', async () => {
+    const embeddings = buildFolderTestEmbeddings();
+    const ann = fakeAnn(embeddings, []);
+
+    const results = await semanticSearch('q', embeddings, mockEmbedder, { ann, folder: 'Reference' });
+
+    expect(ann.search).not.toHaveBeenCalled();
+    expect(results.map((r) => r.path)).toEqual(['Reference/gamma.md', 'Reference/gamma.md#Section']);
+  });
+
+  it('counts note-filtered entries before asking the index', async () => {
+    const embeddings = buildFolderTestEmbeddings();
+    const ann = fakeAnn(embeddings, []);
+
+    const results = await semanticSearch('q', embeddings, mockEmbedder, {
+      ann,
+      noteFilter: (notePath) => notePath === 'Projects/beta.md',
+    });
+
+    expect(ann.search).not.toHaveBeenCalled();
+    expect(results.map((r) => r.path)).toEqual(['Projects/beta.md']);
+  });
+
+  it('uses the index when filters still match many entries', async () => {
+    const embeddings = new Map();
+    for (let i = 0; i < 3000; i++) {
+      embeddings.set(`notes/n${i}.md`, { vec: [1, 0, 0], type: 'source' });
+    }
+    const ann = fakeAnn(embeddings, ['notes/n7.md', 'notes/n9.md']);
+
+    const results = await semanticSearch('q', embeddings, mockEmbedder, { ann, type: 'source' });
+
+    expect(ann.search).toHaveBeenCalledOnce();
+    expect(results.map((r) => r.path)).toEqual(['notes/n7.md', 'notes/n9.md']);
+  });
+
+  it('findRelated keeps the source note out of the ANN candidates', () => {
+    const embeddings = buildTestEmbeddings();
+    const ann = fakeAnn(embeddings, ['notes/alpha.md', 'notes/alpha.md#Section', 'notes/gamma.md']);
+
+    const results = findRelated('notes/alpha.md', embeddings, { ann, limit: 2 });
+
+    expect(results.map((r) => r.path)).toEqual(['notes/alpha.md#Section', 'notes/gamma.md']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Scoring worker pool
+// ---------------------------------------------------------------------------
+
+describe('search with a scoring pool', () => {
+  it('uses the rows the pool returns', async () => {
+    const embeddings = buildTestEmbeddings();
+    const workers = { rank: vi.fn(async () => [{ row: 2, score: 0.707 }]) };
+
+    const results = await semanticSearch('q', embeddings, mockEmbedder, { workers });
+
+    expect(workers.rank).toHaveBeenCalledOnce();
+    expect(results).toEqual([{ path: 'notes/gamma.md', score: 0.707 }]);
+  });
+
+  it('scores in-thread when the pool declines the job', async () => {
+    const embeddings = buildTestEmbeddings();
+    const workers = { rank: vi.fn(() => null) };
+
+    const results = await semanticSearch('q', embeddings, mockEmbedder, { workers });
+
+    expect(results.map((r) => r.path)).toEqual(['notes/alpha.md', 'notes/alpha.md#Section', 'notes/gamma.md']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Diversity (MMR) and per-file caps
+// ---------------------------------------------------------------------------
+
+describe('diversified results', () => {
+  // One note covered by three near-identical blocks, and two other notes that
+  // score a little lower against the query [1, 0, 0] but point elsewhere.
+  function buildRepetitiveEmbeddings() {
+    return new Map([
+      ['notes/topic.md',        { vec: [1, 0, 0],       type: 'source' }],
+      ['notes/topic.md#A',      { vec: [1, 0.05, 0],    type: 'block'  }],
+      ['notes/topic.md#B',      { vec: [1, 0, 0.05],    type: 'block'  }],
+      ['notes/other.md',        { vec: [0.8, 0.6, 0],   type: 'source' }],
+      ['notes/third.md',        { vec: [0.8, 0, -0.6],  type: 'source' }],
+    ]);
+  }
+
+  it('keeps plain ranking order without diversity options', async () => {
+    const results = await semanticSearch('q', buildRepetitiveEmbeddings(), mockEmbedder, { limit: 3 });
+
+    expect(results.map((r) => r.path)).toEqual(['notes/topic.md', 'notes/topic.md#A', 'notes/topic.md#B']);
+  });
+
+  it('prefers results that add something new with diversity', async () => {
+    const results = await semanticSearch('q', buildRepetitiveEmbeddings(), mockEmbedder, {
+      limit: 3,
+      diversity: 0.7,
+    });
+
+    expect(results.map((r) => r.path)).toEqual(['notes/topic.md', 'notes/other.md', 'notes/third.md']);
+    // Scores stay the original similarities.
+    expect(results[1].score).toBe(0.8);
+  });
+
+  it('caps results per note, counting blocks towards their note', async () => {
+    const results = await semanticSearch('q', buildRepetitiveEmbeddings(), mockEmbedder, {
+      limit: 3,
+      maxPerFile: 2,
+    });
+
+    expect(results.map((r) => r.path)).toEqual(['notes/topic.md', 'notes/topic.md#A', 'notes/other.md']);
+  });
+
+  it('applies the same options to findRelated', () => {
+    const embeddings = buildRepetitiveEmbeddings();
+    embeddings.set('notes/query.md', { vec: [1, 0, 0], type: 'source' });
+
+    const results = findRelated('notes/query.md', embeddings, { limit: 2, maxPerFile: 1 });
+
+    expect(results.map((r) => r.path)).toEqual(['notes/topic.md', 'notes/other.md']);
+  });
+
+  it('rejects a diversity outside [0, 1]', async () => {
+    await expect(
+      semanticSearch('q', buildRepetitiveEmbeddings(), mockEmbedder, { diversity: 2 })
+    ).rejects.toThrow(/diversity must be between 0 and 1/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Grouping by note
+// ---------------------------------------------------------------------------
+
+describe('results grouped by note', () => {
+  // Query is [1, 0, 0]: plan.md matches through its blocks more than as a whole,
+  // log.md only as a whole, and ideas.md only through a block (its note vector is orthogonal).
+  function buildGroupingEmbeddings() {
+    return new Map([
+      ['notes/plan.md',               { vec: [0.6, 0.8, 0], type: 'source', meta: { mtime: 0 } }],
+      ['notes/plan.md#Goals',         { vec: [1, 0, 0],     type: 'block', meta: { lines: [3, 9] } }],
+      ['notes/plan.md#Goals#Q3',      { vec: [0.8, 0.6, 0], type: 'block' }],
+      ['notes/log.md',                { vec: [0.9, 0, 0.436], type: 'source' }],
+      ['notes/ideas.md',              { vec: [0, 1, 0],     type: 'source' }],
+      ['notes/ideas.md#Search',       { vec: [0.7, 0, 0.714], type: 'block' }],
+    ]);
+  }
+
+  it('collects blocks under their note, scored by the best hit', async () => {
+    const results = await semanticSearch('q', buildGroupingEmbeddings(), mockEmbedder, { groupBy: 'note' });
+
+    expect(results.map((r) => [r.path, r.score])).toEqual([
+      ['notes/plan.md', 1],
+      ['notes/log.md', 0.9],
+      ['notes/ideas.md', 0.7],
+    ]);
+    expect(results[0].noteScore).toBe(0.6);
+    expect(results[0].meta).toEqual({ mtime: 0 });
+    expect(results[0].headings).toEqual([
+      { path: 'notes/plan.md#Goals', score: 1, heading: 'Goals', meta: { lines: [3, 9] } },
+      { path: 'notes/plan.md#Goals#Q3', score: 0.8, heading: 'Goals > Q3' },
+    ]);
+    // The note vector scores below the threshold but is still reported.
+    expect(results[2].noteScore).toBe(0);
+  });
+
+  it('blends note and block scores with noteWeight', async () => {
+    const results = await semanticSearch('q', buildGroupingEmbeddings(), mockEmbedder, {
+      groupBy: 'note',
+      noteWeight: 0.5,
+    });
+
+    // plan: 0.5 * 0.6 + 0.5 * 1 = 0.8; ideas: 0.5 * 0 + 0.5 * 0.7 = 0.35; log has no blocks.
+    expect(results.map((r) => [r.path, r.score])).toEqual([
+      ['notes/log.md', 0.9],
+      ['notes/plan.md', 0.8],
+      ['notes/ideas.md', 0.35],
+    ]);
+  });
+
+  it('rejects grouping combined with diversity options', async () => {
+    await expect(
+      semanticSearch('q', buildGroupingEmbeddings(), mockEmbedder, { groupBy: 'note', maxPerFile: 1 })
+    ).rejects.toThrow(/cannot be combined/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// findRelatedToSeeds
+// ---------------------------------------------------------------------------
+
+describe('findRelatedToSeeds', () => {
+  function buildSeedEmbeddings() {
+    return new Map([
+      ['a.md',      { vec: [1, 0, 0],     type: 'source' }],
+      ['a.md#Part', { vec: [1, 0, 0],     type: 'block'  }],
+      ['b.md',      { vec: [0, 1, 0],     type: 'source' }],
+      ['c.md',      { vec: [0, 0, 1],     type: 'source' }],
+      ['ab.md',     { vec: [0.7, 0.7, 0], type: 'source' }],
+      ['ac.md',     { vec: [0.7, 0, 0.7], type: 'source' }],
+    ]);
+  }
+
+  it('searches the centroid of several seed notes and leaves the seeds out', async () => {
+    const embedder = { encode: vi.fn() };
+
+    const results = await findRelatedToSeeds({ positiveNotes: ['a.md', 'b.md'] }, buildSeedEmbeddings(), embedder);
+
+    expect(results[0]).toEqual({ path: 'ab.md', score: 1 });
+    expect(results.map((r) => r.path)).not.toContain('a.md#Part');
+    expect(embedder.encode).not.toHaveBeenCalled();
+  });
+
+  it('pushes results away from negative seeds', async () => {
+    const embeddings = buildSeedEmbeddings();
+
+    const plain = await findRelatedToSeeds({ positiveNotes: ['a.md'] }, embeddings, mockEmbedder);
+    const steered = await findRelatedToSeeds(
+      { positiveNotes: ['a.md'], negativeNotes: ['c.md'] },
+      embeddings,
+      mockEmbedder
+    );
+
+    // ab.md and ac.md tie without the negative seed; c.md's direction demotes ac.md.
+    expect(plain.map((r) => r.score)).toEqual([0.707, 0.707]);
+    expect(steered.map((r) => [r.path, r.score])).toEqual([['ab.md', 0.632], ['ac.md', 0.316]]);
+  });
+
+  it('encodes query seeds with the embedder', async () => {
+    const embedder = { encode: vi.fn(async () => new Float32Array([0, 1, 0])) };
+
+    const results = await findRelatedToSeeds(
+      { positiveNotes: ['a.md'], positiveQueries: ['about b'] },
+      buildSeedEmbeddings(),
+      embedder
+    );
+
+    expect(embedder.encode).toHaveBeenCalledWith('about b');
+    expect(results[0].path).toBe('ab.md');
+    expect(results.map((r) => r.path)).toContain('b.md');
+  });
+
+  it('requires a positive seed and known seed notes', async () => {
+    const embeddings = buildSeedEmbeddings();
+
+    await expect(findRelatedToSeeds({ negativeNotes: ['c.md'] }, embeddings, mockEmbedder)).rejects.toThrow(
+      /at least one positive seed/
+    );
+    await expect(findRelatedToSeeds({ positiveNotes: ['nope.md'] }, embeddings, mockEmbedder)).rejects.toThrow(
+      /not found in the embeddings Map: nope.md/
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// link boosts
+// ---------------------------------------------------------------------------
+
+describe('link-boosted results', () => {
+  // gamma.md links to alpha.md; beta.md is not linked at all.
+  const graph = {
+    notes: () => ['notes/alpha.md', 'notes/beta.md', 'notes/gamma.md'],
+    outlinks: (notePath) => (notePath === 'notes/gamma.md' ? ['notes/alpha.md'] : []),
+    backlinks: (notePath) => (notePath === 'notes/alpha.md' ? ['notes/gamma.md'] : []),
+  };
+
+  it('adds link signals to semanticSearch scores and reorders by the total', async () => {
+    const results = await semanticSearch('q', buildTestEmbeddings(), mockEmbedder, {
+      links: { graph, context: 'notes/gamma.md', proximityWeight: 0.5 },
+    });
+
+    expect(results.map((r) => [r.path, r.score, r.similarity])).toEqual([
+      ['notes/alpha.md', 1.5, 1],
+      ['notes/alpha.md#Section', 1.5, 1],
+      ['notes/gamma.md', 0.707, 0.707],
+    ]);
+    expect(results[2].linkBoosts).toEqual({ proximity: 0 });
+    await expect(
+      semanticSearch('q', buildTestEmbeddings(), mockEmbedder, { groupBy: 'note', links: { graph, backlinkWeight: 0.1 } })
+    ).rejects.toThrow(/cannot be combined with link boosts/);
+  });
+
+  it('uses the source note as findRelated\'s link context', () => {
+    const results = findRelated('notes/gamma.md', buildTestEmbeddings(), { links: { graph, proximityWeight: 0.5 } });
+
+    expect(results.map((r) => [r.path, r.score, r.linkBoosts.proximity])).toEqual([
+      ['notes/alpha.md', 1.207, 0.5],
+      ['notes/alpha.md#Section', 1.207, 0.5],
+      ['notes/beta.md', 0.707, 0],
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// recency
+// ---------------------------------------------------------------------------
+
+describe('recency-weighted results', () => {
+  it('scales semanticSearch scores by note age before the limit applies', async () => {
+    const now = Date.UTC(2024, 4, 31);
+    const dateOf = (notePath) => (notePath === 'notes/gamma.md' ? { time: now, source: 'mtime' } : null);
+
+    const results = await semanticSearch('q', buildTestEmbeddings(), mockEmbedder, {
+      limit: 2,
+      recency: { weight: 0.5, now, dateOf },
+    });
+
+    // alpha.md and its block are undated, so they keep half their score.
+    expect(results.map((r) => [r.path, r.score, r.similarity])).toEqual([
+      ['notes/gamma.md', 0.707, 0.707],
+      ['notes/alpha.md', 0.5, 1],
+    ]);
+    expect(results[0].recency).toEqual({ date: now, source: 'mtime', decay: 1 });
+  });
+});
@@ -0,0 +1,181 @@
+// Tests for self-indexing (src/self-index.js).
+// Uses a temporary vault on disk and a mock embedder -- no model is loaded.
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  loadSelfIndexCache,
+  saveSelfIndexCache,
+  selfIndexVault,
+  applySelfIndex,
+  reapplySelfIndex,
+  startSelfIndexing,
+} from '../src/self-index.js';
+import { createIndexStore } from '../src/index-store.js';
+
+const MODEL = 'TaylorAI/bge-micro-v2';
+
+// Mock embedder: a 2-dim vector derived from the text length, so calls are cheap and deterministic.
+function createMockEmbedder() {
+  return {
+    modelId: MODEL,
+    encode: vi.fn(async (text) => new Float32Array([text.length, 1])),
+  };
+}
+
+const EMBEDDED_AT = 1714521600000;
+
+describe('self-indexing', () => {
+  let tmpVault;
+  let embeddedNoteStats;
+
+  beforeEach(async () => {
+    tmpVault = await fs.mkdtemp(path.join(os.tmpdir(), 'self-index-test-'));
+    await fs.mkdir(path.join(tmpVault, 'notes'), { recursive: true });
+    await fs.writeFile(path.join(tmpVault, 'notes', 'new.md'), '# Plan\nDo things.\n\n## Later\nMore things.\n');
+    await fs.writeFile(path.join(tmpVault, 'notes', 'known.md'), 'Already embedded.');
+    const when = new Date(EMBEDDED_AT);
+    await fs.utimes(path.join(tmpVault, 'notes', 'known.md'), when, when);
+    embeddedNoteStats = await fs.stat(path.join(tmpVault, 'notes', 'known.md'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpVault, { recursive: true, force: true });
+  });
+
+  // An index in which Smart Connections has embedded known.md but not new.md.
+  function buildIndex() {
+    return {
+      embeddings: new Map([
+        ['notes/known.md', {
+          vec: [1, 0],
+          type: 'source',
+          meta: { mtime: EMBEDDED_AT, size: embeddedNoteStats.size },
+        }],
+      ]),
+      modelKey: MODEL,
+    };
+  }
+
+  it('embeds notes Smart Connections has not covered, by heading', async () => {
+    const embedder = createMockEmbedder();
+
+    const { cache, embedded } = await selfIndexVault(tmpVault, buildIndex(), embedder);
+
+    expect(embedded).toBe(1);
+    expect(Array.from(cache.notes.keys())).toEqual(['notes/new.md']);
+    const entries = cache.notes.get('notes/new.md').entries;
+    expect(entries.map((e) => e.key)).toEqual(['', '#Plan', '#Plan#Later']);
+    expect(entries[2].lines).toEqual([4, 5]);
+    expect(embedder.encode).toHaveBeenCalledTimes(3);
+  });
+
+  it('re-embeds a note edited after Smart Connections embedded it', async () => {
+    const later = new Date(EMBEDDED_AT + 60000);
+    await fs.utimes(path.join(tmpVault, 'notes', 'known.md'), later, later);
+
+    const { cache } = await selfIndexVault(tmpVault, buildIndex(), createMockEmbedder());
+
+    expect(Array.from(cache.notes.keys()).sort()).toEqual(['notes/known.md', 'notes/new.md']);
+  });
+
+  it('reuses cached notes whose file has not changed', async () => {
+    const first = await selfIndexVault(tmpVault, buildIndex(), createMockEmbedder());
+    const embedder = createMockEmbedder();
+
+    const second = await selfIndexVault(tmpVault, buildIndex(), embedder, { cache: first.cache });
+
+    expect(second.reused).toBe(1);
+    expect(second.embedded).toBe(0);
+    expect(embedder.encode).not.toHaveBeenCalled();
+  });
+
+  it('merges self-indexed entries and marks them', async () => {
+    const { cache } = await selfIndexVault(tmpVault, buildIndex(), createMockEmbedder());
+
+    const merged = applySelfIndex(buildIndex(), cache);
+
+    expect(Array.from(merged.embeddings.keys())).toEqual([
+      'notes/known.md',
+      'notes/new.md',
+      'notes/new.md#Plan',
+      'notes/new.md#Plan#Later',
+    ]);
+    expect(merged.embeddings.get('notes/new.md').meta.selfIndexed).toBe(true);
+    expect(merged.embeddings.get('notes/new.md#Plan').meta).toEqual({ lines: [1, 2], selfIndexed: true });
+    expect(merged.embeddings.get('notes/known.md').meta.selfIndexed).toBeUndefined();
+  });
+
+  it('replaces stale plugin entries but keeps ones that have caught up', () => {
+    const cache = {
+      modelKey: MODEL,
+      notes: new Map([
+        ['notes/known.md', { mtime: EMBEDDED_AT + 1000, size: 5, entries: [{ key: '', type: 'source', vec: [0, 1] }] }],
+      ]),
+    };
+
+    const stale = applySelfIndex(buildIndex(), cache);
+    const caughtUp = applySelfIndex(
+      { embeddings: new Map([['notes/known.md', { vec: [1, 0], type: 'source', meta: { mtime: EMBEDDED_AT + 1000, size: 5 } }]]) },
+      cache
+    );
+
+    expect(stale.embeddings.get('notes/known.md').vec).toEqual([0, 1]);
+    expect(caughtUp.embeddings.get('notes/known.md').vec).toEqual([1, 0]);
+  });
+
+  it('merges against the original embeddings when applied again', async () => {
+    const { cache } = await selfIndexVault(tmpVault, buildIndex(), createMockEmbedder());
+    const once = applySelfIndex(buildIndex(), cache);
+
+    const twice = applySelfIndex(once, { modelKey: MODEL, notes: new Map() });
+
+    expect(Array.from(twice.embeddings.keys())).toEqual(['notes/known.md']);
+  });
+
+  it('puts self-indexed entries back after a reload replaces the embeddings', async () => {
+    const { cache } = await selfIndexVault(tmpVault, buildIndex(), createMockEmbedder());
+    const merged = applySelfIndex(buildIndex(), cache);
+
+    const reloaded = reapplySelfIndex({ ...merged, embeddings: buildIndex().embeddings });
+
+    expect(reloaded.embeddings.has('notes/new.md#Plan')).toBe(true);
+    expect(reapplySelfIndex(buildIndex()).embeddings.size).toBe(1);
+  });
+
+  it('round-trips the cache and discards one written for another model', async () => {
+    const { cache } = await selfIndexVault(tmpVault, buildIndex(), createMockEmbedder());
+    await saveSelfIndexCache(tmpVault, cache);
+
+    const loaded = await loadSelfIndexCache(tmpVault, MODEL);
+    const otherModel = await loadSelfIndexCache(tmpVault, 'Xenova/jina-embeddings-v2-small-en');
+
+    expect(loaded.notes.get('notes/new.md').entries[1].vec).toEqual(new Float32Array(cache.notes.get('notes/new.md').entries[1].vec));
+    expect(otherModel.notes.size).toBe(0);
+  });
+
+  it('treats a corrupt cache as empty', async () => {
+    await fs.mkdir(path.join(tmpVault, '.smart-search'));
+    await fs.writeFile(path.join(tmpVault, '.smart-search', 'self-index.json'), '{not json');
+
+    const cache = await loadSelfIndexCache(tmpVault, MODEL);
+
+    expect(cache.notes.size).toBe(0);
+  });
+
+  it('runs a background pass that saves the cache and updates the store', async () => {
+    const store = createIndexStore(buildIndex());
+    const onIndexed = vi.fn();
+
+    const handle = startSelfIndexing(tmpVault, store, createMockEmbedder(), { onIndexed });
+    await handle.run();
+    handle.close();
+
+    expect(store.current().embeddings.has('notes/new.md')).toBe(true);
+    expect(onIndexed).toHaveBeenCalledWith(expect.objectContaining({ embedded: 1 }));
+    const saved = JSON.parse(await fs.readFile(path.join(tmpVault, '.smart-search', 'self-index.json'), 'utf-8'));
+    expect(Object.keys(saved.notes)).toEqual(['notes/new.md']);
+  });
+});
@@ -4,6 +4,8 @@
 
 import { describe, it, expect, vi, beforeEach, afterEach, beforeAll, afterAll } from 'vitest';
 import { createServer } from '../src/server.js';
+import { createIndexStore } from '../src/index-store.js';
+import { buildHnswIndex } from '../src/hnsw.js';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
@@ -64,6 +66,24 @@ describe('createServer', () => {
     expect(() => createServer(new Map(), mockEmbedder)).not.toThrow();
   });
 
+  it('reads embeddings from an index store on each call', async () => {
+    const store = createIndexStore({ embeddings: mockEmbeddings, modelKey: null });
+    const server = createServer(store, mockEmbedder);
+    const handler = server._registeredTools['find_related'].handler;
+
+    await store.update(() => ({
+      embeddings: new Map([
+        ['note1.md', { vec: [1, 0, 0], type: 'source' }],
+        ['note3.md', { vec: [1, 0, 0], type: 'source' }],
+      ]),
+      modelKey: null,
+    }));
+    const result = await handler({ note_path: 'note1.md' }, {});
+
+    const textItem = result.content.find((c) => c.type === 'text');
+    expect(textItem.text).toContain('note3.md');
+  });
+
   it('creates an independent server on each call', () => {
     const serverA = createServer(mockEmbeddings, mockEmbedder);
     const serverB = createServer(mockEmbeddings, mockEmbedder);
@@ -105,6 +125,95 @@ describe('semantic_search tool handler', () => {
     const textItem = result.content.find((c) => c.type === 'text');
     expect(textItem.text).toMatch(/error/i);
   });
+
+  it('explains that lexical and hybrid modes need a vault path', async () => {
+    const server = createServer(mockEmbeddings, mockEmbedder);
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'test', mode: 'hybrid' }, {});
+
+    expect(result.content[0].text).toBe('Error: hybrid search is unavailable (vault path not configured).');
+  });
+
+  it('applies max_per_file to semantic results and rejects it in other modes', async () => {
+    const embeddings = new Map([
+      ['note1.md', { vec: [1, 0, 0], type: 'source' }],
+      ['note1.md#Intro', { vec: [1, 0, 0], type: 'block' }],
+      ['note2.md', { vec: [0.8, 0.6, 0], type: 'source' }],
+    ]);
+    const server = createServer(embeddings, mockEmbedder);
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const capped = await handler({ query: 'test', max_per_file: 1 }, {});
+    const lexical = await handler({ query: 'test', mode: 'lexical', diversity: 0.5 }, {});
+
+    expect(capped.content[0].text).toContain('note2.md');
+    expect(capped.content[0].text).not.toContain('note1.md#Intro');
+    expect(lexical.content[0].text).toBe('Error: diversity, max_per_file, and group_by apply to semantic mode only.');
+  });
+
+  it('lists notes with their best headings when grouping by note', async () => {
+    const embeddings = new Map([
+      ['note1.md', { vec: [0.6, 0.8, 0], type: 'source' }],
+      ['note1.md#Setup', { vec: [1, 0, 0], type: 'block', meta: { lines: [4, 12] } }],
+      ['note2.md', { vec: [0.8, 0.6, 0], type: 'source' }],
+    ]);
+    const server = createServer(embeddings, mockEmbedder);
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'test', group_by: 'note' }, {});
+
+    expect(result.content[0].text).toBe(
+      'note1.md (score: 1.000, note: 0.600)\n' +
+        '  - Setup (1.000) [lines 4-12]\n' +
+        'note2.md (score: 0.800, note: 0.800)'
+    );
+  });
+
+  it('refuses to search when the query model differs from the stored model', async () => {
+    const encode = vi.fn(async () => new Float32Array([1, 0, 0]));
+    const embedder = { encode, modelId: 'TaylorAI/bge-micro-v2' };
+    const server = createServer(mockEmbeddings, embedder, null, {
+      modelKey: 'Xenova/jina-embeddings-v2-small-en',
+    });
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'test' }, {});
+
+    const textItem = result.content.find((c) => c.type === 'text');
+    expect(textItem.text).toMatch(/does not match/);
+    expect(encode).not.toHaveBeenCalled();
+  });
+});
+
+describe('result formatting', () => {
+  it('shows the modified date and block line range when metadata has them', async () => {
+    const embeddings = new Map([
+      ['note1.md', { vec: [1, 0, 0], type: 'source', meta: { mtime: Date.UTC(2024, 4, 1) } }],
+      ['note1.md#Intro', { vec: [1, 0, 0], type: 'block', meta: { lines: [3, 10] } }],
+    ]);
+    const server = createServer(embeddings, mockEmbedder);
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'test' }, {});
+
+    const textItem = result.content.find((c) => c.type === 'text');
+    expect(textItem.text).toBe(
+      'note1.md (score: 1.000) [modified 2024-05-01]\nnote1.md#Intro (score: 1.000) [lines 3-10]'
+    );
+  });
+
+  it('marks entries the server embedded itself', async () => {
+    const embeddings = new Map([
+      ['note1.md#Intro', { vec: [1, 0, 0], type: 'block', meta: { lines: [3, 10], selfIndexed: true } }],
+    ]);
+    const server = createServer(embeddings, mockEmbedder);
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'test' }, {});
+
+    expect(result.content[0].text).toBe('note1.md#Intro (score: 1.000) [lines 3-10, self-indexed]');
+  });
 });
 
 describe('find_related tool handler', () => {
@@ -120,6 +229,21 @@ describe('find_related tool handler', () => {
     expect(typeof textItem.text).toBe('string');
   });
 
+  it('passes diversity options through to findRelated', async () => {
+    const embeddings = new Map([
+      ['note1.md', { vec: [1, 0, 0], type: 'source' }],
+      ['note2.md', { vec: [1, 0, 0], type: 'source' }],
+      ['note2.md#Part', { vec: [1, 0, 0], type: 'block' }],
+    ]);
+    const server = createServer(embeddings, mockEmbedder);
+    const handler = server._registeredTools['find_related'].handler;
+
+    const result = await handler({ note_path: 'note1.md', max_per_file: 1 }, {});
+
+    expect(result.content[0].text).toContain('note2.md');
+    expect(result.content[0].text).not.toContain('note2.md#Part');
+  });
+
   it('returns error text when note_path is not in embeddings', async () => {
     const server = createServer(mockEmbeddings, mockEmbedder);
     const handler = server._registeredTools['find_related'].handler;
@@ -132,6 +256,36 @@ describe('find_related tool handler', () => {
   });
 });
 
+describe('find_related_multi tool handler', () => {
+  it('combines note seeds without calling the embedder', async () => {
+    const encode = vi.fn();
+    const embeddings = new Map([
+      ['a.md', { vec: [1, 0, 0], type: 'source' }],
+      ['b.md', { vec: [0, 1, 0], type: 'source' }],
+      ['ab.md', { vec: [0.7, 0.7, 0], type: 'source' }],
+    ]);
+    // A mismatched query model only matters for query seeds.
+    const server = createServer(embeddings, { encode, modelId: 'other/model' }, null, { modelKey: 'stored/model' });
+    const handler = server._registeredTools['find_related_multi'].handler;
+
+    const result = await handler({ positive_notes: ['a.md', 'b.md'] }, {});
+
+    expect(result.content[0].text).toBe('ab.md (score: 1.000)');
+    expect(encode).not.toHaveBeenCalled();
+  });
+
+  it('returns error text for a missing seed note', async () => {
+    const server = createServer(mockEmbeddings, mockEmbedder);
+    const handler = server._registeredTools['find_related_multi'].handler;
+
+    const result = await handler({ positive_notes: ['missing.md'] }, {});
+
+    expect(result.content[0].text).toBe(
+      'Error running find_related_multi: seed note(s) not found in the embeddings Map: missing.md'
+    );
+  });
+});
+
 describe('vault_stats tool handler', () => {
   it('returns text content with stat lines', async () => {
     const server = createServer(mockEmbeddings, mockEmbedder);
@@ -145,6 +299,698 @@ describe('vault_stats tool handler', () => {
     // Stats text must mention note count.
     expect(textItem.text).toMatch(/\d+/);
   });
+
+  it('reports the active model and every model found in the vault', async () => {
+    const server = createServer(mockEmbeddings, mockEmbedder, null, {
+      modelKey: 'Xenova/jina-embeddings-v2-small-en',
+      modelKeys: [
+        { modelKey: 'Xenova/jina-embeddings-v2-small-en', count: 2 },
+        { modelKey: 'TaylorAI/bge-micro-v2', count: 1 },
+      ],
+    });
+    const handler = server._registeredTools['vault_stats'].handler;
+
+    const result = await handler({}, {});
+
+    const textItem = result.content.find((c) => c.type === 'text');
+    expect(textItem.text).toContain('Model: Xenova/jina-embeddings-v2-small-en');
+    expect(textItem.text).toContain('Models found: Xenova/jina-embeddings-v2-small-en (2), TaylorAI/bge-micro-v2 (1)');
+  });
+
+  it('reports superseded and deleted entry counts from the index', async () => {
+    const store = createIndexStore({
+      embeddings: mockEmbeddings,
+      modelKey: null,
+      replay: { superseded: 4, deleted: 2 },
+    });
+    const server = createServer(store, mockEmbedder);
+    const handler = server._registeredTools['vault_stats'].handler;
+
+    const result = await handler({}, {});
+
+    const textItem = result.content.find((c) => c.type === 'text');
+    expect(textItem.text).toContain('Superseded entries: 4');
+    expect(textItem.text).toContain('Deleted entries: 2');
+  });
+
+  it('reports which embedding format was loaded', async () => {
+    const store = createIndexStore({ embeddings: mockEmbeddings, format: 'smart-connections-v1' });
+    const server = createServer(store, mockEmbedder);
+    const handler = server._registeredTools['vault_stats'].handler;
+
+    const result = await handler({}, {});
+
+    const textItem = result.content.find((c) => c.type === 'text');
+    expect(textItem.text).toContain('Format: smart-connections-v1 (.smart-connections/embeddings-*.json)');
+  });
+
+  it('reports how many files the startup snapshot saved parsing', async () => {
+    const store = createIndexStore({ embeddings: mockEmbeddings, snapshot: { reused: 7, parsed: 1 } });
+    const server = createServer(store, mockEmbedder);
+    const handler = server._registeredTools['vault_stats'].handler;
+
+    const result = await handler({}, {});
+
+    expect(result.content[0].text).toContain('Startup snapshot: 7 file(s) reused, 1 parsed');
+  });
+
+  it('points to index_health when the index has problems', async () => {
+    const store = createIndexStore({
+      embeddings: new Map([...mockEmbeddings, ['odd.md', { vec: [1, 0], type: 'source' }]]),
+    });
+    const server = createServer(store, mockEmbedder);
+    const handler = server._registeredTools['vault_stats'].handler;
+
+    const result = await handler({}, {});
+
+    const textItem = result.content.find((c) => c.type === 'text');
+    expect(textItem.text).toContain('Index problems: 1 (run index_health for details)');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// index_health tool handler
+// ---------------------------------------------------------------------------
+
+describe('index_health tool handler', () => {
+  it('registers the index_health tool', () => {
+    const server = createServer(mockEmbeddings, mockEmbedder);
+
+    expect(server._registeredTools).toHaveProperty('index_health');
+  });
+
+  it('reports a healthy index', async () => {
+    const server = createServer(mockEmbeddings, mockEmbedder);
+    const handler = server._registeredTools['index_health'].handler;
+
+    const result = await handler({}, {});
+
+    const textItem = result.content.find((c) => c.type === 'text');
+    expect(textItem.text).toContain('Index healthy: no problems found.');
+    expect(textItem.text).toContain('Dimensions: 3');
+  });
+
+  it('lists skipped lines, unreadable files, duplicates, and dimension mismatches', async () => {
+    const store = createIndexStore({
+      embeddings: new Map([...mockEmbeddings, ['odd.md', { vec: [1, 0], type: 'source' }]]),
+      diagnostics: {
+        filesParsed: 2,
+        unreadable: [{ file: 'c.ajson', error: 'EACCES: permission denied' }],
+        skippedFiles: [
+          { file: 'a.ajson', skipped: { malformed: 1 }, samples: [{ line: 7, reason: 'malformed' }] },
+        ],
+        duplicates: { count: 1, samples: [{ path: 'note1.md', files: ['a.ajson', 'b.ajson'] }] },
+      },
+    });
+    const server = createServer(store, mockEmbedder);
+    const handler = server._registeredTools['index_health'].handler;
+
+    const result = await handler({}, {});
+
+    const text = result.content.find((c) => c.type === 'text').text;
+    expect(text).toContain('Index has 4 problem(s).');
+    expect(text).toContain('Files parsed: 2');
+    expect(text).toContain('Dimension mismatches: 1 entries (found 3 (2), 2 (1))');
+    expect(text).toContain('odd.md: 2 dimensions');
+    expect(text).toContain('c.ajson: EACCES: permission denied');
+    expect(text).toContain('Skipped entries: malformed (1)');
+    expect(text).toContain('a.ajson line 7: malformed');
+    expect(text).toContain('note1.md: a.ajson, b.ajson (last file wins)');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Reranking
+// ---------------------------------------------------------------------------
+
+describe('semantic_search rerank', () => {
+  let tmpVault;
+
+  beforeAll(() => {
+    tmpVault = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-search-rerank-'));
+    fs.writeFileSync(path.join(tmpVault, 'note1.md'), 'unrelated text');
+    fs.writeFileSync(path.join(tmpVault, 'note2.md'), 'exactly what was asked');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpVault, { recursive: true, force: true });
+  });
+
+  const embeddings = new Map([
+    ['note1.md', { vec: [1, 0, 0], type: 'source' }],
+    ['note2.md', { vec: [0.6, 0.8, 0], type: 'source' }],
+  ]);
+
+  it('reorders results with the injected reranker and shows its score', async () => {
+    const reranker = { score: vi.fn(async (query, passages) => passages.map((p) => (p.includes('asked') ? 0.9 : 0.1))) };
+    const server = createServer(embeddings, mockEmbedder, tmpVault, { reranker });
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'test', rerank: true, limit: 1 }, {});
+
+    expect(result.content[0].text).toMatch(/^note2\.md \(score: 0\.600, rerank: 0\.900\)/);
+    // Both candidates were scored even though only one result was asked for.
+    expect(reranker.score.mock.calls[0][1]).toHaveLength(2);
+  });
+
+  it('needs a vault path to read candidates', async () => {
+    const server = createServer(embeddings, mockEmbedder, null, { reranker: { score: vi.fn() } });
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'test', rerank: true }, {});
+
+    expect(result.content[0].text).toBe('Error: rerank is unavailable (vault path not configured).');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// semantic_search note filters
+// ---------------------------------------------------------------------------
+
+describe('semantic_search note filters', () => {
+  let tmpVault;
+
+  beforeAll(() => {
+    tmpVault = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-search-filters-'));
+    fs.mkdirSync(path.join(tmpVault, 'projects'));
+    fs.writeFileSync(path.join(tmpVault, 'projects', 'alpha.md'), '---\nstatus: active\n---\nShip it #work');
+    fs.writeFileSync(path.join(tmpVault, 'garden.md'), 'Tomatoes #home');
+    const old = new Date('2023-01-01T00:00:00.000Z');
+    fs.utimesSync(path.join(tmpVault, 'garden.md'), old, old);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpVault, { recursive: true, force: true });
+  });
+
+  const embeddings = new Map([
+    ['projects/alpha.md', { vec: [1, 0, 0], type: 'source' }],
+    ['garden.md', { vec: [1, 0.1, 0], type: 'source' }],
+  ]);
+
+  it('filters by tag, property, date, and path glob', async () => {
+    const server = createServer(embeddings, mockEmbedder, tmpVault);
+    const handler = server._registeredTools['semantic_search'].handler;
+    const search = async (args) => (await handler({ query: 'test', ...args }, {})).content[0].text;
+
+    expect(await search({ tags: ['work'] })).toMatch(/^projects\/alpha\.md \(score/);
+    expect(await search({ exclude_tags: ['work'] })).toMatch(/^garden\.md \(score/);
+    expect(await search({ properties: { status: 'Active' } })).not.toContain('garden.md');
+    expect(await search({ modified_before: '2024-01-01' })).not.toContain('alpha.md');
+    expect(await search({ exclude_paths: ['projects/**'] })).not.toContain('alpha.md');
+  });
+
+  it('rejects an invalid date', async () => {
+    const server = createServer(embeddings, mockEmbedder, tmpVault);
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'test', created_after: 'last week' }, {});
+
+    expect(result.content[0].text).toBe(
+      'Error running semantic_search: created_after must be an ISO date such as 2024-05-01 (got "last week")'
+    );
+  });
+
+  it('needs a vault path for metadata filters but not for path globs', async () => {
+    const server = createServer(embeddings, mockEmbedder);
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const tagged = await handler({ query: 'test', tags: ['work'] }, {});
+    const globbed = await handler({ query: 'test', include_paths: ['*.md'] }, {});
+
+    expect(tagged.content[0].text).toBe('Error: tag, property, and date filters are unavailable (vault path not configured).');
+    expect(globbed.content[0].text).toMatch(/^garden\.md \(score: [\d.]+\)$/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Pagination
+// ---------------------------------------------------------------------------
+
+describe('pagination', () => {
+  // Five notes with decreasing similarity to the mock query [1, 0, 0].
+  const embeddings = new Map(
+    [1, 0.9, 0.8, 0.7, 0.6].map((x, i) => [`n${i}.md`, { vec: [x, Math.sqrt(1 - x * x), 0], type: 'source' }])
+  );
+
+  // Extract the cursor from a response footer.
+  function cursorOf(text) {
+    return text.match(/Next page: cursor "([^"]+)"/)[1];
+  }
+
+  it('pages semantic_search with a cursor, from the snapshot of the first page', async () => {
+    const store = createIndexStore({ embeddings, modelKey: null });
+    const handler = createServer(store, mockEmbedder)._registeredTools['semantic_search'].handler;
+
+    const first = (await handler({ query: 'test', limit: 2 }, {})).content[0].text;
+    await store.update(() => ({ embeddings: new Map([['new.md', { vec: [1, 0, 0], type: 'source' }]]), modelKey: null }));
+    const second = (await handler({ query: 'test', limit: 2, cursor: cursorOf(first) }, {})).content[0].text;
+    const third = (await handler({ query: 'test', cursor: cursorOf(second) }, {})).content[0].text;
+
+    expect(first).toMatch(/^n0\.md \(score: 1\.000\)\nn1\.md \(score: 0\.900\)\n\nResults 1-2 of 5\. Next page: cursor "/);
+    expect(second).toMatch(/^n2\.md .*\nn3\.md .*\n\nResults 3-4 of 5\. Next page/);
+    expect(third).toMatch(/^n4\.md \(score: 0\.600\)\n\nResults 5-5 of 5\.$/);
+  });
+
+  it('ranks later pages against the snapshot of the first page', async () => {
+    const store = createIndexStore({ embeddings, modelKey: null });
+    const handler = createServer(store, mockEmbedder)._registeredTools['semantic_search'].handler;
+
+    // A page of 1 ranks 3 results, so the third page ranks further, after the reload.
+    const pages = [(await handler({ query: 'test', limit: 1 }, {})).content[0].text];
+    await store.update(() => ({ embeddings: new Map([['new.md', { vec: [1, 0, 0], type: 'source' }]]), modelKey: null }));
+    while (pages.at(-1).includes('Next page')) {
+      pages.push((await handler({ query: 'test', cursor: cursorOf(pages.at(-1)) }, {})).content[0].text);
+    }
+
+    expect(pages.map((text) => text.split(' ')[0])).toEqual(['n0.md', 'n1.md', 'n2.md', 'n3.md', 'n4.md']);
+    // The number of matches is unknown until the ranking runs out of them.
+    expect(pages[0]).toContain('\n\nResults 1-1; more results follow. Next page: cursor "');
+    expect(pages[4]).toMatch(/\n\nResults 5-5 of 5\.$/);
+  });
+
+  it('pages find_related by offset and omits the footer on a single page', async () => {
+    const handler = createServer(embeddings, mockEmbedder)._registeredTools['find_related'].handler;
+
+    const page = (await handler({ note_path: 'n0.md', limit: 2, offset: 2 }, {})).content[0].text;
+    const all = (await handler({ note_path: 'n0.md' }, {})).content[0].text;
+
+    expect(page).toMatch(/^n3\.md .*\nn4\.md .*\n\nResults 3-4 of 4\.$/);
+    expect(all.split('\n')).toHaveLength(4);
+  });
+
+  it('rejects a cursor from a different search, and offset with cursor', async () => {
+    const handler = createServer(embeddings, mockEmbedder)._registeredTools['semantic_search'].handler;
+    const cursor = cursorOf((await handler({ query: 'test', limit: 2 }, {})).content[0].text);
+
+    const other = await handler({ query: 'other', cursor }, {});
+    const both = await handler({ query: 'test', cursor, offset: 2 }, {});
+
+    expect(other.content[0].text).toMatch(/^Error running semantic_search: cursor belongs to a different search/);
+    expect(both.content[0].text).toBe('Error: pass either offset or cursor, not both.');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// suggest_links
+// ---------------------------------------------------------------------------
+
+describe('suggest_links tool handler', () => {
+  let tmpVault;
+
+  beforeAll(() => {
+    tmpVault = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-search-links-'));
+    fs.writeFileSync(path.join(tmpVault, 'plan.md'), '# Plan\n\n## Goals\nShip [[linked]].');
+    fs.writeFileSync(path.join(tmpVault, 'linked.md'), 'Already linked.');
+    fs.writeFileSync(path.join(tmpVault, 'roadmap.md'), 'Milestones.');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpVault, { recursive: true, force: true });
+  });
+
+  const embeddings = new Map([
+    ['plan.md', { vec: [1, 0.1, 0], type: 'source' }],
+    ['plan.md#Plan#Goals', { vec: [1, 0, 0], type: 'block', meta: { lines: [3, 4] } }],
+    ['linked.md', { vec: [1, 0.1, 0], type: 'source' }],
+    ['roadmap.md', { vec: [0.9, 0.2, 0], type: 'source' }],
+  ]);
+
+  it('lists unlinked related notes with the sections that match', async () => {
+    const handler = createServer(embeddings, mockEmbedder, tmpVault)._registeredTools['suggest_links'].handler;
+
+    const result = await handler({ note_path: 'plan.md' }, {});
+
+    expect(result.content[0].text).toBe([
+      'Link suggestions for plan.md (links to 1 notes, linked from 0):',
+      'roadmap.md (score: 0.993)',
+      '  plan.md#Plan#Goals [lines 3-4] matches roadmap.md (0.976)',
+    ].join('\n'));
+  });
+
+  it('returns an error without a vault path', async () => {
+    const handler = createServer(embeddings, mockEmbedder)._registeredTools['suggest_links'].handler;
+
+    const result = await handler({ note_path: 'plan.md' }, {});
+
+    expect(result.content[0].text).toBe('Error: suggest_links is unavailable (vault path not configured).');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// link boosts
+// ---------------------------------------------------------------------------
+
+describe('link-boosted search', () => {
+  let tmpVault;
+
+  beforeAll(() => {
+    tmpVault = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-search-boosts-'));
+    fs.writeFileSync(path.join(tmpVault, 'plan.md'), 'See [[roadmap]].');
+    fs.writeFileSync(path.join(tmpVault, 'roadmap.md'), 'Milestones.');
+    fs.writeFileSync(path.join(tmpVault, 'other.md'), 'Unrelated.');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpVault, { recursive: true, force: true });
+  });
+
+  const embeddings = new Map([
+    ['plan.md', { vec: [1, 0, 0], type: 'source' }],
+    ['roadmap.md', { vec: [0.8, 0.6, 0], type: 'source' }],
+    ['other.md', { vec: [0.9, 0.436, 0], type: 'source' }],
+  ]);
+
+  it('shows what each link signal added in find_related', async () => {
+    const handler = createServer(embeddings, mockEmbedder, tmpVault)._registeredTools['find_related'].handler;
+
+    const result = await handler({ note_path: 'plan.md', proximity_weight: 0.2 }, {});
+
+    expect(result.content[0].text).toBe([
+      'roadmap.md (score: 1.000, similarity: 0.800, proximity: +0.200)',
+      'other.md (score: 0.900, similarity: 0.900, proximity: +0.000)',
+    ].join('\n'));
+  });
+
+  it('rejects link weights outside semantic mode and without a vault path', async () => {
+    const withVault = createServer(embeddings, mockEmbedder, tmpVault)._registeredTools['semantic_search'].handler;
+    const withoutVault = createServer(embeddings, mockEmbedder)._registeredTools['semantic_search'].handler;
+
+    const lexical = await withVault({ query: 'plan', mode: 'lexical', backlink_weight: 0.1 }, {});
+    const noVault = await withoutVault({ query: 'plan', pagerank_weight: 0.1 }, {});
+
+    expect(lexical.content[0].text).toBe('Error: link boosts apply to semantic mode only.');
+    expect(noVault.content[0].text).toBe('Error: link boosts are unavailable (vault path not configured).');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// recency
+// ---------------------------------------------------------------------------
+
+describe('recency-weighted search', () => {
+  let tmpVault;
+
+  beforeAll(() => {
+    tmpVault = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-search-recency-'));
+    fs.mkdirSync(path.join(tmpVault, 'journal'));
+    fs.writeFileSync(path.join(tmpVault, 'journal', '2024-05-01.md'), 'Standup.');
+    fs.writeFileSync(path.join(tmpVault, 'retro.md'), '---\ndate: 2001-01-01\n---\nRetro.');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpVault, { recursive: true, force: true });
+  });
+
+  const embeddings = new Map([
+    ['journal/2024-05-01.md', { vec: [0.62, 0.785, 0], type: 'source' }],
+    ['retro.md', { vec: [0.65, 0.76, 0], type: 'source' }],
+  ]);
+
+  it('reports the date each result was weighted by', async () => {
+    const handler = createServer(embeddings, mockEmbedder, tmpVault)._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'standup', recency: 0.5, half_life_days: 36500 }, {});
+
+    const lines = result.content[0].text.split('\n');
+    expect(lines[0]).toMatch(/^journal\/2024-05-01\.md \(score: 0\.\d{3}, similarity: 0\.620, recency: 0\.\d{3} \(2024-05-01, filename\)\)$/);
+    expect(lines[1]).toMatch(/^retro\.md \(score: 0\.\d{3}, similarity: 0\.650, recency: 0\.\d{3} \(2001-01-01, frontmatter\)\)$/);
+  });
+
+  it('rejects recency outside semantic mode', async () => {
+    const handler = createServer(embeddings, mockEmbedder, tmpVault)._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'standup', mode: 'hybrid', recency: 0.5 }, {});
+
+    expect(result.content[0].text).toBe('Error: recency applies to semantic mode only.');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// snippets
+// ---------------------------------------------------------------------------
+
+describe('result snippets', () => {
+  let tmpVault;
+
+  beforeAll(() => {
+    tmpVault = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-search-snippets-'));
+    fs.writeFileSync(path.join(tmpVault, 'plan.md'), '# Plan\n\nShip the importer.\n\n## Goals\n\nFaster sync.\n');
+    fs.writeFileSync(path.join(tmpVault, 'retro.md'), 'Went well: the release.\n\nMore text.\n');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpVault, { recursive: true, force: true });
+  });
+
+  const embeddings = new Map([
+    ['plan.md', { vec: [1, 0, 0], type: 'source' }],
+    ['plan.md#Plan#Goals', { vec: [0.9, 0.436, 0], type: 'block' }],
+    ['retro.md', { vec: [0.8, 0.6, 0], type: 'source' }],
+  ]);
+
+  it('shows the matched section for blocks and the best section or opening paragraph for notes', async () => {
+    const handler = createServer(embeddings, mockEmbedder, tmpVault)._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'goals', snippets: true }, {});
+
+    expect(result.content[0].text).toBe([
+      'plan.md (score: 1.000)',
+      '  > Plan > Goals: Faster sync.',
+      'plan.md#Plan#Goals (score: 0.900)',
+      '  > Faster sync.',
+      'retro.md (score: 0.800)',
+      '  > Went well: the release.',
+    ].join('\n'));
+  });
+
+  it('picks the section closest to the source note in find_related, and needs a vault path', async () => {
+    const withVault = createServer(embeddings, mockEmbedder, tmpVault)._registeredTools['find_related'].handler;
+    const withoutVault = createServer(embeddings, mockEmbedder)._registeredTools['find_related'].handler;
+
+    const related = await withVault({ note_path: 'retro.md', type: 'source', snippets: true }, {});
+    const noVault = await withoutVault({ note_path: 'retro.md', snippets: true }, {});
+
+    expect(related.content[0].text).toBe('plan.md (score: 0.800)\n  > Plan > Goals: Faster sync.');
+    expect(noVault.content[0].text).toBe('Error: snippets are unavailable (vault path not configured).');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// find_duplicates
+// ---------------------------------------------------------------------------
+
+describe('find_duplicates tool handler', () => {
+  let tmpVault;
+
+  beforeAll(() => {
+    tmpVault = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-search-duplicates-'));
+    fs.writeFileSync(path.join(tmpVault, 'plan.md'), 'x'.repeat(2150));
+    fs.writeFileSync(path.join(tmpVault, 'plan copy.md'), 'short');
+    const mtime = new Date('2024-05-01T12:00:00.000Z');
+    fs.utimesSync(path.join(tmpVault, 'plan.md'), mtime, mtime);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpVault, { recursive: true, force: true });
+  });
+
+  const embeddings = new Map([
+    ['plan.md', { vec: [1, 0, 0], type: 'source' }],
+    ['plan copy.md', { vec: [0.99, 0.1, 0], type: 'source' }],
+    ['deleted.md', { vec: [1, 0, 0], type: 'source', meta: { size: 10, mtime: 0 } }],
+    ['other.md', { vec: [0, 1, 0], type: 'source' }],
+  ]);
+
+  it('lists clusters with file sizes and modified dates from disk', async () => {
+    const handler = createServer(embeddings, mockEmbedder, tmpVault)._registeredTools['find_duplicates'].handler;
+
+    const result = await handler({}, {});
+
+    expect(result.content[0].text).toBe([
+      // deleted.md and other.md are orphaned, so only the two notes on disk are compared.
+      'Duplicate clusters: 1 (similarity >= 0.95, 2 source entries, compared all 1 pairs)',
+      '',
+      'Cluster 1: 2 entries, similarity 0.995',
+      '  plan copy.md (5 B, modified ' + new Date(fs.statSync(path.join(tmpVault, 'plan copy.md')).mtimeMs).toISOString().slice(0, 10) + ')',
+      '  plan.md (2.1 KB, modified 2024-05-01)',
+    ].join('\n'));
+  });
+
+  it('falls back to entry metadata without a vault path', async () => {
+    const handler = createServer(embeddings, mockEmbedder)._registeredTools['find_duplicates'].handler;
+
+    const result = await handler({ threshold: 0.999, folder: 'd' }, {});
+
+    expect(result.content[0].text).toBe(
+      'Duplicate clusters: 0 (similarity >= 0.999, 1 source entries, compared all 0 pairs)'
+    );
+    const all = await handler({ threshold: 0.999 }, {});
+    expect(all.content[0].text).toContain('  deleted.md (10 B, modified 1970-01-01)\n  plan.md');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// cluster_vault
+// ---------------------------------------------------------------------------
+
+describe('cluster_vault tool handler', () => {
+  const embeddings = new Map([
+    ['garden/Tomato beds.md', { vec: [1, 0.1, 0], type: 'source' }],
+    ['garden/Tomato seedlings.md', { vec: [0.9, 0, 0.1], type: 'source' }],
+    ['work/Roadmap review.md', { vec: [0, 1, 0.1], type: 'source' }],
+    ['work/Roadmap draft.md', { vec: [0.1, 0.9, 0], type: 'source' }],
+  ]);
+
+  it('lists labelled clusters with their representative notes', async () => {
+    const handler = createServer(embeddings, mockEmbedder)._registeredTools['cluster_vault'].handler;
+
+    const result = await handler({ k: 2, representatives: 1 }, {});
+
+    expect(result.content[0].text).toBe([
+      'Clusters: 2 (4 notes, k-means, 2 rounds)',
+      '',
+      '1. tomato, beds, seedlings -- 2 notes',
+      '  garden/Tomato beds.md (0.997)',
+      '',
+      '2. roadmap, draft, review -- 2 notes',
+      '  work/Roadmap draft.md (0.997)',
+    ].join('\n'));
+  });
+
+  it('reports when there is nothing to cluster', async () => {
+    const handler = createServer(embeddings, mockEmbedder)._registeredTools['cluster_vault'].handler;
+
+    const result = await handler({ folder: 'archive/' }, {});
+
+    expect(result.content[0].text).toBe('No notes to cluster.');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// ann_recall
+// ---------------------------------------------------------------------------
+
+describe('ann_recall tool handler', () => {
+  it('returns an error when no ANN index has been built', async () => {
+    const server = createServer(mockEmbeddings, mockEmbedder);
+    const handler = server._registeredTools['ann_recall'].handler;
+
+    const result = await handler({}, {});
+
+    const text = result.content.find((c) => c.type === 'text').text;
+    expect(text).toContain('no ANN index has been built');
+  });
+
+  it('reports recall and timings for a built index', async () => {
+    const ann = await buildHnswIndex(mockEmbeddings);
+    const store = createIndexStore({ embeddings: mockEmbeddings, ann });
+    const server = createServer(store, mockEmbedder);
+    const handler = server._registeredTools['ann_recall'].handler;
+
+    const result = await handler({ k: 1 }, {});
+
+    const text = result.content.find((c) => c.type === 'text').text;
+    expect(text).toContain('Recall@1: 1.000 (2 queries, ef 64)');
+    expect(text).toMatch(/ANN search: [\d.]+ ms\/query/);
+  });
+
+  it('shows the ANN index in vault_stats, and when it is out of date', async () => {
+    const ann = await buildHnswIndex(mockEmbeddings);
+    const current = createServer(createIndexStore({ embeddings: mockEmbeddings, ann }), mockEmbedder);
+    const stale = createServer(createIndexStore({ embeddings: new Map(), ann }), mockEmbedder);
+
+    const text = async (server) =>
+      (await server._registeredTools['vault_stats'].handler({}, {})).content[0].text;
+
+    expect(await text(current)).toContain('ANN index: 2 entries');
+    expect(await text(stale)).toContain('ANN index: rebuilding');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Orphan filtering and embedding_freshness
+// ---------------------------------------------------------------------------
+
+describe('orphaned notes', () => {
+  let tmpVault;
+
+  beforeAll(() => {
+    // note1.md exists on disk; note2.md has been deleted outside Obsidian.
+    tmpVault = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-search-orphans-'));
+    fs.writeFileSync(path.join(tmpVault, 'note1.md'), 'still here');
+    fs.writeFileSync(path.join(tmpVault, 'note3.md'), 'never embedded');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpVault, { recursive: true, force: true });
+  });
+
+  // Both notes score above the default threshold against the query [1, 0, 0].
+  const embeddings = new Map([
+    ['note1.md', { vec: [1, 0, 0], type: 'source' }],
+    ['note2.md', { vec: [1, 1, 0], type: 'source' }],
+  ]);
+
+  it('hides orphaned notes from semantic_search by default', async () => {
+    const server = createServer(embeddings, mockEmbedder, tmpVault);
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'test' }, {});
+
+    const textItem = result.content.find((c) => c.type === 'text');
+    expect(textItem.text).toContain('note1.md');
+    expect(textItem.text).not.toContain('note2.md');
+  });
+
+  it('includes orphaned notes when include_orphans is set', async () => {
+    const server = createServer(embeddings, mockEmbedder, tmpVault);
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'test', include_orphans: true }, {});
+
+    const textItem = result.content.find((c) => c.type === 'text');
+    expect(textItem.text).toContain('note2.md');
+  });
+
+  it('reports orphaned and unembedded notes', async () => {
+    const server = createServer(embeddings, mockEmbedder, tmpVault);
+    const handler = server._registeredTools['embedding_freshness'].handler;
+
+    const result = await handler({}, {});
+
+    const text = result.content.find((c) => c.type === 'text').text;
+    expect(text).toContain('Orphaned (file missing): 1\n  note2.md (1 entries)');
+    expect(text).toContain('Stale (changed since embedded): 0');
+    expect(text).toContain('Not embedded: 1\n  note3.md');
+  });
+
+  it('finds notes by exact term in lexical mode', async () => {
+    const server = createServer(embeddings, mockEmbedder, tmpVault);
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'embedded', mode: 'lexical' }, {});
+
+    expect(result.content[0].text).toMatch(/^note3\.md \(score: \d+\.\d{3}\)$/);
+  });
+
+  it('shows both component scores in hybrid mode', async () => {
+    const server = createServer(embeddings, mockEmbedder, tmpVault);
+    const handler = server._registeredTools['semantic_search'].handler;
+
+    const result = await handler({ query: 'still here', mode: 'hybrid' }, {});
+
+    expect(result.content[0].text).toMatch(/^note1\.md \(score: 0\.\d{3}, semantic: 1\.000, lexical: \d+\.\d{3}\)/);
+  });
+
+  it('explains that embedding_freshness needs a vault path', async () => {
+    const server = createServer(embeddings, mockEmbedder);
+    const handler = server._registeredTools['embedding_freshness'].handler;
+
+    const result = await handler({}, {});
+
+    expect(result.content[0].text).toMatch(/vault path not configured/);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -2,7 +2,7 @@
 // Covers happy paths, edge cases, and known-angle assertions.
 
 import { describe, it, expect } from 'vitest';
-import { cosineSimilarity } from '../src/similarity.js';
+import { cosineSimilarity, vectorNorm, roundScore } from '../src/similarity.js';
 
 describe('cosineSimilarity', () => {
   it('returns 1.0 for identical vectors', () => {
@@ -76,3 +76,17 @@ describe('cosineSimilarity', () => {
     expect(result).toBe(0.992);
   });
 });
+
+describe('vectorNorm', () => {
+  it('returns the Euclidean length, 0 for a zero vector', () => {
+    expect(vectorNorm([3, 4])).toBe(5);
+    expect(vectorNorm(new Float32Array(3))).toBe(0);
+  });
+});
+
+describe('roundScore', () => {
+  it('rounds to 3 decimal places', () => {
+    expect(roundScore(0.70710678)).toBe(0.707);
+    expect(roundScore(0.9995)).toBe(1);
+  });
+});
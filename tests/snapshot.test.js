@@ -0,0 +1,101 @@
+// Tests for the binary snapshot (src/snapshot.js).
+// Writes and reads snapshots in a temporary vault directory.
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { readSnapshot, writeSnapshot, statSourceFiles, snapshotPath as locateSnapshot } from '../src/snapshot.js';
+
+// One file's result, shaped like loadEmbeddingIndex's per-file results.
+function buildResult() {
+  return {
+    entries: new Map([
+      ['a.md', { vec: Float32Array.from([0.25, -0.5, 1]), type: 'source', meta: { mtime: 1714521600000 } }],
+      ['a.md#Intro', { vec: Float32Array.from([1, 0]), type: 'block' }],
+      ['b.md', { vec: null, type: 'source' }],
+      ['c.md', null],
+    ]),
+    superseded: 2,
+    deleted: 1,
+    modelCounts: new Map([['TaylorAI/bge-micro-v2', 3]]),
+    skipped: { 'no-vector': 1 },
+    samples: [{ path: 'b.md', reason: 'no-vector' }],
+  };
+}
+
+describe('snapshot', () => {
+  let tmpVault;
+  let snapshotPath;
+
+  beforeEach(async () => {
+    tmpVault = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshot-test-'));
+    snapshotPath = path.join(tmpVault, '.smart-search', 'embeddings.snapshot');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpVault, { recursive: true, force: true });
+  });
+
+  it('round-trips per-file results, tombstones, and metadata', async () => {
+    const files = new Map([['x.ajson', { mtime: 1234.5, size: 99, result: buildResult() }]]);
+
+    await writeSnapshot(tmpVault, { modelKey: 'TaylorAI/bge-micro-v2', files });
+    const snapshot = await readSnapshot(tmpVault);
+
+    expect(snapshot.modelKey).toBe('TaylorAI/bge-micro-v2');
+    const file = snapshot.files.get('x.ajson');
+    expect(file.mtime).toBe(1234.5);
+    expect(file.size).toBe(99);
+    expect(file.result).toEqual(buildResult());
+  });
+
+  it('keeps the snapshot in another directory, one file per vault', async () => {
+    const dir = path.join(tmpVault, 'cache');
+    const files = new Map([['x.ajson', { mtime: 1, size: 2, result: buildResult() }]]);
+
+    await writeSnapshot(tmpVault, { modelKey: null, files }, { dir });
+
+    expect(await readSnapshot(tmpVault)).toBeNull();
+    expect((await readSnapshot(tmpVault, { dir })).files.get('x.ajson').result).toEqual(buildResult());
+    expect(path.dirname(locateSnapshot(tmpVault, dir))).toBe(dir);
+    expect(locateSnapshot(tmpVault, dir)).not.toBe(locateSnapshot(path.join(tmpVault, 'other'), dir));
+    expect(locateSnapshot(tmpVault)).toBe(snapshotPath);
+  });
+
+  it('returns null when there is no snapshot', async () => {
+    expect(await readSnapshot(tmpVault)).toBeNull();
+  });
+
+  it('returns null for a truncated snapshot', async () => {
+    const files = new Map([['x.ajson', { mtime: 1, size: 1, result: buildResult() }]]);
+    await writeSnapshot(tmpVault, { modelKey: null, files });
+    const full = await fs.readFile(snapshotPath);
+
+    await fs.writeFile(snapshotPath, full.subarray(0, full.length - 6));
+
+    expect(await readSnapshot(tmpVault)).toBeNull();
+  });
+
+  it('returns null for a file with the wrong signature or version', async () => {
+    const files = new Map([['x.ajson', { mtime: 1, size: 1, result: buildResult() }]]);
+    await writeSnapshot(tmpVault, { modelKey: null, files });
+    const full = await fs.readFile(snapshotPath);
+
+    full.writeUInt32LE(999, 4);
+    await fs.writeFile(snapshotPath, full);
+    expect(await readSnapshot(tmpVault)).toBeNull();
+
+    await fs.writeFile(snapshotPath, 'garbage that is long enough');
+    expect(await readSnapshot(tmpVault)).toBeNull();
+  });
+
+  it('stats source files, reporting null for missing ones', async () => {
+    await fs.writeFile(path.join(tmpVault, 'a.ajson'), 'abc');
+
+    const stats = await statSourceFiles(tmpVault, ['a.ajson', 'missing.ajson']);
+
+    expect(stats[0].size).toBe(3);
+    expect(stats[1]).toBeNull();
+  });
+});
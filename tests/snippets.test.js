@@ -0,0 +1,90 @@
+// Tests for result snippets (src/snippets.js).
+// Uses a temporary vault for readSnippets; extractSnippet works on strings.
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { extractSnippet, readSnippets, queryTermRanker } from '../src/snippets.js';
+
+const NOTE = [
+  '---',
+  'tags: [project]',
+  '---',
+  '# Project',
+  '',
+  '## Goals',
+  '',
+  'Faster sync for large vaults.',
+  '',
+  '## Risks',
+  '',
+  'The importer may drop attachments.',
+].join('\n');
+
+describe('extractSnippet', () => {
+  it('returns a block section by key, or by line range when the key is unknown', () => {
+    expect(extractSnippet(NOTE, 'notes/project.md#Project#Risks')).toEqual({
+      text: 'The importer may drop attachments.',
+      section: null,
+    });
+    // A renamed heading: the stored line range still points at the section.
+    expect(extractSnippet(NOTE, 'notes/project.md#Project#Aims', { lines: [6, 8] })).toEqual({
+      text: 'Faster sync for large vaults.',
+      section: null,
+    });
+    expect(extractSnippet(NOTE, 'notes/project.md#Project#Aims', { lines: [40, 42] })).toBeNull();
+  });
+
+  it('returns the best-ranked section of a note, or else its opening paragraph', () => {
+    const rankSection = queryTermRanker('importer attachments');
+
+    expect(extractSnippet(NOTE, 'notes/project.md', { rankSection })).toEqual({
+      text: 'The importer may drop attachments.',
+      section: 'Project > Risks',
+    });
+    expect(extractSnippet(NOTE, 'notes/project.md', { rankSection: queryTermRanker('budget') })).toEqual({
+      text: 'Faster sync for large vaults.',
+      section: null,
+    });
+  });
+
+  it('cuts long text at a word boundary', () => {
+    const snippet = extractSnippet('One two three four five six.', 'long.md', { maxChars: 16 });
+
+    expect(snippet.text).toBe('One two three…');
+  });
+});
+
+describe('readSnippets', () => {
+  let tmpVault;
+
+  beforeAll(() => {
+    tmpVault = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-search-snippets-'));
+    fs.mkdirSync(path.join(tmpVault, 'notes'));
+    fs.writeFileSync(path.join(tmpVault, 'notes', 'project.md'), NOTE);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpVault, { recursive: true, force: true });
+  });
+
+  it('reads each note through the path checks and skips hits it cannot read', async () => {
+    const snippets = await readSnippets(
+      [
+        { path: 'notes/project.md#Project#Goals', meta: { lines: [6, 8] } },
+        { path: 'notes/project.md' },
+        { path: '../outside.md' },
+        { path: 'notes/deleted.md' },
+      ],
+      tmpVault
+    );
+
+    expect(snippets).toEqual([
+      { text: 'Faster sync for large vaults.', section: null },
+      { text: 'Faster sync for large vaults.', section: null },
+      null,
+      null,
+    ]);
+  });
+});
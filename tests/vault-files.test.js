@@ -0,0 +1,87 @@
+// Tests for the vault file listing (src/vault-files.js).
+// Uses a temporary vault directory on disk.
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { listVaultFiles, createVaultScanner } from '../src/vault-files.js';
+
+describe('listVaultFiles', () => {
+  let tmpVault;
+
+  beforeEach(async () => {
+    tmpVault = await fs.mkdtemp(path.join(os.tmpdir(), 'vault-files-test-'));
+    await fs.mkdir(path.join(tmpVault, 'notes', 'deep'), { recursive: true });
+    await fs.mkdir(path.join(tmpVault, '.smart-env', 'multi'), { recursive: true });
+    await fs.writeFile(path.join(tmpVault, 'root.md'), 'root');
+    await fs.writeFile(path.join(tmpVault, 'notes', 'a.md'), 'alpha');
+    await fs.writeFile(path.join(tmpVault, 'notes', 'deep', 'b.md'), 'beta!');
+    await fs.writeFile(path.join(tmpVault, '.smart-env', 'multi', 'x.ajson'), '');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpVault, { recursive: true, force: true });
+  });
+
+  it('lists files by vault-relative path with forward slashes', async () => {
+    const files = await listVaultFiles(tmpVault);
+
+    expect(Array.from(files.keys()).sort()).toEqual(['notes/a.md', 'notes/deep/b.md', 'root.md']);
+  });
+
+  it('records size, whole-millisecond mtime, and creation time', async () => {
+    const mtime = new Date('2024-05-01T00:00:00.000Z');
+    await fs.utimes(path.join(tmpVault, 'notes', 'a.md'), mtime, mtime);
+
+    const files = await listVaultFiles(tmpVault);
+
+    expect(files.get('notes/a.md')).toEqual({ mtime: mtime.getTime(), size: 5, created: expect.any(Number) });
+    expect(Number.isInteger(files.get('notes/a.md').created)).toBe(true);
+  });
+
+  it('returns an empty Map for a missing vault', async () => {
+    const files = await listVaultFiles(path.join(tmpVault, 'missing'));
+
+    expect(files.size).toBe(0);
+  });
+
+  it('reuses a recent scan and rescans on refresh', async () => {
+    const scanner = createVaultScanner(tmpVault, { maxAgeMs: 60000 });
+    const first = await scanner.files();
+
+    await fs.writeFile(path.join(tmpVault, 'new.md'), 'new');
+
+    expect(await scanner.files()).toBe(first);
+    expect((await scanner.refresh()).has('new.md')).toBe(true);
+  });
+
+  it('serves the last scan while an old one is rescanned in the background', async () => {
+    const scanner = createVaultScanner(tmpVault, { maxAgeMs: 0 });
+    const first = await scanner.files();
+
+    await fs.writeFile(path.join(tmpVault, 'new.md'), 'new');
+
+    expect(await scanner.files()).toBe(first);
+    await vi.waitFor(async () => expect((await scanner.files()).has('new.md')).toBe(true));
+  });
+
+  it('rescans a watched vault only after a visible file changes', async () => {
+    const scanner = createVaultScanner(tmpVault, { watch: true, maxAgeMs: 0 });
+    try {
+      const first = await scanner.files();
+      await fs.writeFile(path.join(tmpVault, '.smart-env', 'multi', 'y.ajson'), '');
+      // An unwatched scanner would start a rescan on each call here, since maxAgeMs is 0.
+      for (let i = 0; i < 2; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        expect(await scanner.files()).toBe(first);
+      }
+
+      await fs.writeFile(path.join(tmpVault, 'notes', 'deep', 'new.md'), 'new');
+
+      await vi.waitFor(async () => expect((await scanner.files()).has('notes/deep/new.md')).toBe(true));
+    } finally {
+      scanner.close();
+    }
+  });
+});
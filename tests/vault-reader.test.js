@@ -0,0 +1,76 @@
+// Tests for the incremental vault reader (src/vault-reader.js).
+// Uses a temporary vault and followers that record what they are handed.
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { createVaultReader } from '../src/vault-reader.js';
+import { createVaultScanner } from '../src/vault-files.js';
+
+/**
+ * Build a follower that logs every call it receives.
+ *
+ * @param {string[]} log - Receives one line per call.
+ * @returns {object} The follower.
+ */
+function recordingFollower(log) {
+  return {
+    update: (notePath, content) => log.push(`update ${notePath}: ${content}`),
+    remove: (notePath) => log.push(`remove ${notePath}`),
+    synced: (changed) => log.push(`synced ${changed}`),
+  };
+}
+
+describe('createVaultReader', () => {
+  let tmpVault;
+  let scanner;
+
+  beforeEach(async () => {
+    tmpVault = await fs.mkdtemp(path.join(os.tmpdir(), 'vault-reader-test-'));
+    await fs.mkdir(path.join(tmpVault, 'notes'));
+    await fs.writeFile(path.join(tmpVault, 'notes', 'a.md'), 'alpha');
+    await fs.writeFile(path.join(tmpVault, 'b.md'), 'beta');
+    await fs.writeFile(path.join(tmpVault, 'image.png'), 'not markdown');
+    scanner = createVaultScanner(tmpVault);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpVault, { recursive: true, force: true });
+  });
+
+  it('hands each note to every follower, then only what changed', async () => {
+    const first = [];
+    const second = [];
+    const reader = createVaultReader(tmpVault, scanner, { concurrency: 1 });
+    reader.follow(recordingFollower(first));
+    reader.follow(recordingFollower(second));
+
+    await reader.sync();
+    // Notes arrive in directory-walk order, which the filesystem decides.
+    expect([...first].sort()).toEqual(['synced true', 'update b.md: beta', 'update notes/a.md: alpha']);
+    expect(first.at(-1)).toBe('synced true');
+    expect(second).toEqual(first);
+
+    first.length = 0;
+    await fs.writeFile(path.join(tmpVault, 'b.md'), 'beta, edited');
+    await fs.rm(path.join(tmpVault, 'notes', 'a.md'));
+    await scanner.refresh();
+    await reader.sync();
+    expect(first).toEqual(['remove notes/a.md', 'update b.md: beta, edited', 'synced true']);
+
+    first.length = 0;
+    await reader.sync();
+    expect(first).toEqual(['synced false']);
+  });
+
+  it('shares one run between concurrent syncs', async () => {
+    const log = [];
+    const reader = createVaultReader(tmpVault, scanner);
+    reader.follow(recordingFollower(log));
+
+    await Promise.all([reader.sync(), reader.sync()]);
+
+    expect(log.filter((line) => line.startsWith('update'))).toHaveLength(2);
+  });
+});
@@ -0,0 +1,137 @@
+// Tests for the embeddings watcher (src/watcher.js).
+// Uses a real temp directory and short debounce windows to exercise fs.watch.
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { watchAjsonDir, watchEmbeddings } from '../src/watcher.js';
+import { loadEmbeddingIndex } from '../src/ajson-parser.js';
+import { createIndexStore } from '../src/index-store.js';
+import { readSnapshot } from '../src/snapshot.js';
+
+// Build an AJSON source line for a note with a 3-dim vector.
+function sourceLine(notePath, vec) {
+  return `"smart_sources:${notePath}": {"path":"${notePath}","embeddings":{"TaylorAI/bge-micro-v2":{"vec":${JSON.stringify(vec)}}}},`;
+}
+
+// Poll until the predicate holds or the timeout elapses.
+async function waitFor(predicate, timeoutMs = 3000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('waitFor: condition not met in time');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe('watchAjsonDir', () => {
+  let tmpDir;
+  let handle;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'watcher-test-'));
+  });
+
+  afterEach(async () => {
+    handle?.close();
+    handle = null;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('batches a burst of writes into a single callback', async () => {
+    const batches = [];
+    handle = watchAjsonDir(tmpDir, (changed) => batches.push(changed), { debounceMs: 100 });
+
+    await fs.writeFile(path.join(tmpDir, 'a.ajson'), 'x');
+    await fs.writeFile(path.join(tmpDir, 'b.ajson'), 'x');
+    await fs.appendFile(path.join(tmpDir, 'a.ajson'), 'y');
+
+    await waitFor(() => batches.length > 0);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    expect(batches).toHaveLength(1);
+    expect([...batches[0]].sort()).toEqual(['a.ajson', 'b.ajson']);
+  });
+
+  it('ignores files that are not .ajson', async () => {
+    const batches = [];
+    handle = watchAjsonDir(tmpDir, (changed) => batches.push(changed), { debounceMs: 50 });
+
+    await fs.writeFile(path.join(tmpDir, 'notes.tmp'), 'x');
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    expect(batches).toEqual([]);
+  });
+
+  it('throws when the directory does not exist', () => {
+    expect(() => watchAjsonDir(path.join(tmpDir, 'missing'), () => {})).toThrow();
+  });
+});
+
+describe('watchEmbeddings', () => {
+  let tmpDir;
+  let multiDir;
+  let handle;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'watcher-vault-'));
+    multiDir = path.join(tmpDir, '.smart-env', 'multi');
+    await fs.mkdir(multiDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    handle?.close();
+    handle = null;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('swaps in new and removed entries after files change', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), sourceLine('a.md', [1, 0, 0]));
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), sourceLine('b.md', [0, 1, 0]));
+    const store = createIndexStore(await loadEmbeddingIndex(tmpDir));
+    const reloads = [];
+    handle = watchEmbeddings(tmpDir, store, {
+      debounceMs: 50,
+      onReload: (index) => reloads.push(index),
+    });
+
+    await fs.writeFile(path.join(multiDir, 'c.ajson'), sourceLine('c.md', [0, 0, 1]));
+    await fs.rm(path.join(multiDir, 'b.ajson'));
+    await waitFor(() => !store.current().embeddings.has('b.md') && store.current().embeddings.has('c.md'));
+
+    const { embeddings } = store.current();
+    expect(Array.from(embeddings.keys()).sort()).toEqual(['a.md', 'c.md']);
+    expect(reloads.length).toBeGreaterThan(0);
+  });
+
+  it('applies the transform to each reloaded index before the swap', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), sourceLine('a.md', [1, 0, 0]));
+    const store = createIndexStore(await loadEmbeddingIndex(tmpDir));
+    handle = watchEmbeddings(tmpDir, store, {
+      debounceMs: 50,
+      transform: (index) => ({ ...index, tagged: true }),
+    });
+
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), sourceLine('b.md', [0, 1, 0]));
+    await waitFor(() => store.current().embeddings.has('b.md'));
+
+    expect(store.current().tagged).toBe(true);
+  });
+
+  it('rewrites the snapshot once reloads go quiet', async () => {
+    await fs.writeFile(path.join(multiDir, 'a.ajson'), sourceLine('a.md', [1, 0, 0]));
+    const store = createIndexStore(await loadEmbeddingIndex(tmpDir, { snapshot: true }));
+    handle = watchEmbeddings(tmpDir, store, { debounceMs: 50, snapshot: { delayMs: 100 } });
+
+    await fs.writeFile(path.join(multiDir, 'b.ajson'), sourceLine('b.md', [0, 1, 0]));
+    await waitFor(() => store.current().embeddings.has('b.md'));
+    // Poll the file itself: a load with snapshot would write one of its own.
+    await vi.waitFor(async () => expect((await readSnapshot(tmpDir))?.files.has('b.ajson')).toBe(true));
+    const next = await loadEmbeddingIndex(tmpDir, { snapshot: true });
+
+    expect(next.snapshot).toEqual({ reused: 2, parsed: 0 });
+    expect(Array.from(next.embeddings.keys())).toEqual(['a.md', 'b.md']);
+  });
+});